@@ -5,17 +5,20 @@
  */
 class AudioManager {
 
-    constructor (worker_id) {
+    constructor (worker_id, headless = false) {
         this.assets = new Map();
         this.workerID = worker_id;
         this.isWorker = typeof importScripts !== 'undefined' && typeof DedicatedWorkerGlobalScope !== 'undefined';
+        this.headless = headless;
+        this.context  = null;
         this.instances = new Map();
         this.assetInstances = new Map(); // Track instances by asset ID for faster lookup
         this.listener = null;
         this.masterVolume = 1;
         this.nextInstanceId = 0;
 
-        if (!this.isWorker) {
+        // Headless engines are silent, sounds are accepted and ignored
+        if (!this.isWorker && !this.headless) {
             try {
                 this.context = new (window.AudioContext || window.webkitAudioContext)();
                 this.listener = this.context.listener;
@@ -32,6 +35,8 @@ class AudioManager {
             return;
         }
 
+        if (this.headless) return;
+
         return new Promise(async (resolve, reject) => {
             try {
                 const response = await fetch(src, {
@@ -73,6 +78,8 @@ class AudioManager {
             return;
         }
 
+        if (this.headless) return;
+
         return new Promise((resolve, reject) => {
             try {
                 const assetObject = this.assets.get(id);
@@ -377,6 +384,8 @@ class AudioManager {
             return this;
         }
 
+        if (!this.listener) return this;
+
         if (this.listener.positionX) {
             this.listener.positionX.value = x;
             this.listener.positionY.value = y;
@@ -396,6 +405,8 @@ class AudioManager {
             return this;
         }
 
+        if (!this.listener) return this;
+
         if (this.listener.forwardX) {
             this.listener.forwardX.value = forwardX;
             this.listener.forwardY.value = forwardY;
@@ -104,6 +104,34 @@ class Background {
     }
     /** ======== END ======== */
 
+    /** ======== SERIALIZE ======== */
+    serialize () {
+        return {
+            layerCounter: this.layerCounter,
+            layers: Array.from(this.layers.values(), ({asset, ...layer}) => ({
+                ...layer,
+                speed : {...layer.speed},
+                offset: {...layer.offset},
+                _currentOffset: {...layer._currentOffset}
+            }))
+        };
+    }
+    deserialize (data = {}) {
+        this.clear();
+
+        for (const {source, _currentOffset, ...config} of data.layers || []) {
+            const layerId = this.add(source, config);
+            if (layerId === null) continue;
+
+            // The scroll position is internal state that `add` always starts at zero
+            this.layers.get(layerId)._currentOffset = {...(_currentOffset || {x: 0, y: 0})};
+        }
+
+        this.layerCounter = data.layerCounter ?? this.layerCounter;
+        return this;
+    }
+    /** ======== END ======== */
+
     /** ======== UPDATE & RENDER ======== */
     update (layerId, config) {
         const layer = this.layers.get(layerId);
@@ -98,20 +98,20 @@ class Camera {
         // Moving with animation
         const startX = this.x;
         const startY = this.y;
-        const startTime = Date.now();
+        const startTime = this.engine.frameTime;
 
         this.smoothing = false;
         easing = typeof easing === 'function' ? easing : this.engine.Ease[easing] || this.engine.Ease['easeInOutCubic'];
 
-        const animate = () => {
-            const progress = Math.min((Date.now() - startTime) / duration, 1);
+        const animate = (now = startTime) => {
+            const progress = Math.min((now - startTime) / duration, 1);
             const t = easing(progress);
 
             this.x = this._targetX = startX + (x - startX) * t;
             this.y = this._targetY = startY + (y - startY) * t;
 
             if (progress < 1) {
-                requestAnimationFrame(animate);
+                this.engine.requestFrame(animate);
             } else {
                 this.smoothing = true;
             }
@@ -148,7 +148,7 @@ class Camera {
         const startZoom = this.zoom;
         const startX = this.x;
         const startY = this.y;
-        const startTime = Date.now();
+        const startTime = this.engine.frameTime;
 
         // Calculating the new position while preserving the zoom point
         const startViewportWidth = this.engine.baseWidth / startZoom;
@@ -187,9 +187,8 @@ class Camera {
 
         easing = typeof easing === 'function' ? easing : this.engine.Ease[easing] || this.engine.Ease['easeInOutCubic'];
 
-        const animate = () => {
-            const currentTime = Date.now();
-            const elapsed = currentTime - startTime;
+        const animate = (now = startTime) => {
+            const elapsed = now - startTime;
             const progress = Math.min(elapsed / duration, 1);
             const easeProgress = easing(progress);
 
@@ -237,7 +236,7 @@ class Camera {
             this._targetY = this.y;
 
             if (progress < 1) {
-                requestAnimationFrame(animate);
+                this.engine.requestFrame(animate);
             } else {
                 this.smoothing = originalSmoothing;
             }
@@ -272,14 +271,14 @@ class Camera {
 
         // Rotation with animation
         const startRotation = this.rotation;
-        const startTime = Date.now();
+        const startTime = this.engine.frameTime;
 
         // Disable temporary softening
         this.smoothing = false;
         easing = typeof easing === 'function' ? easing : this.engine.Ease[easing] || this.engine.Ease['easeInOutCubic'];
 
-        const animate = () => {
-            const progress = Math.min((Date.now() - startTime) / duration, 1);
+        const animate = (now = startTime) => {
+            const progress = Math.min((now - startTime) / duration, 1);
             const t = easing(progress);
 
             // Calculating the shortest turning path
@@ -295,7 +294,7 @@ class Camera {
             this.rotation = this._targetRotation = startRotation + diff * t;
 
             if (progress < 1) {
-                requestAnimationFrame(animate);
+                this.engine.requestFrame(animate);
             } else {
                 this.smoothing = true;
             }
@@ -370,8 +369,7 @@ class Camera {
     }
     /** ======== END ======== */
 
-    apply () {
-        const ctx = this.engine.ctx;
+    apply (ctx = this.engine.ctx) {
         ctx.save();
         ctx.translate(this.engine.baseWidth / 2, this.engine.baseHeight / 2);
         ctx.rotate(this.rotation * Math.PI / 180);
@@ -775,6 +773,81 @@ class Camera {
     hasState (name) {
         return this._states.has(name);
     }
+    serialize () {
+        const states = {};
+        this._states.forEach((state, name) => {
+            states[name] = {
+                ...state,
+                _followedEntity: state._followedEntity?.id ?? null
+            };
+        });
+
+        return {
+            x: this.x,
+            y: this.y,
+            zoom: this.zoom,
+            rotation: this.rotation,
+            _targetX: this._targetX,
+            _targetY: this._targetY,
+            _targetZoom: this._targetZoom,
+            _targetRotation: this._targetRotation,
+            smoothing: this.smoothing,
+            smoothSpeed: this.smoothSpeed,
+            bounds: this.bounds ? {...this.bounds} : null,
+            minZoom: this.minZoom,
+            maxZoom: this.maxZoom,
+            viewPadding: this.config.viewPadding,
+            follow: this._followedEntity ? {
+                entity: this._followedEntity.id,
+                config: this._followConfig ? JSON.parse(JSON.stringify(this._followConfig)) : null,
+                offset: {...this._followOffset}
+            } : null,
+            states
+        };
+    }
+    deserialize (data = {}) {
+        const findEntity = id => id ? this.engine.findDeep(id) : null;
+
+        this.x = data.x ?? this.x;
+        this.y = data.y ?? this.y;
+        this.zoom = data.zoom ?? this.zoom;
+        this.rotation = data.rotation ?? this.rotation;
+        this._targetX = data._targetX ?? this.x;
+        this._targetY = data._targetY ?? this.y;
+        this._targetZoom = data._targetZoom ?? this.zoom;
+        this._targetRotation = data._targetRotation ?? this.rotation;
+        this._lastX = this.x;
+        this._lastY = this.y;
+        this._lastZoom = this.zoom;
+        this._lastRotation = this.rotation;
+
+        this.smoothing = data.smoothing ?? this.smoothing;
+        this.smoothSpeed = data.smoothSpeed ?? this.smoothSpeed;
+        this.bounds = data.bounds ? {...data.bounds} : null;
+        this.minZoom = data.minZoom ?? this.minZoom;
+        this.maxZoom = data.maxZoom ?? this.maxZoom;
+        this.config.viewPadding = data.viewPadding ?? this.config.viewPadding;
+
+        const followed = findEntity(data.follow?.entity);
+        if (followed) {
+            this._followedEntity = followed;
+            this._followConfig = data.follow.config ? {...data.follow.config} : null;
+            this._followOffset = {...data.follow.offset};
+        } else {
+            if (data.follow) this.engine.warn(`Camera follow target (${data.follow.entity}) not found`);
+            this.cancelFollow();
+        }
+
+        this._states.clear();
+        for (const [name, state] of Object.entries(data.states || {})) {
+            this._states.set(name, {
+                ...state,
+                _followedEntity: findEntity(state._followedEntity)
+            });
+        }
+
+        return this;
+    }
     /** ======== END ======== */
 
     /** ======== EFFECTS ======== */
@@ -790,13 +863,13 @@ class Camera {
             falloff = 'linear'
         } = options;
 
-        const startTime = Date.now();
+        const startTime = this.engine.frameTime;
         const originalX = this.x;
         const originalY = this.y;
 
         this._effects.shake = {
             animate: () => {
-                const elapsed = Date.now() - startTime;
+                const elapsed = this.engine.frameTime - startTime;
                 if (elapsed < duration) {
                     // Calculation of residual intensity
                     const progress = elapsed / duration;
@@ -879,7 +952,7 @@ class Camera {
         const startZoom = this.zoom;
         const startX = this.x;
         const startY = this.y;
-        const startTime = Date.now();
+        const startTime = this.engine.frameTime;
 
         // Calculating the final position
         const finalX = target.x - (this.engine.baseWidth / finalZoom) / 2;
@@ -887,7 +960,7 @@ class Camera {
 
         this._effects.dramaticFocus = {
             animate: () => {
-                const elapsed = Date.now() - startTime;
+                const elapsed = this.engine.frameTime - startTime;
                 const progress = Math.min(elapsed / duration, 1);
 
                 // Using the easing function for smoother motion
@@ -4,95 +4,107 @@
  * @License: MIT
  */
 
+const RESPONSES = ['none', 'static', 'push', 'bounce'];
+
 class Collision {
 
-    constructor () {
+    constructor (engine = null, config = {}) {
+        config = typeof config === 'object' && config !== null ? config : {};
+
+        this.engine = engine;
+
         this.decomposedShapes = new Map();
         this.activeCollisions = new Map();
         this.lastPositions    = new Map();
+        this.framePositions   = new Map();
         this.customPathCache  = new Map();
+        this.tileVertices     = new WeakMap();
+
+        this.setBroadphase(config.broadphase ?? 'spatialHash', config);
+        this.setLayers(engine?.config?.collisionLayers || {});
     }
 
     updateCollisions (entities) {
         entities = entities.filter(e => e && e.collision?.enabled);
 
         const newCollisions = new Map();
+        const motions = new Map();
 
         entities.forEach(entity => {
-            const lastPos = this.lastPositions.get(entity.id);
-            if (!lastPos ||
-                lastPos.x !== entity.absoluteX + entity.collision.x ||
-                lastPos.y !== entity.absoluteY + entity.collision.y ||
-                lastPos.rotation !== entity.styles.rotation ||
-                lastPos.scaleX !== entity.styles.scaleX ||
-                lastPos.scaleY !== entity.styles.scaleY ||
-                lastPos.skewX !== entity.styles.skewX ||
-                lastPos.skewY !== entity.styles.skewY ||
-                lastPos.borderRadius !== entity.styles.borderRadius) {
-                this.clearCache(entity.id);
+            this._syncCache(entity);
+
+            // How far the entity moved since the last update, queries between the updates do not reset it
+            const lastPos = this.framePositions.get(entity.id);
+            if (lastPos) {
+                const x = entity.absoluteX + entity.collision.x - lastPos.x;
+                const y = entity.absoluteY + entity.collision.y - lastPos.y;
+                if (x || y) motions.set(entity.id, {x, y});
             }
-
-            this.lastPositions.set(entity.id, {
-                x: entity.absoluteX + entity.collision.x,
-                y: entity.absoluteY + entity.collision.y,
-                rotation: entity.styles.rotation,
-                scaleX: entity.styles.scaleX,
-                scaleY: entity.styles.scaleY,
-                skewX: entity.styles.skewX,
-                skewY: entity.styles.skewY,
-                borderRadius: entity.styles.borderRadius
-            });
         });
 
-        for (let i = 0; i < entities.length; i++) {
-            for (let j = i + 1; j < entities.length; j++) {
-                const entityA = entities[i];
-                const entityB = entities[j];
+        const pairs  = this.findPairs(entities, motions);
+        const sweeps = this._sweepPairs(entities, pairs, motions);
 
-                if (!entityA.collision?.enabled || !entityB.collision?.enabled) continue;
-                if (entityA.collision.group === entityB.collision.group) continue;
+        for (const [i, j] of pairs) {
+            const entityA = entities[i];
+            const entityB = entities[j];
 
-                const collisionKey  = `${entityA.id}-${entityB.id}`;
-                const collisionInfo = this.detectCollisionDetailed(entityA, entityB);
+            if (!entityA.collision?.enabled || !entityB.collision?.enabled) continue;
+            if (entityA.collision.group === entityB.collision.group) continue;
+            if (!this.shouldCollide(entityA, entityB)) continue;
 
-                if (collisionInfo.colliding && !this.activeCollisions.has(collisionKey)) {
-                    const collisionData = {
-                        entityA,
-                        entityB,
-                        ...collisionInfo,
-                        timestamp: Date.now()
-                    };
+            const collisionKey = `${entityA.id}-${entityB.id}`;
+            let collisionInfo  = this.detectCollisionDetailed(entityA, entityB);
 
-                    newCollisions.set(collisionKey, collisionData);
+            // A continuous hit during the frame wins, it knows where and when the entities met
+            if (sweeps.has(collisionKey))
+                collisionInfo = {
+                    ...sweeps.get(collisionKey),
+                    overlap: collisionInfo.colliding ? collisionInfo.overlap : 0
+                };
 
-                    // Trigger global collision event
-                    if (entityA.engine) {
-                        entityA.engine.trigger('collisions', collisionData);
-                    }
+            if (collisionInfo.colliding && !this.activeCollisions.has(collisionKey)) {
+                const collisionData = {
+                    entityA,
+                    entityB,
+                    ...collisionInfo,
+                    timestamp: Date.now()
+                };
 
-                    // Entity-specific collision events
-                    entityA.trigger('collide', {
-                        entity: entityB,
-                        side: collisionInfo.sideA,
-                        otherSide: collisionInfo.sideB,
-                        point: collisionInfo.point,
-                        overlap: collisionInfo.overlap,
-                        normal: collisionInfo.normal
-                    });
+                newCollisions.set(collisionKey, collisionData);
 
-                    entityB.trigger('collide', {
-                        entity: entityA,
-                        side: collisionInfo.sideB,
-                        otherSide: collisionInfo.sideA,
-                        point: collisionInfo.point,
-                        overlap: collisionInfo.overlap,
-                        normal: {
-                            x: -collisionInfo.normal.x,
-                            y: -collisionInfo.normal.y
-                        }
-                    });
+                // Trigger global collision event
+                if (entityA.engine) {
+                    entityA.engine.trigger('collisions', collisionData);
                 }
+
+                // Entity-specific collision events
+                entityA.trigger('collide', {
+                    entity: entityB,
+                    side: collisionInfo.sideA,
+                    otherSide: collisionInfo.sideB,
+                    point: collisionInfo.point,
+                    overlap: collisionInfo.overlap,
+                    normal: collisionInfo.normal,
+                    time: collisionInfo.time
+                });
+
+                entityB.trigger('collide', {
+                    entity: entityA,
+                    side: collisionInfo.sideB,
+                    otherSide: collisionInfo.sideA,
+                    point: collisionInfo.point,
+                    overlap: collisionInfo.overlap,
+                    normal: {
+                        x: -collisionInfo.normal.x,
+                        y: -collisionInfo.normal.y
+                    },
+                    time: collisionInfo.time
+                });
             }
+
+            if (collisionInfo.colliding)
+                this._resolvePair(entityA, entityB, collisionInfo);
         }
 
         // Review of completed encounters
@@ -118,7 +130,666 @@ class Collision {
         }
 
         this.activeCollisions = newCollisions;
+
+        // After the responses, so the next sweep starts where the entities were stopped or pushed
+        entities.forEach(entity => this.framePositions.set(entity.id, {
+            x: entity.absoluteX + entity.collision.x,
+            y: entity.absoluteY + entity.collision.y
+        }));
+    }
+
+    /** ======== BROADPHASE ======== */
+    setBroadphase (broadphase = 'spatialHash', options = {}) {
+        if (typeof broadphase === 'object' && broadphase !== null) {
+            if (typeof broadphase.findPairs !== 'function')
+                throw new Error('A broadphase must implement findPairs(proxies)');
+
+            this.broadphase = broadphase;
+            return this;
+        }
+
+        switch (broadphase) {
+            case 'spatialHash':
+                this.broadphase = new SpatialHash(options);
+                break;
+            case 'aabbTree':
+                this.broadphase = new AABBTree(options);
+                break;
+            case 'none':
+            case false:
+                this.broadphase = null;
+                break;
+            default:
+                throw new Error(`Unknown broadphase (${broadphase}), use 'spatialHash', 'aabbTree' or 'none'`);
+        }
+
+        return this;
+    }
+    findPairs (entities, motions = null) {
+        const pairs = [];
+
+        if (!this.broadphase) {
+            for (let i = 0; i < entities.length; i++)
+                for (let j = i + 1; j < entities.length; j++)
+                    pairs.push([i, j]);
+            return pairs;
+        }
+
+        const proxies = entities.map((entity, index) => {
+            const bounds = this.getAABB(entity);
+
+            // Twice the rounded corner threshold of checkAABBCollision, the broadphase never drops a pair it accepts
+            const padding = (entity.styles.borderRadius || 0) * 0.4;
+
+            // Continuous entities cover the whole way they moved
+            const motion = (entity.collision.continuous && motions?.get(entity.id)) || {x: 0, y: 0};
+
+            return {
+                index, entity,
+                minX: bounds.minX - padding - Math.max(0, motion.x),
+                minY: bounds.minY - padding - Math.max(0, motion.y),
+                maxX: bounds.maxX + padding - Math.min(0, motion.x),
+                maxY: bounds.maxY + padding - Math.min(0, motion.y)
+            };
+        });
+
+        // Same order as the nested loop, so the events keep their order
+        return this.broadphase.findPairs(proxies).sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+    }
+    /** ======== END ======== */
+
+    /** ======== LAYERS ======== */
+    setLayers (matrix = {}) {
+        const layers = new Map([['default', 0x0001]]);
+        const masks  = new Map([['default', 0xFFFF]]);
+
+        const names = new Set(Object.keys(matrix));
+        Object.values(matrix).forEach(targets => [targets].flat().forEach(name => names.add(name)));
+        names.delete('default');
+
+        // Box2D filters have 16 bits
+        for (const name of names) {
+            if (layers.size === 16)
+                throw new Error('A maximum of 16 collision layers is supported, including default');
+            layers.set(name, 1 << layers.size);
+            masks.set(name, 0);
+        }
+
+        // The matrix is symmetric, a layer collides with the layers it lists and with the layers that list it
+        for (const [name, targets] of Object.entries(matrix)) {
+            for (const target of [targets].flat()) {
+                if (name !== 'default') masks.set(name, masks.get(name) | layers.get(target));
+                if (target !== 'default') masks.set(target, masks.get(target) | layers.get(name));
+            }
+        }
+
+        this.layers = layers;
+        this.layerMasks = masks;
+
+        // Fixtures that already exist get the new filters
+        if (this.engine?.physicsEnabled)
+            this.engine.physics.bodies?.forEach(body => this.engine.physics.updateFilter(body.GetUserData()));
+
+        return this;
+    }
+    getLayerBits (layers) {
+        if (typeof layers === 'number') return layers;
+
+        return [layers].flat().reduce((bits, name) => {
+            if (typeof name === 'number') return bits | name;
+            if (!this.layers.has(name))
+                throw new Error(`Unknown collision layer (${name}), add it to the collisionLayers config`);
+            return bits | this.layers.get(name);
+        }, 0);
+    }
+    getFilter (target) {
+        // Entities and tile configs, both keep the layer in their collision settings
+        const category = target?.collision?.category ?? 'default';
+        const mask = target?.collision?.mask;
+
+        return {
+            categoryBits: this.getLayerBits(category),
+            maskBits: mask != null
+                ? this.getLayerBits(mask)
+                : typeof category === 'string' ? this.layerMasks.get(category) : 0xFFFF
+        };
+    }
+    shouldCollide (targetA, targetB) {
+        const filterA = this.getFilter(targetA);
+        const filterB = this.getFilter(targetB);
+
+        return (filterA.categoryBits & filterB.maskBits) !== 0 &&
+            (filterB.categoryBits & filterA.maskBits) !== 0;
+    }
+    /** ======== END ======== */
+
+    /** ======== CONTINUOUS ======== */
+    _sweepPairs (entities, pairs, motions) {
+        const sweeps = new Map();
+        const stops  = new Map();
+        const still  = {x: 0, y: 0};
+
+        if (!motions.size) return sweeps;
+
+        for (const [i, j] of pairs) {
+            const entityA = entities[i];
+            const entityB = entities[j];
+
+            if (!entityA.collision.continuous && !entityB.collision.continuous) continue;
+            if (entityA.collision.group === entityB.collision.group) continue;
+            if (!this.shouldCollide(entityA, entityB)) continue;
+
+            const motionA = motions.get(entityA.id) || still;
+            const motionB = motions.get(entityB.id) || still;
+
+            const sweep = this.detectSweptCollision(entityA, entityB, motionA, motionB);
+            if (!sweep.colliding) continue;
+
+            sweeps.set(`${entityA.id}-${entityB.id}`, sweep);
+
+            // Stops a little before the contact, so the entities touch without overlapping
+            const gap = 0.01 / Math.hypot(motionA.x - motionB.x, motionA.y - motionB.y);
+            for (const entity of [entityA, entityB]) {
+                // Entities pushed out of each other also stop at the contact instead of tunnelling
+                const other = entity === entityA ? entityB : entityA;
+                if (!(entity.collision.stopOnContact || this._isPushedBy(entity, other)) || !motions.has(entity.id)) continue;
+                if (sweep.time < (stops.get(entity)?.time ?? Infinity))
+                    stops.set(entity, {time: sweep.time, stopAt: Math.max(0, sweep.time - gap)});
+            }
+        }
+
+        if (!stops.size) return sweeps;
+
+        // An entity that stopped never reached the things it would have hit later in the frame
+        for (const [key, sweep] of sweeps) {
+            const timeA = stops.get(sweep.entityA)?.time ?? Infinity;
+            const timeB = stops.get(sweep.entityB)?.time ?? Infinity;
+            if (sweep.time > Math.min(timeA, timeB)) sweeps.delete(key);
+        }
+
+        stops.forEach(({stopAt}, entity) => {
+            const motion = motions.get(entity.id);
+            entity.style({
+                x: entity.x - motion.x * (1 - stopAt),
+                y: entity.y - motion.y * (1 - stopAt)
+            });
+        });
+
+        // The stopped entities and their children moved
+        entities.forEach(entity => this._syncCache(entity));
+
+        return sweeps;
+    }
+    /** ======== END ======== */
+
+    /** ======== QUERIES ======== */
+    raycast (origin, direction, maxDistance = Infinity, filter = null) {
+        const dir = this.#normalize(direction, 'raycast');
+        const reach = Number.isFinite(maxDistance) ? maxDistance : 1e9;
+        const end = {x: origin.x + dir.x * reach, y: origin.y + dir.y * reach};
+
+        let best = null;
+        for (const target of this.#queryTargets(this.#queryOptions(filter), {
+            minX: Math.min(origin.x, end.x), minY: Math.min(origin.y, end.y),
+            maxX: Math.max(origin.x, end.x), maxY: Math.max(origin.y, end.y)
+        })) {
+            // Shapes that contain the origin are ignored, a ray cast from inside an entity does not hit it
+            if (Collision.isPointInShape(origin.x, origin.y, target.vertices)) continue;
+
+            const hit = this.#rayPolygon(origin, dir, reach, target.vertices);
+            if (hit && (!best || hit.distance < best.distance))
+                best = this.#hit(target, hit, reach);
+        }
+
+        return best;
+    }
+    overlapPoint (point, filter = null) {
+        const bounds = {minX: point.x, minY: point.y, maxX: point.x, maxY: point.y};
+
+        return this.#queryTargets(this.#queryOptions(filter), bounds)
+            .filter(target => Collision.isPointInShape(point.x, point.y, target.vertices))
+            .map(({entity, tile}) => ({entity, tile}));
+    }
+    overlapCircle (center, radius, filter = null) {
+        const bounds = {
+            minX: center.x - radius, minY: center.y - radius,
+            maxX: center.x + radius, maxY: center.y + radius
+        };
+
+        return this.#queryTargets(this.#queryOptions(filter), bounds)
+            .filter(target => this.#circleOverlaps(center, radius, target.vertices))
+            .map(({entity, tile}) => ({entity, tile}));
+    }
+    overlapRect (rect, filter = null) {
+        const vertices = this.#rectVertices(rect);
+        const bounds = {minX: rect.x, minY: rect.y, maxX: rect.x + rect.width, maxY: rect.y + rect.height};
+
+        return this.#queryTargets(this.#queryOptions(filter), bounds)
+            .filter(target => this.#polygonsOverlap(vertices, target.vertices))
+            .map(({entity, tile}) => ({entity, tile}));
+    }
+    sweepShape (shape, direction, maxDistance = Infinity, filter = null) {
+        const dir = this.#normalize(direction, 'sweepShape');
+        const reach = Number.isFinite(maxDistance) ? maxDistance : 1e9;
+        const options = this.#queryOptions(filter);
+
+        let vertices = null;
+        let circle = null;
+
+        if (shape?.collision && shape.styles) {
+            // An entity never hits itself
+            vertices = this.getVertices(this._syncCache(shape));
+            options.exclude = [...options.exclude, shape];
+            options.mask ??= this.getFilter(shape).maskBits;
+        } else if (shape?.radius !== undefined) {
+            circle = {x: shape.x, y: shape.y, radius: shape.radius};
+        } else if (shape?.points) {
+            vertices = shape.points;
+        } else if (shape?.width !== undefined) {
+            vertices = this.#rectVertices(shape);
+        } else {
+            throw new Error('sweepShape needs an entity, a circle {x, y, radius}, a rect {x, y, width, height} or {points}');
+        }
+
+        const start = circle
+            ? {minX: circle.x - circle.radius, minY: circle.y - circle.radius, maxX: circle.x + circle.radius, maxY: circle.y + circle.radius}
+            : this.#bounds(vertices);
+
+        const bounds = {
+            minX: start.minX + Math.min(0, dir.x * reach), minY: start.minY + Math.min(0, dir.y * reach),
+            maxX: start.maxX + Math.max(0, dir.x * reach), maxY: start.maxY + Math.max(0, dir.y * reach)
+        };
+
+        let best = null;
+        for (const target of this.#queryTargets(options, bounds)) {
+            const hit = circle
+                ? this.#sweepCircle(circle, dir, reach, target.vertices)
+                : this.#sweepPolygon(vertices, dir, reach, target.vertices);
+
+            if (hit && (!best || hit.distance < best.distance))
+                best = this.#hit(target, hit, reach);
+        }
+
+        return best;
+    }
+    queryShapes (rect, filter = null) {
+        // The shapes whose bounds touch the rect, with their world vertices
+        const bounds = {minX: rect.x, minY: rect.y, maxX: rect.x + rect.width, maxY: rect.y + rect.height};
+        return this.#queryTargets(this.#queryOptions(filter), bounds);
+    }
+    #queryOptions (filter) {
+        const options = typeof filter === 'function' ? {filter} : {...(filter || {})};
+
+        return {
+            filter: options.filter || null,
+            exclude: [options.exclude ?? []].flat(),
+            entities: options.entities ?? true,
+            tiles: options.tiles ?? true,
+            tileTypes: options.tileTypes ?? ['solid'],
+            mask: options.mask != null ? this.getLayerBits(options.mask) : null
+        };
+    }
+    #queryTargets (options, bounds) {
+        const targets = [];
+        const engine = this.engine;
+
+        if (!engine) return targets;
+
+        const overlaps = box =>
+            box.minX <= bounds.maxX && box.maxX >= bounds.minX &&
+            box.minY <= bounds.maxY && box.maxY >= bounds.minY;
+        const inMask = target => options.mask === null || (this.getFilter(target).categoryBits & options.mask) !== 0;
+
+        if (options.entities) {
+            const excluded = new Set(options.exclude.map(entity => typeof entity === 'string' ? entity : entity?.id));
+
+            for (const entity of engine.getEntities(!engine.config.collision?.children).values()) {
+                if (!entity.collision?.enabled || excluded.has(entity.id) || !inMask(entity)) continue;
+                if (options.filter && !options.filter(entity)) continue;
+
+                this._syncCache(entity);
+                if (!overlaps(this.getAABB(entity))) continue;
+
+                targets.push({entity, tile: null, vertices: this.getVertices(entity)});
+            }
+        }
+
+        const tileMap = engine.tileMap;
+        const map = options.tiles && tileMap?.maps.get(tileMap.activeMap);
+        if (!map) return targets;
+
+        const size = map.tileBaseSize;
+        for (const [layer, grid] of map.layers) {
+            const minY = Math.max(0, Math.floor(bounds.minY / size));
+            const maxY = Math.min(grid.length - 1, Math.floor(bounds.maxY / size));
+
+            for (let y = minY; y <= maxY; y++) {
+                const row = grid[y];
+                if (!row) continue;
+
+                const minX = Math.max(0, Math.floor(bounds.minX / size));
+                const maxX = Math.min(row.length - 1, Math.floor(bounds.maxX / size));
+
+                for (let x = minX; x <= maxX; x++) {
+                    const tileData = row[x];
+                    const config = tileData && map.tiles.get(tileData.symbol);
+                    if (!options.tileTypes.includes(config?.collision?.type) || !inMask(config)) continue;
+
+                    const tile = {...tileData, config, layer};
+                    if (options.filter && !options.filter(tile)) continue;
+
+                    targets.push({entity: null, tile, vertices: this.#tileVertices(tileData, tile)});
+                }
+            }
+        }
+
+        return targets;
+    }
+    #tileVertices (tileData, tile) {
+        // Tiles are static, the vertices are kept until the tile is replaced
+        let vertices = this.tileVertices.get(tileData);
+        if (!vertices) {
+            const entity = this.engine.tileMap.tileToEntity(tile, tile.worldX, tile.worldY);
+            vertices = this.getVertices(entity);
+            this.decomposedShapes.delete(entity.id);
+            this.tileVertices.set(tileData, vertices);
+        }
+        return vertices;
+    }
+    #hit (target, hit, reach) {
+        return {
+            entity: target.entity,
+            tile: target.tile,
+            point: hit.point,
+            normal: hit.normal,
+            distance: hit.distance,
+            fraction: hit.distance / reach
+        };
+    }
+    #normalize (vector, method) {
+        const length = Math.hypot(vector?.x || 0, vector?.y || 0);
+        if (!length)
+            throw new Error(`${method} direction must be a non-zero vector`);
+        return {x: vector.x / length, y: vector.y / length};
+    }
+    #bounds (vertices) {
+        let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+        for (const {x, y} of vertices) {
+            minX = Math.min(minX, x);
+            minY = Math.min(minY, y);
+            maxX = Math.max(maxX, x);
+            maxY = Math.max(maxY, y);
+        }
+        return {minX, minY, maxX, maxY};
+    }
+    #rectVertices ({x, y, width, height}) {
+        return [
+            {x, y},
+            {x: x + width, y},
+            {x: x + width, y: y + height},
+            {x, y: y + height}
+        ];
+    }
+    #raySegment (origin, dir, maxDistance, a, b) {
+        const ex = b.x - a.x;
+        const ey = b.y - a.y;
+        const denominator = dir.x * ey - dir.y * ex;
+        if (Math.abs(denominator) < 1e-12) return null;
+
+        const ax = a.x - origin.x;
+        const ay = a.y - origin.y;
+        const distance = (ax * ey - ay * ex) / denominator;
+        const along = (ax * dir.y - ay * dir.x) / denominator;
+
+        if (distance < 0 || distance > maxDistance || along < 0 || along > 1) return null;
+
+        // The normal of the edge that faces the ray
+        const length = Math.hypot(ex, ey);
+        let normal = {x: ey / length, y: -ex / length};
+        if (normal.x * dir.x + normal.y * dir.y > 0) normal = {x: -normal.x, y: -normal.y};
+
+        return {distance, normal, point: {x: origin.x + dir.x * distance, y: origin.y + dir.y * distance}};
+    }
+    #rayPolygon (origin, dir, maxDistance, vertices) {
+        let best = null;
+        for (let i = 0; i < vertices.length; i++) {
+            const hit = this.#raySegment(origin, dir, maxDistance, vertices[i], vertices[(i + 1) % vertices.length]);
+            if (hit && (!best || hit.distance < best.distance)) best = hit;
+        }
+        return best;
+    }
+    #circleOverlaps (center, radius, vertices) {
+        if (Collision.isPointInShape(center.x, center.y, vertices)) return true;
+
+        for (let i = 0; i < vertices.length; i++) {
+            const a = vertices[i];
+            const b = vertices[(i + 1) % vertices.length];
+            if (Collision.pointToLineDistance(center.x, center.y, a.x, a.y, b.x, b.y) <= radius) return true;
+        }
+
+        return false;
+    }
+    #polygonsOverlap (verticesA, verticesB) {
+        // Works for concave shapes too: crossing edges, or one shape inside the other
+        if (verticesA.some(v => Collision.isPointInShape(v.x, v.y, verticesB))) return true;
+        if (verticesB.some(v => Collision.isPointInShape(v.x, v.y, verticesA))) return true;
+
+        for (let i = 0; i < verticesA.length; i++) {
+            const a1 = verticesA[i];
+            const a2 = verticesA[(i + 1) % verticesA.length];
+            const dir = {x: a2.x - a1.x, y: a2.y - a1.y};
+
+            for (let j = 0; j < verticesB.length; j++)
+                if (this.#raySegment(a1, dir, 1, verticesB[j], verticesB[(j + 1) % verticesB.length])) return true;
+        }
+
+        return false;
     }
+    #sweepPolygon (vertices, dir, maxDistance, target) {
+        // Touching shapes are not overlapping, they hit at distance 0 when they move into each other
+        const penetration = this.#penetration(vertices, target);
+        if (penetration)
+            return {distance: 0, normal: penetration, point: {...vertices[0]}};
+
+        // Separating axis sweep, the shapes meet when the last separating axis closes
+        let enter = -Infinity;
+        let exit = Infinity;
+        let normal = null;
+
+        for (const axis of this.getAxes(vertices).concat(this.getAxes(target))) {
+            const a = this.projectVertices(vertices, axis);
+            const b = this.projectVertices(target, axis);
+            const speed = dir.x * axis.x + dir.y * axis.y;
+
+            if (a.max <= b.min + 1e-9) {
+                // Sliding along or moving away never closes this axis
+                if (speed <= 1e-12) return null;
+                if ((b.min - a.max) / speed > enter) {
+                    enter = (b.min - a.max) / speed;
+                    normal = {x: -axis.x, y: -axis.y};
+                }
+                exit = Math.min(exit, (b.max - a.min) / speed);
+            } else if (b.max <= a.min + 1e-9) {
+                if (speed >= -1e-12) return null;
+                if ((b.max - a.min) / speed > enter) {
+                    enter = (b.max - a.min) / speed;
+                    normal = {x: axis.x, y: axis.y};
+                }
+                exit = Math.min(exit, (b.min - a.max) / speed);
+            } else if (Math.abs(speed) > 1e-12) {
+                exit = Math.min(exit, speed > 0 ? (b.max - a.min) / speed : (b.min - a.max) / speed);
+            }
+
+            // Corners that only brush past each other do not hit
+            if (enter >= exit - 1e-9 || enter > maxDistance) return null;
+        }
+
+        if (!normal) return null;
+
+        const distance = Math.max(0, enter);
+        const moved = vertices.map(v => ({x: v.x + dir.x * distance, y: v.y + dir.y * distance}));
+
+        return {distance, normal, point: this.#contactPoint(moved, target, normal)};
+    }
+    #contactPoint (vertices, target, normal) {
+        // The closest features of both shapes along the normal, a vertex or two parallel edges
+        const closest = (points, sign) => {
+            const depth = Math.min(...points.map(p => sign * (p.x * normal.x + p.y * normal.y)));
+            return points.filter(p => sign * (p.x * normal.x + p.y * normal.y) <= depth + 1e-6);
+        };
+
+        const a = closest(vertices, 1);
+        const b = closest(target, -1);
+        if (a.length === 1) return {...a[0]};
+        if (b.length === 1) return {...b[0]};
+
+        // The middle of the part the two edges share
+        const tangent = {x: -normal.y, y: normal.x};
+        const along = points => points.map(p => p.x * tangent.x + p.y * tangent.y);
+        const alongA = along(a);
+        const alongB = along(b);
+        const middle = (Math.max(Math.min(...alongA), Math.min(...alongB)) + Math.min(Math.max(...alongA), Math.max(...alongB))) / 2;
+        const offset = middle - along([b[0]])[0];
+
+        return {x: b[0].x + tangent.x * offset, y: b[0].y + tangent.y * offset};
+    }
+    #penetration (vertices, target) {
+        // Separating axis test that ignores contact, returns the normal that pushes the shape out of the target
+        let minOverlap = Infinity;
+        let normal = null;
+
+        for (const axis of this.getAxes(vertices).concat(this.getAxes(target))) {
+            const overlap = this.getOverlap(this.projectVertices(vertices, axis), this.projectVertices(target, axis));
+            if (overlap <= 1e-6) return null;
+            if (overlap < minOverlap) {
+                minOverlap = overlap;
+                normal = {...axis};
+            }
+        }
+
+        const a = this.#bounds(vertices);
+        const b = this.#bounds(target);
+        const dx = (a.minX + a.maxX) - (b.minX + b.maxX);
+        const dy = (a.minY + a.maxY) - (b.minY + b.maxY);
+        if (normal.x * dx + normal.y * dy < 0) {
+            normal.x = -normal.x;
+            normal.y = -normal.y;
+        }
+
+        return normal;
+    }
+    #sweepCircle (circle, dir, maxDistance, target) {
+        const {radius} = circle;
+
+        if (this.#circleOverlaps(circle, radius, target))
+            return {distance: 0, normal: {x: -dir.x, y: -dir.y}, point: {x: circle.x, y: circle.y}};
+
+        let best = null;
+        const keep = hit => {
+            if (hit && (!best || hit.distance < best.distance)) best = hit;
+        };
+
+        // The edges pushed out by the radius
+        for (let i = 0; i < target.length; i++) {
+            const a = target[i];
+            const b = target[(i + 1) % target.length];
+            const length = Math.hypot(b.x - a.x, b.y - a.y);
+            if (!length) continue;
+
+            let normal = {x: (b.y - a.y) / length, y: -(b.x - a.x) / length};
+            if (normal.x * dir.x + normal.y * dir.y > 0) normal = {x: -normal.x, y: -normal.y};
+
+            const offset = {x: normal.x * radius, y: normal.y * radius};
+            const hit = this.#raySegment(circle, dir, maxDistance, {x: a.x + offset.x, y: a.y + offset.y}, {x: b.x + offset.x, y: b.y + offset.y});
+            if (hit) keep({distance: hit.distance, normal, point: {x: hit.point.x - offset.x, y: hit.point.y - offset.y}});
+        }
+
+        // The rounded corners
+        for (const vertex of target) {
+            const mx = circle.x - vertex.x;
+            const my = circle.y - vertex.y;
+            const b = mx * dir.x + my * dir.y;
+            const c = mx * mx + my * my - radius * radius;
+            const discriminant = b * b - c;
+            if (discriminant < 0 || b > 0) continue;
+
+            const distance = -b - Math.sqrt(discriminant);
+            if (distance < 0 || distance > maxDistance) continue;
+
+            const cx = circle.x + dir.x * distance;
+            const cy = circle.y + dir.y * distance;
+            keep({distance, normal: {x: (cx - vertex.x) / radius, y: (cy - vertex.y) / radius}, point: {...vertex}});
+        }
+
+        return best;
+    }
+    /** ======== END ======== */
+
+    /** ======== RESPONSE ======== */
+    getResponse (entity) {
+        const response = entity?.collision?.response ?? 'none';
+        return RESPONSES.includes(response) ? response : 'none';
+    }
+    _isPushedBy (entity, other) {
+        const response = this.getResponse(entity);
+        return (response === 'push' || response === 'bounce') && this.getResponse(other) !== 'none';
+    }
+    _resolvePair (entityA, entityB, info) {
+        const movesA = this._isPushedBy(entityA, entityB);
+        const movesB = this._isPushedBy(entityB, entityA);
+        if (!movesA && !movesB) return false;
+
+        // The normal points from A to B, moving entities share the separation
+        const {normal, overlap} = info;
+        const share = movesA && movesB ? 0.5 : 1;
+
+        if (overlap > 0) {
+            if (movesA) this.#translate(entityA, -normal.x * overlap * share, -normal.y * overlap * share);
+            if (movesB) this.#translate(entityB, normal.x * overlap * share, normal.y * overlap * share);
+        }
+
+        const velocityA = entityA.velocity || {x: 0, y: 0};
+        const velocityB = entityB.velocity || {x: 0, y: 0};
+        const approach = (velocityA.x - velocityB.x) * normal.x + (velocityA.y - velocityB.y) * normal.y;
+
+        // Already separating
+        if (approach <= 0) return true;
+
+        const impulse = (1 + Math.max(this.#restitution(entityA), this.#restitution(entityB))) * approach * share;
+
+        if (movesA && entityA.velocity) {
+            entityA.velocity.x -= normal.x * impulse;
+            entityA.velocity.y -= normal.y * impulse;
+        }
+        if (movesB && entityB.velocity) {
+            entityB.velocity.x += normal.x * impulse;
+            entityB.velocity.y += normal.y * impulse;
+        }
+
+        return true;
+    }
+    resolveVelocity (entity, normal) {
+        // The normal points from the entity towards the surface it hit, e.g. a solid tile
+        const response = this.getResponse(entity);
+        if ((response !== 'push' && response !== 'bounce') || !entity.velocity) return false;
+
+        const approach = entity.velocity.x * normal.x + entity.velocity.y * normal.y;
+        if (approach <= 0) return false;
+
+        const impulse = (1 + this.#restitution(entity)) * approach;
+        entity.velocity.x -= normal.x * impulse;
+        entity.velocity.y -= normal.y * impulse;
+        return true;
+    }
+    #restitution (entity) {
+        return this.getResponse(entity) === 'bounce' ? entity.collision.restitution ?? 1 : 0;
+    }
+    #translate (entity, x, y) {
+        entity.style({x: entity.x + x, y: entity.y + y});
+        this._syncCache(entity);
+        entity.children?.forEach(child => child.collision?.enabled && this._syncCache(child));
+    }
+    /** ======== END ======== */
 
     /** ======== COLLISIONS ======== */
     detect (entityA, entityB) {
@@ -143,6 +814,43 @@ class Collision {
 
         return this.detectSATCollision(vertices1, vertices2, entityA, entityB, threshold);
     }
+    detectSweptCollision (entityA, entityB, motionA, motionB) {
+        const relative = {x: motionA.x - motionB.x, y: motionA.y - motionB.y};
+        const length = Math.hypot(relative.x, relative.y);
+
+        if (!length) return {colliding: false};
+
+        // Sweeps A from its previous position in the frame of B, only the translation is swept
+        const previous = (vertices, motion) => vertices.map(v => ({x: v.x - motion.x, y: v.y - motion.y}));
+        const hit = this.#sweepPolygon(
+            previous(this.getVertices(entityA), motionA),
+            {x: relative.x / length, y: relative.y / length},
+            length,
+            previous(this.getVertices(entityB), motionB)
+        );
+
+        // Already touching at the previous positions, the discrete test handles it
+        if (!hit || hit.distance <= 0) return {colliding: false};
+
+        const time = hit.distance / length;
+        const normal = {x: -hit.normal.x, y: -hit.normal.y};
+        const sideA = this.getSideFromNormal(normal);
+
+        return {
+            colliding: true,
+            continuous: true,
+            entityA, entityB,
+            sideA,
+            sideB: this.getOppositeSide(sideA),
+            point: {
+                x: hit.point.x + motionB.x * time,
+                y: hit.point.y + motionB.y * time
+            },
+            overlap: 0,
+            normal,
+            time
+        };
+    }
     detectCircleCollision (circle1, circle2) {
         const radius1 = Math.min(circle1.collision.width, circle1.collision.height) / 2;
         const radius2 = Math.min(circle2.collision.width, circle2.collision.height) / 2;
@@ -797,6 +1505,7 @@ class Collision {
     remove (entity) {
         this.decomposedShapes.delete(entity.id);
         this.lastPositions.delete(entity.id);
+        this.framePositions.delete(entity.id);
 
         const collisionsToRemove = [];
         this.activeCollisions.forEach((collision, key) => {
@@ -815,6 +1524,34 @@ class Collision {
             }
         });
     }
+    _syncCache (entity) {
+        // Drops the cached vertices of an entity that moved or changed its shape
+        const lastPos = this.lastPositions.get(entity.id);
+        if (!lastPos ||
+            lastPos.x !== entity.absoluteX + entity.collision.x ||
+            lastPos.y !== entity.absoluteY + entity.collision.y ||
+            lastPos.rotation !== entity.styles.rotation ||
+            lastPos.scaleX !== entity.styles.scaleX ||
+            lastPos.scaleY !== entity.styles.scaleY ||
+            lastPos.skewX !== entity.styles.skewX ||
+            lastPos.skewY !== entity.styles.skewY ||
+            lastPos.borderRadius !== entity.styles.borderRadius) {
+            this.clearCache(entity.id);
+        }
+
+        this.lastPositions.set(entity.id, {
+            x: entity.absoluteX + entity.collision.x,
+            y: entity.absoluteY + entity.collision.y,
+            rotation: entity.styles.rotation,
+            scaleX: entity.styles.scaleX,
+            scaleY: entity.styles.scaleY,
+            skewX: entity.styles.skewX,
+            skewY: entity.styles.skewY,
+            borderRadius: entity.styles.borderRadius
+        });
+
+        return entity;
+    }
     clearCache (entityId) {
         this.decomposedShapes.delete(entityId);
     }
@@ -822,10 +1559,214 @@ class Collision {
         this.decomposedShapes.clear();
         this.activeCollisions.clear();
         this.lastPositions.clear();
+        this.framePositions.clear();
         this.customPathCache.clear();
+        this.tileVertices = new WeakMap();
+        this.broadphase?.clear?.();
     }
     /** ======== END ======== */
 
 }
 
-export default Collision;
\ No newline at end of file
+const overlaps = (a, b) =>
+    a.minX <= b.maxX && a.maxX >= b.minX &&
+    a.minY <= b.maxY && a.maxY >= b.minY;
+
+class SpatialHash {
+
+    constructor (options = {}) {
+        this.cellSize = options.cellSize ?? 128;
+        this.maxCells = options.maxCells ?? 64;
+
+        if (!(this.cellSize > 0))
+            throw new Error('SpatialHash cellSize must be a positive number');
+
+        this.cells = new Map();
+    }
+
+    findPairs (proxies) {
+        const size  = this.cellSize;
+        const seen  = new Set();
+        const pairs = [];
+        const large = [];
+
+        this.cells.clear();
+
+        const addPair = (a, b) => {
+            if (a.index > b.index) [a, b] = [b, a];
+
+            const key = a.index * proxies.length + b.index;
+            if (seen.has(key) || !overlaps(a, b)) return;
+
+            seen.add(key);
+            pairs.push([a.index, b.index]);
+        };
+
+        for (const proxy of proxies) {
+            const minX = Math.floor(proxy.minX / size);
+            const minY = Math.floor(proxy.minY / size);
+            const maxX = Math.floor(proxy.maxX / size);
+            const maxY = Math.floor(proxy.maxY / size);
+
+            // Huge or unbounded entities would fill thousands of cells, they are tested against everything instead
+            const count = (maxX - minX + 1) * (maxY - minY + 1);
+            if (!Number.isFinite(count) || count > this.maxCells) {
+                large.push(proxy);
+                continue;
+            }
+
+            for (let y = minY; y <= maxY; y++) {
+                for (let x = minX; x <= maxX; x++) {
+                    const key = `${x},${y}`;
+
+                    let cell = this.cells.get(key);
+                    if (!cell) this.cells.set(key, cell = []);
+
+                    for (const other of cell) addPair(other, proxy);
+                    cell.push(proxy);
+                }
+            }
+        }
+
+        for (const proxy of large)
+            for (const other of proxies)
+                if (other !== proxy) addPair(other, proxy);
+
+        return pairs;
+    }
+    clear () {
+        this.cells.clear();
+    }
+
+}
+
+class AABBTree {
+
+    constructor (options = {}) {
+        // Leaves are enlarged by the margin, entities that move a little are not reinserted every frame
+        this.margin = options.margin ?? 8;
+
+        this.root   = null;
+        this.leaves = new Map();
+    }
+
+    findPairs (proxies) {
+        const alive = new Set();
+
+        for (const proxy of proxies) {
+            alive.add(proxy.entity);
+
+            let leaf = this.leaves.get(proxy.entity);
+            if (leaf && leaf.minX <= proxy.minX && leaf.minY <= proxy.minY && leaf.maxX >= proxy.maxX && leaf.maxY >= proxy.maxY) {
+                leaf.proxy = proxy;
+                continue;
+            }
+
+            if (leaf) this.#remove(leaf);
+
+            leaf = {
+                minX: proxy.minX - this.margin,
+                minY: proxy.minY - this.margin,
+                maxX: proxy.maxX + this.margin,
+                maxY: proxy.maxY + this.margin,
+                proxy, parent: null, left: null, right: null
+            };
+
+            this.#insert(leaf);
+            this.leaves.set(proxy.entity, leaf);
+        }
+
+        for (const [entity, leaf] of this.leaves) {
+            if (alive.has(entity)) continue;
+            this.#remove(leaf);
+            this.leaves.delete(entity);
+        }
+
+        const pairs = [];
+        for (const proxy of proxies) {
+            const stack = [this.root];
+
+            while (stack.length) {
+                const node = stack.pop();
+                if (!node || !overlaps(node, proxy)) continue;
+
+                if (node.left) {
+                    stack.push(node.left, node.right);
+                } else if (node.proxy.index > proxy.index && overlaps(node.proxy, proxy)) {
+                    pairs.push([proxy.index, node.proxy.index]);
+                }
+            }
+        }
+
+        return pairs;
+    }
+    clear () {
+        this.root = null;
+        this.leaves.clear();
+    }
+    #insert (leaf) {
+        if (!this.root) {
+            this.root = leaf;
+            return;
+        }
+
+        // Walk down to the sibling that grows the least
+        let sibling = this.root;
+        while (sibling.left) {
+            const left  = AABBTree.#perimeter(sibling.left, leaf) - AABBTree.#perimeter(sibling.left);
+            const right = AABBTree.#perimeter(sibling.right, leaf) - AABBTree.#perimeter(sibling.right);
+            sibling = left <= right ? sibling.left : sibling.right;
+        }
+
+        const oldParent = sibling.parent;
+        const parent = {minX: 0, minY: 0, maxX: 0, maxY: 0, proxy: null, parent: oldParent, left: sibling, right: leaf};
+
+        sibling.parent = parent;
+        leaf.parent = parent;
+
+        if (!oldParent) this.root = parent;
+        else if (oldParent.left === sibling) oldParent.left = parent;
+        else oldParent.right = parent;
+
+        this.#refit(parent);
+    }
+    #remove (leaf) {
+        if (leaf === this.root) {
+            this.root = null;
+            return;
+        }
+
+        const parent  = leaf.parent;
+        const sibling = parent.left === leaf ? parent.right : parent.left;
+        const grand   = parent.parent;
+
+        sibling.parent = grand;
+        leaf.parent = null;
+
+        if (!grand) {
+            this.root = sibling;
+            return;
+        }
+
+        if (grand.left === parent) grand.left = sibling;
+        else grand.right = sibling;
+
+        this.#refit(grand);
+    }
+    #refit (node) {
+        for (; node; node = node.parent) {
+            node.minX = Math.min(node.left.minX, node.right.minX);
+            node.minY = Math.min(node.left.minY, node.right.minY);
+            node.maxX = Math.max(node.left.maxX, node.right.maxX);
+            node.maxY = Math.max(node.left.maxY, node.right.maxY);
+        }
+    }
+    static #perimeter (a, b = a) {
+        const width  = Math.max(a.maxX, b.maxX) - Math.min(a.minX, b.minX);
+        const height = Math.max(a.maxY, b.maxY) - Math.min(a.minY, b.minY);
+        return width + height;
+    }
+
+}
+
+export {Collision as default, SpatialHash, AABBTree};
\ No newline at end of file
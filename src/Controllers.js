@@ -0,0 +1,412 @@
+/**
+ * Copyright (c) 2025 Pixalo
+ * @Repository: https://github.com/pixalo
+ * @License: MIT
+ */
+
+const EPSILON  = 1e-4;
+const MAX_HITS = 4;
+
+const DEFAULTS = {
+    speed: 200,          // px/s
+    acceleration: 2400,  // px/s², Infinity changes the speed at once
+    deceleration: 3000,  // px/s²
+    airControl: 0.6,     // Multiplier of the acceleration in the air
+    gravity: 1800,       // px/s²
+    maxFallSpeed: 900,   // px/s
+    jumpHeight: 96,      // px
+    jumpCut: 0.5,        // Vertical speed kept when the jump is released while rising
+    coyoteTime: 100,     // ms a jump is still possible after leaving the ground
+    jumpBuffer: 100,     // ms a jump pressed before landing is kept
+    maxSlope: 50,        // Steepest walkable slope in degrees
+    stepHeight: 8,       // px
+    snapDistance: 8,     // px the controller sticks to the ground when walking down
+    dropTime: 200,       // ms one-way platforms are ignored after drop()
+    skin: 0.1,           // px kept between the shape and the colliders
+    entities: true,      // Collide with entities, not only tiles
+    mask: null,          // Collision layers that block the controller, defaults to the entity mask
+    exclude: [],
+    filter: null,        // target => boolean, false lets the controller pass through
+    actions: null        // Input actions {left, right, jump, down}
+};
+
+class Controllers {
+
+    constructor (engine) {
+        this.engine = engine;
+        this.controllers = new Map();
+    }
+
+    create (entity, options = {}) {
+        entity = typeof entity === 'string' ? this.engine.findDeep(entity) : entity;
+
+        if (!entity?.styles)
+            throw new Error('A character controller needs an entity');
+
+        if (this.engine.physicsEnabled && entity.physics)
+            this.engine.warn(`Entity(${entity.id}) has a physics body, the character controller moves it without Box2D`);
+
+        const controller = new CharacterController(this.engine, entity, options);
+        this.controllers.set(entity.id, controller);
+        return controller;
+    }
+    get (entity) {
+        return this.controllers.get(typeof entity === 'string' ? entity : entity?.id) ?? null;
+    }
+    has (entity) {
+        return this.get(entity) !== null;
+    }
+    remove (entity) {
+        this.controllers.delete(typeof entity === 'string' ? entity : entity?.id);
+        return this;
+    }
+    update (deltaTime) {
+        for (const [id, controller] of this.controllers) {
+            // Killed entities lose their engine
+            if (!controller.entity.engine) {
+                this.controllers.delete(id);
+                continue;
+            }
+            controller.update(deltaTime);
+        }
+    }
+    clear () {
+        this.controllers.clear();
+        return this;
+    }
+
+}
+
+class CharacterController {
+
+    #coyote   = 0;
+    #buffer   = 0;
+    #dropping = 0;
+    #jumpHeld = false;
+    #jumping  = false;
+    #ignored  = new Set();
+
+    constructor (engine, entity, options = {}) {
+        this.engine = engine;
+        this.entity = entity;
+        this.options = {...DEFAULTS, ...options};
+
+        this.velocity  = {x: 0, y: 0};
+        this.direction = 0;
+        this.enabled   = true;
+
+        // State of the last update
+        this.grounded  = false;
+        this.onWall    = null;
+        this.onCeiling = false;
+        this.ground    = null;
+    }
+
+    /** ======== CONTROLS ======== */
+    move (direction) {
+        this.direction = Math.max(-1, Math.min(1, direction || 0));
+        return this;
+    }
+    jump () {
+        this.#buffer = this.options.jumpBuffer || EPSILON;
+        this.#jumpHeld = true;
+        return this;
+    }
+    releaseJump () {
+        this.#jumpHeld = false;
+        return this;
+    }
+    drop () {
+        // Only one-way platforms can be dropped through
+        if (!this.#onPlatform()) return this;
+
+        this.#dropping = this.options.dropTime;
+        this.#coyote = 0;
+        this.grounded = false;
+        this.entity.trigger('drop', {ground: this.ground});
+        return this;
+    }
+    setVelocity (x, y = this.velocity.y) {
+        this.velocity = {x, y};
+        return this;
+    }
+    setOptions (options = {}) {
+        Object.assign(this.options, options);
+        return this;
+    }
+    enable () {
+        this.enabled = true;
+        return this;
+    }
+    disable () {
+        this.enabled = false;
+        return this;
+    }
+    isJumping () {
+        return this.#jumping;
+    }
+    /** ======== END ======== */
+
+    /** ======== UPDATE ======== */
+    update (deltaTime) {
+        if (!this.enabled || !deltaTime) return;
+
+        const options = this.options;
+        const dt = deltaTime / 1000;
+
+        this.#dropping = Math.max(0, this.#dropping - deltaTime);
+        this.#ignored.clear();
+
+        this.#readActions();
+
+        // Horizontal speed
+        const target = this.direction * options.speed;
+        const rate = (target !== 0 ? options.acceleration : options.deceleration) * (this.grounded ? 1 : options.airControl);
+        this.velocity.x = approach(this.velocity.x, target, rate * dt);
+
+        // Jump, buffered before landing and still possible shortly after leaving the ground
+        if (this.#buffer > 0 && (this.grounded || this.#coyote > 0)) {
+            this.velocity.y = -Math.sqrt(2 * options.gravity * options.jumpHeight);
+            this.#buffer = this.#coyote = 0;
+            this.#jumping = true;
+            this.grounded = false;
+            this.entity.trigger('jump', {velocity: {...this.velocity}});
+        }
+
+        // Variable jump height, releasing the jump early cuts the rise
+        if (this.#jumping && !this.#jumpHeld && this.velocity.y < 0) {
+            this.velocity.y *= options.jumpCut;
+            this.#jumping = false;
+        }
+        if (this.velocity.y >= 0) this.#jumping = false;
+
+        this.velocity.y = Math.min(this.velocity.y + options.gravity * dt, options.maxFallSpeed);
+
+        const wasGrounded = this.grounded;
+        const fallSpeed = this.velocity.y;
+
+        this.grounded  = false;
+        this.onWall    = null;
+        this.onCeiling = false;
+        this.ground    = null;
+
+        this.#moveHorizontal(this.velocity.x * dt, wasGrounded);
+        this.#moveVertical(this.velocity.y * dt);
+
+        // Sticks to the ground walking down slopes and small steps
+        if (wasGrounded && !this.grounded && !this.#jumping && this.velocity.y >= 0)
+            this.#snap();
+
+        if (this.grounded && !wasGrounded)
+            this.entity.trigger('land', {velocity: fallSpeed, ground: this.ground});
+
+        this.#buffer = Math.max(0, this.#buffer - deltaTime);
+        this.#coyote = this.grounded ? options.coyoteTime : Math.max(0, this.#coyote - deltaTime);
+    }
+    #readActions () {
+        const actions = this.options.actions;
+        if (!actions) return;
+
+        const input = this.engine.input;
+        this.move((actions.right ? input.value(actions.right) : 0) - (actions.left ? input.value(actions.left) : 0));
+
+        if (actions.jump && input.isJustPressed(actions.jump)) {
+            // Down and jump on a one-way platform drops through it
+            if (actions.down && input.isPressed(actions.down) && this.#onPlatform())
+                this.drop();
+            else
+                this.jump();
+        }
+
+        if (actions.jump && !input.isPressed(actions.jump))
+            this.releaseJump();
+    }
+    /** ======== END ======== */
+
+    /** ======== MOVEMENT ======== */
+    #moveHorizontal (dx, wasGrounded) {
+        let remaining = {x: dx, y: 0};
+
+        for (let i = 0; i < MAX_HITS; i++) {
+            const hit = this.#move(remaining, false);
+            if (!hit) return;
+
+            remaining = hit.remaining;
+
+            // Walks up the slope along its surface, at the same horizontal speed
+            if (this.#isGround(hit.normal)) {
+                this.#setGround(hit);
+                remaining = {x: remaining.x, y: -remaining.x * hit.normal.x / hit.normal.y};
+                continue;
+            }
+
+            if ((wasGrounded || this.grounded) && this.#stepUp(remaining)) return;
+
+            this.onWall = dx > 0 ? 'right' : 'left';
+            this.velocity.x = 0;
+            return;
+        }
+    }
+    #moveVertical (dy) {
+        let remaining = {x: 0, y: dy};
+
+        for (let i = 0; i < MAX_HITS; i++) {
+            const hit = this.#move(remaining, dy > 0 && !this.#dropping);
+            if (!hit) return;
+
+            if (this.#isGround(hit.normal)) {
+                this.velocity.y = 0;
+                this.#setGround(hit);
+                return;
+            }
+
+            if (hit.normal.y >= this.#slopeCos()) {
+                this.onCeiling = true;
+                this.velocity.y = 0;
+                this.#jumping = false;
+                return;
+            }
+
+            // Slides along steep slopes and sloped ceilings
+            const into = hit.remaining.x * hit.normal.x + hit.remaining.y * hit.normal.y;
+            remaining = {x: hit.remaining.x - hit.normal.x * into, y: hit.remaining.y - hit.normal.y * into};
+
+            const speed = this.velocity.x * hit.normal.x + this.velocity.y * hit.normal.y;
+            if (speed < 0) {
+                this.velocity.x -= hit.normal.x * speed;
+                this.velocity.y -= hit.normal.y * speed;
+            }
+        }
+    }
+    #stepUp (remaining) {
+        const {stepHeight, skin} = this.options;
+        const sign = Math.sign(remaining.x);
+        if (!stepHeight || !sign) return false;
+
+        const start = {x: this.entity.x, y: this.entity.y};
+        const revert = () => {
+            this.entity.style({x: start.x, y: start.y});
+            return false;
+        };
+
+        const up = this.#cast({x: 0, y: -1}, stepHeight + skin, false);
+        const rise = up ? Math.max(0, up.distance - skin) : stepHeight;
+        if (rise <= EPSILON) return false;
+        this.#translate(0, -rise);
+
+        const length = Math.max(Math.abs(remaining.x), skin * 2);
+        const side = this.#cast({x: sign, y: 0}, length + skin, false);
+        const travel = side ? Math.max(0, side.distance - skin) : length;
+        if (travel <= EPSILON) return revert();
+        this.#translate(sign * travel, 0);
+
+        // The ledge must be walkable ground and higher than where the step started
+        const down = this.#cast({x: 0, y: 1}, rise + skin, true);
+        if (!down || !this.#isGround(down.normal)) return revert();
+
+        const fall = Math.max(0, down.distance - skin);
+        if (rise - fall <= EPSILON) return revert();
+
+        this.#translate(0, fall);
+        this.#setGround(down);
+        return true;
+    }
+    #snap () {
+        const {snapDistance, skin} = this.options;
+        if (!snapDistance) return;
+
+        const hit = this.#cast({x: 0, y: 1}, snapDistance + skin, !this.#dropping);
+        if (!hit || !this.#isGround(hit.normal)) return;
+
+        this.#translate(0, Math.max(0, hit.distance - skin));
+        this.velocity.y = 0;
+        this.#setGround(hit);
+    }
+    #move (vector, platforms) {
+        // Moves until the first hit, returns the hit and the movement that is left
+        const length = Math.hypot(vector.x, vector.y);
+        if (length < EPSILON) return null;
+
+        const skin = this.options.skin;
+        const hit = this.#cast(vector, length + skin, platforms);
+
+        if (!hit) {
+            this.#translate(vector.x, vector.y);
+            return null;
+        }
+
+        // A shape closer than the skin moves back a little
+        const travel = Math.min(length, Math.max(-skin, hit.distance - skin));
+        const left = (length - Math.max(0, travel)) / length;
+        this.#translate(vector.x / length * travel, vector.y / length * travel);
+
+        return {...hit, remaining: {x: vector.x * left, y: vector.y * left}};
+    }
+    #cast (direction, distance, platforms) {
+        for (let i = 0; i < MAX_HITS; i++) {
+            const hit = this.engine.collision.sweepShape(this.entity, direction, distance, this.#query(platforms));
+            if (!hit || hit.distance > 0 || hit.normal.x * direction.x + hit.normal.y * direction.y < 0)
+                return hit;
+
+            // Already inside it and moving out, lets the controller leave
+            this.#ignored.add(hit.entity ?? `${hit.tile.tileX},${hit.tile.tileY},${hit.tile.layer}`);
+        }
+        return null;
+    }
+    #query (platforms) {
+        const options = this.options;
+        const collision = this.engine.collision;
+        const bottom = collision.getAABB(collision._syncCache(this.entity)).maxY;
+
+        return {
+            entities: options.entities,
+            tileTypes: platforms ? ['solid', 'platform'] : ['solid'],
+            mask: options.mask,
+            exclude: options.exclude,
+            filter: target => {
+                if (this.#ignored.has(target.entity ?? `${target.tileX},${target.tileY},${target.layer}`)) return false;
+                if (options.filter && !options.filter(target)) return false;
+
+                // One-way platforms only hold what comes from above
+                if (target.config?.collision.type === 'platform')
+                    return bottom <= target.worldY + options.skin + EPSILON;
+                if (target.collision?.oneWay)
+                    return platforms && bottom <= collision.getAABB(collision._syncCache(target)).minY + options.skin + EPSILON;
+
+                return true;
+            }
+        };
+    }
+    #onPlatform () {
+        return this.grounded && (
+            this.ground?.tile?.config.collision.type === 'platform' ||
+            Boolean(this.ground?.entity?.collision.oneWay)
+        );
+    }
+    #translate (x, y) {
+        if (x || y) this.entity.style({x: this.entity.x + x, y: this.entity.y + y});
+    }
+    #isGround (normal) {
+        return -normal.y >= this.#slopeCos() - EPSILON;
+    }
+    #slopeCos () {
+        return Math.cos(this.options.maxSlope * Math.PI / 180);
+    }
+    #setGround (hit) {
+        this.grounded = true;
+        this.ground = {
+            entity: hit.entity,
+            tile: hit.tile,
+            normal: hit.normal,
+            angle: Math.acos(Math.min(1, -hit.normal.y)) * 180 / Math.PI
+        };
+    }
+    /** ======== END ======== */
+
+}
+
+const approach = (value, target, step) => value < target
+    ? Math.min(value + step, target)
+    : Math.max(value - step, target);
+
+export {Controllers as default, CharacterController};
@@ -0,0 +1,254 @@
+/**
+ * Copyright (c) 2025 Pixalo
+ * @Repository: https://github.com/pixalo
+ * @License: MIT
+ */
+
+class Culling {
+
+    #version = 0;
+    #orders  = new WeakMap();
+
+    constructor (engine, config = {}) {
+        config = typeof config === 'object' && config !== null ? config : {enabled: config !== false};
+
+        this.engine   = engine;
+        this.enabled  = config.enabled ?? true;
+        this.cellSize = config.cellSize ?? 256;
+        this.maxCells = config.maxCells ?? 64;
+        this.padding  = config.padding ?? null; // null uses the viewPadding of the camera
+
+        if (!(this.cellSize > 0))
+            throw new Error('Culling cellSize must be a positive number');
+
+        this.cells   = new Map();
+        this.entries = new Map();
+        this.large   = new Set();
+        this.dirty   = new Set();
+
+        // Counts of the last rendered frame
+        this.stats = {total: 0, drawn: 0, culled: 0};
+    }
+
+    /** ======== CONTROLS ======== */
+    enable () {
+        this.enabled = true;
+        return this;
+    }
+    disable () {
+        this.enabled = false;
+        return this;
+    }
+    clear () {
+        this.cells.clear();
+        this.entries.clear();
+        this.large.clear();
+        this.dirty.clear();
+        this.#version++;
+        this.stats = {total: 0, drawn: 0, culled: 0};
+        return this;
+    }
+    /** ======== END ======== */
+
+    /** ======== ORDER ======== */
+    getSorted (entities = this.engine.entities) {
+        // The sort is kept until a zIndex changes or an entity is added or removed
+        const cached = this.#orders.get(entities);
+        if (cached?.version === this.#version && cached.list.length === entities.size &&
+            cached.list.every((entity, i) => entity.zIndex === cached.zIndexes[i]))
+            return cached.list;
+
+        const list = Array.from(entities.values()).sort((a, b) => a.zIndex - b.zIndex);
+        this.#orders.set(entities, {version: this.#version, list, zIndexes: list.map(entity => entity.zIndex)});
+        return list;
+    }
+    _invalidateOrder () {
+        this.#version++;
+    }
+    /** ======== END ======== */
+
+    /** ======== INDEX ======== */
+    _invalidate (entity) {
+        // Children are drawn by their parent, only top-level entities are indexed
+        while (entity?.parent) entity = entity.parent;
+        if (entity) this.dirty.add(entity);
+    }
+    remove (entity) {
+        this.#removeEntry(entity);
+        this.dirty.delete(entity);
+        this.#version++;
+        return this;
+    }
+    update () {
+        for (const entity of this.dirty) {
+            if (entity.engine) this.#insert(entity);
+            else this.#removeEntry(entity);
+        }
+        this.dirty.clear();
+        return this;
+    }
+    query (rect) {
+        const size  = this.cellSize;
+        const found = new Set(this.large);
+
+        const minX = Math.floor(rect.minX / size);
+        const minY = Math.floor(rect.minY / size);
+        const maxX = Math.floor(rect.maxX / size);
+        const maxY = Math.floor(rect.maxY / size);
+
+        for (let y = minY; y <= maxY; y++) {
+            for (let x = minX; x <= maxX; x++) {
+                const cell = this.cells.get(`${x},${y}`);
+                if (!cell) continue;
+
+                for (const entity of cell) {
+                    if (found.has(entity)) continue;
+
+                    const bounds = this.entries.get(entity);
+                    if (bounds.minX <= rect.maxX && bounds.maxX >= rect.minX &&
+                        bounds.minY <= rect.maxY && bounds.maxY >= rect.minY)
+                        found.add(entity);
+                }
+            }
+        }
+
+        return found;
+    }
+    getBounds (entity) {
+        const {rotation, scale, scaleX, scaleY, skewX, skewY} = entity.styles;
+        const centerX = entity.absoluteX + entity.width / 2;
+        const centerY = entity.absoluteY + entity.height / 2;
+
+        const width  = entity.width / 2 * Math.abs(scaleX * scale);
+        const height = entity.height / 2 * Math.abs(scaleY * scale);
+
+        let halfWidth  = width + Math.abs(skewX || 0) * height;
+        let halfHeight = height + Math.abs(skewY || 0) * width;
+
+        // Rotated entities use the circle around them
+        if (rotation % 360)
+            halfWidth = halfHeight = Math.hypot(halfWidth, halfHeight);
+
+        return {
+            minX: centerX - halfWidth,
+            minY: centerY - halfHeight,
+            maxX: centerX + halfWidth,
+            maxY: centerY + halfHeight
+        };
+    }
+    getView () {
+        const {camera, baseWidth, baseHeight} = this.engine;
+        const padding = this.padding ?? camera.config.viewPadding;
+
+        let halfWidth  = baseWidth / (2 * camera.zoom);
+        let halfHeight = baseHeight / (2 * camera.zoom);
+        const centerX  = camera.x + halfWidth;
+        const centerY  = camera.y + halfHeight;
+
+        if (camera.rotation % 360) {
+            const angle = camera.rotation * Math.PI / 180;
+            const cos = Math.abs(Math.cos(angle));
+            const sin = Math.abs(Math.sin(angle));
+            [halfWidth, halfHeight] = [halfWidth * cos + halfHeight * sin, halfWidth * sin + halfHeight * cos];
+        }
+
+        return {
+            minX: centerX - halfWidth - padding,
+            minY: centerY - halfHeight - padding,
+            maxX: centerX + halfWidth + padding,
+            maxY: centerY + halfHeight + padding
+        };
+    }
+    #insert (entity) {
+        const bounds = this.getBounds(entity);
+        const size = this.cellSize;
+
+        const minX = Math.floor(bounds.minX / size);
+        const minY = Math.floor(bounds.minY / size);
+        const maxX = Math.floor(bounds.maxX / size);
+        const maxY = Math.floor(bounds.maxY / size);
+
+        const previous = this.entries.get(entity);
+        if (previous?.cellMinX === minX && previous.cellMinY === minY &&
+            previous.cellMaxX === maxX && previous.cellMaxY === maxY) {
+            Object.assign(previous, bounds);
+            return;
+        }
+
+        this.#removeEntry(entity);
+        this.entries.set(entity, {...bounds, cellMinX: minX, cellMinY: minY, cellMaxX: maxX, cellMaxY: maxY});
+
+        // Huge entities would fill thousands of cells, they are tested every frame instead
+        const count = (maxX - minX + 1) * (maxY - minY + 1);
+        if (!Number.isFinite(count) || count > this.maxCells) {
+            this.large.add(entity);
+            return;
+        }
+
+        for (let y = minY; y <= maxY; y++) {
+            for (let x = minX; x <= maxX; x++) {
+                const key = `${x},${y}`;
+
+                let cell = this.cells.get(key);
+                if (!cell) this.cells.set(key, cell = new Set());
+                cell.add(entity);
+            }
+        }
+    }
+    #removeEntry (entity) {
+        const entry = this.entries.get(entity);
+        if (!entry) return;
+
+        this.entries.delete(entity);
+
+        if (this.large.delete(entity)) return;
+
+        for (let y = entry.cellMinY; y <= entry.cellMaxY; y++) {
+            for (let x = entry.cellMinX; x <= entry.cellMaxX; x++) {
+                const key  = `${x},${y}`;
+                const cell = this.cells.get(key);
+                if (!cell) continue;
+
+                cell.delete(entity);
+                if (!cell.size) this.cells.delete(key);
+            }
+        }
+    }
+    /** ======== END ======== */
+
+    /** ======== RENDER ======== */
+    getVisible (entities = this.engine.entities) {
+        const sorted = this.getSorted(entities);
+
+        if (!this.enabled) {
+            this.stats = {total: sorted.length, drawn: sorted.length, culled: 0};
+            return sorted;
+        }
+
+        this.update();
+
+        const view    = this.getView();
+        const inView  = this.query(view);
+        const visible = sorted.filter(entity => {
+            // Fixed entities follow the camera, opted-out entities are always drawn
+            if (entity.cull === false || entity.styles.position === 'fixed') return true;
+
+            // Entities that never changed since they were created, e.g. appended to another scene
+            if (!this.entries.has(entity)) {
+                this.#insert(entity);
+                const bounds = this.entries.get(entity);
+                return bounds.minX <= view.maxX && bounds.maxX >= view.minX &&
+                    bounds.minY <= view.maxY && bounds.maxY >= view.minY;
+            }
+
+            return inView.has(entity);
+        });
+
+        this.stats = {total: sorted.length, drawn: visible.length, culled: sorted.length - visible.length};
+        return visible;
+    }
+    /** ======== END ======== */
+
+}
+
+export default Culling;
@@ -300,6 +300,18 @@ class Debugger {
         ctx.fillText(`${invisibleEntities}`, padding + 80, y);
         y += lineHeight;
 
+        ctx.fillStyle = '#FFFFFF';
+        ctx.fillText(`Drawn: `, padding + 8, y);
+        ctx.fillStyle = '#4AFF4A';
+        ctx.fillText(`${this.engine.culling.stats.drawn}`, padding + 55, y);
+        y += lineHeight;
+
+        ctx.fillStyle = '#FFFFFF';
+        ctx.fillText(`Culled: `, padding + 8, y);
+        ctx.fillStyle = '#8FE5D4';
+        ctx.fillText(`${this.engine.culling.stats.culled}`, padding + 62, y);
+        y += lineHeight;
+
         y += sectionSpacing;
 
         // Collision Section
@@ -4,8 +4,22 @@
  * @License: MIT
  */
 
+import RichText from './RichText.js';
+import Layout   from './Layout.js';
+
+const MAX_BITMAP_PIXELS = 4096 * 4096;
+
+// Styles that move the children and the siblings of a layout
+const LAYOUT_KEYS = ['width', 'height', 'anchor', 'margin', 'padding', 'flex', 'visible', 'position'];
+
 class Entity {
 
+    static #rasterizing = 0;
+
+    #bitmap = null;
+    #bitmapDirty = true;
+    #textLayout = null;
+
     constructor (id, config = {}) {
         this.engine = config.engine;
 
@@ -19,8 +33,9 @@ class Entity {
         this.absoluteX = this.x;
         this.absoluteY = this.y;
 
-        this.width  = config.width || 32;
-        this.height = config.height || 32;
+        // Percentages of the parent are resolved by the layout
+        this.width  = Layout.isPercent(config.width) ? 0 : config.width || 32;
+        this.height = Layout.isPercent(config.height) ? 0 : config.height || 32;
 
         this.parent = null;
         this.children = new Map();
@@ -33,6 +48,13 @@ class Entity {
 
             position: config.position || 'absolute',
 
+            anchor: config.anchor ?? null,  // Point of the parent the entity sticks to, e.g. 'top-left', 'center', 'bottom-right'
+            margin: config.margin ?? 0,     // Number, [vertical, horizontal], [top, right, bottom, left] or {top, right, bottom, left}
+            padding: config.padding ?? 0,   // Space kept inside the entity for its children
+            flex: config.flex ?? null,      // Lays out the children: true or {direction, gap, align, justify, wrap}
+            relativeWidth: Layout.isPercent(config.width) ? config.width : config.relativeWidth ?? null,
+            relativeHeight: Layout.isPercent(config.height) ? config.height : config.relativeHeight ?? null,
+
             blur: config.blur || 0,
             opacity: config.opacity ?? 1,
 
@@ -64,6 +86,12 @@ class Entity {
             textAlign: config.textAlign || 'center',
             lineHeight: config.lineHeight || 1.2,
             textBaseline: config.textBaseline || 'middle',
+            verticalAlign: config.verticalAlign || 'middle',
+            wordWrap: config.wordWrap ?? false,
+            maxLines: config.maxLines || 0,
+            ellipsis: config.ellipsis ?? '…',
+            richText: config.richText ?? false,
+            bitmapFont: config.bitmapFont ?? null,
 
             transition: config.transition || {},
 
@@ -71,6 +99,7 @@ class Entity {
             blendMode: config.blendMode || 'source-over',
 
             clip: config.clip,
+            overflow: config.overflow || 'visible', // 'hidden' clips the children to the bounds of the entity
             mask: config.mask,
             filter: config.filter,
 
@@ -93,10 +122,23 @@ class Entity {
             height : config.collision?.height || this.height,
             points : config.collision?.points || config.points || null,
             x: config.collision?.x || 0,
-            y: config.collision?.y || 0
+            y: config.collision?.y || 0,
+            category     : config.collision?.category ?? 'default',
+            mask         : config.collision?.mask ?? null,
+            oneWay       : Boolean(config.collision?.oneWay),
+            continuous   : Boolean(config.collision?.continuous),
+            stopOnContact: Boolean(config.collision?.stopOnContact),
+            response     : config.collision?.response ?? 'none',
+            restitution  : config.collision?.restitution ?? 1
         };
         this.physics = config.physics ?? false;
 
+        // px/s, applied every frame and changed by the collision response
+        this.velocity = {
+            x: config.velocity?.x || 0,
+            y: config.velocity?.y || 0
+        };
+
         this.events = {
             hoverable  : Boolean(config.hoverable),
             draggable  : Boolean(config.draggable),
@@ -110,6 +152,12 @@ class Entity {
         this.layer(config.layer || 0);
         this.defaultZIndex = this.zIndex;
 
+        // false always renders the entity, even outside the camera view
+        this.cull = config.cull ?? true;
+
+        // Draws the entity and its children from an offscreen canvas, redrawn only when they change
+        this.cacheAsBitmap = Boolean(config.cacheAsBitmap);
+
         this.sprite = config.sprite ? {
             asset: this.engine.getAsset(config.sprite.asset),
             width: config.sprite?.width || null,
@@ -229,6 +277,8 @@ class Entity {
         this.engine.debugger.addItem(child.id, child);
 
         child.updatePosition();
+        this.invalidateCache();
+        this.engine.layout?.invalidate();
 
         return child;
     }
@@ -322,13 +372,16 @@ class Entity {
             engine: this.engine,
             constrainToParent: this.constrainToParent,
             zIndex: this.zIndex,
+            cull: this.cull,
+            cacheAsBitmap: this.cacheAsBitmap,
             ...this.styles,
             ...this.events,
             collision: {
                 ...this.collision,
                 points: this.collision?.points ? JSON.parse(JSON.stringify(this.collision.points)) : null
             },
-            physics: this.physics
+            physics: this.physics,
+            velocity: {...this.velocity}
         };
 
         // Generate unique ID if not provided
@@ -379,7 +432,9 @@ class Entity {
                 backgroundImage: this.styles.backgroundImage,
                 backgroundImageFit: this.styles.backgroundImageFit,
                 backgroundImagePosition: this.styles.backgroundImagePosition,
-                backgroundImageRepeat: this.styles.backgroundImageRepeat
+                backgroundImageRepeat: this.styles.backgroundImageRepeat,
+                backgroundImageSlice: this.styles.backgroundImageSlice ? {...this.styles.backgroundImageSlice} : null,
+                backgroundImageSliceFill: {...this.styles.backgroundImageSliceFill}
             });
         }
 
@@ -428,6 +483,10 @@ class Entity {
         parent.children.set(this.id, this);
         this.updatePosition();
 
+        oldParent?.invalidateCache();
+        parent.invalidateCache();
+        this.engine.layout?.invalidate();
+
         return this;
     }
     empty () {
@@ -450,6 +509,8 @@ class Entity {
             this.absoluteY = this.y;
         }
 
+        if (!this.parent) this.engine?.culling?._invalidate(this);
+
         this.children.forEach(child => {
             child.updatePosition();
         });
@@ -475,12 +536,10 @@ class Entity {
 
         /* ---------- capture starting values ---------- */
         const startValues = {};
-        Object.keys(properties).forEach(p => startValues[p] = this.styles[p]);
+        Object.keys(properties).forEach(p => startValues[p] = this.style(p));
 
-        /* ---------- time-handling variables ---------- */
-        let startTime = performance.now() + options.delay; // real-world start moment
-        let pausedAt = 0;   // when we entered pause
-        let totalPause = 0; // accumulated pause time
+        /* ---------- engine clock, it stops while the engine is paused ---------- */
+        const startTime = this.engine.frameTime + options.delay;
 
         const ease = (typeof options.easing === 'function')
             ? options.easing
@@ -488,28 +547,16 @@ class Entity {
 
         /* ---------- animation loop ---------- */
         const animate = (now) => {
-            /* engine paused -> record pause start and wait */
-            if (!this.engine?.running) {
-                if (pausedAt === 0) pausedAt = now;
-                requestAnimationFrame(animate);
-                return;
-            }
-
-            /* just resumed -> add the last pause duration to totalPause */
-            if (pausedAt !== 0) {
-                totalPause += now - pausedAt;
-                pausedAt = 0;
-            }
-
-            const adjustedNow = now - totalPause; // virtual time without pauses
+            /* entity killed */
+            if (!this.engine) return;
 
             /* delay not finished yet */
-            if (adjustedNow < startTime) {
-                requestAnimationFrame(animate);
+            if (now < startTime) {
+                this.engine.requestFrame(animate);
                 return;
             }
 
-            const elapsed = adjustedNow - startTime;
+            const elapsed = now - startTime;
             if (elapsed >= options.duration) {               /* animation finished */
                 this.style(properties);
                 options.onComplete?.call(this);
@@ -531,10 +578,10 @@ class Entity {
                 }
             });
             this.style(currentValues);
-            requestAnimationFrame(animate);
+            this.engine.requestFrame(animate);
         };
 
-        requestAnimationFrame(animate);
+        this.engine.requestFrame(animate);
         return this;
     }
     startAnimation (name) {
@@ -551,31 +598,29 @@ class Entity {
         this.animationStates.set(name, state);
 
         const animate = () => {
-            if (!state.isRunning) return;
+            if (!state.isRunning || !this.engine) return;
 
-            if (this.engine?.running) {
-                const keyframe = animation.keyframes[state.currentFrame];
-                this.style(keyframe);
+            const keyframe = animation.keyframes[state.currentFrame];
+            this.style(keyframe);
 
-                state.currentFrame++;
-                if (state.currentFrame >= animation.keyframes.length) {
-                    if (state.repeat === 'infinite' || state.repeat > 0) {
-                        state.currentFrame = 0;
-                        if (typeof state.repeat === 'number') state.repeat--;
-                    } else {
-                        state.isRunning = false;
-                        return;
-                    }
+            state.currentFrame++;
+            if (state.currentFrame >= animation.keyframes.length) {
+                if (state.repeat === 'infinite' || state.repeat > 0) {
+                    state.currentFrame = 0;
+                    if (typeof state.repeat === 'number') state.repeat--;
+                } else {
+                    state.isRunning = false;
+                    return;
                 }
             }
 
             this.engine.timeout(
-                () => requestAnimationFrame(animate),
+                () => this.engine?.requestFrame(animate),
                 animation.options.duration / animation.keyframes.length
             );
         };
 
-        requestAnimationFrame(animate);
+        this.engine.requestFrame(animate);
         return this;
     }
     stopAnimation (name) {
@@ -610,10 +655,46 @@ class Entity {
 
         /* ---------- object form ---------- */
         if (typeof property === 'object')
-            return this._handleObjStyle(property, value);
+            this._handleObjStyle(this.#relativeSize(property), value);
+
+        /* ---------- sizes, numbers or percentages ---------- */
+        else if (property === 'width' || property === 'height')
+            this._handleObjStyle(this.#relativeSize({[property]: value}));
 
         /* ---------- single property setter ---------- */
-        return this._handleSingleStyle(property, value);
+        else
+            this._handleSingleStyle(property, value);
+
+        // The bounds used for culling may have changed
+        this.engine?.culling?._invalidate(this);
+
+        // Moving a cached entity draws the same bitmap somewhere else
+        const keys = typeof property === 'object' ? Object.keys(property) : [property];
+        this.invalidateCache(keys.every(key => key === 'x' || key === 'y'));
+
+        if (keys.some(key => LAYOUT_KEYS.includes(key)))
+            this.engine.layout?.invalidate();
+
+        return this;
+    }
+    #relativeSize (property) {
+        // Percentages are kept for the layout, numbers replace them
+        const styles = {...property};
+        for (const [key, relative] of [['width', 'relativeWidth'], ['height', 'relativeHeight']]) {
+            if (styles[key] === undefined) continue;
+
+            this.styles[relative] = Layout.isPercent(styles[key]) ? styles[key] : null;
+            if (this.styles[relative]) delete styles[key];
+        }
+        return styles;
+    }
+    _setLayout (box) {
+        // Sizes resolved by the layout keep the percentages they come from
+        const {relativeWidth, relativeHeight} = this.styles;
+        this.style(box);
+        this.styles.relativeWidth  = relativeWidth;
+        this.styles.relativeHeight = relativeHeight;
+        return this;
     }
     _handleObjStyle (property, value) {
         const {x, y, width, height, ...rest} = property;
@@ -627,14 +708,14 @@ class Entity {
         if (y !== undefined) this.y = y;
         if (width !== undefined) {
             if (this.width === this.collision.width)
-                this.collision.width = value;
+                this.collision.width = width;
 
             this.width = width;
             needPhysicsUpdateShape = true;
         }
         if (height !== undefined) {
             if (this.height === this.collision.height)
-                this.collision.height = value;
+                this.collision.height = height;
 
             this.height = height;
             needPhysicsUpdateShape = true;
@@ -692,6 +773,7 @@ class Entity {
         if (typeof text === 'undefined')
             return this.styles.text;
         this.styles.text = text;
+        this.invalidateCache();
         return this;
     }
     img (asset, properties = {}) {
@@ -753,7 +835,9 @@ class Entity {
                 properties: {
                     fit: this.styles.backgroundImageFit,
                     position: this.styles.backgroundImagePosition,
-                    repeat: this.styles.backgroundImageRepeat
+                    repeat: this.styles.backgroundImageRepeat,
+                    slice: this.styles.backgroundImageSlice,
+                    sliceFill: this.styles.backgroundImageSliceFill
                 }
             };
         }
@@ -785,13 +869,15 @@ class Entity {
             backgroundImageSource: imageData.source,
             backgroundImageFit: properties.fit || 'contain',
             backgroundImagePosition: properties.position || 'center',
-            backgroundImageRepeat: properties.repeat || false
+            backgroundImageRepeat: properties.repeat || false,
+            backgroundImageSlice: Entity.#normalizeSlice(properties.slice),
+            backgroundImageSliceFill: Entity.#normalizeSliceFill(properties.sliceFill)
         });
     }
     halt () {
         const moveAnimation = this.data('moveAnimation');
         if (moveAnimation) {
-            cancelAnimationFrame(moveAnimation);
+            this.engine.cancelFrame(moveAnimation);
             this.unset('moveAnimation');
 
             // Wait for real situations
@@ -856,10 +942,8 @@ class Entity {
             initialPositions.set(e, {x: e.x, y: e.y, absoluteX: e.absoluteX, absoluteY: e.absoluteY})
         );
 
-        /* ---------- time-keeping for pause/resume ---------- */
-        let startTime = performance.now();
-        let pausedAt = 0;   // when we entered pause
-        let totalPause = 0;  // accumulated paused time
+        /* ---------- engine clock, it stops while the engine is paused ---------- */
+        const startTime = this.engine.frameTime;
 
         const easingFunction =
             typeof config.easing === 'function'
@@ -868,21 +952,10 @@ class Entity {
 
         /* ---------- animation loop ---------- */
         const animate = (now) => {
-            /* ---- engine paused -> record pause start ---- */
-            if (!this.engine?.running) {
-                if (pausedAt === 0) pausedAt = now;
-                requestAnimationFrame(animate);
-                return;
-            }
-
-            /* ---- just resumed -> update total paused time ---- */
-            if (pausedAt !== 0) {
-                totalPause += now - pausedAt;
-                pausedAt = 0;
-            }
+            /* ---- entity killed ---- */
+            if (!this.engine) return;
 
-            const adjustedNow = now - totalPause;
-            let elapsed = adjustedNow - startTime;
+            const elapsed = now - startTime;
 
             /* ---- animation finished ---- */
             if (elapsed >= config.duration) {
@@ -911,15 +984,100 @@ class Entity {
 
             config.onUpdate?.call(this, eased);
 
-            const animationId = requestAnimationFrame(animate);
-            this.data('moveAnimation', animationId);
+            this.data('moveAnimation', this.engine.requestFrame(animate));
         };
 
-        const animationId = requestAnimationFrame(animate);
-        this.data('moveAnimation', animationId);
+        this.data('moveAnimation', this.engine.requestFrame(animate));
+        return this;
+    }
+    followPath (path, options = {}) {
+        this.halt();
+
+        const config = {
+            speed: 100,            // Pixels per second
+            smooth: false,         // Bezier-smoothed route through the waypoints
+            resolution: 8,
+            anchor: 'center',      // Point of the entity that follows the path: 'center' or 'topLeft'
+            ...options
+        };
+
+        if (!(config.speed > 0))
+            throw new Error('followPath speed must be a positive number');
+
+        const points = config.smooth
+            ? this.engine.pathfinding.smoothPath(path || [], config.resolution)
+            : [...(path || [])];
+
+        const offsetX = config.anchor === 'center' ? this.width / 2 : 0;
+        const offsetY = config.anchor === 'center' ? this.height / 2 : 0;
+
+        // Paths are in world coordinates, moves are relative to the parent
+        const parentX = this.parent ? this.parent.absoluteX : 0;
+        const parentY = this.parent ? this.parent.absoluteY : 0;
+
+        let index = 0;
+        const next = () => {
+            if (index >= points.length) return null;
+
+            const point = points[index++];
+            this.trigger('pathPoint', point, index - 1);
+
+            return {x: point.x - offsetX - parentX, y: point.y - offsetY - parentY};
+        };
+
+        const finish = () => {
+            this.unset('moveAnimation');
+            this.trigger('pathEnd', path);
+            config.onComplete?.call(this);
+        };
+
+        let target = next();
+        if (!target) {
+            finish();
+            return this;
+        }
+
+        // Runs on the engine clock, the distance left of a frame carries over to the next waypoints
+        let lastTime = this.engine.frameTime;
+        const step = (now) => {
+            if (!this.engine) return;
+
+            let distance = config.speed * (now - lastTime) / 1000;
+            let {x, y} = this;
+            lastTime = now;
+
+            while (target) {
+                const remaining = Math.hypot(target.x - x, target.y - y);
+                if (remaining > distance) {
+                    x += (target.x - x) * distance / remaining;
+                    y += (target.y - y) * distance / remaining;
+                    break;
+                }
+
+                distance -= remaining;
+                ({x, y} = target);
+                target = next();
+            }
+
+            this.style({x, y});
+
+            if (target)
+                this.data('moveAnimation', this.engine.requestFrame(step));
+            else
+                finish();
+        };
+
+        this.data('moveAnimation', this.engine.requestFrame(step));
         return this;
     }
     jump (force, config = {}) {
+        // A character controller jumps with its own physics
+        const controller = this.engine?.controllers.get(this);
+        if (controller) {
+            controller.jump();
+            return this;
+        }
+
         this.data('jumped', true);
         this.move({
             y: -force,
@@ -993,7 +1151,7 @@ class Entity {
         this.sprite.currentAnimation = animationName;
         this.sprite.currentFrame = 0;
         this.sprite.playing = true;
-        this.sprite.lastFrameUpdate = performance.now();
+        this.sprite.lastFrameUpdate = this.engine.frameTime;
 
         // trigger events callbacks
         this.trigger('animationStart', animationName);
@@ -1003,10 +1161,9 @@ class Entity {
             this.trigger('animationChange', oldAnimation, animationName);
         }
 
-        const updateFrame = () => {
-            if (!this.sprite.playing) return;
+        const updateFrame = (now = this.engine.frameTime) => {
+            if (!this.sprite.playing || !this.engine) return;
 
-            const now = performance.now();
             const elapsed = now - this.sprite.lastFrameUpdate;
             const frameInterval = 1000 / animation.frameRate;
 
@@ -1036,7 +1193,7 @@ class Entity {
                 }
             }
 
-            this.sprite.frameTimer = requestAnimationFrame(updateFrame);
+            this.sprite.frameTimer = this.engine.requestFrame(updateFrame);
         };
 
         updateFrame();
@@ -1046,7 +1203,7 @@ class Entity {
         if (!this.sprite || !this.sprite.playing) return this;
         this.sprite.playing = false;
         if (this.sprite.frameTimer) {
-            cancelAnimationFrame(this.sprite.frameTimer);
+            this.engine?.cancelFrame(this.sprite.frameTimer);
             this.sprite.frameTimer = null;
         }
         this.trigger('animationPause', this.sprite.currentAnimation);
@@ -1073,7 +1230,7 @@ class Entity {
         this.sprite.playing = false;
         this.sprite.currentFrame = 0;
         if (this.sprite.frameTimer) {
-            cancelAnimationFrame(this.sprite.frameTimer);
+            this.engine?.cancelFrame(this.sprite.frameTimer);
             this.sprite.frameTimer = null;
         }
         if (currentAnimation) {
@@ -1131,14 +1288,17 @@ class Entity {
     render (ctx) {
         if (!this.styles.visible) return;
 
-        // Checking if the entity is in the camera's view
-        if (!this.engine.camera.inView(this))
+        // Top-level entities are culled by the engine, children against the camera's view
+        if (this.cull && this.parent && !Entity.#rasterizing && !this.engine.camera.inView(this))
             return;
 
         if (this.styles.position === 'fixed') {
             this.updatePosition();
         }
 
+        if (this.cacheAsBitmap && !Entity.#rasterizing && this.#renderBitmap(ctx))
+            return;
+
         ctx.save();
 
         // Calling the beforeRender event before applying any changes
@@ -1214,11 +1374,19 @@ class Entity {
 
         // Render children
         if (this.children.size > 0) {
+            const overflow = this.styles.overflow === 'hidden';
+            if (overflow) {
+                ctx.save();
+                this._clipOverflow(ctx);
+            }
+
             this.children.forEach(child => {
                 if (child.styles.visible) {
                     child.render(ctx);
                 }
             });
+
+            if (overflow) ctx.restore();
         }
     }
     renderShape (ctx) {
@@ -1403,6 +1571,9 @@ class Entity {
         const position = this.styles.backgroundImagePosition;
         const repeat = this.styles.backgroundImageRepeat;
 
+        if (this.styles.backgroundImageSlice)
+            return this.#renderSlices(ctx, image, source);
+
         let targetWidth = this.width;
         let targetHeight = this.height;
         let targetX = -this.width / 2;
@@ -1448,9 +1619,92 @@ class Entity {
         }
     }
 
+    #renderSlices (ctx, image, source) {
+        // Corners keep their size, edges and center follow the size of the entity
+        const {top, right, bottom, left} = this.styles.backgroundImageSlice;
+        const fill = this.styles.backgroundImageSliceFill || {};
+        source ??= {x: 0, y: 0, width: image.width, height: image.height};
+
+        // Entities smaller than their borders shrink the borders
+        const scale = Math.min(1, this.width / (left + right || 1), this.height / (top + bottom || 1));
+
+        const sourceX = [source.x, source.x + left, source.x + source.width - right, source.x + source.width];
+        const sourceY = [source.y, source.y + top, source.y + source.height - bottom, source.y + source.height];
+        const targetX = [-this.width / 2, -this.width / 2 + left * scale, this.width / 2 - right * scale, this.width / 2];
+        const targetY = [-this.height / 2, -this.height / 2 + top * scale, this.height / 2 - bottom * scale, this.height / 2];
+
+        for (let row = 0; row < 3; row++) {
+            for (let column = 0; column < 3; column++) {
+                const sw = sourceX[column + 1] - sourceX[column];
+                const sh = sourceY[row + 1] - sourceY[row];
+                const dw = targetX[column + 1] - targetX[column];
+                const dh = targetY[row + 1] - targetY[row];
+                if (sw <= 0 || sh <= 0 || dw <= 0 || dh <= 0) continue;
+
+                const mode = row === 1 && column === 1 ? fill.center : row === 1 || column === 1 ? fill.edges : 'stretch';
+                if (mode !== 'tile') {
+                    ctx.drawImage(image, sourceX[column], sourceY[row], sw, sh, targetX[column], targetY[row], dw, dh);
+                    continue;
+                }
+
+                // Tiles keep the size of the slice, the last ones are cropped
+                const tileWidth  = sw * scale;
+                const tileHeight = sh * scale;
+                for (let y = 0; y < dh; y += tileHeight) {
+                    const height = Math.min(tileHeight, dh - y);
+                    for (let x = 0; x < dw; x += tileWidth) {
+                        const width = Math.min(tileWidth, dw - x);
+                        ctx.drawImage(
+                            image,
+                            sourceX[column], sourceY[row], width / scale, height / scale,
+                            targetX[column] + x, targetY[row] + y, width, height
+                        );
+                    }
+                }
+            }
+        }
+    }
+    static #normalizeSlice (slice) {
+        // Same order as CSS: top, right, bottom, left
+        if (slice === undefined || slice === null || slice === false) return null;
+
+        if (typeof slice === 'number') slice = [slice];
+        if (Array.isArray(slice)) {
+            const [top, right = top, bottom = top, left = right] = slice;
+            slice = {top, right, bottom, left};
+        }
+
+        const insets = {top: slice.top ?? 0, right: slice.right ?? 0, bottom: slice.bottom ?? 0, left: slice.left ?? 0};
+        if (Object.values(insets).some(inset => typeof inset !== 'number' || !(inset >= 0)))
+            throw new Error('Slice insets must be non-negative numbers');
+
+        return insets;
+    }
+    static #normalizeSliceFill (fill) {
+        fill ??= 'stretch';
+        const {edges = 'stretch', center = 'stretch'} = typeof fill === 'string' ? {edges: fill, center: fill} : fill;
+
+        if (![edges, center].every(mode => mode === 'stretch' || mode === 'tile'))
+            throw new Error('Slice fill must be \'stretch\' or \'tile\'');
+
+        return {edges, center};
+    }
+
     _renderText (ctx) {
         if (!this.styles.text) return;
 
+        if (this.#isRichText()) {
+            RichText.render(ctx, this.#getTextLayout(ctx), {
+                x: -this.width / 2,
+                y: -this.height / 2,
+                width: this.width,
+                height: this.height,
+                align: this.styles.textAlign,
+                verticalAlign: this.styles.verticalAlign
+            }, (width, height) => this.engine._createCanvas(width, height));
+            return;
+        }
+
         ctx.font = this.styles.font;
         ctx.textAlign = this.styles.textAlign;
         ctx.textBaseline = this.styles.textBaseline;
@@ -1517,6 +1771,30 @@ class Entity {
             ctx.clip();
         }
     }
+    _clipOverflow (ctx) {
+        // Children are drawn after the transforms of the entity are restored, so the corners are transformed here
+        const {rotation, scale, scaleX, scaleY, skewX, skewY, flipX, flipY} = this.styles;
+        const angle = rotation * Math.PI / 180;
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+        const factorX = (flipX ? -1 : 1) * scaleX * scale;
+        const factorY = (flipY ? -1 : 1) * scaleY * scale;
+        const centerX = this.absoluteX + this.width / 2;
+        const centerY = this.absoluteY + this.height / 2;
+
+        ctx.beginPath();
+        [[-1, -1], [1, -1], [1, 1], [-1, 1]].forEach(([signX, signY], index) => {
+            const x = signX * this.width / 2;
+            const y = signY * this.height / 2;
+            const localX = (x + skewX * y) * factorX;
+            const localY = (skewY * x + y) * factorY;
+            const pointX = centerX + localX * cos - localY * sin;
+            const pointY = centerY + localX * sin + localY * cos;
+            index ? ctx.lineTo(pointX, pointY) : ctx.moveTo(pointX, pointY);
+        });
+        ctx.closePath();
+        ctx.clip();
+    }
     _applyFilters (ctx) {
         // Apply blur
         if (this.styles.blur > 0) {
@@ -1639,7 +1917,7 @@ class Entity {
             timing: {
                 lastUpdate: this.sprite.lastFrameUpdate,
                 frameRate: currentAnimation.frameRate,
-                elapsedSinceLastFrame: performance.now() - this.sprite.lastFrameUpdate
+                elapsedSinceLastFrame: this.engine.frameTime - this.sprite.lastFrameUpdate
             },
             render: {
                 source: {
@@ -1712,6 +1990,33 @@ class Entity {
         this.collision.group = group;
         return this;
     }
+    setCollisionCategory (category, mask = this.collision.mask) {
+        this.collision.category = category ?? 'default';
+        this.collision.mask = mask ?? null;
+
+        if (this.engine?.physicsEnabled && this.physics)
+            this.engine.physics.updateFilter(this);
+
+        return this;
+    }
+    setContinuousCollision (enabled = true, stopOnContact = this.collision.stopOnContact) {
+        this.collision.continuous = Boolean(enabled);
+        this.collision.stopOnContact = Boolean(stopOnContact);
+        return this;
+    }
+    setCollisionResponse (response, restitution = this.collision.restitution) {
+        if (!['none', 'static', 'push', 'bounce'].includes(response))
+            throw new Error(`Unknown collision response: ${response}`);
+
+        this.collision.response = response;
+        this.collision.restitution = restitution;
+        return this;
+    }
+    setVelocity (x, y = this.velocity.y) {
+        this.velocity.x = x;
+        this.velocity.y = y;
+        return this;
+    }
     setCollisionPoints (points) {
         if (!Array.isArray(points) || points.length < 3) {
             throw new Error('Collision points must be an array with at least 3 points');
@@ -1769,6 +2074,129 @@ class Entity {
     }
     /** ======== END ======== */
 
+    /** ======== TEXT ======== */
+    measureText (text = this.styles.text, maxWidth = this.width) {
+        const layout = this.#layoutText(this.engine.ctx, text, maxWidth, this.#getBitmapFont());
+        return {width: layout.width, height: layout.height, lines: layout.lines.length};
+    }
+    fitText (padding = 0) {
+        // Wrapped texts keep their width and grow in height
+        const {width, height} = this.measureText();
+        if (this.styles.wordWrap)
+            return this.style({height: height + padding * 2});
+        return this.style({width: width + padding * 2, height: height + padding * 2});
+    }
+    #isRichText () {
+        const {richText, wordWrap, maxLines, bitmapFont} = this.styles;
+        return Boolean(richText || wordWrap || maxLines || bitmapFont);
+    }
+    #getBitmapFont () {
+        return this.styles.bitmapFont ? this.engine.getAsset(this.styles.bitmapFont)?.asset ?? null : null;
+    }
+    #getTextLayout (ctx) {
+        // The layout is kept until the text, its styles or the width change
+        const font = this.#getBitmapFont();
+        const {text, color, lineHeight, wordWrap, maxLines, ellipsis, richText, bitmapFont} = this.styles;
+        const key = [text, this.styles.font, color, lineHeight, wordWrap, maxLines, ellipsis, richText, bitmapFont, Boolean(font), this.width].join('|');
+
+        if (this.#textLayout?.key !== key)
+            this.#textLayout = {key, layout: this.#layoutText(ctx, text, this.width, font)};
+
+        return this.#textLayout.layout;
+    }
+    #layoutText (ctx, text, width, bitmapFont) {
+        return RichText.layout(ctx, text, {
+            font: this.styles.font,
+            color: this.styles.color,
+            lineHeight: this.styles.lineHeight,
+            width,
+            wordWrap: this.styles.wordWrap,
+            maxLines: this.styles.maxLines,
+            ellipsis: this.styles.ellipsis,
+            markup: this.styles.richText,
+            bitmapFont,
+            resolveImage: id => this.#getAssetImage(id)
+        });
+    }
+    /** ======== END ======== */
+
+    /** ======== BITMAP CACHE ======== */
+    setCacheAsBitmap (enabled = true) {
+        this.cacheAsBitmap = Boolean(enabled);
+        this.#bitmap = null;
+        this.#bitmapDirty = true;
+        return this;
+    }
+    invalidateCache (moved = false) {
+        // A moved entity keeps its own bitmap, but it changes the bitmaps of its cached parents
+        let entity = moved ? this.parent : this;
+        for (; entity; entity = entity.parent)
+            entity.#bitmapDirty = true;
+
+        return this;
+    }
+    #renderBitmap (ctx) {
+        if (this.#bitmapDirty) {
+            this.#bitmap = this.#rasterize();
+            this.#bitmapDirty = false;
+        }
+
+        if (!this.#bitmap) return false;
+
+        const {canvas, x, y, width, height} = this.#bitmap;
+        ctx.drawImage(canvas, this.absoluteX + x, this.absoluteY + y, width, height);
+        return true;
+    }
+    #rasterize () {
+        const bounds = {minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity};
+        const grow = entity => {
+            if (!entity.styles.visible) return;
+
+            const box = this.engine.culling.getBounds(entity);
+            const styles = entity.styles;
+
+            // Shadows, borders and blur are drawn outside the box
+            const margin = 1 + styles.borderWidth + styles.blur * 2 + styles.shadowBlur +
+                Math.max(Math.abs(styles.shadowOffsetX), Math.abs(styles.shadowOffsetY));
+
+            bounds.minX = Math.min(bounds.minX, box.minX - margin);
+            bounds.minY = Math.min(bounds.minY, box.minY - margin);
+            bounds.maxX = Math.max(bounds.maxX, box.maxX + margin);
+            bounds.maxY = Math.max(bounds.maxY, box.maxY + margin);
+
+            entity.children.forEach(grow);
+        };
+        grow(this);
+
+        const width   = Math.ceil(bounds.maxX - bounds.minX);
+        const height  = Math.ceil(bounds.maxY - bounds.minY);
+        const quality = this.engine.config.quality || 1;
+
+        if (!(width > 0 && height > 0)) return null;
+
+        if (width * height * quality * quality > MAX_BITMAP_PIXELS) {
+            this.engine.warn(`Entity(${this.id}) is too large to be cached as a bitmap`);
+            return null;
+        }
+
+        const canvas = this.engine._createCanvas(Math.ceil(width * quality), Math.ceil(height * quality));
+        const ctx = canvas.getContext('2d');
+
+        ctx.scale(quality, quality);
+        ctx.translate(-bounds.minX, -bounds.minY);
+
+        // Renders the entity and its children as usual, without culling and nested caches
+        Entity.#rasterizing++;
+        try {
+            this.render(ctx);
+        } finally {
+            Entity.#rasterizing--;
+        }
+
+        return {canvas, x: bounds.minX - this.absoluteX, y: bounds.minY - this.absoluteY, width, height};
+    }
+    /** ======== END ======== */
+
     /** ======== COLORS ======== */
     _createGradient (ctx) {
         const grad = this.styles.backgroundGradient;
@@ -1808,6 +2236,162 @@ class Entity {
     }
     /** ======== END ======== */
 
+    /** ======== SERIALIZE ======== */
+    serialize () {
+        const {backgroundImage, backgroundImageSource, mask, customPath, ...styles} = this.styles;
+        const data = {
+            id: this.id,
+            class: [...this.class],
+            x: this.x,
+            y: this.y,
+            width : this.width,
+            height: this.height,
+            zIndex: this.zIndex,
+            defaultZIndex: this.defaultZIndex,
+            constrainToParent: this.constrainToParent,
+            cull: this.cull,
+            cacheAsBitmap: this.cacheAsBitmap,
+            styles: Entity.#toPlain(styles),
+            dataset: {},
+            collision: Entity.#toPlain(this.collision),
+            physics: Entity.#toPlain(this.physics),
+            velocity: {...this.velocity},
+            events: {...this.events},
+            sprite: null,
+            children: []
+        };
+
+        // Images are stored as asset references, the bitmap itself is not serializable
+        if (backgroundImage) {
+            data.styles.backgroundImage = this.#findAssetReference(backgroundImage, backgroundImageSource);
+            data.styles.backgroundImageSource = backgroundImageSource ? {...backgroundImageSource} : null;
+        }
+
+        if (mask instanceof Entity)
+            data.styles.mask = {entity: mask.serialize()};
+
+        this.dataset.forEach((value, key) => {
+            if (key === 'moveAnimation' || typeof value === 'function') return;
+            data.dataset[key] = Entity.#toPlain(value);
+        });
+
+        if (this.sprite) {
+            data.sprite = {
+                asset: this.sprite.asset?.id ?? null,
+                width : this.sprite.width,
+                height: this.sprite.height,
+                x: this.sprite.x,
+                y: this.sprite.y,
+                animations: Entity.#toPlain(this.sprite.animations),
+                defaultAnimation: this.sprite.defaultAnimation ?? null,
+                currentAnimation: this.sprite.currentAnimation,
+                currentFrame: this.sprite.currentFrame,
+                playing: this.sprite.playing
+            };
+        }
+
+        this.children.forEach(child => data.children.push(child.serialize()));
+
+        return data;
+    }
+    static deserialize (data, engine) {
+        if (!data?.id)
+            throw new Error('Serialized entity must have an id');
+
+        const entity = new Entity(data.id, {
+            engine,
+            x: data.x,
+            y: data.y,
+            width : data.width,
+            height: data.height,
+            class : (data.class || []).join(' '),
+            layer : data.zIndex,
+            constrainToParent: data.constrainToParent,
+            cull: data.cull,
+            cacheAsBitmap: data.cacheAsBitmap,
+            physics: data.physics ?? false,
+            velocity: data.velocity,
+            ...data.events
+        });
+
+        entity.defaultZIndex = data.defaultZIndex ?? entity.zIndex;
+
+        const {backgroundImage, backgroundImageSource, mask, ...styles} = data.styles || {};
+        Object.assign(entity.styles, styles);
+
+        if (backgroundImage) {
+            const imageData = entity.#getAssetImage(backgroundImage);
+            if (imageData) {
+                entity.styles.backgroundImage = imageData.asset;
+                entity.styles.backgroundImageSource = imageData.source || backgroundImageSource || null;
+            } else {
+                engine.warn(`Background image asset (${backgroundImage}) not found for entity (${data.id})`);
+            }
+        }
+
+        if (mask?.entity)
+            entity.styles.mask = Entity.deserialize(mask.entity, engine);
+        else if (mask !== undefined)
+            entity.styles.mask = mask;
+
+        Object.assign(entity.collision, data.collision || {});
+
+        for (const key in data.dataset || {})
+            entity.data(key, data.dataset[key]);
+
+        if (data.sprite) {
+            const sprite = data.sprite;
+            entity.sprite = {
+                asset: engine.getAsset(sprite.asset),
+                width : sprite.width,
+                height: sprite.height,
+                x: sprite.x,
+                y: sprite.y,
+                currentFrame: 0,
+                currentAnimation: sprite.currentAnimation,
+                lastFrameUpdate: 0,
+                animations: sprite.animations || {},
+                defaultAnimation: sprite.defaultAnimation,
+                playing: false,
+                frameTimer: null
+            };
+
+            if (sprite.playing && sprite.currentAnimation)
+                entity.play(sprite.currentAnimation);
+
+            entity.sprite.currentFrame = sprite.currentFrame || 0;
+        }
+
+        (data.children || []).forEach(child => {
+            entity.append(Entity.deserialize(child, engine));
+        });
+
+        return entity;
+    }
+    #findAssetReference (image, source) {
+        for (const [id, record] of this.engine.assets) {
+            if (record.asset !== image) continue;
+
+            if (source && (record.type === 'tiles' || record.type === 'spritesheet')) {
+                const tiles = record.type === 'tiles' ? record.config.tiles : record.config.frames || [];
+                for (const [name, tile] of Object.entries(tiles)) {
+                    if (tile.x === source.x && tile.y === source.y &&
+                        tile.width === source.width && tile.height === source.height)
+                        return `${id}.${name}`;
+                }
+            }
+
+            return id;
+        }
+
+        this.engine.warn(`No asset found for the background image of entity (${this.id})`);
+        return null;
+    }
+    static #toPlain (value) {
+        return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+    }
+    /** ======== END ======== */
+
     kill () {
         Promise.resolve().then(() => this._destroy());
     }
@@ -1825,10 +2409,15 @@ class Entity {
         if (this.engine.collisionEnabled && this.collision?.enabled)
             this.engine.collision.remove(this);
 
-        if (this.parent)
+        if (this.parent) {
             this.parent.children.delete(this.id);
-        else
+            this.parent.invalidateCache();
+        } else {
             this.engine.entities.delete(this.id);
+        }
+
+        this.engine.culling?.remove(this);
+        this.engine.layout?.invalidate();
 
         this.children.forEach(child => child.kill());
 
@@ -1868,6 +2457,8 @@ class Entity {
                 background.backgroundImageFit = config.backgroundImageFit || 'contain';
                 background.backgroundImagePosition = config.backgroundImagePosition || 'center';
                 background.backgroundImageRepeat = config.backgroundImageRepeat || false;
+                background.backgroundImageSlice = Entity.#normalizeSlice(config.backgroundImageSlice);
+                background.backgroundImageSliceFill = Entity.#normalizeSliceFill(config.backgroundImageSliceFill);
             }
         } else if (typeof imageConfig === 'object' && (imageConfig?.asset || imageConfig?.src)) {
             const imageData = imageConfig?.asset || this.#getAssetImage(imageConfig.src);
@@ -1877,6 +2468,8 @@ class Entity {
                 background.backgroundImageFit = imageConfig.fit || 'contain';
                 background.backgroundImagePosition = imageConfig.position || 'center';
                 background.backgroundImageRepeat = imageConfig.repeat || false;
+                background.backgroundImageSlice = Entity.#normalizeSlice(imageConfig.slice);
+                background.backgroundImageSliceFill = Entity.#normalizeSliceFill(imageConfig.sliceFill);
             }
         }
 
@@ -1897,6 +2490,14 @@ class Entity {
                     type: 'tiles'
                 };
             }
+
+            if (asset && asset.type === 'spritesheet' && asset.config.frames?.[tileName]) {
+                return {
+                    asset: asset.asset,
+                    source: asset.config.frames[tileName],
+                    type: 'spritesheet'
+                };
+            }
         }
 
         const asset = this.engine.getAsset?.(id);
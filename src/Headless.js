@@ -0,0 +1,170 @@
+/**
+ * Copyright (c) 2025 Pixalo
+ * @Repository: https://github.com/pixalo
+ * @License: MIT
+ */
+
+const NOOP = () => {};
+
+const DRAW_METHODS = [
+    'beginPath', 'closePath', 'moveTo', 'lineTo', 'arc', 'arcTo', 'ellipse', 'rect', 'roundRect',
+    'quadraticCurveTo', 'bezierCurveTo', 'fill', 'stroke', 'clip', 'fillRect', 'strokeRect', 'clearRect',
+    'fillText', 'strokeText', 'drawImage', 'putImageData', 'setLineDash', 'translate', 'rotate', 'scale',
+    'transform', 'setTransform', 'resetTransform', 'drawFocusIfNeeded'
+];
+
+const CONTEXT_STATE = {
+    fillStyle: '#000000',
+    strokeStyle: '#000000',
+    lineWidth: 1,
+    lineCap: 'butt',
+    lineJoin: 'miter',
+    lineDashOffset: 0,
+    miterLimit: 10,
+    font: '10px sans-serif',
+    textAlign: 'start',
+    textBaseline: 'alphabetic',
+    direction: 'inherit',
+    globalAlpha: 1,
+    globalCompositeOperation: 'source-over',
+    imageSmoothingEnabled: true,
+    imageSmoothingQuality: 'low',
+    filter: 'none',
+    shadowBlur: 0,
+    shadowColor: 'rgba(0, 0, 0, 0)',
+    shadowOffsetX: 0,
+    shadowOffsetY: 0
+};
+
+class HeadlessContext {
+
+    #stack = [];
+
+    constructor (canvas) {
+        this.canvas = canvas;
+        Object.assign(this, CONTEXT_STATE);
+
+        // Nothing is drawn, the drawing methods only exist so the renderers can call them
+        for (const method of DRAW_METHODS)
+            this[method] = NOOP;
+    }
+
+    /** ======== STATE ======== */
+    save () {
+        const state = {};
+        for (const key in CONTEXT_STATE)
+            state[key] = this[key];
+        this.#stack.push(state);
+    }
+    restore () {
+        const state = this.#stack.pop();
+        if (state) Object.assign(this, state);
+    }
+    reset () {
+        this.#stack = [];
+        Object.assign(this, CONTEXT_STATE);
+    }
+    getTransform () {
+        return {a: 1, b: 0, c: 0, d: 1, e: 0, f: 0, is2D: true, isIdentity: true};
+    }
+    getLineDash () {
+        return [];
+    }
+    getContextAttributes () {
+        return {alpha: true, colorSpace: 'srgb', desynchronized: false, willReadFrequently: false};
+    }
+    /** ======== END ======== */
+
+    /** ======== QUERIES ======== */
+    measureText (text = '') {
+        // Rough estimate based on the font size, there are no glyphs without a renderer
+        const size  = parseFloat(/(\d*\.?\d+)px/.exec(this.font)?.[1]) || 10;
+        const width = String(text).length * size * 0.5;
+
+        return {
+            width,
+            actualBoundingBoxLeft: 0,
+            actualBoundingBoxRight: width,
+            actualBoundingBoxAscent: size * 0.8,
+            actualBoundingBoxDescent: size * 0.2,
+            fontBoundingBoxAscent: size * 0.8,
+            fontBoundingBoxDescent: size * 0.2
+        };
+    }
+    isPointInPath () {
+        return false;
+    }
+    isPointInStroke () {
+        return false;
+    }
+    createImageData (width, height) {
+        if (typeof width === 'object') ({width, height} = width);
+        return {width, height, data: new Uint8ClampedArray(width * height * 4)};
+    }
+    getImageData (x, y, width, height) {
+        return this.createImageData(width, height);
+    }
+    createLinearGradient () {
+        return {addColorStop: NOOP};
+    }
+    createRadialGradient () {
+        return {addColorStop: NOOP};
+    }
+    createConicGradient () {
+        return {addColorStop: NOOP};
+    }
+    createPattern () {
+        return {setTransform: NOOP};
+    }
+    /** ======== END ======== */
+
+}
+
+class HeadlessCanvas {
+
+    constructor (width = 300, height = 150, context = null) {
+        this.width  = width;
+        this.height = height;
+        this.style  = {};
+        this.tabIndex = 0;
+        this.context  = context;
+    }
+
+    getContext () {
+        if (!this.context)
+            this.context = new HeadlessContext(this);
+        return this.context;
+    }
+    getBoundingClientRect () {
+        const width  = parseFloat(this.style.width)  || this.width;
+        const height = parseFloat(this.style.height) || this.height;
+        return {x: 0, y: 0, left: 0, top: 0, right: width, bottom: height, width, height};
+    }
+    addEventListener () {}
+    removeEventListener () {}
+    focus () {}
+    blur () {}
+
+}
+
+class Headless {
+
+    // A custom canvas or context can be plugged in, e.g. a node-canvas canvas to render frames on a server
+    static createCanvas (config = {}, width, height) {
+        if (config.canvas) return config.canvas;
+        if (config.createCanvas) return config.createCanvas(width, height);
+        return new HeadlessCanvas(width, height, config.context || null);
+    }
+
+    static createContext (canvas) {
+        return new HeadlessContext(canvas);
+    }
+
+    // Stands in for images that are not decoded, entities, tiles and spritesheets keep their sizes and frames
+    static createImage (width = 1, height = 1) {
+        return {width, height, close: NOOP};
+    }
+
+}
+
+export default Headless;
@@ -0,0 +1,417 @@
+/**
+ * Copyright (c) 2025 Pixalo
+ * @Repository: https://github.com/pixalo
+ * @License: MIT
+ */
+
+const DEFAULT_DEAD_ZONE = 0.15;
+const LISTEN_THRESHOLD  = 0.5;
+const BINDING_TYPES = ['key', 'logical', 'mouse', 'touch', 'button', 'axis'];
+
+class Input {
+
+    #pulses = new Map();
+    #touchPulses = [];
+    #listener = null;
+
+    constructor (engine, config = {}) {
+        this.engine = engine;
+        this.deadZone = config.deadZone ?? DEFAULT_DEAD_ZONE;
+
+        this.actions  = new Map();
+        this.gamepads = [];
+        this.mouseButtons = new Set();
+        this.touches = new Map();
+
+        this.importBindings({actions: config.actions || {}});
+    }
+
+    /** ======== BINDINGS ======== */
+    bind (name, bindings, options = {}) {
+        if (typeof name !== 'string' || !name)
+            throw new Error('Action name must be a non-empty string');
+
+        const previous = this.actions.get(name);
+
+        this.actions.set(name, {
+            name,
+            bindings: [].concat(bindings ?? []).map(binding => this._normalizeBinding(binding)),
+            deadZone: options.deadZone ?? null,
+            value: previous?.value ?? 0,
+            pressed: previous?.pressed ?? false,
+            justPressed : false,
+            justReleased: false
+        });
+
+        return this;
+    }
+    addBinding (name, binding) {
+        if (!this.actions.has(name))
+            return this.bind(name, binding);
+
+        this.actions.get(name).bindings.push(this._normalizeBinding(binding));
+        return this;
+    }
+    unbind (name, binding) {
+        if (binding === undefined) {
+            this.actions.delete(name);
+            return this;
+        }
+
+        const action = this.actions.get(name);
+        if (!action) return this;
+
+        const key = JSON.stringify(this._normalizeBinding(binding));
+        action.bindings = action.bindings.filter(item => JSON.stringify(item) !== key);
+
+        return this;
+    }
+    has (name) {
+        return this.actions.has(name);
+    }
+    get (name) {
+        return this.actions.get(name) || null;
+    }
+    clear () {
+        this.actions.clear();
+        return this;
+    }
+
+    exportBindings (stringify = false) {
+        const actions = {};
+        for (const [name, action] of this.actions) {
+            actions[name] = {
+                bindings: JSON.parse(JSON.stringify(action.bindings)),
+                ...(action.deadZone !== null ? {deadZone: action.deadZone} : {})
+            };
+        }
+
+        const data = {deadZone: this.deadZone, actions};
+        return stringify ? JSON.stringify(data) : data;
+    }
+    importBindings (data) {
+        if (typeof data === 'string')
+            data = JSON.parse(data);
+
+        if (!data || typeof data !== 'object')
+            throw new Error('Invalid input bindings');
+
+        if (data.deadZone !== undefined)
+            this.deadZone = data.deadZone;
+
+        for (const [name, action] of Object.entries(data.actions || {})) {
+            // Both `{jump: ['space']}` and `{jump: {bindings: ['space'], deadZone}}` are accepted
+            const isConfig = action && !Array.isArray(action) && 'bindings' in action;
+            this.bind(name, isConfig ? action.bindings : action, isConfig ? action : {});
+        }
+
+        return this;
+    }
+
+    listen (name, options = {}) {
+        if (typeof name !== 'string' || !name)
+            throw new Error('Action name must be a non-empty string');
+
+        // Only one action can wait for a new binding at a time
+        this.cancelListen();
+
+        return new Promise(resolve => {
+            const listener = {
+                name,
+                resolve,
+                replace: options.replace ?? true,
+                cancel : options.cancel ?? 'esc',
+                types  : options.types  ?? ['key', 'mouse', 'button', 'axis'],
+                baseline: this.#gamepadBaseline(),
+                timeout: null
+            };
+
+            if (options.timeout > 0)
+                listener.timeout = setTimeout(() => this.cancelListen(), options.timeout);
+
+            this.#listener = listener;
+        });
+    }
+    cancelListen () {
+        if (!this.#listener) return this;
+
+        clearTimeout(this.#listener.timeout);
+        this.#listener.resolve(null);
+        this.#listener = null;
+
+        return this;
+    }
+    isListening () {
+        return this.#listener !== null;
+    }
+    _normalizeBinding (binding) {
+        if (typeof binding === 'string')
+            return {key: binding.toLowerCase()};
+
+        if (!binding || typeof binding !== 'object')
+            throw new Error('Invalid input binding');
+
+        // Axis composite, e.g. {negative: 'a', positive: 'd'}
+        if ('negative' in binding || 'positive' in binding) {
+            return {
+                negative: this._normalizeBinding(binding.negative),
+                positive: this._normalizeBinding(binding.positive)
+            };
+        }
+
+        if (!BINDING_TYPES.some(type => type in binding))
+            throw new Error(`Invalid input binding: ${JSON.stringify(binding)}`);
+
+        if ('touch' in binding && (!Array.isArray(binding.touch) || binding.touch.length !== 4))
+            throw new Error('Touch bindings require a zone as [x, y, width, height]');
+
+        return {...binding};
+    }
+    /** ======== END ======== */
+
+    /** ======== STATES ======== */
+    value (name) {
+        return this.actions.get(name)?.value ?? 0;
+    }
+    isPressed (name) {
+        return this.actions.get(name)?.pressed ?? false;
+    }
+    isJustPressed (name) {
+        return this.actions.get(name)?.justPressed ?? false;
+    }
+    isJustReleased (name) {
+        return this.actions.get(name)?.justReleased ?? false;
+    }
+    getGamepad (index = 0) {
+        return this.gamepads.find(pad => pad.index === index) || null;
+    }
+    /** ======== END ======== */
+
+    /** ======== UPDATE ======== */
+    update () {
+        this.#pollGamepads();
+
+        for (const [name, action] of this.actions) {
+            const deadZone = action.deadZone ?? this.deadZone;
+            const wasPressed = action.pressed;
+
+            let value = 0;
+            for (const binding of action.bindings) {
+                const current = this.#read(binding, deadZone);
+                if (Math.abs(current) > Math.abs(value))
+                    value = current;
+            }
+
+            action.value = value;
+            action.pressed = value !== 0;
+            action.justPressed  = action.pressed && !wasPressed;
+            action.justReleased = !action.pressed && wasPressed;
+
+            if (action.justPressed)
+                this.engine.trigger('actionPressed', name, action);
+            if (action.justReleased)
+                this.engine.trigger('actionReleased', name, action);
+        }
+
+        if (this.#listener)
+            this.#capture();
+
+        this.#pulses.clear();
+        this.#touchPulses = [];
+    }
+    #read (binding, deadZone) {
+        if (binding.negative)
+            return Math.abs(this.#read(binding.positive, deadZone)) - Math.abs(this.#read(binding.negative, deadZone));
+
+        if ('key' in binding)
+            return this.engine.pressedKeys.has(binding.key) || this.#pulses.has(`key:${binding.key}`) ? 1 : 0;
+
+        if ('logical' in binding)
+            return this.engine.isLogicalKeyPressed(binding.logical) || this.#pulses.has(`logical:${binding.logical}`) ? 1 : 0;
+
+        if ('mouse' in binding)
+            return this.mouseButtons.has(binding.mouse) || this.#pulses.has(`mouse:${binding.mouse}`) ? 1 : 0;
+
+        if ('touch' in binding) {
+            const [x, y, width, height] = binding.touch;
+            const inZone = point => point.x >= x && point.x <= x + width && point.y >= y && point.y <= y + height;
+            return [...this.touches.values()].some(inZone) || this.#touchPulses.some(inZone) ? 1 : 0;
+        }
+
+        let value = 0;
+        for (const pad of this.gamepads) {
+            if (binding.gamepad !== undefined && pad.index !== binding.gamepad) continue;
+
+            const current = this.#readGamepad(pad, binding, binding.deadZone ?? deadZone);
+            if (Math.abs(current) > Math.abs(value))
+                value = current;
+        }
+        return value;
+    }
+    #readGamepad (pad, binding, deadZone) {
+        let value;
+
+        if ('button' in binding) {
+            const button = pad.buttons[binding.button];
+            if (!button) return 0;
+            value = button.value || (button.pressed ? 1 : 0);
+        } else {
+            value = pad.axes[binding.axis] ?? 0;
+            if (binding.invert) value = -value;
+
+            // A direction turns one half of the axis into a button-like value
+            if (binding.direction) value = Math.max(0, value * Math.sign(binding.direction));
+        }
+
+        const magnitude = Math.abs(value);
+        if (magnitude <= deadZone) return 0;
+
+        // Rescale so the output starts at zero right outside the dead zone
+        return Math.sign(value) * Math.min(1, (magnitude - deadZone) / (1 - deadZone));
+    }
+    #pollGamepads () {
+        // Workers receive the gamepad state from the main thread
+        if (this.engine.config?.worker || typeof navigator === 'undefined' || !navigator.getGamepads)
+            return;
+
+        const gamepads = Input.snapshotGamepads(navigator.getGamepads());
+        if (this.engine.recorder._capture('gamepads', {gamepads}))
+            this._setGamepads(gamepads);
+    }
+    #capture () {
+        const listener = this.#listener;
+        let binding = null;
+
+        for (const [id, pulse] of this.#pulses) {
+            if (id === `key:${listener.cancel}`) {
+                this.cancelListen();
+                return;
+            }
+
+            if (!listener.types.includes(Object.keys(pulse)[0])) continue;
+
+            binding = pulse;
+            break;
+        }
+
+        if (!binding) {
+            for (const pad of this.gamepads) {
+                const baseline = listener.baseline[pad.index] || {buttons: [], axes: []};
+
+                const button = pad.buttons.findIndex((item, index) =>
+                    (item.pressed || item.value > LISTEN_THRESHOLD) && !baseline.buttons[index]
+                );
+                if (button !== -1 && listener.types.includes('button')) {
+                    binding = {button};
+                    break;
+                }
+
+                const axis = pad.axes.findIndex((value, index) =>
+                    Math.abs(value) > LISTEN_THRESHOLD && !baseline.axes[index]
+                );
+                if (axis !== -1 && listener.types.includes('axis')) {
+                    binding = {axis, direction: Math.sign(pad.axes[axis])};
+                    break;
+                }
+            }
+        }
+
+        if (!binding) return;
+
+        clearTimeout(listener.timeout);
+        this.#listener = null;
+
+        if (listener.replace || !this.actions.has(listener.name)) {
+            const action = this.actions.get(listener.name);
+            this.bind(listener.name, binding, {deadZone: action?.deadZone ?? undefined});
+        } else {
+            this.addBinding(listener.name, binding);
+        }
+
+        this.engine.trigger('actionRebind', listener.name, binding);
+        listener.resolve(binding);
+    }
+    #gamepadBaseline () {
+        // Inputs held while listening starts are ignored until they are released
+        const baseline = {};
+        for (const pad of this.gamepads) {
+            baseline[pad.index] = {
+                buttons: pad.buttons.map(button => button.pressed || button.value > LISTEN_THRESHOLD),
+                axes: pad.axes.map(value => Math.abs(value) > LISTEN_THRESHOLD)
+            };
+        }
+        return baseline;
+    }
+    /** ======== END ======== */
+
+    /** ======== RAW INPUT ======== */
+    _handleKey (physical, logical) {
+        // Taps shorter than a frame still reach the actions through the pulses
+        this.#pulses.set(`key:${physical}`, {key: physical});
+        this.#pulses.set(`logical:${logical}`, {logical});
+    }
+    _handleMouse (button, pressed) {
+        if (pressed) {
+            this.mouseButtons.add(button);
+            this.#pulses.set(`mouse:${button}`, {mouse: button});
+        } else {
+            this.mouseButtons.delete(button);
+        }
+    }
+    _handleTouches (touches) {
+        this.touches.clear();
+
+        for (const touch of touches || []) {
+            const point = this.#toView(touch.clientX, touch.clientY);
+            this.touches.set(touch.identifier, point);
+            this.#touchPulses.push(point);
+        }
+    }
+    _setGamepads (gamepads) {
+        const previous = new Set(this.gamepads.map(pad => pad.index));
+        const current  = new Set(gamepads.map(pad => pad.index));
+
+        this.gamepads = gamepads;
+
+        for (const pad of gamepads) {
+            if (!previous.has(pad.index))
+                this.engine.trigger('gamepadConnected', pad);
+        }
+        for (const index of previous) {
+            if (!current.has(index))
+                this.engine.trigger('gamepadDisconnected', index);
+        }
+    }
+    _releaseAll () {
+        this.mouseButtons.clear();
+        this.touches.clear();
+        this.#pulses.clear();
+        this.#touchPulses = [];
+    }
+    #toView (clientX, clientY) {
+        const rect = this.engine.canvas.getBoundingClientRect?.() || {left: 0, top: 0};
+        const width  = rect.width  || this.engine.baseWidth;
+        const height = rect.height || this.engine.baseHeight;
+
+        // Touch zones are in viewport pixels, independent of the camera
+        return {
+            x: (clientX - rect.left) * (this.engine.baseWidth  / width),
+            y: (clientY - rect.top)  * (this.engine.baseHeight / height)
+        };
+    }
+    static snapshotGamepads (gamepads) {
+        return Array.from(gamepads || []).filter(Boolean).map(pad => ({
+            index: pad.index,
+            id: pad.id,
+            mapping: pad.mapping,
+            connected: pad.connected,
+            timestamp: pad.timestamp,
+            buttons: Array.from(pad.buttons, button => ({pressed: button.pressed, value: button.value})),
+            axes: Array.from(pad.axes)
+        }));
+    }
+    /** ======== END ======== */
+
+}
+
+export default Input;
@@ -0,0 +1,270 @@
+/**
+ * Copyright (c) 2025 Pixalo
+ * @Repository: https://github.com/pixalo/pixalo
+ * @License: MIT
+ */
+
+// Point of the entity placed on the same point of its parent, as a ratio of the free space
+const ANCHORS = {
+    'top-left'    : {x: 0, y: 0},
+    'top'         : {x: 0.5, y: 0},
+    'top-right'   : {x: 1, y: 0},
+    'left'        : {x: 0, y: 0.5},
+    'center'      : {x: 0.5, y: 0.5},
+    'right'       : {x: 1, y: 0.5},
+    'bottom-left' : {x: 0, y: 1},
+    'bottom'      : {x: 0.5, y: 1},
+    'bottom-right': {x: 1, y: 1}
+};
+
+const FLEX = {
+    direction: 'row',  // row, column
+    gap: 0,            // px between the children, and between the lines when they wrap
+    align: 'start',    // Cross axis: start, center, end, stretch
+    justify: 'start',  // Main axis: start, center, end, space-between, space-around, space-evenly
+    wrap: false
+};
+
+const DIRECTIONS = ['row', 'column'];
+const ALIGNS     = ['start', 'center', 'end', 'stretch'];
+const JUSTIFIES  = ['start', 'center', 'end', 'space-between', 'space-around', 'space-evenly'];
+
+class Layout {
+
+    #applying = false;
+
+    constructor (engine) {
+        this.engine = engine;
+        this.dirty  = true;
+    }
+
+    /** ======== CONTROLS ======== */
+    invalidate () {
+        // The changes made by the layout itself do not invalidate it
+        if (!this.#applying) this.dirty = true;
+        return this;
+    }
+    update () {
+        if (this.dirty) this.refresh();
+        return this;
+    }
+    refresh () {
+        const screen = this.getScreenBox();
+
+        this.#applying = true;
+        try {
+            for (const entity of this.engine.entities.values()) {
+                this.#resize(entity, screen);
+                this.#anchor(entity, screen);
+                this.#arrange(entity, screen);
+            }
+        } finally {
+            this.#applying = false;
+            this.dirty = false;
+        }
+        return this;
+    }
+    clear () {
+        this.dirty = true;
+        return this;
+    }
+    /** ======== END ======== */
+
+    /** ======== BOXES ======== */
+    getScreenBox () {
+        return {x: 0, y: 0, width: this.engine.baseWidth, height: this.engine.baseHeight};
+    }
+    getContentBox (entity) {
+        // Local to the entity, inside its padding
+        const padding = Layout.edges(entity.styles.padding);
+        return {
+            x: padding.left,
+            y: padding.top,
+            width : Math.max(0, entity.width - padding.left - padding.right),
+            height: Math.max(0, entity.height - padding.top - padding.bottom)
+        };
+    }
+    static edges (value) {
+        if (typeof value === 'number')
+            return {top: value, right: value, bottom: value, left: value};
+
+        if (Array.isArray(value)) {
+            const [top = 0, right = top, bottom = top, left = right] = value;
+            return {top, right, bottom, left};
+        }
+
+        return {top: 0, right: 0, bottom: 0, left: 0, ...value};
+    }
+    static isPercent (value) {
+        return typeof value === 'string' && /^\s*-?[\d.]+\s*%\s*$/.test(value);
+    }
+    static #percent (value, size) {
+        return parseFloat(value) / 100 * size;
+    }
+    /** ======== END ======== */
+
+    /** ======== LAYOUT ======== */
+    #arrange (entity, screen) {
+        if (!entity.children.size) return;
+
+        const content = this.getContentBox(entity);
+        const flex = entity.styles.flex ? this.#flexOptions(entity) : null;
+        const flow = [];
+
+        for (const child of entity.children.values()) {
+            // Fixed children are placed on the screen
+            const container = child.styles.position === 'fixed' ? screen : content;
+            this.#resize(child, container);
+
+            // Anchored, hidden and fixed children are out of the flow of a flex container
+            if (flex && !child.styles.anchor && child.styles.visible && child.styles.position !== 'fixed')
+                flow.push(child);
+            else
+                this.#anchor(child, container);
+        }
+
+        if (flow.length) this.#flex(flow, content, flex);
+
+        for (const child of entity.children.values())
+            this.#arrange(child, screen);
+    }
+    #resize (entity, container) {
+        const {relativeWidth, relativeHeight} = entity.styles;
+        if (!relativeWidth && !relativeHeight) return;
+
+        const box = {};
+        if (relativeWidth) box.width = Math.max(0, Layout.#percent(relativeWidth, container.width));
+        if (relativeHeight) box.height = Math.max(0, Layout.#percent(relativeHeight, container.height));
+        this.#place(entity, box);
+    }
+    #anchor (entity, container) {
+        const anchor = entity.styles.anchor;
+        if (!anchor) return;
+
+        const point = ANCHORS[anchor];
+        if (!point) {
+            this.engine.warn(`Unknown anchor: ${anchor}, use one of ${Object.keys(ANCHORS).join(', ')}`);
+            return;
+        }
+
+        const margin = Layout.edges(entity.styles.margin);
+        const free = {
+            x: container.width - margin.left - margin.right - entity.width,
+            y: container.height - margin.top - margin.bottom - entity.height
+        };
+
+        this.#place(entity, {
+            x: container.x + margin.left + free.x * point.x,
+            y: container.y + margin.top + free.y * point.y
+        });
+    }
+    #flex (items, content, options) {
+        const row   = options.direction === 'row';
+        const main  = row ? 'width' : 'height';
+        const cross = row ? 'height' : 'width';
+        const size  = content[main];
+
+        // Sizes along the main and cross axes, with the margins
+        const boxes = items.map(entity => {
+            const edges  = Layout.edges(entity.styles.margin);
+            const margin = row
+                ? {mainStart: edges.left, mainEnd: edges.right, crossStart: edges.top, crossEnd: edges.bottom}
+                : {mainStart: edges.top, mainEnd: edges.bottom, crossStart: edges.left, crossEnd: edges.right};
+
+            return {
+                entity, margin,
+                main : entity[main] + margin.mainStart + margin.mainEnd,
+                cross: entity[cross] + margin.crossStart + margin.crossEnd
+            };
+        });
+
+        // Children that do not fit start a new line when the container wraps
+        const lines = [];
+        let line = [];
+        let used = 0;
+        for (const box of boxes) {
+            if (options.wrap && line.length && used + options.gap + box.main > size) {
+                lines.push(line);
+                line = [];
+                used = 0;
+            }
+            used += (line.length ? options.gap : 0) + box.main;
+            line.push(box);
+        }
+        lines.push(line);
+
+        let crossOffset = 0;
+        for (const line of lines) {
+            // A single line fills the container, wrapped lines are as large as their largest child
+            const lineSize = lines.length === 1 ? content[cross] : Math.max(...line.map(box => box.cross));
+            const {start, spacing} = this.#justify(options, size - line.reduce((sum, box) => sum + box.main, 0), line.length);
+
+            let mainOffset = start;
+            for (const box of line) {
+                const {entity, margin} = box;
+                const place = {};
+
+                if (options.align === 'stretch')
+                    place[cross] = Math.max(0, lineSize - margin.crossStart - margin.crossEnd);
+
+                const crossSize = place[cross] ?? entity[cross];
+                const free  = lineSize - margin.crossStart - margin.crossEnd - crossSize;
+                const ratio = {start: 0, center: 0.5, end: 1, stretch: 0}[options.align];
+
+                place[row ? 'x' : 'y'] = content[row ? 'x' : 'y'] + mainOffset + margin.mainStart;
+                place[row ? 'y' : 'x'] = content[row ? 'y' : 'x'] + crossOffset + margin.crossStart + free * ratio;
+                this.#place(entity, place);
+
+                mainOffset += box.main + spacing;
+            }
+
+            crossOffset += lineSize + options.gap;
+        }
+    }
+    #justify ({justify, gap}, free, count) {
+        free -= gap * (count - 1);
+
+        // Children larger than the container overflow its end
+        const space = Math.max(0, free);
+        switch (justify) {
+            case 'center':
+                return {start: free / 2, spacing: gap};
+            case 'end':
+                return {start: free, spacing: gap};
+            case 'space-between':
+                return count > 1 ? {start: 0, spacing: gap + space / (count - 1)} : {start: 0, spacing: gap};
+            case 'space-around':
+                return {start: space / count / 2, spacing: gap + space / count};
+            case 'space-evenly':
+                return {start: space / (count + 1), spacing: gap + space / (count + 1)};
+            default:
+                return {start: 0, spacing: gap};
+        }
+    }
+    #flexOptions (entity) {
+        const options = {...FLEX, ...(typeof entity.styles.flex === 'object' ? entity.styles.flex : {})};
+
+        // Unknown values fall back to the defaults, the layout runs inside the game loop
+        for (const [key, values] of [['direction', DIRECTIONS], ['align', ALIGNS], ['justify', JUSTIFIES]]) {
+            if (values.includes(options[key])) continue;
+
+            this.engine.warn(`Unknown flex ${key}: ${options[key]}, use one of ${values.join(', ')}`);
+            options[key] = FLEX[key];
+        }
+
+        return options;
+    }
+    #place (entity, box) {
+        // Only the values that changed, so unchanged entities keep their caches
+        const changes = {};
+        for (const key in box) {
+            if (Math.abs(entity[key] - box[key]) > 1e-6) changes[key] = box[key];
+        }
+
+        if (Object.keys(changes).length) entity._setLayout(changes);
+    }
+    /** ======== END ======== */
+
+}
+
+export default Layout;
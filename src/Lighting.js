@@ -0,0 +1,348 @@
+/**
+ * Copyright (c) 2025 Pixalo
+ * @Repository: https://github.com/pixalo/pixalo
+ * @License: MIT
+ */
+
+import Collision from './Collision.js';
+
+const TYPES = ['point', 'spot', 'ambient'];
+const BLENDS = ['multiply', 'additive'];
+const GRADIENT_STOPS = 8;
+const RGB = /^rgba?\(\s*([\d.]+)[\s,]+([\d.]+)[\s,]+([\d.]+)(?:\s*[,/]\s*([\d.]+)(%?))?\s*\)$/i;
+
+const DEFAULTS = {
+    type: 'point',
+    x: 0,
+    y: 0,
+    entity: null,      // Entity or id followed by the light
+    offsetX: 0,
+    offsetY: 0,
+    color: '#ffffff',
+    intensity: 1,
+    radius: 200,
+    falloff: 1,        // Exponent of the fade to the radius, higher values fade sooner
+    angle: 0,          // Direction of spot lights in degrees
+    spread: 60,        // Cone of spot lights in degrees
+    flicker: 0,        // 0 - 1
+    flickerSpeed: 8,   // Flickers per second
+    shadows: true,
+    blend: 'multiply',
+    enabled: true
+};
+
+class Lighting {
+
+    #canvases = new Map();
+    #colors = new Map();
+
+    constructor (engine, config = {}) {
+        config = typeof config === 'object' && config !== null ? config : {enabled: config !== false};
+
+        this.engine    = engine;
+        this.enabled   = config.enabled ?? true;
+        this.ambient   = config.ambient ?? '#000000';
+        this.shadows   = config.shadows ?? true;
+        this.occluders = config.occluders ?? {}; // Query options of the shadow casters, see Collision queries
+
+        this.lights = new Map();
+    }
+
+    /** ======== CONTROLS ======== */
+    enable () {
+        this.enabled = true;
+        return this;
+    }
+    disable () {
+        this.enabled = false;
+        return this;
+    }
+    setAmbient (color) {
+        this.ambient = color;
+        return this;
+    }
+    /** ======== END ======== */
+
+    /** ======== LIGHTS ======== */
+    add (id, options = {}) {
+        if (this.lights.has(id))
+            throw new Error(`Light (${id}) already exists`);
+
+        // The scene of the light, its entity may be looked up while the scene is paused
+        const light = {...DEFAULTS, ...options, id, seed: Math.random() * 1000, scene: this.engine.scenes?.current() ?? null};
+        this.#validate(light);
+
+        this.lights.set(id, light);
+        return light;
+    }
+    get (id) {
+        return this.lights.get(id) ?? null;
+    }
+    has (id) {
+        return this.lights.has(id);
+    }
+    set (id, options = {}) {
+        const light = this.get(id);
+        if (!light) throw new Error(`Light (${id}) not found`);
+
+        Object.assign(light, options, {id});
+        this.#validate(light);
+        return this;
+    }
+    remove (id) {
+        this.lights.delete(id);
+        return this;
+    }
+    clear () {
+        this.lights.clear();
+        this.#canvases.clear();
+        return this;
+    }
+    getPosition (light) {
+        const entity = this.#entity(light);
+        if (!entity) return {x: light.x + light.offsetX, y: light.y + light.offsetY};
+
+        return {
+            x: entity.absoluteX + entity.width / 2 + light.offsetX,
+            y: entity.absoluteY + entity.height / 2 + light.offsetY
+        };
+    }
+    #entity (light) {
+        if (typeof light.entity !== 'string') return light.entity;
+
+        // Below an overlay scene the entities of the light are not in engine.entities
+        const entities = light.scene?.world?.entities ?? this.engine.entities;
+        for (const entity of entities.values()) {
+            const found = this.engine._findDeepChildren(entity, light.entity);
+            if (found) return found;
+        }
+        return null;
+    }
+    #validate (light) {
+        if (!TYPES.includes(light.type))
+            throw new Error(`Unknown light type: ${light.type}, use one of ${TYPES.join(', ')}`);
+        if (!BLENDS.includes(light.blend))
+            throw new Error(`Unknown light blend: ${light.blend}, use one of ${BLENDS.join(', ')}`);
+    }
+    /** ======== END ======== */
+
+    /** ======== RENDER ======== */
+    render (ctx) {
+        if (!this.enabled || !this.lights.size) return;
+
+        this.#prune();
+
+        const {width, height} = this.engine.canvas;
+        const time = this.engine.now();
+        const view = this.engine.culling.getView();
+
+        const lights = [...this.lights.values()].filter(light => light.enabled);
+        const glows  = lights.some(light => light.blend === 'additive');
+
+        const map  = this.#canvas('map', width, height);
+        const glow = glows ? this.#canvas('glow', width, height) : null;
+
+        // The light map starts with the ambient color, every light is added to it
+        map.ctx.setTransform(1, 0, 0, 1, 0, 0);
+        map.ctx.globalCompositeOperation = 'source-over';
+        map.ctx.fillStyle = this.ambient;
+        map.ctx.fillRect(0, 0, width, height);
+        map.ctx.globalCompositeOperation = 'lighter';
+
+        if (glow) {
+            glow.ctx.setTransform(1, 0, 0, 1, 0, 0);
+            glow.ctx.clearRect(0, 0, width, height);
+            glow.ctx.globalCompositeOperation = 'lighter';
+        }
+
+        for (const light of lights) {
+            const {intensity, radius} = this.#flicker(light, time);
+            const targets = light.blend === 'additive' ? [map, glow] : [map];
+
+            if (light.type === 'ambient') {
+                for (const target of targets) {
+                    target.ctx.fillStyle = this.#rgba(light.color, intensity);
+                    target.ctx.fillRect(0, 0, width, height);
+                }
+                continue;
+            }
+
+            const position = this.getPosition(light);
+            if (position.x + radius < view.minX || position.x - radius > view.maxX ||
+                position.y + radius < view.minY || position.y - radius > view.maxY) continue;
+
+            if (!this.shadows || !light.shadows) {
+                for (const target of targets)
+                    this.#inView(target.ctx, () => this.#drawLight(target.ctx, light, position, intensity, radius));
+                continue;
+            }
+
+            // Shadowed lights are drawn alone, so the shadows only cut their own light
+            const layer = this.#canvas('light', width, height);
+            layer.ctx.setTransform(1, 0, 0, 1, 0, 0);
+            layer.ctx.globalCompositeOperation = 'source-over';
+            layer.ctx.clearRect(0, 0, width, height);
+
+            this.#inView(layer.ctx, () => {
+                this.#drawLight(layer.ctx, light, position, intensity, radius);
+                layer.ctx.globalCompositeOperation = 'destination-out';
+                this.#drawShadows(layer.ctx, light, position, radius);
+            });
+
+            for (const target of targets)
+                target.ctx.drawImage(layer.canvas, 0, 0);
+        }
+
+        ctx.save();
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        ctx.globalAlpha = 1;
+        ctx.globalCompositeOperation = 'multiply';
+        ctx.drawImage(map.canvas, 0, 0);
+
+        if (glow) {
+            ctx.globalCompositeOperation = 'lighter';
+            ctx.drawImage(glow.canvas, 0, 0);
+        }
+        ctx.restore();
+    }
+    #inView (ctx, callback) {
+        // Same transform as the world in render(), the light canvases have the size of the game canvas
+        const quality = this.engine.config.quality || 1;
+
+        ctx.save();
+        ctx.scale(quality, quality);
+        this.engine.camera.apply(ctx);
+        callback();
+        ctx.restore();
+        ctx.restore();
+    }
+    #drawLight (ctx, light, {x, y}, intensity, radius) {
+        const gradient = ctx.createRadialGradient(x, y, 0, x, y, radius);
+        for (let i = 0; i <= GRADIENT_STOPS; i++) {
+            const t = i / GRADIENT_STOPS;
+            gradient.addColorStop(t, this.#rgba(light.color, intensity * (1 - t) ** light.falloff));
+        }
+
+        ctx.fillStyle = gradient;
+        ctx.beginPath();
+
+        if (light.type === 'spot') {
+            const angle  = light.angle * Math.PI / 180;
+            const spread = light.spread * Math.PI / 360;
+            ctx.moveTo(x, y);
+            ctx.arc(x, y, radius, angle - spread, angle + spread);
+            ctx.closePath();
+        } else {
+            ctx.arc(x, y, radius, 0, Math.PI * 2);
+        }
+
+        ctx.fill();
+    }
+    #drawShadows (ctx, light, origin, radius) {
+        const options = typeof this.occluders === 'function' ? {filter: this.occluders} : this.occluders;
+        const exclude = [options.exclude ?? [], light.entity ?? []].flat();
+
+        const targets = this.engine.collision.queryShapes({
+            x: origin.x - radius, y: origin.y - radius, width: radius * 2, height: radius * 2
+        }, {...options, exclude});
+
+        ctx.fillStyle = '#000000';
+        ctx.beginPath();
+
+        for (const {vertices} of targets) {
+            // A light inside a shape lights it from within
+            if (vertices.length < 3 || Collision.isPointInShape(origin.x, origin.y, vertices)) continue;
+
+            const center = vertices.reduce((sum, point) => ({x: sum.x + point.x, y: sum.y + point.y}), {x: 0, y: 0});
+            center.x /= vertices.length;
+            center.y /= vertices.length;
+
+            for (let i = 0; i < vertices.length; i++) {
+                const a = vertices[i];
+                const b = vertices[(i + 1) % vertices.length];
+
+                // Only the edges facing away from the light cast a shadow, so the shape itself stays lit
+                let normalX = b.y - a.y;
+                let normalY = a.x - b.x;
+                const middleX = (a.x + b.x) / 2;
+                const middleY = (a.y + b.y) / 2;
+
+                if (normalX * (middleX - center.x) + normalY * (middleY - center.y) < 0) {
+                    normalX = -normalX;
+                    normalY = -normalY;
+                }
+                if (normalX * (middleX - origin.x) + normalY * (middleY - origin.y) <= 0) continue;
+
+                const farA = this.#project(origin, a, radius);
+                const farB = this.#project(origin, b, radius);
+
+                ctx.moveTo(a.x, a.y);
+                ctx.lineTo(b.x, b.y);
+                ctx.lineTo(farB.x, farB.y);
+                ctx.lineTo(farA.x, farA.y);
+                ctx.closePath();
+            }
+        }
+
+        ctx.fill();
+    }
+    #project (origin, point, radius) {
+        // Pushes the point away from the light, beyond its radius
+        const dx = point.x - origin.x;
+        const dy = point.y - origin.y;
+        const length = Math.hypot(dx, dy) || 1;
+
+        return {x: point.x + dx / length * radius * 2, y: point.y + dy / length * radius * 2};
+    }
+    #flicker (light, time) {
+        if (!light.flicker) return {intensity: light.intensity, radius: light.radius};
+
+        // Two sines of different speeds, so the flicker does not look regular
+        const phase = time / 1000 * light.flickerSpeed * Math.PI * 2 + light.seed;
+        const noise = 0.5 + 0.25 * Math.sin(phase) + 0.25 * Math.sin(phase * 2.3 + light.seed);
+        const amount = Math.max(0, Math.min(1, light.flicker)) * noise;
+
+        return {intensity: light.intensity * (1 - amount), radius: light.radius * (1 - amount * 0.1)};
+    }
+    #prune () {
+        // Lights of killed entities are removed with them
+        for (const [id, light] of this.lights) {
+            if (light.entity && typeof light.entity === 'object' && !light.entity.engine)
+                this.lights.delete(id);
+        }
+    }
+    #rgba (color, alpha) {
+        let rgb = this.#colors.get(color);
+        if (!rgb) {
+            const {ctx} = this.#canvas('color', 1, 1);
+            ctx.fillStyle = color;
+            rgb = this.#parseColor(ctx.fillStyle) ?? this.#parseColor(color) ?? {r: 255, g: 255, b: 255, a: 1};
+            this.#colors.set(color, rgb);
+        }
+        return `rgba(${rgb.r}, ${rgb.g}, ${rgb.b}, ${Math.max(0, Math.min(1, alpha * rgb.a))})`;
+    }
+    #parseColor (color) {
+        // Canvases normalize colors to #rrggbb, or to rgba() when they are transparent
+        const hex = this.engine.hexToRgb(color);
+        if (hex) return {...hex, a: 1};
+
+        const rgb = RGB.exec(color);
+        if (!rgb) return null;
+
+        const alpha = rgb[4] === undefined ? 1 : parseFloat(rgb[4]) / (rgb[5] ? 100 : 1);
+        return {r: Math.round(+rgb[1]), g: Math.round(+rgb[2]), b: Math.round(+rgb[3]), a: alpha};
+    }
+    #canvas (key, width, height) {
+        let buffer = this.#canvases.get(key);
+        if (!buffer || buffer.canvas.width !== width || buffer.canvas.height !== height) {
+            const canvas = this.engine._createCanvas(width, height);
+            buffer = {canvas, ctx: canvas.getContext('2d')};
+            this.#canvases.set(key, buffer);
+        }
+        return buffer;
+    }
+    /** ======== END ======== */
+
+}
+
+export default Lighting;
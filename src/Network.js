@@ -0,0 +1,620 @@
+/**
+ * Copyright (c) 2025 Pixalo
+ * @Repository: https://github.com/pixalo
+ * @License: MIT
+ */
+import Camera from './Camera.js';
+import Entity from './Entity.js';
+
+const PROTOCOL_VERSION   = 1;
+const MAX_PENDING_INPUTS = 256;
+
+class Network {
+
+    #accumulator = 0;
+    #sequence = 0;
+
+    constructor (engine, config = {}) {
+        this.engine = engine;
+
+        this.config = {
+            sendRate: config.sendRate || 20,
+            interpolationDelay: config.interpolationDelay ?? 100,
+            interest: config.interest ?? true
+        };
+
+        this.role = null;
+        this.id   = null;
+        this.tick = 0;
+        this.connected = false;
+        this.transport = null;
+
+        this.peers      = new Map(); // Host: connected clients
+        this.replicated = new Map(); // Host: replicated entities and their rules
+        this.remotes    = new Map(); // Client: entities received from the host
+        this.pending    = [];        // Client: inputs the host has not acknowledged yet
+    }
+
+    /** ======== CONNECTION ======== */
+    host (transport) {
+        this.#attach('host', transport);
+        this.id = 'host';
+        this.connected = true;
+
+        this.transport.peers.forEach((_, peerId) => this.#onOpen(peerId));
+        return this;
+    }
+    join (transport) {
+        // The id of the client is assigned by the welcome message of the host
+        this.#attach('client', transport);
+
+        this.transport.peers.forEach((_, peerId) => this.#onOpen(peerId));
+        return this;
+    }
+    disconnect () {
+        if (!this.transport) return this;
+
+        const transport = this.transport;
+        transport.onopen = transport.onmessage = transport.onclose = null;
+        transport.close();
+
+        const id = this.id;
+
+        this.transport = null;
+        this.role = null;
+        this.id   = null;
+        this.connected = false;
+        this.peers.clear();
+        this.remotes.clear();
+        this.pending = [];
+        this.#accumulator = 0;
+
+        this.engine.trigger('networkDisconnect', id);
+        return this;
+    }
+    isHost () {
+        return this.role === 'host';
+    }
+    isClient () {
+        return this.role === 'client';
+    }
+    getPeers () {
+        return [...this.peers.keys()];
+    }
+    send (name, data = null, peerId = null) {
+        if (!this.transport)
+            throw new Error('The network is not connected');
+
+        this.transport.send({type: 'message', name, data}, peerId);
+        return this;
+    }
+    #attach (role, transport) {
+        if (!(transport instanceof Transport))
+            throw new Error('Invalid network transport');
+
+        if (this.transport) this.disconnect();
+
+        this.role = role;
+        this.transport = transport;
+
+        transport.onopen    = peerId => this.#onOpen(peerId);
+        transport.onmessage = (message, peerId) => this.#onMessage(message, peerId);
+        transport.onclose   = peerId => this.#onClose(peerId);
+    }
+    #onOpen (peerId) {
+        if (this.peers.has(peerId)) return;
+
+        if (this.role === 'client') {
+            this.peers.set(peerId, {id: peerId});
+            return;
+        }
+
+        this.peers.set(peerId, {
+            id: peerId,
+            known: new Set(),
+            acks: new Map(),
+            camera: null
+        });
+        this.transport.send({type: 'welcome', id: peerId, version: PROTOCOL_VERSION}, peerId);
+
+        this.engine.trigger('networkConnect', peerId);
+    }
+    #onMessage (message, peerId) {
+        switch (message.type) {
+            case 'welcome':
+                if (this.role !== 'client') return;
+                if (message.version !== PROTOCOL_VERSION)
+                    this.engine.warn('The host uses another network protocol version');
+
+                this.id = message.id;
+                this.connected = true;
+                this.#sendView();
+                this.engine.trigger('networkConnect', this.id);
+                break;
+            case 'snapshot':
+                if (this.role === 'client') this.#applySnapshot(message);
+                break;
+            case 'input':
+                if (this.role === 'host') this.#applyInput(message, peerId);
+                break;
+            case 'view':
+                if (this.role === 'host') this.#setView(this.peers.get(peerId), message);
+                break;
+            case 'message':
+                this.engine.trigger('networkMessage', message.name, message.data, peerId);
+                break;
+        }
+    }
+    #onClose (peerId) {
+        if (!this.peers.delete(peerId)) return;
+
+        if (this.role === 'client')
+            this.connected = false;
+
+        this.engine.trigger('networkDisconnect', peerId);
+    }
+    /** ======== END ======== */
+
+    /** ======== REPLICATION ======== */
+    replicate (target, rules = {}) {
+        if (this.role === 'client')
+            throw new Error('Only the host can replicate entities');
+
+        const entity = this.#resolve(target);
+        this.replicated.set(entity.id, {entity, rules: this._normalizeRules(rules)});
+
+        return this;
+    }
+    unreplicate (target) {
+        this.replicated.delete(this.engine.isEntity(target) ? target.id : target);
+        return this;
+    }
+    isReplicated (target) {
+        const id = this.engine.isEntity(target) ? target.id : target;
+        return this.replicated.has(id) || this.remotes.has(id);
+    }
+    setOwner (target, peerId) {
+        const record = this.replicated.get(this.engine.isEntity(target) ? target.id : target);
+        if (!record)
+            throw new Error(`Entity (${target?.id ?? target}) is not replicated`);
+
+        record.rules.owner = peerId ?? null;
+        return this;
+    }
+    getOwner (target) {
+        const id = this.engine.isEntity(target) ? target.id : target;
+        return this.replicated.get(id)?.rules.owner ?? this.remotes.get(id)?.owner ?? null;
+    }
+    _normalizeRules (rules) {
+        if (rules.dataset !== undefined && !Array.isArray(rules.dataset))
+            throw new Error('Replication rule dataset must be an array of keys');
+
+        return {
+            position: rules.position ?? true,
+            rotation: rules.rotation ?? false,
+            dataset: rules.dataset || [],
+            interpolate: rules.interpolate ?? true,
+            owner: rules.owner ?? null,
+            interest: rules.interest ?? true,
+            spawn: rules.spawn ?? true
+        };
+    }
+    #resolve (target) {
+        const entity = this.engine.isEntity(target) ? target : this.engine.findDeep(target);
+        if (!entity)
+            throw new Error(`Entity (${target}) not found`);
+        return entity;
+    }
+    /** ======== END ======== */
+
+    /** ======== PREDICTION ======== */
+    sendInput (target, input = {}) {
+        const entity = this.#resolve(target);
+        const deltaTime = this.engine.deltaTime;
+
+        if (this.role === 'client') {
+            if (this.remotes.get(entity.id)?.owner !== this.id)
+                throw new Error(`Entity (${entity.id}) is not owned by this client`);
+
+            // The input is predicted now and replayed on top of every authoritative state until the host acknowledges it
+            const seq = ++this.#sequence;
+            this.pending.push({id: entity.id, seq, input, deltaTime});
+            if (this.pending.length > MAX_PENDING_INPUTS)
+                this.pending.shift();
+
+            this.transport.send({type: 'input', id: entity.id, seq, input, deltaTime});
+        }
+
+        this.engine.trigger('networkInput', entity, input, deltaTime, this.id);
+        return this;
+    }
+    #applyInput (message, peerId) {
+        const record = this.replicated.get(message.id);
+        const peer   = this.peers.get(peerId);
+
+        // Clients only control their own entities
+        if (!record || !peer || !record.entity.engine || record.rules.owner !== peerId) return;
+        if (!(message.seq > (peer.acks.get(message.id) ?? 0)) || !Number.isFinite(message.deltaTime)) return;
+
+        peer.acks.set(message.id, message.seq);
+        this.engine.trigger('networkInput', record.entity, message.input, message.deltaTime, peerId);
+    }
+    #reconcile (remote, state) {
+        if (state.ack !== undefined)
+            this.pending = this.pending.filter(input => input.id !== state.id || input.seq > state.ack);
+
+        this.#applyState(remote.entity, state);
+
+        for (const input of this.pending) {
+            if (input.id === state.id)
+                this.engine.trigger('networkInput', remote.entity, input.input, input.deltaTime, this.id);
+        }
+    }
+    /** ======== END ======== */
+
+    /** ======== SNAPSHOTS ======== */
+    #sendSnapshots () {
+        // Destroyed entities are no longer replicated
+        for (const [id, record] of this.replicated) {
+            if (!record.entity.engine) this.replicated.delete(id);
+        }
+
+        this.peers.forEach(peer => {
+            const entities = [];
+            const visible  = new Set();
+
+            for (const [id, {entity, rules}] of this.replicated) {
+                if (!this.#isRelevant(peer, entity, rules)) continue;
+
+                const state = this.#captureState(entity, rules);
+
+                // Entities that are new to the peer carry their rules and how to create them
+                if (!peer.known.has(id)) {
+                    const {position, rotation, dataset, interpolate} = rules;
+                    state.rules = {position, rotation, dataset, interpolate};
+                    if (rules.spawn) state.spawn = entity.serialize();
+                }
+
+                if (rules.owner === peer.id && peer.acks.has(id))
+                    state.ack = peer.acks.get(id);
+
+                visible.add(id);
+                entities.push(state);
+            }
+
+            const removed = [...peer.known].filter(id => !visible.has(id));
+            peer.known = visible;
+
+            this.transport.send({type: 'snapshot', tick: this.engine.tick, entities, removed}, peer.id);
+        });
+    }
+    #captureState (entity, rules) {
+        const state = {id: entity.id, owner: rules.owner};
+
+        if (rules.position) {
+            state.x = entity.x;
+            state.y = entity.y;
+        }
+
+        if (rules.rotation)
+            state.rotation = entity.styles.rotation || 0;
+
+        if (rules.dataset.length) {
+            state.data = {};
+            rules.dataset.forEach(key => state.data[key] = entity.data(key) ?? null);
+        }
+
+        return state;
+    }
+    #isRelevant (peer, entity, rules) {
+        if (!this.config.interest || !rules.interest || !peer.camera) return true;
+        if (rules.owner === peer.id) return true;
+
+        return peer.camera.inView(entity);
+    }
+    #setView (peer, view) {
+        if (!peer) return;
+
+        if (!peer.camera) {
+            // Camera.inView measures the view with the canvas size, the peer gets its own
+            const viewport = Object.create(this.engine);
+            peer.camera = new Camera(viewport, {
+                viewPadding: this.config.interest?.padding ?? this.engine.camera.config.viewPadding
+            });
+        }
+
+        peer.camera.engine.baseWidth  = Number(view.width)  || this.engine.baseWidth;
+        peer.camera.engine.baseHeight = Number(view.height) || this.engine.baseHeight;
+        peer.camera.x = Number(view.x) || 0;
+        peer.camera.y = Number(view.y) || 0;
+        peer.camera.zoom = Number(view.zoom) || 1;
+    }
+    #sendView () {
+        const camera = this.engine.camera;
+        this.transport.send({
+            type: 'view',
+            x: camera.x,
+            y: camera.y,
+            zoom: camera.zoom,
+            width : this.engine.baseWidth,
+            height: this.engine.baseHeight
+        });
+    }
+    #applySnapshot (snapshot) {
+        const engine = this.engine;
+        const now = engine.now();
+
+        this.tick = snapshot.tick ?? this.tick;
+
+        for (const state of snapshot.entities || []) {
+            let remote = this.remotes.get(state.id);
+
+            if (!remote?.entity.engine) {
+                let entity = engine.findDeep(state.id);
+                let spawned = false;
+
+                if (!entity && state.spawn) {
+                    entity = engine.append(Entity.deserialize(state.spawn, engine));
+                    spawned = true;
+                }
+
+                if (!entity) continue;
+
+                remote = {entity, spawned, owner: null, rules: state.rules || {interpolate: true}, buffer: []};
+                this.remotes.set(state.id, remote);
+
+                if (spawned) engine.trigger('networkSpawn', entity);
+            } else if (state.rules) {
+                remote.rules = state.rules;
+            }
+
+            remote.owner = state.owner ?? null;
+
+            for (const key in state.data || {})
+                remote.entity.data(key, state.data[key]);
+
+            if (remote.owner === this.id)
+                this.#reconcile(remote, state);
+            else if (remote.rules.interpolate)
+                remote.buffer.push({time: now, x: state.x, y: state.y, rotation: state.rotation});
+            else
+                this.#applyState(remote.entity, state);
+        }
+
+        for (const id of snapshot.removed || []) {
+            const remote = this.remotes.get(id);
+            if (!remote) continue;
+
+            this.remotes.delete(id);
+            this.pending = this.pending.filter(input => input.id !== id);
+
+            if (remote.spawned) {
+                remote.entity.kill();
+                engine.trigger('networkDespawn', id);
+            }
+        }
+
+        engine.trigger('networkSnapshot', snapshot);
+    }
+    #interpolate () {
+        // Remote entities are shown slightly in the past, between the two states around that time
+        const time = this.engine.now() - this.config.interpolationDelay;
+
+        this.remotes.forEach(remote => {
+            const buffer = remote.buffer;
+            if (remote.owner === this.id || !buffer.length) return;
+
+            while (buffer.length > 2 && buffer[1].time <= time)
+                buffer.shift();
+
+            const [from, to = from] = buffer;
+            const span  = to.time - from.time;
+            const alpha = span > 0 ? Math.min(Math.max((time - from.time) / span, 0), 1) : 1;
+            const lerp  = (a, b) => a === undefined ? b : a + (b - a) * alpha;
+
+            const state = {x: lerp(from.x, to.x), y: lerp(from.y, to.y)};
+            if (to.rotation !== undefined) {
+                // Rotate the short way around
+                const delta = ((to.rotation - (from.rotation ?? to.rotation)) % 360 + 540) % 360 - 180;
+                state.rotation = (from.rotation ?? to.rotation) + delta * alpha;
+            }
+
+            this.#applyState(remote.entity, state);
+        });
+    }
+    #applyState (entity, state) {
+        const props = {};
+
+        if (state.x !== undefined) props.x = state.x;
+        if (state.y !== undefined) props.y = state.y;
+        if (state.rotation !== undefined) props.rotation = state.rotation;
+
+        if (Object.keys(props).length) entity.style(props);
+    }
+    /** ======== END ======== */
+
+    /** ======== FRAMES ======== */
+    _update () {
+        if (!this.transport) return;
+
+        this.transport.poll(this.engine.now());
+
+        if (this.role === 'client')
+            this.#interpolate();
+    }
+    _lateUpdate (deltaTime) {
+        if (!this.transport || !this.connected) return;
+
+        const interval = 1000 / this.config.sendRate;
+        this.#accumulator += deltaTime;
+        if (this.#accumulator < interval) return;
+        this.#accumulator %= interval;
+
+        if (this.role === 'host')
+            this.#sendSnapshots();
+        else
+            this.#sendView();
+    }
+    /** ======== END ======== */
+
+}
+
+class Transport {
+
+    #peerCount = 0;
+
+    constructor () {
+        this.peers = new Map();
+
+        this.onopen    = null;
+        this.onmessage = null;
+        this.onclose   = null;
+    }
+
+    connect (connection, peerId = this._nextPeerId()) {
+        connection.addEventListener('message', event => this._receive(peerId, String(event.data)));
+        connection.addEventListener('close', () => this._close(peerId));
+
+        if (this._isOpen(connection))
+            this._open(peerId, connection);
+        else
+            connection.addEventListener('open', () => this._open(peerId, connection));
+
+        return peerId;
+    }
+    send (message, peerId = null) {
+        const text = JSON.stringify(message);
+
+        if (peerId !== null) {
+            const connection = this.peers.get(peerId);
+            if (connection) this._write(connection, text);
+            return this;
+        }
+
+        this.peers.forEach(connection => this._write(connection, text));
+        return this;
+    }
+    poll () {
+        return this;
+    }
+    close () {
+        for (const [peerId, connection] of [...this.peers]) {
+            this._disconnect(connection);
+            this._close(peerId);
+        }
+        return this;
+    }
+
+    _nextPeerId () {
+        return `peer-${++this.#peerCount}`;
+    }
+    _open (peerId, connection) {
+        this.peers.set(peerId, connection);
+        this.onopen?.(peerId);
+    }
+    _receive (peerId, text) {
+        let message;
+        try {
+            message = JSON.parse(text);
+        } catch (e) {
+            return; // Not a network message
+        }
+
+        if (message && typeof message.type === 'string')
+            this.onmessage?.(message, peerId);
+    }
+    _close (peerId) {
+        if (this.peers.delete(peerId))
+            this.onclose?.(peerId);
+    }
+    _isOpen () {
+        return true;
+    }
+    _write () {}
+    _disconnect () {}
+
+}
+
+class WebSocketTransport extends Transport {
+
+    // Clients pass the URL of the server, servers connect every accepted socket (e.g. of the ws package)
+    constructor (url = null, protocols = undefined) {
+        super();
+        if (url) this.connect(new WebSocket(url, protocols));
+    }
+
+    _isOpen (socket) {
+        return socket.readyState === 1;
+    }
+    _write (socket, text) {
+        if (socket.readyState === 1) socket.send(text);
+    }
+    _disconnect (socket) {
+        socket.close();
+    }
+
+}
+
+class WebRTCTransport extends Transport {
+
+    // The data channels are created by your signalling code, use ordered and reliable channels
+    constructor (channel = null) {
+        super();
+        if (channel) this.connect(channel);
+    }
+
+    _isOpen (channel) {
+        return channel.readyState === 'open';
+    }
+    _write (channel, text) {
+        if (channel.readyState === 'open') channel.send(text);
+    }
+    _disconnect (channel) {
+        channel.close();
+    }
+
+}
+
+class LoopbackTransport extends Transport {
+
+    #queue = [];
+    #time  = 0;
+
+    constructor (options = {}) {
+        super();
+        this.latency = options.latency || 0;
+    }
+
+    connect (transport) {
+        if (!(transport instanceof LoopbackTransport))
+            throw new Error('A loopback transport can only connect to another loopback transport');
+
+        const localId  = this._nextPeerId();
+        const remoteId = transport._nextPeerId();
+
+        this._open(localId, {transport, peerId: remoteId});
+        transport._open(remoteId, {transport: this, peerId: localId});
+
+        return localId;
+    }
+    poll (time = performance.now()) {
+        // Messages are delivered by the poll of the engine, so tests stay deterministic
+        this.#time = time;
+
+        const due = this.#queue.filter(message => message.time <= time);
+        this.#queue = this.#queue.filter(message => message.time > time);
+        due.forEach(message => this._receive(message.peerId, message.text));
+
+        return this;
+    }
+
+    _write (connection, text) {
+        connection.transport.#queue.push({peerId: connection.peerId, text, time: this.#time + this.latency});
+    }
+    _disconnect (connection) {
+        connection.transport._close(connection.peerId);
+    }
+
+}
+
+export {Network as default, Transport, WebSocketTransport, WebRTCTransport, LoopbackTransport};
@@ -0,0 +1,668 @@
+/**
+ * Copyright (c) 2025 Pixalo
+ * @Repository: https://github.com/pixalo/pixalo
+ * @License: MIT
+ */
+import Bezier from './Bezier.js';
+
+const SQRT2 = Math.SQRT2;
+
+const DIAGONAL_RULES = ['never', 'always', 'ifOneFree', 'ifBothFree'];
+
+const HEURISTICS = {
+    manhattan: (dx, dy) => dx + dy,
+    euclidean: (dx, dy) => Math.sqrt(dx * dx + dy * dy),
+    octile: (dx, dy) => Math.max(dx, dy) + (SQRT2 - 1) * Math.min(dx, dy),
+    chebyshev: (dx, dy) => Math.max(dx, dy)
+};
+
+class Pathfinding {
+
+    constructor (engine) {
+        this.engine = engine;
+        this.navGrid = null;
+    }
+
+    /** ======== NAVIGATION GRIDS ======== */
+    fromTileMap (options = {}) {
+        const tileMap = this.engine.tileMap;
+        const mapName = options.map ?? tileMap.activeMap;
+        const map = tileMap.maps.get(mapName);
+
+        if (!map)
+            throw new Error(`TileMap (${mapName}) not found`);
+
+        const layers = options.layers ?? [...map.layers.keys()];
+        const solid    = options.solid ?? Infinity;
+        const platform = options.platform ?? 1;
+
+        const build = () => {
+            let columns = 0, rows = 0;
+            for (const layer of layers) {
+                const grid = map.layers.get(layer);
+                if (!grid) throw new Error(`Layer (${layer}) not found in TileMap (${mapName})`);
+
+                rows = Math.max(rows, grid.length);
+                for (const row of grid) columns = Math.max(columns, row.length);
+            }
+
+            const navGrid = new NavGrid(columns, rows, {
+                cellWidth: map.tileBaseSize,
+                cellHeight: map.tileBaseSize,
+                diagonal: options.diagonal
+            });
+
+            for (let y = 0; y < rows; y++) {
+                for (let x = 0; x < columns; x++) {
+                    const tiles = [];
+                    for (const layer of layers) {
+                        const tile = map.layers.get(layer)[y]?.[x];
+                        if (tile) tiles.push({...tile, config: map.tiles.get(tile.symbol), layer});
+                    }
+
+                    // The most expensive tile of the cell wins, a solid tile blocks the cell on every layer
+                    let cost = 1;
+                    for (const tile of tiles) {
+                        const type = tile.config?.collision?.type;
+                        if (type === 'solid') cost = Math.max(cost, solid);
+                        else if (type === 'platform') cost = Math.max(cost, platform);
+                    }
+
+                    if (options.cost) cost = options.cost(tiles, x, y, cost);
+
+                    navGrid.setCost(x, y, cost);
+                }
+            }
+
+            return navGrid;
+        };
+
+        return this.#use(build);
+    }
+    fromGrid (options = {}) {
+        const grid = this.engine.grid;
+
+        let start = {x: 0, y: 0};
+        let columns = options.columns;
+        let rows = options.rows;
+
+        if (columns === undefined || rows === undefined) {
+            if (!grid.bounds)
+                throw new Error('fromGrid needs columns and rows, or Grid bounds');
+
+            start = grid.getGridCell(grid.bounds.x, grid.bounds.y);
+            columns ??= Math.ceil(grid.bounds.width / grid.width);
+            rows ??= Math.ceil(grid.bounds.height / grid.height);
+        }
+
+        const origin = grid.cellToWorld(start.x, start.y);
+
+        const build = () => {
+            const navGrid = new NavGrid(columns, rows, {
+                cellWidth: grid.width,
+                cellHeight: grid.height,
+                originX: origin.x,
+                originY: origin.y,
+                diagonal: options.diagonal
+            });
+
+            // The cost function gets the cell of the Grid, not the index in the navigation grid
+            if (options.cost) {
+                for (let y = 0; y < rows; y++)
+                    for (let x = 0; x < columns; x++)
+                        navGrid.setCost(x, y, options.cost(start.x + x, start.y + y));
+            }
+
+            return navGrid;
+        };
+
+        return this.#use(build);
+    }
+    #use (build) {
+        const navGrid = build();
+        navGrid._rebuild = build;
+        this.navGrid = navGrid;
+        return navGrid;
+    }
+    setNavGrid (navGrid) {
+        if (navGrid !== null && !(navGrid instanceof NavGrid))
+            throw new Error('navGrid must be a NavGrid or null');
+
+        this.navGrid = navGrid;
+        return this;
+    }
+    /** ======== END ======== */
+
+    /** ======== QUERIES ======== */
+    findPath (start, goal, options = {}) {
+        return this.#active(options).findPath(start, goal, options);
+    }
+    flowField (goals, options = {}) {
+        return this.#active(options).flowField(goals, options);
+    }
+    #active (options) {
+        const navGrid = options.navGrid ?? this.navGrid;
+        if (!navGrid)
+            throw new Error('No navigation grid, call fromTileMap() or fromGrid() first');
+        return navGrid;
+    }
+    /** ======== END ======== */
+
+    /** ======== PATHS ======== */
+    smoothPath (path, resolution = 8) {
+        if (!path || path.length < 3) return path ? [...path] : [];
+
+        // Catmull-Rom through the waypoints, converted to cubic Bezier segments
+        const points = [path[0]];
+        for (let i = 0; i < path.length - 1; i++) {
+            const p0 = path[i - 1] ?? path[i];
+            const p1 = path[i];
+            const p2 = path[i + 1];
+            const p3 = path[i + 2] ?? p2;
+
+            const c1 = {x: p1.x + (p2.x - p0.x) / 6, y: p1.y + (p2.y - p0.y) / 6};
+            const c2 = {x: p2.x - (p3.x - p1.x) / 6, y: p2.y - (p3.y - p1.y) / 6};
+
+            for (let step = 1; step <= resolution; step++)
+                points.push(Bezier.getPoint(p1, c1, c2, p2, step / resolution));
+        }
+
+        return points;
+    }
+    pathLength (path) {
+        let length = 0;
+        for (let i = 1; i < (path?.length ?? 0); i++)
+            length += Math.hypot(path[i].x - path[i - 1].x, path[i].y - path[i - 1].y);
+        return length;
+    }
+    /** ======== END ======== */
+
+}
+
+class NavGrid {
+
+    constructor (columns, rows, options = {}) {
+        if (!(columns > 0) || !(rows > 0))
+            throw new Error('NavGrid columns and rows must be positive numbers');
+
+        const diagonal = options.diagonal ?? 'ifBothFree';
+        if (!DIAGONAL_RULES.includes(diagonal))
+            throw new Error(`Invalid diagonal rule (${diagonal}), use one of: ${DIAGONAL_RULES.join(', ')}`);
+
+        this.columns = columns;
+        this.rows = rows;
+        this.cellWidth = options.cellWidth ?? 32;
+        this.cellHeight = options.cellHeight ?? this.cellWidth;
+        this.originX = options.originX ?? 0;
+        this.originY = options.originY ?? 0;
+        this.diagonal = diagonal;
+
+        // Cost of entering a cell, Infinity blocks it
+        this.costs = new Float32Array(columns * rows).fill(1);
+
+        this._rebuild = null;
+    }
+
+    /** ======== CELLS ======== */
+    inBounds (x, y) {
+        return x >= 0 && y >= 0 && x < this.columns && y < this.rows;
+    }
+    getCost (x, y) {
+        return this.inBounds(x, y) ? this.costs[y * this.columns + x] : Infinity;
+    }
+    setCost (x, y, cost) {
+        if (!this.inBounds(x, y)) return this;
+
+        if (cost === true) cost = 1;
+        else if (cost === false || cost === null || cost === undefined) cost = Infinity;
+        else if (!(cost > 0)) throw new Error(`Cell cost must be a positive number, got ${cost}`);
+
+        this.costs[y * this.columns + x] = cost;
+        return this;
+    }
+    isWalkable (x, y) {
+        return this.getCost(x, y) !== Infinity;
+    }
+    setWalkable (x, y, walkable = true) {
+        return this.setCost(x, y, walkable ? 1 : Infinity);
+    }
+    refresh () {
+        // Rebuilds the costs from the TileMap or Grid the navigation grid was created from
+        if (!this._rebuild) return this;
+
+        const {columns, rows, costs} = this._rebuild();
+        Object.assign(this, {columns, rows, costs});
+        return this;
+    }
+    worldToCell (x, y) {
+        return {
+            x: Math.floor((x - this.originX) / this.cellWidth),
+            y: Math.floor((y - this.originY) / this.cellHeight)
+        };
+    }
+    cellToWorld (x, y) {
+        // Center of the cell
+        return {
+            x: this.originX + (x + 0.5) * this.cellWidth,
+            y: this.originY + (y + 0.5) * this.cellHeight
+        };
+    }
+    _toCell (point, cells) {
+        if (point?.absoluteX !== undefined)
+            return this.worldToCell(point.absoluteX + point.width / 2, point.absoluteY + point.height / 2);
+
+        if (cells) return {x: point.x, y: point.y};
+        return this.worldToCell(point.x, point.y);
+    }
+    _neighbors (x, y, diagonal = this.diagonal) {
+        const neighbors = [];
+
+        const up    = this.isWalkable(x, y - 1);
+        const right = this.isWalkable(x + 1, y);
+        const down  = this.isWalkable(x, y + 1);
+        const left  = this.isWalkable(x - 1, y);
+
+        if (up) neighbors.push([x, y - 1, 1]);
+        if (right) neighbors.push([x + 1, y, 1]);
+        if (down) neighbors.push([x, y + 1, 1]);
+        if (left) neighbors.push([x - 1, y, 1]);
+
+        if (diagonal === 'never') return neighbors;
+
+        const corners = [
+            [x - 1, y - 1, left, up],
+            [x + 1, y - 1, right, up],
+            [x + 1, y + 1, right, down],
+            [x - 1, y + 1, left, down]
+        ];
+
+        for (const [cx, cy, a, b] of corners) {
+            if (!this.isWalkable(cx, cy)) continue;
+            if (diagonal === 'ifBothFree' && !(a && b)) continue;
+            if (diagonal === 'ifOneFree' && !(a || b)) continue;
+            neighbors.push([cx, cy, SQRT2]);
+        }
+
+        return neighbors;
+    }
+    /** ======== END ======== */
+
+    /** ======== A* / JPS ======== */
+    findPath (start, goal, options = {}) {
+        const diagonal = options.diagonal ?? this.diagonal;
+        const algorithm = options.algorithm ?? 'astar';
+
+        if (!DIAGONAL_RULES.includes(diagonal))
+            throw new Error(`Invalid diagonal rule (${diagonal}), use one of: ${DIAGONAL_RULES.join(', ')}`);
+
+        if (algorithm === 'jps' && diagonal !== 'never' && diagonal !== 'ifBothFree')
+            throw new Error('Jump Point Search supports the "never" and "ifBothFree" diagonal rules');
+
+        if (algorithm !== 'astar' && algorithm !== 'jps')
+            throw new Error(`Unknown pathfinding algorithm (${algorithm})`);
+
+        const from = this._toCell(start, options.cells);
+        const to   = this._toCell(goal, options.cells);
+
+        if (!this.inBounds(from.x, from.y) || !this.isWalkable(to.x, to.y)) return null;
+
+        const heuristic = typeof options.heuristic === 'function'
+            ? options.heuristic
+            : HEURISTICS[options.heuristic ?? (diagonal === 'never' ? 'manhattan' : 'octile')];
+
+        if (!heuristic)
+            throw new Error(`Unknown heuristic (${options.heuristic})`);
+
+        const cells = algorithm === 'jps'
+            ? this.#search(from, to, heuristic, options.weight ?? 1, (x, y, parent) => this.#jumpSuccessors(x, y, parent, to, diagonal), true)
+            : this.#search(from, to, heuristic, options.weight ?? 1, (x, y) => this._neighbors(x, y, diagonal), false);
+
+        if (!cells) return null;
+        return options.cells ? cells : cells.map(cell => this.cellToWorld(cell.x, cell.y));
+    }
+    #search (from, to, heuristic, weight, successors, uniform) {
+        const size   = this.columns * this.rows;
+        const cost   = new Float64Array(size).fill(Infinity);
+        const parent = new Int32Array(size).fill(-1);
+        const closed = new Uint8Array(size);
+        const open   = new Heap();
+
+        const startIndex = from.y * this.columns + from.x;
+        const goalIndex  = to.y * this.columns + to.x;
+
+        cost[startIndex] = 0;
+        open.push(startIndex, 0);
+
+        while (open.size) {
+            const index = open.pop();
+            if (closed[index]) continue;
+            closed[index] = 1;
+
+            if (index === goalIndex) return this.#backtrack(parent, index);
+
+            const x = index % this.columns;
+            const y = (index - x) / this.columns;
+            const parentIndex = parent[index];
+            const parentCell = parentIndex < 0 ? null : {x: parentIndex % this.columns, y: Math.floor(parentIndex / this.columns)};
+
+            for (const [nx, ny, distance] of successors(x, y, parentCell)) {
+                const next = ny * this.columns + nx;
+                if (closed[next]) continue;
+
+                // Jump Point Search treats every walkable cell the same, A* pays the cost of the entered cell
+                const g = cost[index] + (uniform ? distance : distance * this.costs[next]);
+                if (g >= cost[next]) continue;
+
+                cost[next] = g;
+                parent[next] = index;
+                open.push(next, g + weight * heuristic(Math.abs(nx - to.x), Math.abs(ny - to.y)));
+            }
+        }
+
+        return null;
+    }
+    #backtrack (parent, index) {
+        const cells = [];
+        while (index >= 0) {
+            const x = index % this.columns;
+            cells.push({x, y: (index - x) / this.columns});
+            index = parent[index];
+        }
+        return cells.reverse();
+    }
+    #jumpSuccessors (x, y, parent, goal, diagonal) {
+        const successors = [];
+
+        for (const [nx, ny] of this.#prunedNeighbors(x, y, parent, diagonal)) {
+            const jump = diagonal === 'never'
+                ? this.#jumpStraight(nx, ny, x, y, goal)
+                : this.#jumpDiagonal(nx, ny, x, y, goal);
+
+            if (jump) successors.push([jump.x, jump.y, HEURISTICS.octile(Math.abs(jump.x - x), Math.abs(jump.y - y))]);
+        }
+
+        return successors;
+    }
+    #prunedNeighbors (x, y, parent, diagonal) {
+        if (!parent)
+            return this._neighbors(x, y, diagonal);
+
+        const walkable = (cx, cy) => this.isWalkable(cx, cy);
+        const dx = Math.sign(x - parent.x);
+        const dy = Math.sign(y - parent.y);
+        const neighbors = [];
+
+        if (diagonal === 'never') {
+            if (dx !== 0) {
+                if (walkable(x, y - 1)) neighbors.push([x, y - 1]);
+                if (walkable(x, y + 1)) neighbors.push([x, y + 1]);
+                if (walkable(x + dx, y)) neighbors.push([x + dx, y]);
+            } else {
+                if (walkable(x - 1, y)) neighbors.push([x - 1, y]);
+                if (walkable(x + 1, y)) neighbors.push([x + 1, y]);
+                if (walkable(x, y + dy)) neighbors.push([x, y + dy]);
+            }
+            return neighbors;
+        }
+
+        if (dx !== 0 && dy !== 0) {
+            const vertical = walkable(x, y + dy);
+            const horizontal = walkable(x + dx, y);
+            if (vertical) neighbors.push([x, y + dy]);
+            if (horizontal) neighbors.push([x + dx, y]);
+            if (vertical && horizontal && walkable(x + dx, y + dy)) neighbors.push([x + dx, y + dy]);
+        } else if (dx !== 0) {
+            const next = walkable(x + dx, y);
+            const top = walkable(x, y - 1);
+            const bottom = walkable(x, y + 1);
+            if (next) {
+                neighbors.push([x + dx, y]);
+                if (top && walkable(x + dx, y - 1)) neighbors.push([x + dx, y - 1]);
+                if (bottom && walkable(x + dx, y + 1)) neighbors.push([x + dx, y + 1]);
+            }
+            if (top) neighbors.push([x, y - 1]);
+            if (bottom) neighbors.push([x, y + 1]);
+        } else {
+            const next = walkable(x, y + dy);
+            const left = walkable(x - 1, y);
+            const right = walkable(x + 1, y);
+            if (next) {
+                neighbors.push([x, y + dy]);
+                if (left && walkable(x - 1, y + dy)) neighbors.push([x - 1, y + dy]);
+                if (right && walkable(x + 1, y + dy)) neighbors.push([x + 1, y + dy]);
+            }
+            if (left) neighbors.push([x - 1, y]);
+            if (right) neighbors.push([x + 1, y]);
+        }
+
+        return neighbors;
+    }
+    #jumpDiagonal (x, y, px, py, goal) {
+        const walkable = (cx, cy) => this.isWalkable(cx, cy);
+        const dx = x - px;
+        const dy = y - py;
+
+        // Walks in a loop, a long corridor would overflow the stack with recursion
+        while (walkable(x, y)) {
+            if (x === goal.x && y === goal.y) return {x, y};
+
+            if (dx !== 0 && dy !== 0) {
+                // A diagonal step stops where a straight jump finds something
+                if (this.#jumpDiagonal(x + dx, y, x, y, goal) || this.#jumpDiagonal(x, y + dy, x, y, goal))
+                    return {x, y};
+                if (!walkable(x + dx, y) || !walkable(x, y + dy)) return null;
+            } else if (dx !== 0) {
+                if ((walkable(x, y - 1) && !walkable(x - dx, y - 1)) ||
+                    (walkable(x, y + 1) && !walkable(x - dx, y + 1)))
+                    return {x, y};
+            } else if ((walkable(x - 1, y) && !walkable(x - 1, y - dy)) ||
+                (walkable(x + 1, y) && !walkable(x + 1, y - dy))) {
+                return {x, y};
+            }
+
+            x += dx;
+            y += dy;
+        }
+
+        return null;
+    }
+    #jumpStraight (x, y, px, py, goal) {
+        const walkable = (cx, cy) => this.isWalkable(cx, cy);
+        const dx = x - px;
+        const dy = y - py;
+
+        while (walkable(x, y)) {
+            if (x === goal.x && y === goal.y) return {x, y};
+
+            if (dx !== 0) {
+                if ((walkable(x, y - 1) && !walkable(x - dx, y - 1)) ||
+                    (walkable(x, y + 1) && !walkable(x - dx, y + 1)))
+                    return {x, y};
+            } else {
+                if ((walkable(x - 1, y) && !walkable(x - 1, y - dy)) ||
+                    (walkable(x + 1, y) && !walkable(x + 1, y - dy)))
+                    return {x, y};
+
+                // A vertical step stops where a horizontal jump finds something
+                if (this.#jumpStraight(x + 1, y, x, y, goal) || this.#jumpStraight(x - 1, y, x, y, goal))
+                    return {x, y};
+            }
+
+            x += dx;
+            y += dy;
+        }
+
+        return null;
+    }
+    /** ======== END ======== */
+
+    /** ======== FLOW FIELDS ======== */
+    flowField (goals, options = {}) {
+        const diagonal = options.diagonal ?? this.diagonal;
+        if (!DIAGONAL_RULES.includes(diagonal))
+            throw new Error(`Invalid diagonal rule (${diagonal}), use one of: ${DIAGONAL_RULES.join(', ')}`);
+
+        goals = Array.isArray(goals) ? goals : [goals];
+
+        const size = this.columns * this.rows;
+        const distances = new Float64Array(size).fill(Infinity);
+        const open = new Heap();
+
+        for (const goal of goals) {
+            const cell = this._toCell(goal, options.cells);
+            if (!this.isWalkable(cell.x, cell.y)) continue;
+
+            const index = cell.y * this.columns + cell.x;
+            distances[index] = 0;
+            open.push(index, 0);
+        }
+
+        // Dijkstra from every goal at once, costs are paid when entering a cell towards the goal
+        while (open.size) {
+            const {index, priority} = open.popEntry();
+            if (priority > distances[index]) continue;
+
+            const x = index % this.columns;
+            const y = (index - x) / this.columns;
+
+            for (const [nx, ny, distance] of this._neighbors(x, y, diagonal)) {
+                const next = ny * this.columns + nx;
+                const d = distances[index] + distance * this.costs[index];
+                if (d >= distances[next]) continue;
+
+                distances[next] = d;
+                open.push(next, d);
+            }
+        }
+
+        return new FlowField(this, distances, diagonal, options.maxDistance ?? Infinity);
+    }
+    /** ======== END ======== */
+
+}
+
+class FlowField {
+
+    constructor (navGrid, distances, diagonal, maxDistance = Infinity) {
+        this.navGrid = navGrid;
+        this.distances = distances;
+        this.diagonal = diagonal;
+        this.maxDistance = maxDistance;
+
+        // Index of the next cell towards the closest goal, -1 at the goals and unreachable cells
+        this.next = new Int32Array(distances.length).fill(-1);
+        this.#build();
+    }
+
+    #build () {
+        const {columns} = this.navGrid;
+
+        for (let index = 0; index < this.distances.length; index++) {
+            const distance = this.distances[index];
+            if (distance === 0 || distance === Infinity || distance > this.maxDistance) continue;
+
+            const x = index % columns;
+            const y = (index - x) / columns;
+
+            // Same step costs as the search, the cheapest step is not always the closest neighbor
+            let best = Infinity;
+            for (const [nx, ny, step] of this.navGrid._neighbors(x, y, this.diagonal)) {
+                const next = ny * columns + nx;
+                const total = this.distances[next] + step * this.navGrid.costs[next];
+                if (total < best) {
+                    best = total;
+                    this.next[index] = next;
+                }
+            }
+        }
+    }
+    getDirection (point, cells = false) {
+        const {x, y} = this.navGrid._toCell(point, cells);
+        if (!this.navGrid.inBounds(x, y)) return {x: 0, y: 0};
+
+        const next = this.next[y * this.navGrid.columns + x];
+        if (next < 0) return {x: 0, y: 0};
+
+        const nx = next % this.navGrid.columns;
+        const ny = (next - nx) / this.navGrid.columns;
+        const length = Math.hypot(nx - x, ny - y);
+
+        return {x: (nx - x) / length, y: (ny - y) / length};
+    }
+    getDistance (point, cells = false) {
+        const {x, y} = this.navGrid._toCell(point, cells);
+        if (!this.navGrid.inBounds(x, y)) return Infinity;
+
+        const distance = this.distances[y * this.navGrid.columns + x];
+        return distance > this.maxDistance ? Infinity : distance;
+    }
+    getPath (start, cells = false) {
+        // Follows the field from a cell to the closest goal
+        const {x, y} = this.navGrid._toCell(start, cells);
+        if (!this.navGrid.inBounds(x, y)) return null;
+
+        const {columns} = this.navGrid;
+        let index = y * columns + x;
+        if (this.getDistance({x, y}, true) === Infinity) return null;
+
+        const path = [];
+        while (index >= 0) {
+            const cx = index % columns;
+            const cy = (index - cx) / columns;
+            path.push(cells ? {x: cx, y: cy} : this.navGrid.cellToWorld(cx, cy));
+            index = this.next[index];
+        }
+
+        return path;
+    }
+
+}
+
+class Heap {
+
+    constructor () {
+        this.items = [];
+        this.size = 0;
+    }
+
+    push (index, priority) {
+        const items = this.items;
+        let i = this.size++;
+        items[i] = {index, priority};
+
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (items[parent].priority <= priority) break;
+            [items[i], items[parent]] = [items[parent], items[i]];
+            i = parent;
+        }
+    }
+    pop () {
+        return this.popEntry().index;
+    }
+    popEntry () {
+        const items = this.items;
+        const top = items[0];
+        const last = items[--this.size];
+        items.length = this.size;
+
+        if (this.size) {
+            items[0] = last;
+            let i = 0;
+            for (;;) {
+                const left = i * 2 + 1, right = left + 1;
+                let smallest = i;
+                if (left < this.size && items[left].priority < items[smallest].priority) smallest = left;
+                if (right < this.size && items[right].priority < items[smallest].priority) smallest = right;
+                if (smallest === i) break;
+                [items[i], items[smallest]] = [items[smallest], items[i]];
+                i = smallest;
+            }
+        }
+
+        return top;
+    }
+
+}
+
+export {Pathfinding as default, NavGrid, FlowField};
@@ -318,13 +318,7 @@ class Physics {
         fixtureDef.friction = props.friction ?? this.config.friction;
         fixtureDef.restitution = props.restitution ?? this.config.restitution;
 
-        // collision filter
-        const filter = new Box2D.Dynamics.b2FilterData();
-        const c_filter = props.collision, m_filter = mat.filter;
-        filter.categoryBits = c_filter?.categoryBits ?? m_filter?.categoryBits ?? 0x0001;
-        filter.maskBits = c_filter?.maskBits ?? m_filter?.maskBits ?? 0xFFFF;
-        filter.groupIndex = c_filter?.groupIndex ?? m_filter?.groupIndex ?? 0;
-        fixtureDef.filter = filter;
+        fixtureDef.filter = this._createFilter(entity, props, mat);
 
         body.CreateFixture(fixtureDef);
 
@@ -340,20 +334,50 @@ class Physics {
 
         return body;
     }
+    updateFilter (entity) {
+        const body = this.bodies.get(this._getEntityId(entity));
+        if (!body) return this;
+
+        entity = body.GetUserData();
+        const config = typeof entity.physics === 'object' && entity.physics !== null ? entity.physics : {};
+        const mat = this.materials.get(config.material) || {};
+
+        for (let fixture = body.GetFixtureList(); fixture; fixture = fixture.GetNext())
+            fixture.SetFilterData(this._createFilter(entity, {...mat, ...config}, mat));
+
+        return this;
+    }
+    _createFilter (entity, props, mat) {
+        const filter = new Box2D.Dynamics.b2FilterData();
+        const c_filter = props.collision, m_filter = mat.filter;
+
+        // Collision layers win over the material, the bits of the physics config win over both
+        const hasLayer = (entity.collision?.category ?? 'default') !== 'default' || entity.collision?.mask != null;
+        const l_filter = hasLayer ? this.engine.collision?.getFilter(entity) : null;
+
+        filter.categoryBits = c_filter?.categoryBits ?? l_filter?.categoryBits ?? m_filter?.categoryBits ?? 0x0001;
+        filter.maskBits = c_filter?.maskBits ?? l_filter?.maskBits ?? m_filter?.maskBits ?? 0xFFFF;
+        filter.groupIndex = c_filter?.groupIndex ?? m_filter?.groupIndex ?? 0;
+
+        return filter;
+    }
     removeEntity (entity) {
         const body = this.bodies.get(entity.id);
-        if (body) {
-            Promise.resolve().then(() => {
-                body.SetActive(false);
-                body.SetUserData(null);
+        if (body)
+            Promise.resolve().then(() => this._destroyBody(entity.id, body));
+        return this;
+    }
+    _destroyBody (id, body = this.bodies.get(id)) {
+        // Skip bodies that are already gone or were replaced under the same id
+        if (!body || this.bodies.get(id) !== body) return this;
 
-                this.world.DestroyBody(body);
-                this.bodies.delete(entity.id);
-                this.velocities.delete(entity.id);
-                this.activeContacts.delete(entity.id);
-                this.bodies.delete(entity.id);
-            });
-        }
+        body.SetActive(false);
+        body.SetUserData(null);
+
+        this.world.DestroyBody(body);
+        this.bodies.delete(id);
+        this.velocities.delete(id);
+        this.activeContacts.delete(id);
         return this;
     }
     moveEntity (options, y = 0, duration = 0, easing = 'linear') {
@@ -421,9 +445,8 @@ class Physics {
             }
 
             /* ---------- animated move ---------- */
-            let startTime = performance.now();
-            let pausedAt = 0;
-            let totalPause = 0;
+            /* ---------- engine clock, it stops while the engine is paused ---------- */
+            const startTime = this.engine.frameTime;
 
             const deltaX = target.x - startPos.x;
             const deltaY = target.y - startPos.y;
@@ -434,21 +457,7 @@ class Physics {
                     : (this.engine.Ease?.[config.easing] || this.engine.Ease.linear);
 
             const animate = (now) => {
-                /* ---- engine paused -> record pause start ---- */
-                if (!this.engine.running) {
-                    if (pausedAt === 0) pausedAt = now;
-                    requestAnimationFrame(animate);
-                    return;
-                }
-
-                /* ---- just resumed -> update total paused time ---- */
-                if (pausedAt !== 0) {
-                    totalPause += now - pausedAt;
-                    pausedAt = 0;
-                }
-
-                const adjustedNow = now - totalPause;
-                const elapsed = adjustedNow - startTime;
+                const elapsed = now - startTime;
 
                 /* ---- final frame ---- */
                 if (elapsed >= config.duration) {
@@ -479,10 +488,10 @@ class Physics {
                 config.onUpdate?.(entity, eased);
 
                 /* ---- keep looping ---- */
-                requestAnimationFrame(animate);
+                this.engine.requestFrame(animate);
             };
 
-            requestAnimationFrame(animate);
+            this.engine.requestFrame(animate);
             return this;
         } catch (err) {
             this.engine.warn('Error moving entity:', err);
@@ -1510,13 +1519,11 @@ class Physics {
             }
 
             // Continue monitoring
-            if (this.engine.running) {
-                requestAnimationFrame(monitor);
-            }
+            this.engine.requestFrame(monitor);
         };
 
         // Start monitoring
-        requestAnimationFrame(monitor);
+        this.engine.requestFrame(monitor);
         return this;
     }
     destroyJoint (jointId) {
@@ -2053,6 +2060,100 @@ class Physics {
     }
     /** ======== END DRAG & DROP ======== */
 
+    /** ======== SERIALIZE ======== */
+    serialize () {
+        const gravity = this.world.GetGravity();
+        const bodies = {};
+
+        for (const [entityId, body] of this.bodies) {
+            // Tile bodies are rebuilt by the TileMap, only world entities are stored
+            if (!this.engine.findDeep(entityId)) continue;
+
+            const position = body.GetPosition();
+            const velocity = body.GetLinearVelocity();
+
+            bodies[entityId] = {
+                type: this.getBodyType(entityId),
+                x: position.x * this.SCALE,
+                y: position.y * this.SCALE,
+                angle: body.GetAngle(),
+                velocity: {
+                    x: velocity.x * this.SCALE,
+                    y: velocity.y * this.SCALE
+                },
+                angularVelocity: body.GetAngularVelocity(),
+                awake: body.IsAwake()
+            };
+        }
+
+        const joints = [];
+        for (const [jointId, {entityA, entityB, type, config}] of this.getAllJoints()) {
+            joints.push({
+                id: jointId,
+                type,
+                entityA: entityA.id,
+                entityB: entityB.id,
+                config: JSON.parse(JSON.stringify(config))
+            });
+        }
+
+        return {
+            gravity: {
+                x: gravity.x * this.SCALE,
+                y: gravity.y * this.SCALE
+            },
+            bodies,
+            joints
+        };
+    }
+    deserialize (data = {}) {
+        if (data.gravity)
+            this.world.SetGravity(new Box2D.Common.Math.b2Vec2(
+                data.gravity.x / this.SCALE,
+                data.gravity.y / this.SCALE
+            ));
+
+        for (const [entityId, state] of Object.entries(data.bodies || {})) {
+            const body = this.bodies.get(entityId);
+            if (!body) {
+                this.engine.warn(`Physics body for entity (${entityId}) not found`);
+                continue;
+            }
+
+            if (state.type && state.type !== this.getBodyType(entityId))
+                this.setBodyType(entityId, state.type);
+
+            body.SetPositionAndAngle(
+                new Box2D.Common.Math.b2Vec2(state.x / this.SCALE, state.y / this.SCALE),
+                state.angle
+            );
+            this.setVelocity(entityId, state.velocity);
+            this.setAngularVelocity(entityId, state.angularVelocity);
+            this.velocities.set(entityId, {...state.velocity});
+            body.SetAwake(state.awake);
+        }
+
+        for (const {id, type, entityA, entityB, config} of data.joints || []) {
+            const a = this.engine.findDeep(entityA);
+            const b = this.engine.findDeep(entityB);
+            if (!a || !b) {
+                this.engine.warn(`Joint (${id}) entities not found`);
+                continue;
+            }
+
+            const jointId = this.joint(a, b, {...config, type});
+            if (!jointId) continue;
+
+            // Keep the original id so saved references stay valid
+            const jointData = this.joints.get(jointId);
+            this.joints.delete(jointId);
+            this.joints.set(id, jointData);
+        }
+
+        return this;
+    }
+    /** ======== END ======== */
+
     /** ======== RESET ======== */
     reset () {
         try {
@@ -16,9 +16,26 @@ import Physics      from './Physics.js';
 import TileMap      from './TileMap.js';
 import Emitters     from './Emitters.js';
 import AudioManager from './AudioManager.js';
+import Scenes       from './Scenes.js';
+import Input        from './Input.js';
+import Recorder     from './Recorder.js';
+import Network      from './Network.js';
+import Headless     from './Headless.js';
+import Timelines    from './Timelines.js';
+import Pathfinding  from './Pathfinding.js';
+import Controllers  from './Controllers.js';
+import TextInputs   from './TextInputs.js';
+import UI           from './UI.js';
+import Culling      from './Culling.js';
+import Layout       from './Layout.js';
+import PostProcessing from './PostProcessing.js';
+import Lighting     from './Lighting.js';
+import RichText     from './RichText.js';
 
 class Pixalo extends Utils {
 
+    #loopTimer = null;
+
     constructor (selector, config = {}) {
         super();
 
@@ -26,7 +43,9 @@ class Pixalo extends Utils {
         config.worker = typeof DedicatedWorkerGlobalScope !== 'undefined';
 
         if (typeof selector === 'string' || (typeof HTMLCanvasElement !== 'undefined' && selector instanceof HTMLCanvasElement)) {
-            this.canvas = Pixalo._handleCanvasSelector(selector, config?.appendTo || null);
+            // Headless engines do not touch the DOM, their canvas is created in #init
+            if (!(config.headless ?? typeof document === 'undefined'))
+                this.canvas = Pixalo._handleCanvasSelector(selector, config?.appendTo || null);
         } else if (typeof selector === 'object') {
             config = {...selector, ...config};
         } else {
@@ -36,8 +55,12 @@ class Pixalo extends Utils {
         this.eventListeners = new Map();
         this.assets  = new Map();
         this.timers  = new Map();
+        this.frames  = new Map();
         this.dataset = new Map();
 
+        // Clock of the frame callbacks, it only advances while the engine updates
+        this.frameTime = 0;
+
         this.#init(config);
     }
 
@@ -45,7 +68,19 @@ class Pixalo extends Utils {
         if (config?.worker && !run)
             return this.#setupWorker(config);
 
-        this._createWindow(config?.window);
+        this.headless = Boolean(config.headless ?? (typeof window === 'undefined' && !config.worker));
+        if (this.headless) {
+            const headless = typeof config.headless === 'object' ? config.headless : {};
+            this.canvas = Headless.createCanvas(headless, config.width, config.height);
+        }
+
+        this._createWindow(config?.window || (this.headless ? {
+            innerWidth : config.width  || this.canvas.width,
+            innerHeight: config.height || this.canvas.height,
+            outerWidth : config.width  || this.canvas.width,
+            outerHeight: config.height || this.canvas.height,
+            devicePixelRatio: 1
+        } : null));
 
         const context = {
             id: '2d',
@@ -60,6 +95,7 @@ class Pixalo extends Utils {
         this.config = {
             context,
             worker: config.worker || false,
+            headless: this.headless ? (typeof config.headless === 'object' ? config.headless : {}) : false,
             width : config.width  || (this.canvas.width || 0),
             height: config.height || (this.canvas.height || 0),
             fps: config.fps || 60,
@@ -67,10 +103,18 @@ class Pixalo extends Utils {
             quality: config.quality || this.window.devicePixelRatio,
             physics: config.physics || {},
             collision: config.collision || {children: false},
+            collisionLayers: config.collisionLayers || {},
             background: config.background || '#ffffff',
             resizeTarget: config.resizeTarget || false,
             autoResize: config.autoResize ?? true,
             autoStartStop: config.autoStartStop ?? true,
+            input: config.input || {},
+            fixedStep: config.fixedStep || false,
+            network: config.network || {},
+            culling: config.culling ?? true,
+            postProcessing: config.postProcessing || [],
+            lighting: config.lighting ?? {},
+            ui: config.ui ?? {},
         };
         this.baseWidth  = this.config.width;
         this.baseHeight = this.config.height;
@@ -89,6 +133,7 @@ class Pixalo extends Utils {
         });
 
         this.entities = new Map();
+        this.culling  = new Culling(this, this.config.culling);
 
         this.background = new Background(this);
         this.camera     = new Camera(this, config.camera);
@@ -100,16 +145,37 @@ class Pixalo extends Utils {
         this.physics = new Physics(this, config.physics);
 
         this.collisionEnabled = Boolean(config.collision);
-        this.collision = new Collision();
+        this.collision = new Collision(this, this.config.collision);
 
         this.tileMap  = new TileMap(this);
         this.emitters = new Emitters(this);
-        this.audio    = new AudioManager(this.config.worker);
+        this.audio    = new AudioManager(this.config.worker, this.headless);
+        this.input    = new Input(this, this.config.input);
+        this.recorder = new Recorder(this);
+        this.network  = new Network(this, this.config.network);
+        this.timelines = new Timelines(this);
+        this.pathfinding = new Pathfinding(this);
+        this.controllers = new Controllers(this);
+        // The main scene takes over the world of the subsystems above
+        this.scenes = new Scenes(this);
+        this.textInputs = new TextInputs(this);
+        this.ui = new UI(this, this.config.ui);
+        this.layout = new Layout(this);
+        this.postProcessing = new PostProcessing(this, this.config.postProcessing);
+        this.lighting = new Lighting(this, this.config.lighting);
 
         this.animations   = {};
         this.deltaTime    = 0;
         this.maxDeltaTime = Math.max(1000 / this.config.fps, 16.67);
 
+        this.fixedStep = null;
+        this.tick  = 0;
+        this.alpha = 1;
+        this._accumulator = 0;
+        this._simulationTime = 0;
+        if (this.config.fixedStep)
+            this.enableFixedStep(this.config.fixedStep === true ? {} : this.config.fixedStep);
+
         this._applyCanvasConfig();
 
         this.draggedEntity   = null;
@@ -142,6 +208,18 @@ class Pixalo extends Utils {
             devicePixelRatio
         };
     }
+    _createCanvas (width, height) {
+        // Offscreen canvases for caches, in the page, in a worker or without a DOM
+        if (this.headless)
+            return Headless.createCanvas({createCanvas: this.config.headless.createCanvas}, width, height);
+        if (typeof OffscreenCanvas !== 'undefined')
+            return new OffscreenCanvas(width, height);
+
+        const canvas = document.createElement('canvas');
+        canvas.width  = width;
+        canvas.height = height;
+        return canvas;
+    }
     _applyCanvasConfig () {
         const config = this.config;
         const canvas = this.canvas;
@@ -215,6 +293,8 @@ class Pixalo extends Utils {
     }
 
     _setupEventListeners () {
+        if (this.headless) return;
+
         if (typeof window === 'undefined' || typeof document === 'undefined') {
             if (this.config.worker) {
                 this.on('worker_msg', this._workerEventListeners);
@@ -244,64 +324,40 @@ class Pixalo extends Utils {
             this.trigger('visibility', isVisible);
         });
 
-        this.canvas.addEventListener('click', this._handleClick.bind(this));
-        this.canvas.addEventListener('contextmenu', this._handleRightClick.bind(this));
+        this.canvas.addEventListener('click', e => this._handleInput('click', e));
+        this.canvas.addEventListener('contextmenu', e => this._handleInput('contextmenu', e));
 
-        this.canvas.addEventListener('mousemove', this._handleMouseMove.bind(this));
-        this.canvas.addEventListener('mousedown', this._handleMouseDown.bind(this));
-        this.canvas.addEventListener('mouseup', this._handleMouseUp.bind(this));
-        this.canvas.addEventListener('touchstart', this._handleTouchStart.bind(this));
-        this.canvas.addEventListener('touchmove', this._handleTouchMove.bind(this));
-        this.canvas.addEventListener('touchend', this._handleTouchEnd.bind(this));
-        this.canvas.addEventListener('touchcancel', this._handleTouchCancel.bind(this));
-        this.canvas.addEventListener('wheel', this._handleWheel.bind(this), { passive: false });
+        this.canvas.addEventListener('mousemove', e => this._handleInput('mousemove', e));
+        this.canvas.addEventListener('mousedown', e => this._handleInput('mousedown', e));
+        this.canvas.addEventListener('mouseup', e => this._handleInput('mouseup', e));
+        this.canvas.addEventListener('touchstart', e => this._handleInput('touchstart', e));
+        this.canvas.addEventListener('touchmove', e => this._handleInput('touchmove', e));
+        this.canvas.addEventListener('touchend', e => this._handleInput('touchend', e));
+        this.canvas.addEventListener('touchcancel', e => this._handleInput('touchcancel', e));
+        this.canvas.addEventListener('wheel', e => this._handleInput('wheel', e), { passive: false });
 
-        this.canvas.addEventListener('keydown', this._handleKeyDown.bind(this));
-        this.canvas.addEventListener('keyup', this._handleKeyUp.bind(this));
+        this.canvas.addEventListener('keydown', e => this._handleInput('keydown', e));
+        this.canvas.addEventListener('keyup', e => this._handleInput('keyup', e));
     }
     _workerEventListeners (event) {
         const data = event.data;
 
         // Handle canvas events
         if (data?.action === 'canvas_event') {
-            switch (data.event.type) {
-                case 'click':
-                    this._handleClick(data.event);
-                    break;
-                case 'contextmenu':
-                    this._handleRightClick(data.event);
-                    break;
-                case 'keydown':
-                    this._handleKeyDown(data.event);
-                    break;
-                case 'keyup':
-                    this._handleKeyUp(data.event);
-                    break;
-                case 'mousemove':
-                    this._handleMouseMove(data.event);
-                    break;
-                case 'mousedown':
-                    this._handleMouseDown(data.event);
-                    break;
-                case 'mouseup':
-                    this._handleMouseUp(data.event);
-                    break;
-                case 'touchstart':
-                    this._handleTouchStart(data.event);
-                    break;
-                case 'touchmove':
-                    this._handleTouchMove(data.event);
-                    break;
-                case 'touchend':
-                    this._handleTouchEnd(data.event);
-                    break;
-                case 'touchcancel':
-                    this._handleTouchCancel(data.event);
-                    break;
-                case 'wheel':
-                    this._handleWheel(data.event);
-                    break;
-            }
+            this._handleInput(data.event.type, data.event);
+            return;
+        }
+
+        // Handle the hidden input of the focused text input
+        if (data?.action === 'text_input_event') {
+            this.textInputs._handleNative(data.event);
+            return;
+        }
+
+        // Handle gamepads state
+        if (data?.action === 'gamepad_state') {
+            if (this.recorder._capture('gamepads', data))
+                this.input._setGamepads(data.gamepads);
             return;
         }
 
@@ -456,7 +512,7 @@ class Pixalo extends Utils {
             callback,
             delay,
             repeat,
-            lastTime: performance.now(),
+            lastTime: this.now(),
             accumulated: 0,
             isRunning: true
         };
@@ -494,6 +550,24 @@ class Pixalo extends Utils {
     async delay (ms) {
         return new Promise(resolve => this.timeout(resolve, ms));
     }
+    requestFrame (callback) {
+        // Runs once in the next update, animations use it instead of requestAnimationFrame so step() drives them
+        const frameId = Symbol();
+        this.frames.set(frameId, callback);
+        return frameId;
+    }
+    cancelFrame (frameId) {
+        return this.frames.delete(frameId);
+    }
+    _runFrames (deltaTime) {
+        this.frameTime += deltaTime;
+
+        // Callbacks requested meanwhile wait for the next update, cancelled ones are skipped
+        for (const [frameId, callback] of [...this.frames]) {
+            if (this.frames.delete(frameId))
+                callback(this.frameTime);
+        }
+    }
     /** ======== END ======== */
 
     /** ======== DATA ======== */
@@ -595,31 +669,67 @@ class Pixalo extends Utils {
     /** ======== CONTROLS ======== */
     startLoop () {
         this.running = true;
-        requestAnimationFrame(this.loop.bind(this));
+        this.#requestLoop();
+    }
+    #requestLoop () {
+        // Headless engines have no requestAnimationFrame, their loop runs on a timer that stop() clears
+        if (this.headless)
+            this.#loopTimer = setTimeout(() => this.loop(performance.now()), 1000 / this.config.fps);
+        else
+            requestAnimationFrame(this.loop.bind(this));
     }
     loop (timestamp) {
         if (!this.running) return;
 
         const frameInterval = 1000 / this.config.fps; // Time interval between each frame
-        let deltaTime = timestamp - this.lastTime;
-        deltaTime = Math.min(deltaTime, this.maxDeltaTime);
+        const elapsed = timestamp - this.lastTime;
+        const deltaTime = Math.min(elapsed, this.maxDeltaTime);
 
         // Update FPS counter for every frame
         this.debugger._updateFPS(timestamp);
 
         // Execute frame only if enough time has passed
         if (deltaTime >= frameInterval) {
-            this.deltaTime = deltaTime;
             this.clear();
-            this.updateTimers(timestamp);
-            this.update(deltaTime);
+
+            if (this.recorder.replaying) {
+                // Replays run the recorded frames at their recorded deltaTime
+                this.recorder._replay(this.lastTime ? elapsed : frameInterval);
+            } else if (this.fixedStep) {
+                // The accumulator limits the catch-up itself, clamping here would slow the simulation down
+                this._fixedUpdate(this.lastTime ? elapsed : frameInterval);
+            } else {
+                this._variableUpdate(deltaTime, timestamp);
+            }
+
             this.render();
             this.lastTime = timestamp - (deltaTime % frameInterval); // Fine-tune the last frame time
         }
 
-        requestAnimationFrame(this.loop.bind(this));
+        this.#requestLoop();
+    }
+    step (deltaTime = this.fixedStep?.step ?? 1000 / this.config.fps, render = !this.headless) {
+        if (!(deltaTime > 0))
+            throw new Error('step deltaTime must be a positive number');
+
+        // Drives the engine manually, e.g. in tests or on a server, without requestAnimationFrame
+        if (this.recorder.replaying)
+            this.recorder._replay(deltaTime);
+        else if (this.fixedStep)
+            this._fixedUpdate(deltaTime);
+        else
+            this._variableUpdate(deltaTime, performance.now());
+
+        if (render) this.render();
+
+        return this;
     }
     update (deltaTime) {
+        this.recorder._update(deltaTime);
+        this.input.update();
+        this.network._update(deltaTime);
+        this.timelines.update(deltaTime);
+        this._runFrames(deltaTime);
         this.camera.update();
 
         this.background._updateLayers(deltaTime);
@@ -632,6 +742,11 @@ class Pixalo extends Utils {
                 entity.update(deltaTime);
         }
 
+        this.controllers.update(deltaTime);
+        this.ui.update(deltaTime);
+        this.layout.update();
+        this._applyVelocities(deltaTime);
+
         if (this.physicsEnabled)
             this.physics.update(deltaTime);
 
@@ -643,11 +758,135 @@ class Pixalo extends Utils {
         this.emitters.update(deltaTime);
 
         this.trigger('update', deltaTime);
+
+        this.network._lateUpdate(deltaTime);
+        this.recorder._lateUpdate();
+    }
+    _fixedUpdate (elapsed) {
+        const {step, maxSubSteps} = this.fixedStep;
+        this._accumulator += elapsed;
+
+        let steps = 0;
+        while (this._accumulator >= step && steps < maxSubSteps) {
+            this._tick(step);
+            this._accumulator -= step;
+            steps++;
+        }
+
+        // Drop the time that could not be simulated, the game slows down instead of spiralling
+        if (this._accumulator >= step)
+            this._accumulator %= step;
+
+        this.alpha = this._accumulator / step;
+    }
+    _variableUpdate (deltaTime, timestamp) {
+        this.deltaTime = deltaTime;
+
+        // Headless engines run their timers on the simulation clock
+        if (this.headless)
+            timestamp = this._simulationTime += deltaTime;
+
+        this.updateTimers(timestamp);
+        this.update(deltaTime);
+    }
+    _tick (step) {
+        this._savePreviousState();
+
+        this.deltaTime = step;
+        this._simulationTime += step;
+        this.updateTimers(this._simulationTime);
+        this.update(step);
+
+        this.tick++;
+    }
+    _savePreviousState () {
+        const save = entity => {
+            entity._previous = {
+                x: entity.absoluteX,
+                y: entity.absoluteY,
+                rotation: entity.styles.rotation
+            };
+            entity.children.forEach(save);
+        };
+        this.entities.forEach(save);
+    }
+    _applyVelocities (deltaTime) {
+        const dt = deltaTime / 1000;
+        const apply = entity => {
+            const velocity = entity.velocity;
+
+            // Box2D bodies and character controllers move themselves
+            if (velocity && (velocity.x || velocity.y) &&
+                !(this.physicsEnabled && entity.physics) && !this.controllers.has(entity))
+                entity.style({x: entity.x + velocity.x * dt, y: entity.y + velocity.y * dt});
+
+            entity.children.forEach(apply);
+        };
+        this.entities.forEach(apply);
+    }
+    _interpolate (apply) {
+        if (!this.fixedStep?.interpolate) return;
+
+        const alpha = this.alpha;
+        const lerp  = (from, to) => from + (to - from) * alpha;
+
+        const swap = entity => {
+            const previous = entity._previous;
+            if (previous && entity.styles.position !== 'fixed') {
+                const {absoluteX: x, absoluteY: y, styles: {rotation}} = entity;
+
+                if (apply) {
+                    entity._current = {x: entity.absoluteX, y: entity.absoluteY, rotation: entity.styles.rotation};
+                    entity.absoluteX = lerp(previous.x, entity.absoluteX);
+                    entity.absoluteY = lerp(previous.y, entity.absoluteY);
+                    entity.styles.rotation = lerp(previous.rotation, entity.styles.rotation);
+                } else if (entity._current) {
+                    entity.absoluteX = entity._current.x;
+                    entity.absoluteY = entity._current.y;
+                    entity.styles.rotation = entity._current.rotation;
+                    entity._current = null;
+                }
+
+                // Like a move with style(), the culling index and the bitmaps follow the drawn position
+                if (entity.absoluteX !== x || entity.absoluteY !== y || entity.styles.rotation !== rotation) {
+                    this.culling._invalidate(entity);
+                    entity.invalidateCache(entity.styles.rotation === rotation);
+                }
+            }
+            entity.children.forEach(swap);
+        };
+        this.entities.forEach(swap);
+
+        const camera = this.camera;
+        if (apply) {
+            camera._current = {x: camera.x, y: camera.y};
+            camera.x = lerp(camera._lastX, camera.x);
+            camera.y = lerp(camera._lastY, camera.y);
+        } else if (camera._current) {
+            camera.x = camera._current.x;
+            camera.y = camera._current.y;
+            camera._current = null;
+        }
     }
     render () {
+        this._interpolate(true);
         this.clear();
         this.ctx.save();
         this.ctx.scale(this.config.quality, this.config.quality);
+
+        // Scenes below an overlay scene are drawn first, each with its own camera
+        this.scenes._renderUnderlying(() => {
+            this.ctx.save();
+            this.camera.apply();
+            this.background._renderLayers(this.ctx, false);
+            if (this.tileMap.running)
+                this.tileMap._renderMap();
+            this.#renderEntities();
+            this.emitters.render(this.ctx);
+            this.background._renderLayers(this.ctx, true);
+            this.ctx.restore();
+        });
+
         this.camera.apply();
 
         this.trigger('beforeRender', this.ctx);
@@ -657,17 +896,7 @@ class Pixalo extends Utils {
         if (this.tileMap.running)
             this.tileMap._renderMap();
 
-        const sortedEntities = Array.from(this.entities.values()).sort(
-            (a, b) => a.zIndex - b.zIndex
-        );
-
-        sortedEntities.forEach(entity => {
-            if (typeof entity.render === 'function') {
-                this.ctx.save();
-                entity.render(this.ctx);
-                this.ctx.restore();
-            }
-        });
+        this.#renderEntities();
 
         this.trigger('render', this.ctx);
 
@@ -675,6 +904,11 @@ class Pixalo extends Utils {
 
         this.background._renderLayers(this.ctx, true);
 
+        this.lighting.render(this.ctx);
+
+        // The grid and the debugger are drawn on top of the effects
+        this.postProcessing.apply();
+
         if (this.gridEnabled)
             this.grid.render(this.ctx);
 
@@ -685,6 +919,18 @@ class Pixalo extends Utils {
         this.ctx.restore();
 
         this.debugger.renderPanel();
+
+        this._interpolate(false);
+    }
+    #renderEntities () {
+        // Sorted by zIndex, without the entities outside the camera view
+        this.culling.getVisible(this.entities).forEach(entity => {
+            if (typeof entity.render === 'function') {
+                this.ctx.save();
+                entity.render(this.ctx);
+                this.ctx.restore();
+            }
+        });
     }
 
     start () {
@@ -693,7 +939,7 @@ class Pixalo extends Utils {
 
         this.timers.forEach(timer => {
             timer.isRunning = true;
-            timer.lastTime = performance.now();
+            timer.lastTime = this.now();
         });
         this.audio.resumeAll();
         this.startLoop();
@@ -704,7 +950,9 @@ class Pixalo extends Utils {
     }
     stop () {
         this.running = false;
+        clearTimeout(this.#loopTimer);
         this.pressedKeys.clear();
+        this.input._releaseAll();
         this.timers.forEach(timer => {
             timer.isRunning = false;
         });
@@ -729,11 +977,15 @@ class Pixalo extends Utils {
         // Stop the engine first
         this.stop();
 
+        // Return to the root scene before clearing its world
+        this.scenes.reset();
+
         // Clear runtime data
         this.pressedKeys.clear();
         this.entities.clear();
         this.eventListeners.clear();
         this.timers.clear();
+        this.frames.clear();
         this.assets.clear();
 
         // Reset subsystems
@@ -742,8 +994,15 @@ class Pixalo extends Utils {
         this.camera.reset();
         this.background.clear();
         this.emitters.clear();
+        this.timelines.clear();
+        this.controllers.clear();
+        this.textInputs.clear();
+        this.ui.clear();
+        this.layout.clear();
+        this.culling.clear();
         this.physics.reset();
         this.tileMap.reset();
+        this.network.disconnect();
 
         // Reset state variables
         this.draggedEntity = null;
@@ -765,9 +1024,21 @@ class Pixalo extends Utils {
         this.camera = new Camera(this, this.config.camera);
         this.grid = new Grid(this, this.config.grid || {});
         this.physics = new Physics(this, this.config.physics);
-        this.collision = new Collision();
+        this.collision = new Collision(this, this.config.collision);
         this.tileMap = new TileMap(this);
         this.emitters = new Emitters(this);
+        this.input = new Input(this, this.config.input);
+        this.recorder = new Recorder(this);
+        this.network = new Network(this, this.config.network);
+        this.timelines = new Timelines(this);
+        this.pathfinding = new Pathfinding(this);
+        this.controllers = new Controllers(this);
+        this.scenes = new Scenes(this);
+        this.textInputs = new TextInputs(this);
+        this.ui = new UI(this, this.config.ui);
+        this.layout = new Layout(this);
+        this.postProcessing = new PostProcessing(this, this.config.postProcessing);
+        this.lighting = new Lighting(this, this.config.lighting);
 
         // Reset canvas and context
         this.clear();
@@ -780,6 +1051,39 @@ class Pixalo extends Utils {
     }
     /** ======== END ======== */
 
+    /** ======== FIXED STEP ======== */
+    enableFixedStep (config = {}) {
+        const rate = Number(config.rate) || 60;
+        if (rate <= 0)
+            throw new Error('fixedStep.rate must be a positive number');
+
+        // Timers keep running on the simulation clock
+        const now = this.now();
+        this.fixedStep = {
+            rate,
+            step: 1000 / rate,
+            maxSubSteps: config.maxSubSteps || 5,
+            interpolate: config.interpolate ?? true
+        };
+        this._accumulator = 0;
+        this._simulationTime = now;
+
+        return this;
+    }
+    disableFixedStep () {
+        this.fixedStep = null;
+        this.alpha = 1;
+
+        const now = this.now();
+        this.timers.forEach(timer => timer.lastTime = now);
+
+        return this;
+    }
+    now () {
+        return this.fixedStep || this.headless || this.recorder?.replaying ? this._simulationTime : performance.now();
+    }
+    /** ======== END ======== */
+
     /** ======== DEBUGGER ======== */
     enableDebugger () {
         return this.debugger.enableDebugger();
@@ -825,19 +1129,12 @@ class Pixalo extends Utils {
                 case 'image':
                 case 'tiles':
                     try {
-                        const response = await fetch(src);
-                        if (!response.ok) {
-                            throw new Error(`Failed to fetch image: ${response.statusText}`);
-                        }
-
-                        const blob = await response.blob();
-                        const bitmapOptions = {
+                        asset = await this.#loadImage('image', src, config, {
                             colorSpaceConversion: 'default',
                             imageOrientation: 'from-image',
                             premultiplyAlpha: 'default',
                             ...config.bitmap || {}
-                        };
-                        asset = await createImageBitmap(blob, bitmapOptions);
+                        });
 
                         if (type.toLowerCase() === 'tiles') {
                             if (!config.tileSize) {
@@ -877,13 +1174,7 @@ class Pixalo extends Utils {
                     break;
                 case 'spritesheet':
                     try {
-                        const response = await fetch(src);
-                        if (!response.ok) {
-                            throw new Error(`Failed to fetch spritesheet: ${response.statusText}`);
-                        }
-
-                        const blob = await response.blob();
-                        asset = await createImageBitmap(blob, config.bitmap || {});
+                        asset = await this.#loadImage('spritesheet', src, config, config.bitmap || {});
 
                         // Validation of essential parameters
                         const requiredParams = ['columns', 'rows', 'width', 'height'];
@@ -929,6 +1220,17 @@ class Pixalo extends Utils {
                         reject(new Error(`Failed to load spritesheet: ${error.message}`));
                     }
                     break;
+                case 'bmfont':
+                    try {
+                        // BMFont / AngelCode descriptor in the text or XML format, with its page images
+                        asset = await RichText.loadBMFont(src, config, url => this.#loadImage('bmfont', url, {}, config.bitmap || {}));
+
+                        this.assets.set(id, {id, asset, config, type});
+                        resolve({asset, config, type});
+                    } catch (error) {
+                        reject(new Error(`Failed to load bitmap font: ${error.message}`));
+                    }
+                    break;
                 case 'audio':
                     if (this.config.worker) {
                         this.audio.load(id, src, config);
@@ -959,6 +1261,26 @@ class Pixalo extends Utils {
         this.assets.clear();
         return this;
     }
+    async #loadImage (type, src, config, bitmapOptions) {
+        if (this.headless) {
+            // Images are not decoded unless a loader is plugged in, e.g. loadImage of node-canvas
+            const loadImage = this.config.headless.loadImage;
+            if (typeof loadImage === 'function')
+                return loadImage(src, config);
+
+            return Headless.createImage(
+                config.columns * config.width || 1,
+                config.rows * config.height || 1
+            );
+        }
+
+        const response = await fetch(src);
+        if (!response.ok)
+            throw new Error(`Failed to fetch ${type}: ${response.statusText}`);
+
+        const blob = await response.blob();
+        return createImageBitmap(blob, bitmapOptions);
+    }
     #applyAssetConfig (asset, config) {
         if (config.tileSize) return;
 
@@ -1002,6 +1324,8 @@ class Pixalo extends Utils {
         // Setup entity
         entity.engine = this;
         this.entities.set(entity.id, entity);
+        this.culling._invalidateOrder();
+        this.layout.invalidate();
         
         // Update position if method exists
         entity.updatePosition?.();
@@ -1094,6 +1418,11 @@ class Pixalo extends Utils {
         this.collisionEnabled = true;
         return this;
     }
+    setCollisionLayers (matrix) {
+        this.config.collisionLayers = matrix || {};
+        this.collision.setLayers(this.config.collisionLayers);
+        return this;
+    }
     checkCollision (entityA, entityB) {
         return this.collision.detectCollisionDetailed(entityA, entityB);
     }
@@ -1113,6 +1442,207 @@ class Pixalo extends Utils {
     }
     /** ======== END ======== */
 
+    /** ======== INPUT ======== */
+    bindAction (name, bindings, options = {}) {
+        this.input.bind(name, bindings, options);
+        return this;
+    }
+    unbindAction (name, binding) {
+        this.input.unbind(name, binding);
+        return this;
+    }
+    actionValue (name) {
+        return this.input.value(name);
+    }
+    isActionPressed (name) {
+        return this.input.isPressed(name);
+    }
+    isActionJustPressed (name) {
+        return this.input.isJustPressed(name);
+    }
+    isActionJustReleased (name) {
+        return this.input.isJustReleased(name);
+    }
+    /** ======== END ======== */
+
+    /** ======== RECORDER ======== */
+    startRecording (options = {}) {
+        this.recorder.start(options);
+        return this;
+    }
+    stopRecording () {
+        return this.recorder.stop();
+    }
+    async replay (recording, options = {}) {
+        await this.recorder.play(recording, options);
+        return this;
+    }
+    stopReplay () {
+        this.recorder.stopReplay();
+        return this;
+    }
+    /** ======== END ======== */
+
+    /** ======== NETWORK ======== */
+    replicate (entity, rules = {}) {
+        this.network.replicate(entity, rules);
+        return this;
+    }
+    unreplicate (entity) {
+        this.network.unreplicate(entity);
+        return this;
+    }
+    sendInput (entity, input = {}) {
+        this.network.sendInput(entity, input);
+        return this;
+    }
+    /** ======== END ======== */
+
+    /** ======== TIMELINES ======== */
+    timeline (options = {}) {
+        return this.timelines.create(options);
+    }
+    tween (targets, properties, options = {}) {
+        return this.timelines.create().to(targets, properties, options);
+    }
+    /** ======== END ======== */
+
+    /** ======== PATHFINDING ======== */
+    findPath (start, goal, options = {}) {
+        return this.pathfinding.findPath(start, goal, options);
+    }
+    flowField (goals, options = {}) {
+        return this.pathfinding.flowField(goals, options);
+    }
+    /** ======== END ======== */
+
+    /** ======== CONTROLLERS ======== */
+    characterController (entity, options = {}) {
+        return this.controllers.create(entity, options);
+    }
+    /** ======== END ======== */
+
+    /** ======== TEXT INPUTS ======== */
+    textInput (entity, options = {}) {
+        return this.textInputs.create(entity, options);
+    }
+    /** ======== END ======== */
+
+    /** ======== LIGHTING ======== */
+    addLight (id, options = {}) {
+        return this.lighting.add(id, options);
+    }
+    removeLight (id) {
+        this.lighting.remove(id);
+        return this;
+    }
+    getLight (id) {
+        return this.lighting.get(id);
+    }
+    /** ======== END ======== */
+
+    /** ======== POST PROCESSING ======== */
+    addPostEffect (type, options = {}) {
+        this.postProcessing.add(type, options);
+        return this;
+    }
+    removePostEffect (name) {
+        this.postProcessing.remove(name);
+        return this;
+    }
+    togglePostEffect (name, enabled) {
+        this.postProcessing.toggle(name, enabled);
+        return this;
+    }
+    getPostEffect (name) {
+        return this.postProcessing.get(name);
+    }
+    /** ======== END ======== */
+
+    /** ======== SCENES ======== */
+    createScene (name, config = {}) {
+        return this.scenes.create(name, config);
+    }
+    getScene (name) {
+        return this.scenes.get(name);
+    }
+    removeScene (name) {
+        return this.scenes.remove(name);
+    }
+    currentScene () {
+        return this.scenes.current();
+    }
+    pushScene (name, data = {}) {
+        this.scenes.push(name, data);
+        return this;
+    }
+    popScene (data = {}) {
+        this.scenes.pop(data);
+        return this;
+    }
+    replaceScene (name, data = {}) {
+        this.scenes.replace(name, data);
+        return this;
+    }
+    /** ======== END ======== */
+
+    /** ======== SERIALIZE ======== */
+    serialize () {
+        return {
+            version: 1,
+            entities: Array.from(this.entities.values(), entity => entity.serialize()),
+            dataset: JSON.parse(JSON.stringify(Object.fromEntries(this.dataset))),
+            camera: this.camera.serialize(),
+            background: this.background.serialize(),
+            tileMap: this.tileMap.serialize(),
+            physics: this.physicsEnabled ? this.physics.serialize() : null
+        };
+    }
+    async deserialize (data) {
+        if (typeof data === 'string')
+            data = JSON.parse(data);
+
+        if (!data || typeof data !== 'object' || !Array.isArray(data.entities))
+            throw new Error('Invalid world state');
+
+        // Clear the current world
+        if (this.physicsEnabled) {
+            this.physics.destroyAllJoints();
+
+            // Release the bodies now, the restored entities reuse their ids
+            const destroyBodies = entity => {
+                this.physics._destroyBody(entity.id);
+                entity.children.forEach(destroyBodies);
+            };
+            this.entities.forEach(destroyBodies);
+        }
+
+        for (const entity of [...this.entities.values()])
+            entity._destroy();
+
+        this.tileMap.reset();
+
+        this.dataset.clear();
+        for (const key in data.dataset || {})
+            this.dataset.set(key, data.dataset[key]);
+
+        for (const entityData of data.entities)
+            this.append(Entity.deserialize(entityData, this));
+
+        this.background.deserialize(data.background);
+        this.tileMap.deserialize(data.tileMap);
+
+        if (this.physicsEnabled && data.physics)
+            this.physics.deserialize(data.physics);
+
+        this.camera.deserialize(data.camera);
+
+        this.trigger('deserialize', data);
+
+        return this;
+    }
+    /** ======== END ======== */
+
     /** ======== EMITTERS ======== */
     createEmitter (id, config) {
         return this.emitters.create(id, config);
@@ -1136,6 +1666,9 @@ class Pixalo extends Utils {
         if (quality < 0 || quality > 1)
             return this.error('Quality must be between 0 and 1');
 
+        if (this.headless)
+            return this.error('Screenshots are not available in headless mode');
+
         if (this.config.worker) {
             return new Promise(resolve => {
                 this.workerSend({
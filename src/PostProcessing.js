@@ -0,0 +1,355 @@
+/**
+ * Copyright (c) 2025 Pixalo
+ * @Repository: https://github.com/pixalo
+ * @License: MIT
+ */
+
+// 4x5 color matrices, rows of [r, g, b, a, offset] with colors and offsets between 0 and 1
+const IDENTITY  = [1, 0, 0, 0, 0, 0, 1, 0, 0, 0, 0, 0, 1, 0, 0, 0, 0, 0, 1, 0];
+const LUMINANCE = [0.299, 0.587, 0.114];
+
+const PASSES = {
+    colorGrading: {
+        defaults: {brightness: 1, contrast: 1, saturation: 1, hue: 0, matrix: null, lut: null, intensity: 1},
+        apply (pass, ctx, width, height) {
+            let matrix = pass.matrix || IDENTITY;
+            if (pass.brightness !== 1) matrix = multiply(brightness(pass.brightness), matrix);
+            if (pass.contrast !== 1) matrix = multiply(contrast(pass.contrast), matrix);
+            if (pass.saturation !== 1) matrix = multiply(saturation(pass.saturation), matrix);
+            if (pass.hue) matrix = multiply(hueRotate(pass.hue), matrix);
+
+            const lut = pass.lut ? this._readLUT(pass.lut) : null;
+            this._pixels(ctx, width, height, data => applyColor(data, matrix, lut, pass.intensity));
+        }
+    },
+    grayscale: {
+        defaults: {amount: 1},
+        apply (pass, ctx, width, height) {
+            this._pixels(ctx, width, height, data => applyColor(data, saturation(1 - pass.amount), null, 1));
+        }
+    },
+    vignette: {
+        defaults: {strength: 0.6, radius: 0.5, softness: 0.5, color: '#000000'},
+        apply (pass, ctx, width, height) {
+            const maxRadius = Math.hypot(width, height) / 2;
+            const gradient  = ctx.createRadialGradient(
+                width / 2, height / 2, maxRadius * pass.radius,
+                width / 2, height / 2, maxRadius * (pass.radius + pass.softness)
+            );
+
+            gradient.addColorStop(0, transparent(ctx, pass.color));
+            gradient.addColorStop(1, pass.color);
+
+            ctx.globalAlpha = clamp(pass.strength);
+            ctx.fillStyle = gradient;
+            ctx.fillRect(0, 0, width, height);
+        }
+    },
+    scanlines: {
+        defaults: {intensity: 0.3, spacing: 3, thickness: 1, speed: 0, flicker: 0, color: '#000000'},
+        apply (pass, ctx, width, height, source, time) {
+            const quality = this.engine.config.quality || 1;
+            const spacing = Math.max(1, pass.spacing * quality);
+            const offset  = (pass.speed * time / 1000 * quality) % spacing;
+
+            ctx.globalAlpha = clamp(pass.intensity * (1 - pass.flicker * (0.5 + 0.5 * Math.sin(time / 16))));
+            ctx.fillStyle = pass.color;
+
+            for (let y = offset - spacing; y < height; y += spacing)
+                ctx.fillRect(0, y, width, pass.thickness * quality);
+        }
+    },
+    pixelate: {
+        defaults: {size: 4},
+        source: true, // Reads a copy of the frame
+        apply (pass, ctx, width, height, source) {
+            const size  = Math.max(1, pass.size * (this.engine.config.quality || 1));
+            const small = this._canvas('pixelate', Math.ceil(width / size), Math.ceil(height / size));
+
+            small.ctx.clearRect(0, 0, small.canvas.width, small.canvas.height);
+            small.ctx.drawImage(source, 0, 0, small.canvas.width, small.canvas.height);
+
+            ctx.imageSmoothingEnabled = false;
+            ctx.clearRect(0, 0, width, height);
+            ctx.drawImage(small.canvas, 0, 0, small.canvas.width * size, small.canvas.height * size);
+        }
+    },
+    chromaticAberration: {
+        defaults: {offset: 2, angle: 0},
+        apply (pass, ctx, width, height) {
+            const distance = pass.offset * (this.engine.config.quality || 1);
+            const angle = pass.angle * Math.PI / 180;
+            const dx = Math.round(Math.cos(angle) * distance);
+            const dy = Math.round(Math.sin(angle) * distance);
+            if (!dx && !dy) return;
+
+            // Red is shifted one way and blue the other, green stays
+            this._pixels(ctx, width, height, data => {
+                const source = data.slice();
+                for (let y = 0; y < height; y++) {
+                    for (let x = 0; x < width; x++) {
+                        const i = (y * width + x) * 4;
+                        const red  = (clampIndex(y + dy, height) * width + clampIndex(x + dx, width)) * 4;
+                        const blue = (clampIndex(y - dy, height) * width + clampIndex(x - dx, width)) * 4;
+                        data[i] = source[red];
+                        data[i + 2] = source[blue + 2];
+                    }
+                }
+            });
+        }
+    },
+    bloom: {
+        defaults: {threshold: 0.7, strength: 0.8, scale: 4, blur: 8},
+        source: true,
+        apply (pass, ctx, width, height, source) {
+            // The bright parts of a small copy of the frame, blurred and added to the frame
+            const scale = Math.max(1, pass.scale);
+            const small = this._canvas('bloom', Math.ceil(width / scale), Math.ceil(height / scale));
+            const {canvas: glow, ctx: glowCtx} = small;
+
+            glowCtx.clearRect(0, 0, glow.width, glow.height);
+            glowCtx.drawImage(source, 0, 0, glow.width, glow.height);
+
+            this._pixels(glowCtx, glow.width, glow.height, data => {
+                const threshold = clamp(pass.threshold);
+                for (let i = 0; i < data.length; i += 4) {
+                    const light = (data[i] * LUMINANCE[0] + data[i + 1] * LUMINANCE[1] + data[i + 2] * LUMINANCE[2]) / 255;
+                    const keep  = light > threshold ? (light - threshold) / (1 - threshold || 1) : 0;
+                    data[i] *= keep;
+                    data[i + 1] *= keep;
+                    data[i + 2] *= keep;
+                }
+            });
+
+            ctx.globalCompositeOperation = 'lighter';
+            ctx.globalAlpha = clamp(pass.strength);
+            ctx.filter = pass.blur > 0 ? `blur(${pass.blur * (this.engine.config.quality || 1)}px)` : 'none';
+            ctx.drawImage(glow, 0, 0, width, height);
+        }
+    }
+};
+
+class PostProcessing {
+
+    #canvases = new Map();
+    #luts = new WeakMap();
+
+    constructor (engine, passes = []) {
+        this.engine = engine;
+        this.passes = [];
+
+        (Array.isArray(passes) ? passes : []).forEach(pass => this.add(pass.type, pass));
+    }
+
+    /** ======== PASSES ======== */
+    add (type, options = {}) {
+        if (typeof type === 'object') [type, options] = [type.type, type];
+
+        const name = options.name ?? type;
+        const builtIn = PASSES[type];
+
+        if (!builtIn && typeof options.imageData !== 'function' && typeof options.composite !== 'function')
+            throw new Error(`Unknown post-processing pass: ${type}, custom passes need an imageData or composite function`);
+
+        if (this.has(name))
+            throw new Error(`Post-processing pass (${name}) already exists`);
+
+        const pass = {
+            ...builtIn?.defaults,
+            ...options,
+            name,
+            type: builtIn ? type : 'custom',
+            enabled: options.enabled ?? true
+        };
+
+        const index = options.index ?? this.passes.length;
+        this.passes.splice(index, 0, pass);
+        return this;
+    }
+    remove (name) {
+        this.passes = this.passes.filter(pass => pass.name !== name);
+        return this;
+    }
+    get (name) {
+        return this.passes.find(pass => pass.name === name) ?? null;
+    }
+    has (name) {
+        return this.get(name) !== null;
+    }
+    set (name, options = {}) {
+        const pass = this.#require(name);
+        Object.assign(pass, options, {name: pass.name, type: pass.type});
+        return this;
+    }
+    enable (name) {
+        this.#require(name).enabled = true;
+        return this;
+    }
+    disable (name) {
+        this.#require(name).enabled = false;
+        return this;
+    }
+    toggle (name, enabled) {
+        const pass = this.#require(name);
+        pass.enabled = enabled ?? !pass.enabled;
+        return this;
+    }
+    move (name, index) {
+        const pass = this.#require(name);
+        this.passes.splice(this.passes.indexOf(pass), 1);
+        this.passes.splice(Math.max(0, Math.min(index, this.passes.length)), 0, pass);
+        return this;
+    }
+    clear () {
+        this.passes = [];
+        this.#canvases.clear();
+        return this;
+    }
+    #require (name) {
+        const pass = this.get(name);
+        if (!pass) throw new Error(`Post-processing pass (${name}) not found`);
+        return pass;
+    }
+    /** ======== END ======== */
+
+    /** ======== RENDER ======== */
+    apply () {
+        const passes = this.passes.filter(pass => pass.enabled);
+        if (!passes.length) return;
+
+        const {canvas, ctx} = this.engine;
+        const {width, height} = canvas;
+        const time = this.engine.now();
+
+        for (const pass of passes) {
+            // Passes draw on the frame in device pixels, the ones that read the frame get a copy of it
+            const custom = pass.type === 'custom';
+            let source = null;
+            if (custom ? !pass.imageData : PASSES[pass.type].source) {
+                const buffer = this._canvas('frame', width, height);
+                buffer.ctx.clearRect(0, 0, width, height);
+                buffer.ctx.drawImage(canvas, 0, 0);
+                source = buffer.canvas;
+            }
+
+            ctx.save();
+            ctx.setTransform(1, 0, 0, 1, 0, 0);
+
+            try {
+                if (!custom)
+                    PASSES[pass.type].apply.call(this, pass, ctx, width, height, source, time);
+                else if (pass.imageData)
+                    this._pixels(ctx, width, height, (data, imageData) => pass.imageData(data, width, height, pass, time, imageData));
+                else
+                    pass.composite(ctx, source, width, height, pass, time);
+            } finally {
+                ctx.restore();
+            }
+        }
+    }
+    _pixels (ctx, width, height, callback) {
+        const imageData = ctx.getImageData(0, 0, width, height);
+        callback(imageData.data, imageData);
+        ctx.putImageData(imageData, 0, 0);
+    }
+    _canvas (key, width, height) {
+        let buffer = this.#canvases.get(key);
+        if (!buffer || buffer.canvas.width !== width || buffer.canvas.height !== height) {
+            const canvas = this.engine._createCanvas(width, height);
+            buffer = {canvas, ctx: canvas.getContext('2d', {willReadFrequently: true})};
+            this.#canvases.set(key, buffer);
+        }
+        return buffer;
+    }
+    _readLUT (lut) {
+        // Strip LUTs, `size` squares of size × size side by side, blue selects the square
+        const image = typeof lut === 'string' ? this.engine.getAsset(lut)?.asset : lut;
+        if (!image) return null;
+
+        let table = this.#luts.get(image);
+        if (!table) {
+            const size = image.height;
+            const {ctx} = this._canvas(`lut_${size}`, image.width, image.height);
+            ctx.clearRect(0, 0, image.width, image.height);
+            ctx.drawImage(image, 0, 0);
+
+            table = {size, data: ctx.getImageData(0, 0, image.width, image.height).data};
+            this.#luts.set(image, table);
+        }
+        return table;
+    }
+    /** ======== END ======== */
+
+}
+
+const clamp = (value, min = 0, max = 1) => Math.max(min, Math.min(max, value));
+const clampIndex = (value, length) => value < 0 ? 0 : value >= length ? length - 1 : value;
+
+const transparent = (ctx, color) => {
+    // The same color without alpha, so the gradient does not fade through black
+    ctx.fillStyle = color;
+    const normalized = ctx.fillStyle;
+
+    if (/^#[0-9a-f]{6}$/i.test(normalized)) return normalized + '00';
+    if (normalized.startsWith('rgba(')) return normalized.replace(/,[^,]*\)$/, ', 0)');
+    return 'rgba(0, 0, 0, 0)';
+};
+
+const multiply = (a, b) => {
+    // a applied after b
+    const result = new Array(20);
+    for (let row = 0; row < 4; row++) {
+        for (let column = 0; column < 5; column++) {
+            let value = column === 4 ? a[row * 5 + 4] : 0;
+            for (let k = 0; k < 4; k++) value += a[row * 5 + k] * b[k * 5 + column];
+            result[row * 5 + column] = value;
+        }
+    }
+    return result;
+};
+const brightness = value => [value, 0, 0, 0, 0, 0, value, 0, 0, 0, 0, 0, value, 0, 0, 0, 0, 0, 1, 0];
+const contrast = value => {
+    const offset = 0.5 * (1 - value);
+    return [value, 0, 0, 0, offset, 0, value, 0, 0, offset, 0, 0, value, 0, offset, 0, 0, 0, 1, 0];
+};
+const saturation = value => {
+    const [r, g, b] = LUMINANCE.map(weight => weight * (1 - value));
+    return [r + value, g, b, 0, 0, r, g + value, b, 0, 0, r, g, b + value, 0, 0, 0, 0, 0, 1, 0];
+};
+const hueRotate = degrees => {
+    const angle = degrees * Math.PI / 180;
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    return [
+        0.213 + cos * 0.787 - sin * 0.213, 0.715 - cos * 0.715 - sin * 0.715, 0.072 - cos * 0.072 + sin * 0.928, 0, 0,
+        0.213 - cos * 0.213 + sin * 0.143, 0.715 + cos * 0.285 + sin * 0.140, 0.072 - cos * 0.072 - sin * 0.283, 0, 0,
+        0.213 - cos * 0.213 - sin * 0.787, 0.715 - cos * 0.715 + sin * 0.715, 0.072 + cos * 0.928 + sin * 0.072, 0, 0,
+        0, 0, 0, 1, 0
+    ];
+};
+const applyColor = (data, m, lut, intensity) => {
+    const mix = clamp(intensity);
+    const last = lut ? lut.size - 1 : 0;
+
+    for (let i = 0; i < data.length; i += 4) {
+        const r = data[i] / 255, g = data[i + 1] / 255, b = data[i + 2] / 255, a = data[i + 3] / 255;
+
+        let red   = clamp(m[0] * r + m[1] * g + m[2] * b + m[3] * a + m[4]);
+        let green = clamp(m[5] * r + m[6] * g + m[7] * b + m[8] * a + m[9]);
+        let blue  = clamp(m[10] * r + m[11] * g + m[12] * b + m[13] * a + m[14]);
+
+        if (lut) {
+            const x = Math.round(blue * last) * lut.size + Math.round(red * last);
+            const j = (Math.round(green * last) * lut.size * lut.size + x) * 4;
+            red   = lut.data[j] / 255;
+            green = lut.data[j + 1] / 255;
+            blue  = lut.data[j + 2] / 255;
+        }
+
+        data[i]     = (r + (red - r) * mix) * 255;
+        data[i + 1] = (g + (green - g) * mix) * 255;
+        data[i + 2] = (b + (blue - b) * mix) * 255;
+    }
+};
+
+export default PostProcessing;
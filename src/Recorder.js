@@ -0,0 +1,315 @@
+/**
+ * Copyright (c) 2025 Pixalo
+ * @Repository: https://github.com/pixalo
+ * @License: MIT
+ */
+
+const RECORDING_VERSION = 1;
+const MAX_REPLAY_FRAMES = 10; // Per rendered frame at speed 1
+const INTERRUPT_TYPES   = ['keydown', 'mousedown', 'touchstart'];
+
+class Recorder {
+
+    #cursor = 0;
+    #accumulator = 0;
+    #seeking = false;
+    #gamepadStamp = null;
+    #options = {};
+
+    constructor (engine) {
+        this.engine = engine;
+
+        this.data  = null;
+        this.frame = 0;
+        this.speed = 1;
+
+        this.recording = false;
+        this.replaying = false;
+        this.paused    = false;
+    }
+
+    /** ======== RECORDING ======== */
+    start (options = {}) {
+        if (this.replaying)
+            throw new Error('Cannot record while a replay is running');
+
+        const engine = this.engine;
+
+        this.data = {
+            version: RECORDING_VERSION,
+            fixedStep: engine.fixedStep?.rate ?? null,
+            snapshot: options.snapshot === false ? null : engine.serialize(),
+            keys: Array.from(engine.pressedKeys.values(), key => ({...key})),
+            deltas: [],
+            events: [],
+            meta: options.meta || {}
+        };
+
+        this.frame = 0;
+        this.recording = true;
+        this.#gamepadStamp = null;
+
+        // Gamepads that are already connected are part of the initial state
+        if (engine.input.gamepads.length)
+            this._capture('gamepads', {gamepads: engine.input.gamepads});
+
+        engine.trigger('recordStart', this.data);
+        return this;
+    }
+    stop () {
+        if (!this.recording) return this.data;
+
+        this.recording = false;
+        this.engine.trigger('recordStop', this.data);
+
+        return this.data;
+    }
+    export (stringify = false) {
+        if (!this.data)
+            throw new Error('There is no recording to export');
+
+        return stringify ? JSON.stringify(this.data) : JSON.parse(JSON.stringify(this.data));
+    }
+    /** ======== END ======== */
+
+    /** ======== REPLAY ======== */
+    async play (recording, options = {}) {
+        if (typeof recording === 'string')
+            recording = JSON.parse(recording);
+
+        if (!recording || !Array.isArray(recording.deltas) || !Array.isArray(recording.events))
+            throw new Error('Invalid recording');
+
+        if (this.recording) this.stop();
+
+        if ((recording.fixedStep ?? null) !== (this.engine.fixedStep?.rate ?? null))
+            this.engine.warn('The recording was made with another fixed step rate, the replay may diverge');
+
+        this.data  = recording;
+        this.speed = options.speed ?? 1;
+        this.paused = false;
+        this.#options = {
+            loop: options.loop ?? false,
+            interruptible: options.interruptible ?? false
+        };
+
+        // The replay clock starts from the current time
+        this.engine._simulationTime = this.engine.now();
+        this.replaying = true;
+        await this.#restart();
+
+        this.engine.trigger('replayStart', recording);
+        return this;
+    }
+    pause () {
+        this.paused = true;
+        return this;
+    }
+    resume () {
+        this.paused = false;
+        return this;
+    }
+    setSpeed (speed) {
+        if (!(speed > 0))
+            throw new Error('Replay speed must be a positive number');
+
+        this.speed = speed;
+        return this;
+    }
+    async seek (frame) {
+        if (!this.replaying)
+            throw new Error('There is no replay running');
+
+        frame = Math.max(0, Math.min(Math.floor(frame), this.data.deltas.length));
+
+        if (frame < this.frame) {
+            if (!this.data.snapshot)
+                throw new Error('Seeking backwards requires a recording with a snapshot');
+            await this.#restart();
+        }
+
+        // Fast-forward without rendering
+        this.#seeking = true;
+        while (this.frame < frame)
+            this.#advance(this.data.deltas[this.frame]);
+        this.#seeking = false;
+        this.#accumulator = 0;
+
+        this.engine.trigger('replaySeek', this.frame);
+        return this;
+    }
+    stopReplay () {
+        if (!this.replaying) return this;
+
+        this.replaying = false;
+        this.paused = false;
+        this.#release();
+
+        // Timers continue from the wall clock again
+        const now = this.engine.now();
+        this.engine.timers.forEach(timer => timer.lastTime = now);
+
+        this.engine.trigger('replayEnd', this.frame);
+        return this;
+    }
+    getLength () {
+        return this.data?.deltas.length ?? 0;
+    }
+    _replay (elapsed) {
+        if (this.paused || this.#seeking) return;
+
+        const deltas = this.data.deltas;
+        this.#accumulator += elapsed * this.speed;
+
+        let frames = 0;
+        const maxFrames = Math.ceil(MAX_REPLAY_FRAMES * this.speed);
+        while (this.frame < deltas.length && this.#accumulator >= deltas[this.frame] && frames < maxFrames) {
+            this.#accumulator -= deltas[this.frame];
+            this.#advance(deltas[this.frame]);
+            frames++;
+        }
+
+        if (this.frame < deltas.length) {
+            this.#accumulator = Math.min(this.#accumulator, deltas[this.frame]);
+            this.engine.alpha = deltas[this.frame] ? this.#accumulator / deltas[this.frame] : 1;
+            return;
+        }
+
+        if (this.#options.loop) {
+            this.engine.trigger('replayLoop');
+            this.#restart().catch(error => this.engine.error(error));
+        } else {
+            this.stopReplay();
+        }
+    }
+    #advance (deltaTime) {
+        const engine = this.engine;
+
+        if (engine.fixedStep)
+            return engine._tick(deltaTime);
+
+        // Timers follow the replay clock, which only advances by the recorded deltas
+        if (!engine.headless) engine._simulationTime += deltaTime;
+        engine._variableUpdate(deltaTime, engine._simulationTime);
+    }
+    async #restart () {
+        this.#seeking = true;
+
+        if (this.data.snapshot)
+            await this.engine.deserialize(this.data.snapshot);
+
+        this.#release();
+        for (const key of this.data.keys || [])
+            this.engine.pressedKeys.set(key.physical, {...key});
+
+        this.frame = 0;
+        this.#cursor = 0;
+        this.#accumulator = 0;
+        this.#seeking = false;
+    }
+    #release () {
+        this.engine.pressedKeys.clear();
+        this.engine.input._releaseAll();
+        this.engine.input._setGamepads([]);
+    }
+    /** ======== END ======== */
+
+    /** ======== FRAMES ======== */
+    _capture (type, e) {
+        if (this.replaying) {
+            if (this.#options.interruptible && INTERRUPT_TYPES.includes(type))
+                this.stopReplay();
+            return false;
+        }
+
+        if (!this.recording) return true;
+
+        if (type === 'gamepads') {
+            // Gamepads are polled every frame, only the changes are recorded
+            const stamp = JSON.stringify(e.gamepads.map(({timestamp, ...pad}) => pad));
+            if (stamp === this.#gamepadStamp) return true;
+            this.#gamepadStamp = stamp;
+        }
+
+        this.data.events.push({frame: this.frame, type, event: this.#toPlain(type, e)});
+        return true;
+    }
+    _update (deltaTime) {
+        if (this.recording) {
+            this.data.deltas.push(deltaTime);
+            return;
+        }
+
+        if (!this.replaying) return;
+
+        const events = this.data.events;
+        while (this.#cursor < events.length && events[this.#cursor].frame <= this.frame) {
+            const {type, event} = events[this.#cursor++];
+
+            if (type === 'gamepads')
+                this.engine.input._setGamepads(event.gamepads);
+            else
+                this.engine._dispatchInput(type, this.#fromPlain(event));
+        }
+    }
+    _lateUpdate () {
+        // Events received from now on belong to the next frame
+        if (this.recording || this.replaying)
+            this.frame++;
+    }
+    #toPlain (type, e) {
+        if (type === 'gamepads')
+            return {gamepads: JSON.parse(JSON.stringify(e.gamepads))};
+
+        if (type === 'keydown' || type === 'keyup')
+            return {key: e.key, code: e.code, repeat: e.repeat ?? false};
+
+        if (type.startsWith('touch')) {
+            return {
+                touches: Array.from(e.touches || [], touch => this.#toPoint(touch)),
+                changedTouches: Array.from(e.changedTouches || [], touch => this.#toPoint(touch))
+            };
+        }
+
+        const event = {...this.#toPoint(e), button: e.button, buttons: e.buttons, which: e.which};
+        if (type === 'wheel')
+            Object.assign(event, {deltaX: e.deltaX, deltaY: e.deltaY, deltaZ: e.deltaZ, deltaMode: e.deltaMode});
+
+        return event;
+    }
+    #toPoint (point) {
+        // Positions are stored relative to the canvas, so replays work at any canvas position and size
+        const rect = this.#rect();
+        return {
+            identifier: point.identifier,
+            x: (point.clientX - rect.left) / rect.width,
+            y: (point.clientY - rect.top) / rect.height
+        };
+    }
+    #fromPlain (event) {
+        const rect = this.#rect();
+        const toClient = point => ({
+            ...point,
+            clientX: rect.left + point.x * rect.width,
+            clientY: rect.top  + point.y * rect.height
+        });
+
+        if (event.touches) {
+            return {
+                ...event,
+                touches: event.touches.map(toClient),
+                changedTouches: event.changedTouches.map(toClient)
+            };
+        }
+
+        return 'x' in event ? toClient(event) : {...event};
+    }
+    #rect () {
+        const rect = this.engine.canvas.getBoundingClientRect?.();
+        return rect?.width ? rect : {left: 0, top: 0, width: this.engine.baseWidth, height: this.engine.baseHeight};
+    }
+    /** ======== END ======== */
+
+}
+
+export default Recorder;
@@ -0,0 +1,427 @@
+/**
+ * Copyright (c) 2025 Pixalo
+ * @Repository: https://github.com/pixalo/pixalo
+ * @License: MIT
+ */
+
+const MARKUP = /\[\[|\[(\/?)(color|b|i|size|icon)(?:=([^\]]*))?\]/g;
+const BMFONT_TAGS = /(?:^|<)\s*(info|common|page|char|kerning)\s+([^\n>]*)/gm;
+const BMFONT_ATTRIBUTES = /(\w+)=("[^"]*"|[^\s/]+)/g;
+
+// Share of the font size above the baseline, canvas fonts do not expose their metrics before they are drawn
+const ASCENT = 0.8;
+
+class RichText {
+
+    static #tints = new WeakMap();
+
+    /** ======== BITMAP FONTS ======== */
+    static async loadBMFont (source, options = {}, loadImage) {
+        let data = options.data ?? null;
+        let baseURL = options.baseURL || null;
+
+        if (!data) {
+            baseURL = baseURL || new URL(source, RichText.#location()).href;
+
+            const response = await fetch(baseURL);
+            if (!response.ok)
+                throw new Error(`Failed to fetch bitmap font: ${response.statusText}`);
+            data = await response.text();
+        }
+
+        const font = typeof data === 'string' ? RichText.parseBMFont(data) : data;
+
+        // Pages are resolved relative to the font file, `options.pages` replaces them with images or urls
+        font.pages = await Promise.all(font.pages.map((page, index) => {
+            page = options.pages?.[index] ?? page;
+            if (typeof page !== 'string') return page;
+            return loadImage(new URL(page, baseURL || RichText.#location()).href);
+        }));
+
+        return font;
+    }
+    static parseBMFont (text) {
+        if (typeof text !== 'string')
+            throw new Error('Bitmap font source must be a string');
+
+        const font = {face: '', size: 0, lineHeight: 0, base: 0, pages: [], chars: new Map(), kernings: new Map()};
+
+        for (const [, tag, attributes] of text.matchAll(BMFONT_TAGS)) {
+            const values = {};
+            for (const [, key, value] of attributes.matchAll(BMFONT_ATTRIBUTES))
+                values[key] = value.startsWith('"') ? value.slice(1, -1) : value;
+
+            const number = key => Number(values[key]) || 0;
+
+            switch (tag) {
+                case 'info':
+                    font.face = values.face ?? '';
+                    font.size = Math.abs(number('size'));
+                    break;
+                case 'common':
+                    font.lineHeight = number('lineHeight');
+                    font.base = number('base');
+                    break;
+                case 'page':
+                    font.pages[number('id')] = values.file;
+                    break;
+                case 'char':
+                    font.chars.set(number('id'), {
+                        x: number('x'), y: number('y'),
+                        width: number('width'), height: number('height'),
+                        xoffset: number('xoffset'), yoffset: number('yoffset'),
+                        xadvance: number('xadvance'), page: number('page')
+                    });
+                    break;
+                case 'kerning':
+                    font.kernings.set(`${number('first')},${number('second')}`, number('amount'));
+                    break;
+            }
+        }
+
+        if (!font.chars.size)
+            throw new Error('Invalid bitmap font, expected the BMFont text or XML format');
+
+        font.size ||= font.lineHeight;
+        return font;
+    }
+    static #location () {
+        return globalThis.location?.href || 'http://localhost/';
+    }
+    /** ======== END ======== */
+
+    /** ======== MARKUP ======== */
+    static parse (text, base = {}, markup = true) {
+        // Runs of text that share a style, [[ is a literal [
+        text = String(text ?? '');
+        if (!markup) return [{text, style: base}];
+
+        const runs  = [];
+        const stack = [];
+        let style = base;
+        let last  = 0;
+
+        const push = value => value && runs.push({text: value, style});
+
+        for (const match of text.matchAll(MARKUP)) {
+            push(text.slice(last, match.index));
+            last = match.index + match[0].length;
+
+            if (match[0] === '[[') {
+                push('[');
+                continue;
+            }
+
+            const [, closing, tag, value] = match;
+
+            if (tag === 'icon') {
+                if (!closing && value) runs.push({text: '', icon: value, style});
+                continue;
+            }
+
+            if (closing) {
+                // Closing a tag also closes the tags opened inside it
+                const index = stack.findLastIndex(entry => entry.tag === tag);
+                if (index < 0) continue;
+                style = stack[index].previous;
+                stack.splice(index);
+                continue;
+            }
+
+            const changes = {
+                color: {color: value, tinted: true},
+                b: {bold: true},
+                i: {italic: true},
+                size: Number.isFinite(parseFloat(value)) ? {size: parseFloat(value)} : {}
+            }[tag];
+
+            stack.push({tag, previous: style});
+            style = {...style, ...changes};
+        }
+
+        push(text.slice(last));
+        return runs;
+    }
+    static fontString (style) {
+        const prefix = style.prefix || '';
+        const italic = style.italic && !prefix.includes('italic') ? 'italic ' : '';
+        const bold   = style.bold && !prefix.includes('bold') ? 'bold ' : '';
+        return `${italic}${bold}${prefix}${style.size}px ${style.family}`;
+    }
+    static parseFont (font = '16px Arial') {
+        const match = /^(.*?)(\d*\.?\d+)px(?:\/\S+)?\s+(.+)$/.exec(font.trim());
+        if (!match) return {prefix: '', size: 16, family: font};
+
+        return {prefix: match[1], size: parseFloat(match[2]), family: match[3]};
+    }
+    /** ======== END ======== */
+
+    /** ======== LAYOUT ======== */
+    static layout (ctx, text, options = {}) {
+        const {
+            font = '16px Arial', color = '#000000', lineHeight = 1.2, width = Infinity,
+            wordWrap = false, maxLines = 0, ellipsis = '…', markup = true,
+            bitmapFont = null, resolveImage = null
+        } = options;
+
+        const base = {...RichText.parseFont(font), color, tinted: false};
+        const maxWidth = wordWrap && width > 0 ? width : Infinity;
+        const measure = RichText.#measurer(ctx, bitmapFont);
+
+        const pieces = RichText.#pieces(RichText.parse(text, base, markup), measure, resolveImage);
+
+        const lines = [];
+        let line = null;
+        const open = wrapped => line = {pieces: [], width: 0, wrapped};
+        const close = () => {
+            while (line.pieces.at(-1)?.space) line.pieces.pop();
+            line.width = line.pieces.reduce((end, piece) => Math.max(end, piece.x + piece.width), 0);
+            lines.push(line);
+        };
+        const add = piece => {
+            line.pieces.push({...piece, x: line.width});
+            line.width += piece.width;
+        };
+
+        open(false);
+
+        for (let i = 0; i < pieces.length; i++) {
+            const piece = pieces[i];
+
+            if (piece.newline) {
+                close();
+                open(false);
+                continue;
+            }
+
+            if (piece.space) {
+                if (!(line.wrapped && !line.pieces.length)) add(piece);
+                continue;
+            }
+
+            // A word can be made of pieces with different styles, it only breaks at spaces
+            if (!pieces[i - 1] || pieces[i - 1].space || pieces[i - 1].newline) {
+                let wordWidth = 0;
+                for (let j = i; j < pieces.length && !pieces[j].space && !pieces[j].newline; j++)
+                    wordWidth += pieces[j].width;
+
+                if (line.pieces.some(entry => !entry.space) && line.width + wordWidth > maxWidth) {
+                    close();
+                    open(true);
+                }
+            }
+
+            if (line.width + piece.width <= maxWidth || piece.icon) {
+                add(piece);
+                continue;
+            }
+
+            // Words longer than the line are broken between characters
+            let chunk = '';
+            for (const char of piece.text) {
+                if (line.width + measure(chunk + char, piece.style) > maxWidth && (chunk || line.pieces.some(entry => !entry.space))) {
+                    if (chunk) add({...piece, text: chunk, width: measure(chunk, piece.style)});
+                    close();
+                    open(true);
+                    chunk = char;
+                } else {
+                    chunk += char;
+                }
+            }
+            if (chunk) add({...piece, text: chunk, width: measure(chunk, piece.style)});
+        }
+
+        close();
+
+        if (maxLines > 0 && lines.length > maxLines) {
+            lines.length = maxLines;
+            RichText.#truncate(lines.at(-1), ellipsis, maxWidth, measure, base);
+        }
+
+        // Lines are as high as their biggest piece
+        let y = 0;
+        for (const current of lines) {
+            const size = current.pieces.reduce((max, piece) => Math.max(max, piece.height), 0) || base.size;
+            current.y = y;
+            current.height = size * lineHeight;
+            current.baseline = y + (current.height - size) / 2 + size * ASCENT;
+            y += current.height;
+        }
+
+        return {
+            lines,
+            width: lines.reduce((max, current) => Math.max(max, current.width), 0),
+            height: y,
+            bitmapFont
+        };
+    }
+    static measure (ctx, text, options = {}) {
+        const {width, height, lines} = RichText.layout(ctx, text, options);
+        return {width, height, lines: lines.length};
+    }
+    static #pieces (runs, measure, resolveImage) {
+        const pieces = [];
+
+        for (const run of runs) {
+            if (run.icon) {
+                const image = resolveImage?.(run.icon);
+                if (!image?.asset) continue;
+
+                const source = image.source ?? {x: 0, y: 0, width: image.asset.width, height: image.asset.height};
+                const height = run.style.size;
+                const width  = source.height ? height * source.width / source.height : height;
+
+                pieces.push({text: '', icon: image.asset, source, style: run.style, width, height});
+                continue;
+            }
+
+            for (const part of run.text.split(/(\n|[ \t]+)/)) {
+                if (!part) continue;
+
+                if (part === '\n') pieces.push({newline: true});
+                else pieces.push({
+                    text: part,
+                    space: /^[ \t]/.test(part),
+                    style: run.style,
+                    width: measure(part, run.style),
+                    height: run.style.size
+                });
+            }
+        }
+
+        return pieces;
+    }
+    static #truncate (line, ellipsis, maxWidth, measure, base) {
+        const style = line.pieces.findLast(piece => !piece.icon)?.style ?? base;
+        const ellipsisWidth = measure(ellipsis, style);
+
+        const end = () => line.pieces.reduce((max, piece) => Math.max(max, piece.x + piece.width), 0);
+
+        while (line.pieces.length && end() + ellipsisWidth > maxWidth) {
+            const last = line.pieces.at(-1);
+            if (last.icon || last.text.length <= 1) {
+                line.pieces.pop();
+                continue;
+            }
+
+            const text = [...last.text].slice(0, -1).join('');
+            line.pieces[line.pieces.length - 1] = {...last, text, width: measure(text, last.style)};
+        }
+
+        while (line.pieces.at(-1)?.space) line.pieces.pop();
+
+        const x = end();
+        line.pieces.push({text: ellipsis, style, x, width: ellipsisWidth, height: style.size});
+        line.width = x + ellipsisWidth;
+    }
+    static #measurer (ctx, bitmapFont) {
+        const cache = new Map();
+
+        return (text, style) => {
+            const key = `${RichText.fontString(style)}|${text}`;
+            let width = cache.get(key);
+            if (width !== undefined) return width;
+
+            if (bitmapFont) {
+                const scale = style.size / bitmapFont.size;
+                let previous = null;
+                width = 0;
+
+                for (const char of text) {
+                    const code = char.codePointAt(0);
+                    width += ((bitmapFont.chars.get(code)?.xadvance ?? 0) +
+                        (previous !== null ? bitmapFont.kernings.get(`${previous},${code}`) ?? 0 : 0)) * scale;
+                    previous = code;
+                }
+            } else {
+                ctx.font = RichText.fontString(style);
+                width = ctx.measureText(text).width;
+            }
+
+            cache.set(key, width);
+            return width;
+        };
+    }
+    /** ======== END ======== */
+
+    /** ======== RENDER ======== */
+    static render (ctx, layout, box = {}, createCanvas = null) {
+        // The box is the area of the text, its alignment is applied per line
+        const {x = 0, y = 0, width = layout.width, height = layout.height, align = 'left', verticalAlign = 'top'} = box;
+
+        const top = y + (verticalAlign === 'middle' ? (height - layout.height) / 2 : verticalAlign === 'bottom' ? height - layout.height : 0);
+
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'alphabetic';
+
+        for (const line of layout.lines) {
+            const left = x + (align === 'center' ? (width - line.width) / 2 : align === 'right' ? width - line.width : 0);
+            const baseline = top + line.baseline;
+
+            for (const piece of line.pieces) {
+                if (piece.space) continue;
+
+                if (piece.icon) {
+                    const {source} = piece;
+                    ctx.drawImage(
+                        piece.icon, source.x, source.y, source.width, source.height,
+                        left + piece.x, baseline + piece.height * (1 - ASCENT) - piece.height, piece.width, piece.height
+                    );
+                } else if (layout.bitmapFont) {
+                    RichText.#renderGlyphs(ctx, layout.bitmapFont, piece, left + piece.x, baseline, createCanvas);
+                } else {
+                    ctx.font = RichText.fontString(piece.style);
+                    ctx.fillStyle = piece.style.color;
+                    ctx.fillText(piece.text, left + piece.x, baseline);
+                }
+            }
+        }
+    }
+    static #renderGlyphs (ctx, font, piece, x, baseline, createCanvas) {
+        const scale = piece.style.size / font.size;
+        const top = baseline - font.base * scale;
+        let previous = null;
+
+        for (const char of piece.text) {
+            const code  = char.codePointAt(0);
+            const glyph = font.chars.get(code);
+
+            if (previous !== null) x += (font.kernings.get(`${previous},${code}`) ?? 0) * scale;
+            previous = code;
+            if (!glyph) continue;
+
+            // Only colors of the markup tint the glyphs, the font keeps its own colors otherwise
+            const page = piece.style.tinted && createCanvas
+                ? RichText.#tint(font.pages[glyph.page], piece.style.color, createCanvas)
+                : font.pages[glyph.page];
+
+            if (page && glyph.width && glyph.height)
+                ctx.drawImage(
+                    page, glyph.x, glyph.y, glyph.width, glyph.height,
+                    x + glyph.xoffset * scale, top + glyph.yoffset * scale, glyph.width * scale, glyph.height * scale
+                );
+
+            x += glyph.xadvance * scale;
+        }
+    }
+    static #tint (page, color, createCanvas) {
+        let tints = RichText.#tints.get(page);
+        if (!tints) RichText.#tints.set(page, tints = new Map());
+
+        let canvas = tints.get(color);
+        if (!canvas) {
+            canvas = createCanvas(page.width, page.height);
+            const ctx = canvas.getContext('2d');
+            ctx.drawImage(page, 0, 0);
+            ctx.globalCompositeOperation = 'source-in';
+            ctx.fillStyle = color;
+            ctx.fillRect(0, 0, page.width, page.height);
+            tints.set(color, canvas);
+        }
+        return canvas;
+    }
+    /** ======== END ======== */
+
+}
+
+export default RichText;
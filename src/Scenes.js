@@ -0,0 +1,364 @@
+/**
+ * Copyright (c) 2025 Pixalo
+ * @Repository: https://github.com/pixalo
+ * @License: MIT
+ */
+import Background  from './Background.js';
+import Camera      from './Camera.js';
+import Collision   from './Collision.js';
+import Controllers from './Controllers.js';
+import Emitters    from './Emitters.js';
+import Timelines   from './Timelines.js';
+
+class Scenes {
+
+    constructor (engine) {
+        this.engine = engine;
+        this.scenes = new Map();
+        this.stack  = [];
+
+        // The world that exists before any scene is pushed becomes the root scene
+        const root = this.create('main');
+        root._adopt();
+        this.stack.push(root);
+        root.state = 'active';
+    }
+
+    /** ======== SCENE MANAGEMENT ======== */
+    create (name, config = {}) {
+        if (!name)
+            throw new Error('Scene name cannot be empty.');
+
+        if (this.scenes.has(name)) {
+            this.engine.warn(`Scene (${name}) already exists and will be redefined`);
+            this.remove(name);
+        }
+
+        const scene = new Scene(name, config, this.engine);
+        this.scenes.set(name, scene);
+        return scene;
+    }
+    get (name) {
+        return this.scenes.get(name) || null;
+    }
+    has (name) {
+        return this.scenes.has(name);
+    }
+    remove (name) {
+        const scene = this.scenes.get(name);
+        if (!scene) return false;
+
+        if (this.stack.includes(scene)) {
+            this.engine.error(`Scene (${name}) is on the stack and cannot be removed`);
+            return false;
+        }
+
+        scene._destroy();
+        return this.scenes.delete(name);
+    }
+    current () {
+        return this.stack[this.stack.length - 1] || null;
+    }
+    getStack () {
+        return this.stack.map(scene => scene.name);
+    }
+    /** ======== END ======== */
+
+    /** ======== TRANSITIONS ======== */
+    push (name, data = {}) {
+        const scene = this.#resolve(name);
+        if (!scene) return null;
+
+        if (this.stack.includes(scene)) {
+            this.engine.error(`Scene (${scene.name}) is already on the stack`);
+            return null;
+        }
+
+        const previous = this.current();
+        if (previous) {
+            previous._pause();
+            previous._detach();
+            this.#call(previous, 'pause', data);
+        }
+
+        this.stack.push(scene);
+        this.#enter(scene, data);
+
+        return scene;
+    }
+    pop (data = {}) {
+        if (this.stack.length <= 1) {
+            this.engine.warn('The bottom scene cannot be popped');
+            return null;
+        }
+
+        const scene = this.stack.pop();
+        this.#exit(scene, data);
+
+        const next = this.current();
+        next._attach();
+        next._resume();
+        this.#call(next, 'resume', data);
+
+        return scene;
+    }
+    replace (name, data = {}) {
+        const scene = this.#resolve(name);
+        if (!scene) return null;
+
+        const previous = this.current();
+        if (previous === scene) {
+            this.engine.error(`Scene (${scene.name}) cannot replace itself`);
+            return null;
+        }
+
+        if (this.stack.includes(scene)) {
+            this.engine.error(`Scene (${scene.name}) is already on the stack`);
+            return null;
+        }
+
+        this.stack.pop();
+        if (previous) this.#exit(previous, data);
+
+        this.stack.push(scene);
+        this.#enter(scene, data);
+
+        return scene;
+    }
+    #enter (scene, data) {
+        scene._build();
+        scene._attach();
+        scene.state = 'active';
+        this.#call(scene, 'enter', data);
+    }
+    #exit (scene, data) {
+        this.#call(scene, 'exit', data);
+        scene._detach();
+        scene._teardown();
+        scene.state = 'idle';
+    }
+    #call (scene, hook, data) {
+        if (typeof scene.hooks[hook] === 'function')
+            scene.hooks[hook].call(scene, this.engine, data);
+
+        const event = 'scene' + hook.charAt(0).toUpperCase() + hook.slice(1);
+        this.engine.trigger(event, scene.name, data);
+    }
+    #resolve (name) {
+        const scene = typeof name === 'string' ? this.scenes.get(name) : name;
+        if (!(scene instanceof Scene)) {
+            this.engine.error(`Scene (${name}) not found`);
+            return null;
+        }
+        return scene;
+    }
+    /** ======== END ======== */
+
+    /** ======== RENDER ======== */
+    _renderUnderlying (callback) {
+        const top = this.current();
+        if (!top || !top.config.overlay) return;
+
+        // Keep the state of the top scene, the scenes below are attached while they are drawn
+        top._detach();
+
+        // Walk down to the first opaque scene, then draw upwards
+        let index = this.stack.length - 1;
+        while (index > 0 && this.stack[index].config.overlay) index--;
+
+        for (let i = index; i < this.stack.length - 1; i++) {
+            const scene = this.stack[i];
+            scene._attach();
+            callback(scene);
+            scene._detach();
+        }
+
+        top._attach();
+    }
+    /** ======== END ======== */
+
+    reset () {
+        // Tear down every scene world except the root, which the engine clears itself
+        const root = this.stack[0];
+        this.scenes.forEach(scene => {
+            if (scene !== root) scene._destroy();
+            scene.state = 'idle';
+        });
+
+        if (root) root._attach();
+
+        this.scenes.clear();
+        this.stack = [];
+
+        return this;
+    }
+
+}
+
+class Scene {
+
+    constructor (name, config = {}, engine) {
+        this.engine = engine;
+        this.name   = name;
+
+        this.config = {
+            persistent: config.persistent ?? false, // Keep the world between exits
+            overlay: config.overlay ?? false,       // Render the scenes below this one
+            camera: config.camera || engine.config?.camera
+        };
+
+        this.hooks = {
+            enter : config.enter  || null,
+            exit  : config.exit   || null,
+            pause : config.pause  || null,
+            resume: config.resume || null
+        };
+
+        this.state = 'idle'; // idle, active, paused
+        this.world = null;
+    }
+
+    /** ======== WORLD ======== */
+    _adopt () {
+        const engine = this.engine;
+        this.config.persistent = true;
+        this.world = {
+            entities   : engine.entities,
+            background : engine.background,
+            emitters   : engine.emitters,
+            timers     : engine.timers,
+            frames     : engine.frames,
+            frameTime  : engine.frameTime,
+            timelines  : engine.timelines,
+            camera     : engine.camera,
+            collision  : engine.collision,
+            controllers: engine.controllers,
+            tileMap    : {
+                activeMap: engine.tileMap.activeMap,
+                running  : engine.tileMap.running
+            }
+        };
+    }
+    _build () {
+        if (this.world) return;
+
+        this.world = {
+            entities   : new Map(),
+            background : new Background(this.engine),
+            emitters   : new Emitters(this.engine),
+            timers     : new Map(),
+            frames     : new Map(),
+            frameTime  : 0,
+            timelines  : new Timelines(this.engine),
+            camera     : new Camera(this.engine, this.config.camera),
+            // The collision state, like the active pairs, belongs to the entities of the scene
+            collision  : new Collision(this.engine, this.engine.config.collision),
+            controllers: new Controllers(this.engine),
+            tileMap    : {activeMap: null, running: false}
+        };
+    }
+    _attach () {
+        const engine = this.engine;
+        const world  = this.world;
+
+        engine.entities    = world.entities;
+        engine.background  = world.background;
+        engine.emitters    = world.emitters;
+        engine.timers      = world.timers;
+        engine.frames      = world.frames;
+        engine.frameTime   = world.frameTime;
+        engine.timelines   = world.timelines;
+        engine.camera      = world.camera;
+        engine.collision   = world.collision;
+        engine.controllers = world.controllers;
+
+        engine.tileMap.activeMap = world.tileMap.activeMap;
+        engine.tileMap.running   = world.tileMap.running;
+    }
+    _detach () {
+        // Keep track of the map that was rendering while this scene was on top
+        this.world.tileMap.activeMap = this.engine.tileMap.activeMap;
+        this.world.tileMap.running   = this.engine.tileMap.running;
+
+        // The animations of the scene continue from its own frame clock when it comes back
+        this.world.frameTime = this.engine.frameTime;
+    }
+    _teardown () {
+        if (this.config.persistent) return;
+        this._destroy();
+    }
+    _destroy () {
+        if (!this.world) return;
+
+        const engine   = this.engine;
+        const entities = engine.entities;
+
+        // Destroy synchronously so the entities leave this scene's map, not the attached one
+        engine.entities = this.world.entities;
+        for (const entity of [...this.world.entities.values()])
+            entity._destroy();
+        engine.entities = entities === this.world.entities ? new Map() : entities;
+
+        this.world.emitters.clear();
+        this.world.background.clear();
+        this.world.timers.clear();
+        this.world.frames.clear();
+        this.world.timelines.clear();
+        this.world.camera.cancelFollow?.();
+        this.world.collision.reset();
+        this.world.controllers.clear();
+
+        if (engine.tileMap.activeMap === this.world.tileMap.activeMap) {
+            engine.tileMap.activeMap = null;
+            engine.tileMap.running   = false;
+        }
+
+        this.world = null;
+    }
+    /** ======== END ======== */
+
+    /** ======== STATE ======== */
+    _pause () {
+        const engine = this.engine;
+        this.state = 'paused';
+
+        this.world.timers.forEach(timer => {
+            timer.isRunning = false;
+        });
+
+        this.world.entities.forEach(entity => {
+            engine.physics?.bodies?.get(entity.id)?.SetActive(false);
+            engine.debugger.removeItem(entity.id);
+        });
+
+        if (engine.hoveredEntity) engine.hoveredEntity = null;
+        if (engine.draggedEntity) engine.draggedEntity = null;
+        engine.textInputs.blur();
+    }
+    _resume () {
+        const engine = this.engine;
+        this.state = 'active';
+
+        const now = engine.now();
+        this.world.timers.forEach(timer => {
+            // Headless engines are driven by step() without being started
+            timer.isRunning = engine.running || engine.headless;
+            timer.lastTime  = now;
+        });
+
+        this.world.entities.forEach(entity => {
+            engine.physics?.bodies?.get(entity.id)?.SetActive(true);
+            engine.debugger.addItem(entity.id, entity);
+        });
+    }
+    isActive () {
+        return this.state === 'active';
+    }
+    isPaused () {
+        return this.state === 'paused';
+    }
+    /** ======== END ======== */
+
+}
+
+export default Scenes;
@@ -0,0 +1,673 @@
+/**
+ * Copyright (c) 2025 Pixalo
+ * @Repository: https://github.com/pixalo
+ * @License: MIT
+ */
+
+const DEFAULTS = {
+    value: '',
+    placeholder: '',
+    maxLength: Infinity,
+    password: false,
+    mask: '•',                // Character drawn for every character of a password
+    padding: 8,               // px between the sides of the entity and the text
+    color: null,              // Defaults to the color of the entity
+    placeholderColor: '#9e9e9e',
+    selectionColor: 'rgba(51, 144, 255, 0.35)',
+    caretColor: null,         // Defaults to the text color
+    caretWidth: 1,
+    blinkRate: 530,           // ms, 0 keeps the caret visible
+    inputMode: 'text',        // Keyboard of mobile devices: text, numeric, decimal, email, tel, url, search
+    readOnly: false
+};
+
+class TextInputs {
+
+    #hidden  = null;
+    #pointer = null;
+
+    constructor (engine) {
+        this.engine  = engine;
+        this.inputs  = new Map();
+        this.focused = null;
+
+        // Text copied without access to the system clipboard
+        this.clipboard = '';
+
+        // Workers have no DOM, their hidden input lives on the main thread, see Workers
+        if (!engine.headless && !engine.config.worker && typeof document !== 'undefined' && engine.canvas)
+            this.#hidden = new HiddenInput(engine.canvas, event => this._handleNative(event));
+    }
+
+    create (entity, options = {}) {
+        entity = typeof entity === 'string' ? this.engine.findDeep(entity) : entity;
+
+        if (!entity?.styles)
+            throw new Error('A text input needs an entity');
+
+        this.remove(entity);
+
+        const input = new TextInput(this.engine, entity, options);
+        this.inputs.set(entity.id, input);
+        return input;
+    }
+    get (entity) {
+        return this.inputs.get(typeof entity === 'string' ? entity : entity?.id) ?? null;
+    }
+    has (entity) {
+        return this.get(entity) !== null;
+    }
+    remove (entity) {
+        const input = this.get(entity);
+        if (!input) return this;
+
+        input.blur();
+        input._destroy();
+        this.inputs.delete(input.entity.id);
+        return this;
+    }
+    blur () {
+        this.focused?.blur();
+        return this;
+    }
+    clear () {
+        for (const input of [...this.inputs.values()])
+            this.remove(input.entity);
+
+        this.#pointer = null;
+        this.#hidden?.destroy();
+        return this;
+    }
+
+    /** ======== INPUT ======== */
+    _pointerDown (x, y, identifier = null) {
+        this.#prune();
+
+        let target = null;
+        for (const input of this.inputs.values()) {
+            if (!input.enabled || !input._isActive() || !this.engine.isPointInEntity(x, y, input.entity)) continue;
+            if (!target || input.entity.zIndex >= target.entity.zIndex) target = input;
+        }
+
+        if (!target) {
+            this.blur();
+            return false;
+        }
+
+        target.focus();
+        target._pointer(x, y, false);
+        this.#pointer = {input: target, identifier};
+        return true;
+    }
+    _pointerMove (x, y, identifier = null) {
+        if (this.#pointer?.identifier !== identifier || !this.#pointer.input.focused) return false;
+
+        this.#pointer.input._pointer(x, y, true);
+        return true;
+    }
+    _pointerUp (identifier = null) {
+        if (this.#pointer?.identifier === identifier)
+            this.#pointer = null;
+    }
+    _handleKey (e) {
+        // Keys reach the canvas when the hidden input is not available, e.g. headless or replays
+        if (!this.focused || !e) return false;
+
+        this.focused._handleKey(e.key, e);
+        return true;
+    }
+    _handleNative (event) {
+        const input = this.focused;
+        if (!input) return;
+
+        switch (event.type) {
+            case 'input':
+            case 'select':
+                input._sync(event);
+                break;
+            case 'submit':
+                input._sync(event);
+                input.submit();
+                break;
+            case 'cancel':
+            case 'blur':
+                input.blur();
+                break;
+        }
+    }
+    _native (action, state = {}) {
+        if (this.engine.config.worker) {
+            this.engine.workerSend({action: 'text_input', op: action, state});
+            return;
+        }
+
+        this.#hidden?.[action]?.(state);
+    }
+    #prune () {
+        // Inputs of killed entities are removed with them
+        for (const input of [...this.inputs.values()]) {
+            if (!input.entity.engine) this.remove(input.entity);
+        }
+    }
+    /** ======== END ======== */
+
+}
+
+class TextInput {
+
+    #anchor  = 0;
+    #head    = 0;
+    #scroll  = 0;
+    #blink   = 0;
+    #initial = '';
+    #render  = null;
+
+    constructor (engine, entity, options = {}) {
+        this.engine  = engine;
+        this.entity  = entity;
+        this.options = {...DEFAULTS, ...options};
+
+        this.value   = '';
+        this.focused = false;
+        this.enabled = true;
+
+        this.selectionStart = 0;
+        this.selectionEnd   = 0;
+
+        this.setValue(this.options.value);
+
+        this.#render = ctx => this.#draw(ctx);
+        entity.on('afterRender', this.#render);
+    }
+
+    /** ======== CONTROLS ======== */
+    focus () {
+        if (this.focused || !this.enabled) return this;
+
+        const manager = this.engine.textInputs;
+        manager.focused?.blur();
+        manager.focused = this;
+
+        this.focused  = true;
+        this.#initial = this.value;
+        this.#wake();
+
+        manager._native('open', this._getState());
+        this.entity.trigger('focus');
+        return this;
+    }
+    blur () {
+        if (!this.focused) return this;
+
+        const manager = this.engine.textInputs;
+        if (manager.focused === this) manager.focused = null;
+        this.focused = false;
+
+        manager._native('close');
+
+        if (this.value !== this.#initial)
+            this.entity.trigger('change', {value: this.value});
+        this.entity.trigger('blur');
+        return this;
+    }
+    submit () {
+        this.entity.trigger('submit', {value: this.value});
+        return this;
+    }
+    enable () {
+        this.enabled = true;
+        return this;
+    }
+    disable () {
+        this.blur();
+        this.enabled = false;
+        return this;
+    }
+    setOptions (options = {}) {
+        Object.assign(this.options, options);
+
+        // A smaller maxLength cuts the current value
+        this.setValue(this.value);
+        return this;
+    }
+    /** ======== END ======== */
+
+    /** ======== VALUE ======== */
+    getValue () {
+        return this.value;
+    }
+    setValue (value) {
+        this.value = this.#limit(String(value ?? ''));
+        this.#select(Math.min(this.#anchor, this.value.length), Math.min(this.#head, this.value.length));
+        this.#changed();
+        return this;
+    }
+    insert (text) {
+        if (this.options.readOnly) return this;
+
+        text = String(text ?? '').replace(/[\r\n]+/g, ' ');
+
+        const {selectionStart, selectionEnd} = this;
+        const room = this.options.maxLength - (this.value.length - (selectionEnd - selectionStart));
+        text = text.slice(0, Math.max(0, room));
+
+        if (!text && selectionStart === selectionEnd) return this;
+
+        this.#edit(this.value.slice(0, selectionStart) + text + this.value.slice(selectionEnd), selectionStart + text.length);
+        return this;
+    }
+    getSelectedText () {
+        return this.value.slice(this.selectionStart, this.selectionEnd);
+    }
+    select (start = 0, end = start) {
+        const length = this.value.length;
+        this.#select(Math.max(0, Math.min(length, start)), Math.max(0, Math.min(length, end)));
+        this.#changed();
+        return this;
+    }
+    selectAll () {
+        return this.select(0, this.value.length);
+    }
+    /** ======== END ======== */
+
+    /** ======== CLIPBOARD ======== */
+    copy () {
+        // Passwords never leave the input
+        const text = this.options.password ? '' : this.getSelectedText();
+        if (!text) return '';
+
+        this.engine.textInputs.clipboard = text;
+        globalThis.navigator?.clipboard?.writeText?.(text).catch(() => {});
+        return text;
+    }
+    cut () {
+        const text = this.copy();
+        if (text && !this.options.readOnly) this.insert('');
+        return text;
+    }
+    async paste (text) {
+        if (text === undefined) {
+            try {
+                text = await globalThis.navigator?.clipboard?.readText?.();
+            } catch {}
+            // An empty or unreadable system clipboard falls back to the text copied in the game
+            text ||= this.engine.textInputs.clipboard;
+        }
+
+        return this.insert(text);
+    }
+    /** ======== END ======== */
+
+    /** ======== INTERNAL ======== */
+    _getState () {
+        const rect = this.#screenRect();
+
+        return {
+            value: this.value,
+            selectionStart: this.selectionStart,
+            selectionEnd: this.selectionEnd,
+            selectionDirection: this.#head < this.#anchor ? 'backward' : 'forward',
+            maxLength: this.options.maxLength,
+            password: Boolean(this.options.password),
+            readOnly: Boolean(this.options.readOnly),
+            inputMode: this.options.inputMode,
+            rect
+        };
+    }
+    _sync ({value, selectionStart, selectionEnd, selectionDirection}) {
+        // State of the hidden input, the source of typing, IME and mobile keyboards
+        const previous = this.value;
+        this.value = this.#limit(String(value ?? ''));
+
+        const start = Math.min(selectionStart ?? this.value.length, this.value.length);
+        const end   = Math.min(selectionEnd ?? start, this.value.length);
+        selectionDirection === 'backward' ? this.#select(end, start) : this.#select(start, end);
+        this.#wake();
+
+        if (this.value !== previous)
+            this.entity.trigger('input', {value: this.value});
+    }
+    _isActive () {
+        // Visible and in the world of the current scene
+        let entity = this.entity;
+        while (entity) {
+            if (!entity.engine || !entity.styles.visible) return false;
+            if (!entity.parent) return this.engine.entities.get(entity.id) === entity;
+            entity = entity.parent;
+        }
+        return false;
+    }
+    _pointer (x, y, extend) {
+        const index = this.#indexAt(x, y);
+        this.#select(extend ? this.#anchor : index, index);
+        this.#changed();
+    }
+    _handleKey (key, e) {
+        const command = e.ctrlKey || e.metaKey;
+        const {selectionStart, selectionEnd} = this;
+        const collapsed = selectionStart === selectionEnd;
+
+        switch (key) {
+            case 'ArrowLeft':
+            case 'ArrowRight': {
+                const step = key === 'ArrowLeft' ? -1 : 1;
+                let head = Math.max(0, Math.min(this.value.length, this.#head + step));
+
+                // The first arrow collapses a selection to its side
+                if (!collapsed && !e.shiftKey) head = step < 0 ? selectionStart : selectionEnd;
+                this.#select(e.shiftKey ? this.#anchor : head, head);
+                this.#changed();
+                break;
+            }
+            case 'Home':
+            case 'ArrowUp':
+                this.#select(e.shiftKey ? this.#anchor : 0, 0);
+                this.#changed();
+                break;
+            case 'End':
+            case 'ArrowDown':
+                this.#select(e.shiftKey ? this.#anchor : this.value.length, this.value.length);
+                this.#changed();
+                break;
+            case 'Backspace':
+            case 'Delete': {
+                if (this.options.readOnly) break;
+                if (collapsed) {
+                    const start = key === 'Backspace' ? Math.max(0, selectionStart - 1) : selectionStart;
+                    const end   = key === 'Backspace' ? selectionStart : Math.min(this.value.length, selectionStart + 1);
+                    this.#select(start, end);
+                }
+                this.insert('');
+                break;
+            }
+            case 'Enter':
+                this.submit();
+                break;
+            case 'Escape':
+            case 'Tab':
+                this.blur();
+                break;
+            default: {
+                const lower = key?.toLowerCase?.();
+                if (command) {
+                    if (lower === 'a') this.selectAll();
+                    else if (lower === 'c') this.copy();
+                    else if (lower === 'x') this.cut();
+                    else if (lower === 'v') this.paste();
+                } else if (key && [...key].length === 1) {
+                    this.insert(key);
+                }
+            }
+        }
+    }
+    _destroy () {
+        this.entity.off('afterRender', this.#render);
+    }
+    #edit (value, caret) {
+        this.value = value;
+        this.#select(caret, caret);
+        this.#changed();
+        this.entity.trigger('input', {value});
+    }
+    #select (anchor, head) {
+        this.#anchor = anchor;
+        this.#head   = head;
+        this.selectionStart = Math.min(anchor, head);
+        this.selectionEnd   = Math.max(anchor, head);
+    }
+    #changed () {
+        this.#wake();
+        if (this.focused) this.engine.textInputs._native('update', this._getState());
+    }
+    #wake () {
+        // The caret stays visible while it moves
+        this.#blink = this.engine.now();
+    }
+    #limit (value) {
+        return value.replace(/[\r\n]+/g, ' ').slice(0, Math.max(0, this.options.maxLength));
+    }
+    #display (text) {
+        return this.options.password ? this.options.mask.repeat(text.length) : text;
+    }
+    #measure (ctx, index) {
+        return ctx.measureText(this.#display(this.value.slice(0, index))).width;
+    }
+    #indexAt (x, y) {
+        const entity = this.entity;
+        const {rotation, scale, scaleX, scaleY} = entity.styles;
+
+        // Local x of the point, from the left side of the text
+        const angle = -rotation * Math.PI / 180;
+        const dx = x - (entity.absoluteX + entity.width / 2);
+        const dy = y - (entity.absoluteY + entity.height / 2);
+        const localX = (Math.cos(angle) * dx - Math.sin(angle) * dy) / (scale * scaleX || 1);
+        const textX  = localX + entity.width / 2 - this.options.padding + this.#scroll;
+
+        const ctx = this.engine.ctx;
+        ctx.save();
+        ctx.font = entity.styles.font;
+
+        let index = this.value.length;
+        let previous = 0;
+        for (let i = 1; i <= this.value.length; i++) {
+            const width = this.#measure(ctx, i);
+            if (width >= textX) {
+                index = textX - previous < width - textX ? i - 1 : i;
+                break;
+            }
+            previous = width;
+        }
+
+        ctx.restore();
+        return index;
+    }
+    #screenRect () {
+        const {engine, entity} = this;
+        if (engine.headless || !engine.canvas?.getBoundingClientRect) return null;
+
+        const start = engine.camera.worldToScreen(entity.absoluteX, entity.absoluteY);
+        const end   = engine.camera.worldToScreen(entity.absoluteX + entity.width, entity.absoluteY + entity.height);
+
+        return {
+            x: Math.min(start.x, end.x),
+            y: Math.min(start.y, end.y),
+            width : Math.abs(end.x - start.x),
+            height: Math.abs(end.y - start.y)
+        };
+    }
+    #draw (ctx) {
+        const {width, height, styles} = this.entity;
+        const options = this.options;
+        const inner = Math.max(0, width - options.padding * 2);
+        const left  = -width / 2 + options.padding;
+        const color = options.color ?? styles.color;
+        const size  = parseInt(styles.font) || 16;
+
+        ctx.save();
+        ctx.beginPath();
+        ctx.rect(left, -height / 2, inner, height);
+        ctx.clip();
+
+        ctx.font = styles.font;
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'middle';
+
+        // Long values scroll so the caret stays inside the input
+        const caretX = this.#measure(ctx, this.#head);
+        const total  = this.#measure(ctx, this.value.length);
+        if (caretX - this.#scroll > inner) this.#scroll = caretX - inner;
+        if (caretX - this.#scroll < 0) this.#scroll = caretX;
+        this.#scroll = Math.max(0, Math.min(this.#scroll, total - inner));
+
+        const x = left - this.#scroll;
+
+        if (this.focused && this.selectionStart !== this.selectionEnd) {
+            const start = this.#measure(ctx, this.selectionStart);
+            ctx.fillStyle = options.selectionColor;
+            ctx.fillRect(x + start, -size * 0.6, this.#measure(ctx, this.selectionEnd) - start, size * 1.2);
+        }
+
+        if (this.value) {
+            ctx.fillStyle = color;
+            ctx.fillText(this.#display(this.value), x, 0);
+        } else if (options.placeholder) {
+            ctx.fillStyle = options.placeholderColor;
+            ctx.fillText(options.placeholder, left, 0);
+        }
+
+        const blink = options.blinkRate > 0 ? Math.floor((this.engine.now() - this.#blink) / options.blinkRate) % 2 === 0 : true;
+        if (this.focused && this.selectionStart === this.selectionEnd && blink) {
+            ctx.fillStyle = options.caretColor ?? color;
+            ctx.fillRect(x + caretX - options.caretWidth / 2, -size * 0.6, options.caretWidth, size * 1.2);
+        }
+
+        ctx.restore();
+    }
+    /** ======== END ======== */
+
+}
+
+class HiddenInput {
+
+    #active    = false;
+    #composing = false;
+    #hold      = null;
+
+    constructor (canvas, callback) {
+        this.canvas   = canvas;
+        this.callback = callback;
+        this.element  = null;
+
+        // Presses on the canvas would take the focus from the input and close mobile keyboards
+        this.#hold = event => this.#active && event.preventDefault();
+    }
+
+    open (state = {}) {
+        if (!this.element) this.#create();
+
+        this.#active = true;
+        this.update(state);
+        this.element.focus({preventScroll: true});
+        return this;
+    }
+    update (state = {}) {
+        const element = this.element;
+        if (!element) return this;
+
+        element.type = state.password ? 'password' : 'text';
+        element.inputMode = state.inputMode ?? 'text';
+        element.readOnly = Boolean(state.readOnly);
+
+        if (Number.isFinite(state.maxLength)) element.maxLength = state.maxLength;
+        else element.removeAttribute('maxlength');
+
+        if (element.value !== (state.value ?? '')) element.value = state.value ?? '';
+
+        // A running composition owns the selection
+        if (!this.#composing && state.selectionStart !== undefined)
+            element.setSelectionRange(state.selectionStart, state.selectionEnd, state.selectionDirection);
+
+        // The IME window opens next to the input
+        if (state.rect) {
+            Object.assign(element.style, {
+                left  : `${state.rect.x}px`,
+                top   : `${state.rect.y}px`,
+                width : `${Math.max(1, state.rect.width)}px`,
+                height: `${Math.max(1, state.rect.height)}px`
+            });
+        }
+
+        return this;
+    }
+    close () {
+        if (!this.#active) return this;
+
+        this.#active = false;
+        this.#composing = false;
+
+        if (document.activeElement === this.element) {
+            this.element.blur();
+            this.canvas.focus?.({preventScroll: true});
+        }
+        return this;
+    }
+    destroy () {
+        this.close();
+        this.element?.remove();
+        this.element = null;
+
+        this.canvas.removeEventListener('mousedown', this.#hold);
+        this.canvas.removeEventListener('touchstart', this.#hold);
+        return this;
+    }
+    #create () {
+        const element = this.element = document.createElement('input');
+
+        element.autocomplete = 'off';
+        element.spellcheck = false;
+        element.setAttribute('autocapitalize', 'off');
+        element.setAttribute('autocorrect', 'off');
+
+        // 16px keeps mobile browsers from zooming into the page
+        Object.assign(element.style, {
+            position: 'fixed',
+            opacity: '0',
+            pointerEvents: 'none',
+            border: '0',
+            padding: '0',
+            margin: '0',
+            outline: 'none',
+            background: 'transparent',
+            color: 'transparent',
+            caretColor: 'transparent',
+            fontSize: '16px'
+        });
+
+        element.addEventListener('input', () => this.#emit('input'));
+        element.addEventListener('select', () => this.#emit('select'));
+        element.addEventListener('keyup', () => this.#emit('select'));
+        element.addEventListener('keydown', event => {
+            if (event.key === 'Enter' && !event.isComposing) {
+                event.preventDefault();
+                this.#emit('submit');
+            } else if (event.key === 'Escape') {
+                event.preventDefault();
+                this.#emit('cancel');
+            } else {
+                // The caret moves after the keydown
+                setTimeout(() => this.#emit('select'));
+            }
+        });
+        element.addEventListener('compositionstart', () => this.#composing = true);
+        element.addEventListener('compositionend', () => {
+            this.#composing = false;
+            this.#emit('input');
+        });
+        element.addEventListener('blur', () => {
+            if (!this.#active) return;
+            this.#active = false;
+            this.#emit('blur');
+        });
+
+        document.body.appendChild(element);
+
+        this.canvas.addEventListener('mousedown', this.#hold);
+        this.canvas.addEventListener('touchstart', this.#hold, {passive: false});
+    }
+    #emit (type) {
+        const element = this.element;
+        if (!element) return;
+
+        this.callback({
+            type,
+            value: element.value,
+            selectionStart: element.selectionStart,
+            selectionEnd: element.selectionEnd,
+            selectionDirection: element.selectionDirection,
+            composing: this.#composing
+        });
+    }
+
+}
+
+export {TextInputs as default, TextInput, HiddenInput};
@@ -5,6 +5,7 @@
  */
 import Collision from './Collision.js';
 import Entity from './Entity.js';
+import Tiled from './Tiled.js';
 
 class TileMap {
 
@@ -55,13 +56,18 @@ class TileMap {
             layers: new Map(),
             tiles,
             tileBaseSize,
-            overlap
+            overlap,
+            objects: config.objects || []
         });
 
         this.maps.get(name).layers = this.parseLayersWithWorldCoords(layersConfig, name);
 
         return this;
     }
+    async importTiled (name, source, options = {}) {
+        const config = await Tiled.toTileMap(this.engine, source, options);
+        return this.create(name, config);
+    }
 
     update () {
         if (!this.running || !this.activeMap) return;
@@ -97,6 +103,9 @@ class TileMap {
 
         // Add tiles to debugger
         this._addTilesToDebugger();
+
+        // Spawn the entities of the object layers
+        this._addMapObjects();
     }
     _renderMap () {
         if (!this.running || !this.activeMap) return;
@@ -230,7 +239,7 @@ class TileMap {
         const tileAsset = this.engine.getAsset(tileInfo.assetId);
         if (!tileAsset) return;
 
-        const tileCoords = tileAsset.config.tiles[tileInfo.tileName];
+        const tileCoords = this._getTileCoords(tileAsset, tileInfo.tileName);
         if (!tileCoords) return;
 
         const renderX = Math.floor(x * tileSize - overlap);
@@ -338,7 +347,7 @@ class TileMap {
         if (!asset) return {assetId, tileName, exists: false};
 
         const tileSize = asset.config?.tileSize || this.getTileBaseSize();
-        const tileCoords = asset.config?.tiles?.[tileName];
+        const tileCoords = this._getTileCoords(asset, tileName);
 
         return {
             assetId,
@@ -348,6 +357,12 @@ class TileMap {
             exists: !!tileCoords
         };
     }
+    _getTileCoords (asset, tileName) {
+        // Spritesheet frames can be referenced by index, e.g. 'dungeon.12'
+        return asset.config?.tiles?.[tileName] ?? (
+            asset.type === 'spritesheet' ? asset.config.frames?.[tileName] : undefined
+        );
+    }
     getTileSize (tileReference) {
         const tileInfo = this.getAssetTileInfo(tileReference);
         if (!tileInfo) return this.getTileBaseSize();
@@ -655,7 +670,7 @@ class TileMap {
     }
     tileToEntity (tile, worldX, worldY) {
         const tileSize  = this.getTileBaseSize();
-        const id = `tile_${tile.tileX || Math.floor(worldX / tileSize)}_${tile.tileY || Math.floor(worldY / tileSize)}_${tile.layer}`;
+        const id = tile.id ?? `tile_${tile.tileX || Math.floor(worldX / tileSize)}_${tile.tileY || Math.floor(worldY / tileSize)}_${tile.layer}`;
         return new Entity(id, {
             engine: this.engine,
 
@@ -678,6 +693,7 @@ class TileMap {
             width : bounds[2],
             height: bounds[3],
 
+            class : config?.class  || '',
             shape : config?.shape  || 'rectangle',
             scale : config?.scale  || 1,
             scaleX: config?.scaleX || 1,
@@ -935,6 +951,7 @@ class TileMap {
 
                 for (const tile of tilesAtPoint) {
                     if (!tile.config.collision) continue;
+                    if (!this.engine.collision.shouldCollide(entity, tile.config)) continue;
 
                     const collisionResult = this._checkTileCollision(
                         entity, tile, tile.worldX, tile.worldY
@@ -964,18 +981,21 @@ class TileMap {
                         amount: collisionResult.amount
                     });
 
-                    switch (tile.config.collision.type) {
-                        case 'solid':
-                            this._applySolid(entity, {...collisionResult, tile});
-                            break;
-                        case 'platform':
-                            if (tile.collision?.side !== undefined) {
-                                if (tile.collision.side === collisionResult.side)
+                    // Character controllers resolve their own contacts
+                    if (!this.engine.controllers?.has(entity)) {
+                        switch (tile.config.collision.type) {
+                            case 'solid':
+                                this._applySolid(entity, {...collisionResult, tile});
+                                break;
+                            case 'platform':
+                                if (tile.collision?.side !== undefined) {
+                                    if (tile.collision.side === collisionResult.side)
+                                        this._applyPlatform(entity, tile, collisionResult);
+                                } else {
                                     this._applyPlatform(entity, tile, collisionResult);
-                            } else {
-                                this._applyPlatform(entity, tile, collisionResult);
-                            }
-                            break;
+                                }
+                                break;
+                        }
                     }
 
                     const isNew = !this.activeCollisions.has(key) ||
@@ -1050,6 +1070,10 @@ class TileMap {
                 x: entity.absoluteX + dx,
                 y: entity.absoluteY + dy
             });
+
+            // The tile stops or bounces entities with a collision response, along the unit normal of the push
+            const length = Math.hypot(dx, dy);
+            this.engine.collision.resolveVelocity(entity, {x: -dx / length, y: -dy / length});
         }
     }
     _applyPlatform (entity, tile, resolve) {
@@ -1088,6 +1112,39 @@ class TileMap {
             }
         }
     }
+    _addMapObjects () {
+        const activeMap = this.maps.get(this.activeMap);
+        if (!activeMap) return;
+
+        for (const object of activeMap.objects) {
+            // Restored worlds may already contain the object entity
+            if (this.engine.find(object.id)) continue;
+
+            const config = object.config || {};
+            const entity = this.tileToEntity(object, object.x, object.y);
+
+            // The entity keeps the object size, the collision bounds may be smaller
+            entity.width  = object.width;
+            entity.height = object.height;
+
+            if (!config.collision) {
+                entity.collision.enabled = false;
+                entity.physics = false;
+            }
+
+            if (object.image)
+                entity.img(object.image, {fit: 'stretch'});
+
+            this.engine.append(entity);
+        }
+    }
+    _removeMapObjects () {
+        const activeMap = this.maps.get(this.activeMap);
+        if (!activeMap) return;
+
+        for (const object of activeMap.objects)
+            this.engine.find(object.id)?.kill();
+    }
     _removeTilePhysicsEntities () {
         const activeMap = this.maps.get(this.activeMap);
         if (!activeMap) return;
@@ -1135,7 +1192,7 @@ class TileMap {
             const animData = this.animatedTiles.get(specificKey);
             if (animData) {
                 animData.playing = true;
-                animData.lastFrameTime = performance.now();
+                animData.lastFrameTime = this.engine.now();
             } else {
                 this.engine.warn(`Animation data not found for: ${specificKey}`);
             }
@@ -1143,7 +1200,7 @@ class TileMap {
             for (const [key, animData] of this.animatedTiles) {
                 if (key.includes(`tile_${symbol}`)) {
                     animData.playing = true;
-                    animData.lastFrameTime = performance.now();
+                    animData.lastFrameTime = this.engine.now();
                 }
             }
         }
@@ -1233,7 +1290,7 @@ class TileMap {
                         loop: tileConfig.loop ?? false,
                         currentFrame: 0,
                         playing: tileConfig.playing ?? true,
-                        lastFrameTime: performance.now()
+                        lastFrameTime: this.engine.now()
                     });
                 });
 
@@ -1245,13 +1302,14 @@ class TileMap {
                     loop: tileConfig.loop ?? false,
                     currentFrame: 0,
                     playing: tileConfig.playing ?? true,
-                    lastFrameTime: performance.now()
+                    lastFrameTime: this.engine.now()
                 });
             }
         }
     }
     _updateAnimatedTiles () {
-        const currentTime = performance.now();
+        // Tile animations run on the clock of the timers, like the simulation
+        const currentTime = this.engine.now();
 
         for (const [key, animData] of this.animatedTiles) {
             if (!animData.frames || animData.frames.length <= 1) continue;
@@ -1374,9 +1432,79 @@ class TileMap {
     }
     /** ======== END ======== */
 
+    /** ======== SERIALIZE ======== */
+    serialize () {
+        const maps = {};
+        for (const [name, map] of this.maps) {
+            const layers = {};
+            for (const [layerName, grid] of map.layers)
+                layers[layerName] = grid.map(row => row.map(cell => cell?.symbol ?? null));
+
+            maps[name] = {
+                layers,
+                tiles: JSON.parse(JSON.stringify(Object.fromEntries(map.tiles))),
+                tileBaseSize: map.tileBaseSize,
+                overlap: map.overlap,
+                objects: JSON.parse(JSON.stringify(map.objects))
+            };
+        }
+
+        const animations = {};
+        for (const [key, anim] of this.animatedTiles) {
+            animations[key] = {
+                currentFrame: anim.currentFrame,
+                frameRate: anim.frameRate,
+                playing: anim.playing
+            };
+        }
+
+        return {
+            maps,
+            activeMap: this.activeMap,
+            running: this.running,
+            animations
+        };
+    }
+    deserialize (data = {}) {
+        // Keep tile callbacks (onClick, onCollide, ...) of maps that are already defined
+        const previous = new Map(this.maps);
+
+        this.reset();
+
+        for (const [name, map] of Object.entries(data.maps || {})) {
+            const tiles = {};
+            for (const [symbol, tile] of Object.entries(map.tiles || {}))
+                tiles[symbol] = {...previous.get(name)?.tiles.get(symbol), ...tile};
+
+            this.create(name, {...map, tiles});
+        }
+
+        if (data.activeMap && this.maps.has(data.activeMap)) {
+            if (data.running) {
+                this.render(data.activeMap);
+            } else {
+                this.activeMap = data.activeMap;
+            }
+        }
+
+        for (const [key, state] of Object.entries(data.animations || {})) {
+            const anim = this.animatedTiles.get(key);
+            if (!anim) continue;
+
+            anim.currentFrame = state.currentFrame;
+            anim.frameRate = state.frameRate;
+            anim.playing = state.playing;
+            anim.lastFrameTime = this.engine.now();
+        }
+
+        return this;
+    }
+    /** ======== END ======== */
+
     /** ======== RESET ======== */
     clear () {
         this.disableTileDebug();
+        this._removeMapObjects();
 
         this.activeCollisions.clear();
         this.animatedTiles.clear();
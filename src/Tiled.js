@@ -0,0 +1,651 @@
+/**
+ * Copyright (c) 2025 Pixalo
+ * @Repository: https://github.com/pixalo
+ * @License: MIT
+ */
+
+// Tiled stores the flip state in the three highest bits of every gid
+const FLIPPED_HORIZONTALLY = 0x80000000;
+const FLIPPED_VERTICALLY   = 0x40000000;
+const FLIPPED_DIAGONALLY   = 0x20000000;
+const ROTATED_HEXAGONAL    = 0x10000000;
+const GID_MASK = ~(FLIPPED_HORIZONTALLY | FLIPPED_VERTICALLY | FLIPPED_DIAGONALLY | ROTATED_HEXAGONAL);
+
+const COLLISION_TYPES = ['solid', 'platform', 'sensor'];
+const TEXT_ATTRIBUTES = ['name', 'class', 'type', 'source', 'encoding', 'compression', 'orientation', 'version'];
+
+class Tiled {
+
+    /** ======== LOADING ======== */
+    static async load (source, options = {}) {
+        let map = source, baseURL = options.baseURL || null;
+
+        if (typeof source === 'string' && !/^\s*[{<]/.test(source)) {
+            baseURL = baseURL || new URL(source, Tiled.#location()).href;
+            map = await Tiled.#fetchText(new URL(source, Tiled.#location()).href);
+        }
+
+        if (typeof map === 'string')
+            map = Tiled.parse(map);
+
+        if (!map || typeof map !== 'object' || !Array.isArray(map.layers))
+            throw new Error('Invalid Tiled map');
+
+        // External tilesets (.tsj / .tsx) are resolved relative to the map
+        map.tilesets = await Promise.all((map.tilesets || []).map(async tileset => {
+            if (!tileset.source) return tileset;
+
+            const url = new URL(tileset.source, baseURL || Tiled.#location()).href;
+            const external = Tiled.parse(await Tiled.#fetchText(url));
+            const parsed = external.tilesets?.[0] ?? external;
+
+            return {...parsed, firstgid: tileset.firstgid, baseURL: url};
+        }));
+
+        map.baseURL = baseURL;
+        return Tiled.#decompress(map);
+    }
+    static parse (text) {
+        if (typeof text !== 'string')
+            throw new Error('Tiled source must be a string');
+
+        text = text.trim();
+        if (text.startsWith('{'))
+            return JSON.parse(text);
+
+        if (text.startsWith('<'))
+            return Tiled.#fromXML(Tiled.#parseXML(text));
+
+        throw new Error('Unknown Tiled format, expected JSON (.tmj) or XML (.tmx)');
+    }
+    static async #fetchText (url) {
+        const response = await fetch(url);
+        if (!response.ok)
+            throw new Error(`Failed to fetch Tiled file: ${response.statusText}`);
+        return response.text();
+    }
+    static #location () {
+        return globalThis.location?.href || 'http://localhost/';
+    }
+    /** ======== END ======== */
+
+    /** ======== CONVERSION ======== */
+    static async toTileMap (engine, source, options = {}) {
+        const map = await Tiled.load(source, options);
+
+        if (map.orientation && map.orientation !== 'orthogonal')
+            throw new Error(`Unsupported Tiled orientation: ${map.orientation}`);
+
+        if (map.tilewidth !== map.tileheight)
+            engine.warn(`Tiled map tiles are not square (${map.tilewidth}x${map.tileheight}), tilewidth is used`);
+
+        const tilesets = await Promise.all(
+            map.tilesets.map(tileset => Tiled.#prepareTileset(engine, tileset, map, options))
+        );
+
+        const context = {engine, map, tilesets, options, tiles: {}, layers: {}, objects: []};
+        Tiled.#readLayers(context, map.layers, '');
+
+        return {
+            tileBaseSize: map.tilewidth,
+            overlap: options.overlap ?? 0,
+            layers: context.layers,
+            tiles: context.tiles,
+            objects: context.objects,
+            properties: Tiled.#properties(map.properties)
+        };
+    }
+    static async #prepareTileset (engine, tileset, map, options) {
+        const assetId = options.tilesets?.[tileset.name] ?? tileset.name;
+
+        if (!tileset.image) {
+            engine.warn(`Tileset (${tileset.name}) has no single image, image collection tilesets are not supported`);
+        } else if (!engine.getAsset(assetId) && options.loadAssets !== false) {
+            const tileWidth  = tileset.tilewidth;
+            const tileHeight = tileset.tileheight;
+            const margin  = tileset.margin  || 0;
+            const spacing = tileset.spacing || 0;
+            const columns = tileset.columns || Math.floor(
+                ((tileset.imagewidth || 0) - margin * 2 + spacing) / (tileWidth + spacing)
+            );
+            const rows = Math.ceil((tileset.tilecount || columns) / columns);
+
+            await engine.loadAsset('spritesheet', assetId,
+                new URL(tileset.image, tileset.baseURL || map.baseURL || Tiled.#location()).href, {
+                    columns, rows,
+                    width : tileWidth,
+                    height: tileHeight,
+                    originOffset: [margin, margin],
+                    margin: [spacing, spacing]
+                }
+            );
+        }
+
+        const tiles = new Map();
+        for (const tile of tileset.tiles || [])
+            tiles.set(tile.id, tile);
+
+        return {...tileset, assetId, tiles};
+    }
+    static #readLayers (context, layers, prefix) {
+        for (const layer of layers) {
+            const name = prefix + layer.name;
+
+            if (layer.visible === false && !context.options.hiddenLayers) {
+                context.engine.info(`Tiled layer (${name}) is hidden and was skipped`);
+                continue;
+            }
+
+            switch (layer.type) {
+                case 'tilelayer':
+                    context.layers[name] = Tiled.#readTileLayer(context, layer, name);
+                    break;
+                case 'objectgroup':
+                    Tiled.#readObjectLayer(context, layer, name);
+                    break;
+                case 'group':
+                    Tiled.#readLayers(context, layer.layers || [], name + '/');
+                    break;
+                default:
+                    context.engine.warn(`Unsupported Tiled layer type: ${layer.type}`);
+            }
+        }
+    }
+    static #readTileLayer (context, layer, name) {
+        const grid = [];
+        const place = (gids, offsetX, offsetY, width) => {
+            gids.forEach((gid, index) => {
+                if (!gid) return;
+
+                const x = offsetX + index % width;
+                const y = offsetY + Math.floor(index / width);
+                if (x < 0 || y < 0) {
+                    context.engine.warn(`Tile at (${x}, ${y}) of layer (${name}) is outside the map and was skipped`);
+                    return;
+                }
+
+                grid[y] = grid[y] || [];
+                grid[y][x] = Tiled.#symbol(context, gid);
+            });
+        };
+
+        if (layer.chunks) {
+            for (const chunk of layer.chunks)
+                place(Tiled.#decodeData(chunk.data, layer), chunk.x, chunk.y, chunk.width);
+        } else {
+            place(Tiled.#decodeData(layer.data, layer), 0, 0, layer.width);
+        }
+
+        return Array.from(grid, row => Array.from(row || [], cell => cell ?? null));
+    }
+    static #readObjectLayer (context, layer, name) {
+        for (const object of layer.objects || []) {
+            if (object.visible === false) continue;
+
+            const entry = Tiled.#objectToTile(context, object, name);
+            if (entry) context.objects.push(entry);
+        }
+    }
+    static #objectToTile (context, object, layer) {
+        const properties = Tiled.#properties(object.properties);
+        const className  = object.class ?? object.type ?? '';
+        const type = properties.collision ?? (COLLISION_TYPES.includes(className) ? className : null);
+
+        const rotation = object.rotation || 0;
+        const rad = rotation * Math.PI / 180;
+        let width  = object.width  || 0;
+        let height = object.height || 0;
+        let anchorY = height / 2;
+
+        const config = {
+            class: className,
+            rotation,
+            properties,
+            collision: null
+        };
+
+        if (object.gid) {
+            // Tile objects are anchored at their bottom-left corner
+            anchorY = -height / 2;
+            Object.assign(config, Tiled.#tileConfig(context, object.gid) || {});
+            config.rotation = (config.rotation || 0) + rotation;
+        }
+
+        let points = null;
+        if (object.polygon) {
+            // Bake the rotation into the points, they are relative to the object origin
+            const rotated = object.polygon.map(p => ({
+                x: p.x * Math.cos(rad) - p.y * Math.sin(rad),
+                y: p.x * Math.sin(rad) + p.y * Math.cos(rad)
+            }));
+            const xs = rotated.map(p => p.x), ys = rotated.map(p => p.y);
+            const minX = Math.min(...xs), minY = Math.min(...ys);
+
+            width  = Math.max(...xs) - minX;
+            height = Math.max(...ys) - minY;
+            points = rotated.map(p => ({x: p.x - minX - width / 2, y: p.y - minY - height / 2}));
+
+            config.rotation = 0;
+            object = {...object, x: object.x + minX, y: object.y + minY, rotation: 0};
+            anchorY = height / 2;
+        }
+
+        if (object.ellipse)
+            config.shape = 'circle';
+
+        // Tiled rotates around the object origin, entities rotate around their center
+        const centerX = object.x + (width / 2) * Math.cos(rad) - anchorY * Math.sin(rad);
+        const centerY = object.y + (width / 2) * Math.sin(rad) + anchorY * Math.cos(rad);
+        const size = Math.max(width, height, 1);
+
+        if (type && !object.point && !object.polyline) {
+            config.collision = {
+                type,
+                bounds: [0, 0, width || size, height || size],
+                ...(points ? {points} : {})
+            };
+        }
+
+        return {
+            id: `tiled_${layer}_${object.id}`,
+            layer,
+            name: object.name || '',
+            x: centerX - (width || size) / 2,
+            y: centerY - (height || size) / 2,
+            width : width  || size,
+            height: height || size,
+            image : object.gid ? config.tile : null,
+            object,
+            config
+        };
+    }
+    static #symbol (context, rawGid) {
+        const symbol = String(rawGid >>> 0);
+        if (!(symbol in context.tiles)) {
+            const config = Tiled.#tileConfig(context, rawGid);
+            if (!config) return null;
+            context.tiles[symbol] = config;
+        }
+        return symbol;
+    }
+    static #tileConfig (context, rawGid) {
+        rawGid = rawGid >>> 0;
+        const gid = rawGid & GID_MASK;
+
+        let tileset = null;
+        for (const candidate of context.tilesets) {
+            if (candidate.firstgid <= gid && (!tileset || candidate.firstgid > tileset.firstgid))
+                tileset = candidate;
+        }
+
+        if (!tileset) {
+            context.engine.warn(`No tileset found for gid ${gid}`);
+            return null;
+        }
+
+        const localId = gid - tileset.firstgid;
+        const tile = tileset.tiles.get(localId);
+        const properties = Tiled.#properties(tile?.properties);
+
+        const config = {
+            tile: `${tileset.assetId}.${localId}`,
+            ...Tiled.#flipTransform(rawGid),
+            properties
+        };
+
+        if (tile?.animation?.length) {
+            const duration = tile.animation.reduce((sum, frame) => sum + frame.duration, 0);
+            config.frames = tile.animation.map(frame => `${tileset.assetId}.${frame.tileid}`);
+            config.frameRate = 1000 / (duration / tile.animation.length);
+            config.loop = true;
+            config.playing = context.options.playAnimations ?? true;
+        }
+
+        const collision = Tiled.#tileCollision(context, tileset, tile, properties);
+        if (collision) Object.assign(config, collision);
+
+        return config;
+    }
+    static #tileCollision (context, tileset, tile, properties) {
+        const objects = tile?.objectgroup?.objects || [];
+        const fallback = properties.collision ?? tile?.class ?? tile?.type;
+        const type = COLLISION_TYPES.includes(fallback) ? fallback : 'solid';
+        const size = context.map.tilewidth;
+
+        if (!objects.length) {
+            // A collision property without shapes makes the whole tile collidable
+            return COLLISION_TYPES.includes(properties.collision)
+                ? {collision: {type, bounds: [0, 0, size, size]}}
+                : null;
+        }
+
+        if (objects.length > 1)
+            context.engine.warn(`Tile ${tile.id} of tileset (${tileset.name}) has several collision shapes, only the first is used`);
+
+        const shape = objects[0];
+        const objectClass = shape.class ?? shape.type;
+        const collision = {
+            type: COLLISION_TYPES.includes(objectClass) ? objectClass : type
+        };
+
+        if (shape.polygon) {
+            // Collision points are relative to the center of the tile
+            collision.bounds = [0, 0, size, size];
+            collision.points = shape.polygon.map(p => ({
+                x: shape.x + p.x - size / 2,
+                y: shape.y + p.y - size / 2
+            }));
+            return {collision};
+        }
+
+        collision.bounds = [shape.x || 0, shape.y || 0, shape.width || size, shape.height || size];
+        return shape.ellipse ? {collision, shape: 'circle'} : {collision};
+    }
+    static #flipTransform (rawGid) {
+        const h = Boolean(rawGid & FLIPPED_HORIZONTALLY);
+        const v = Boolean(rawGid & FLIPPED_VERTICALLY);
+        const d = Boolean(rawGid & FLIPPED_DIAGONALLY);
+
+        if (!d) {
+            return {
+                ...(h ? {scaleX: -1} : {}),
+                ...(v ? {scaleY: -1} : {})
+            };
+        }
+
+        // A diagonal flip is a transpose, expressed as a rotation plus a mirror
+        if (h && v) return {rotation: 90, scaleX: -1};
+        if (h) return {rotation: 90};
+        if (v) return {rotation: 270};
+        return {rotation: 90, scaleY: -1};
+    }
+    static #properties (properties) {
+        if (!properties) return {};
+        if (!Array.isArray(properties)) return {...properties};
+
+        const result = {};
+        for (const {name, value} of properties)
+            result[name] = value;
+        return result;
+    }
+    /** ======== END ======== */
+
+    /** ======== DATA ======== */
+    static #decodeData (data, layer) {
+        if (Array.isArray(data)) return data;
+
+        const encoding = layer.encoding || 'csv';
+        if (encoding === 'csv')
+            return String(data).split(',').map(value => Number(value.trim()) >>> 0);
+
+        if (encoding !== 'base64')
+            throw new Error(`Unsupported Tiled layer encoding: ${encoding}`);
+
+        if (layer.compression)
+            throw new Error(`Compressed Tiled layers (${layer.compression}) must be loaded with Tiled.load`);
+
+        return Tiled.#bytesToGids(Tiled.#base64ToBytes(data));
+    }
+    static async #decompress (map) {
+        const walk = async layers => {
+            for (const layer of layers) {
+                if (layer.type === 'group') await walk(layer.layers || []);
+                if (layer.type !== 'tilelayer' || !layer.compression) continue;
+
+                const inflate = async data => Tiled.#bytesToGids(
+                    await Tiled.#inflate(Tiled.#base64ToBytes(data), layer.compression)
+                );
+
+                if (layer.chunks) {
+                    for (const chunk of layer.chunks)
+                        chunk.data = await inflate(chunk.data);
+                } else {
+                    layer.data = await inflate(layer.data);
+                }
+
+                delete layer.encoding;
+                delete layer.compression;
+            }
+        };
+
+        await walk(map.layers || []);
+        return map;
+    }
+    static async #inflate (bytes, compression) {
+        const format = {zlib: 'deflate', gzip: 'gzip'}[compression];
+        if (!format || typeof DecompressionStream === 'undefined')
+            throw new Error(`Unsupported Tiled layer compression: ${compression}`);
+
+        const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream(format));
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+    }
+    static #base64ToBytes (data) {
+        const binary = atob(String(data).trim());
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++)
+            bytes[i] = binary.charCodeAt(i);
+        return bytes;
+    }
+    static #bytesToGids (bytes) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const gids = [];
+        for (let i = 0; i + 3 < bytes.length; i += 4)
+            gids.push(view.getUint32(i, true));
+        return gids;
+    }
+    /** ======== END ======== */
+
+    /** ======== XML ======== */
+    static #parseXML (text) {
+        const root = {name: '#document', attributes: {}, children: [], text: ''};
+        const stack = [root];
+        const pattern = /<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<!\[CDATA\[([\s\S]*?)]]>|<(\/?)([\w:.-]+)((?:\s+[\w:.-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)/g;
+        const decode = value => value
+            .replace(/&lt;/g, '<').replace(/&gt;/g, '>')
+            .replace(/&quot;/g, '"').replace(/&apos;/g, "'")
+            .replace(/&amp;/g, '&');
+
+        let match;
+        while ((match = pattern.exec(text))) {
+            const [, cdata, closing, name, attrs, selfClosing, content] = match;
+            const current = stack[stack.length - 1];
+
+            if (cdata !== undefined) {
+                current.text += cdata;
+            } else if (content !== undefined) {
+                current.text += decode(content);
+            } else if (closing) {
+                stack.pop();
+            } else if (name) {
+                const node = {name, attributes: {}, children: [], text: ''};
+                const attrPattern = /([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+                let attr;
+                while ((attr = attrPattern.exec(attrs)))
+                    node.attributes[attr[1]] = decode(attr[2] ?? attr[3]);
+
+                current.children.push(node);
+                if (!selfClosing) stack.push(node);
+            }
+        }
+
+        const document = root.children[0];
+        if (!document)
+            throw new Error('Invalid Tiled XML');
+        return document;
+    }
+    static #fromXML (node) {
+        if (node.name === 'tileset')
+            return Tiled.#xmlTileset(node);
+
+        if (node.name !== 'map')
+            throw new Error(`Unexpected Tiled XML root: ${node.name}`);
+
+        const map = {
+            ...Tiled.#xmlAttributes(node),
+            properties: Tiled.#xmlProperties(node),
+            tilesets: [],
+            layers: Tiled.#xmlLayers(node)
+        };
+
+        for (const child of node.children) {
+            if (child.name === 'tileset')
+                map.tilesets.push(Tiled.#xmlTileset(child));
+        }
+
+        return map;
+    }
+    static #xmlLayers (node) {
+        const layers = [];
+        for (const child of node.children) {
+            const attributes = Tiled.#xmlAttributes(child);
+            const base = {
+                ...attributes,
+                visible: attributes.visible !== 0,
+                properties: Tiled.#xmlProperties(child)
+            };
+
+            switch (child.name) {
+                case 'layer': {
+                    const data = child.children.find(c => c.name === 'data');
+                    const layer = {
+                        ...base,
+                        type: 'tilelayer',
+                        encoding: data?.attributes.encoding || 'csv',
+                        compression: data?.attributes.compression
+                    };
+                    const chunks = data?.children.filter(c => c.name === 'chunk') || [];
+
+                    if (chunks.length) {
+                        layer.chunks = chunks.map(chunk => ({
+                            ...Tiled.#xmlAttributes(chunk),
+                            data: Tiled.#xmlData(chunk, layer.encoding)
+                        }));
+                    } else {
+                        layer.data = data ? Tiled.#xmlData(data, layer.encoding) : [];
+                    }
+
+                    if (!layer.compression) delete layer.compression;
+                    layers.push(layer);
+                    break;
+                }
+                case 'objectgroup':
+                    layers.push({
+                        ...base,
+                        type: 'objectgroup',
+                        objects: child.children.filter(c => c.name === 'object').map(Tiled.#xmlObject)
+                    });
+                    break;
+                case 'group':
+                    layers.push({...base, type: 'group', layers: Tiled.#xmlLayers(child)});
+                    break;
+            }
+        }
+        return layers;
+    }
+    static #xmlData (node, encoding) {
+        // <tile gid=""/> children are the oldest, unencoded format
+        if (!node.attributes.encoding && node.children.length)
+            return node.children.filter(c => c.name === 'tile').map(c => Number(c.attributes.gid || 0) >>> 0);
+
+        if (encoding === 'csv')
+            return node.text.split(',').map(value => Number(value.trim()) >>> 0);
+
+        return node.text.trim();
+    }
+    static #xmlTileset (node) {
+        const image = node.children.find(c => c.name === 'image');
+        const tileset = {
+            ...Tiled.#xmlAttributes(node),
+            properties: Tiled.#xmlProperties(node),
+            tiles: []
+        };
+
+        if (image) {
+            tileset.image = image.attributes.source;
+            tileset.imagewidth = Number(image.attributes.width);
+            tileset.imageheight = Number(image.attributes.height);
+        }
+
+        for (const child of node.children) {
+            if (child.name !== 'tile') continue;
+
+            const tile = {
+                ...Tiled.#xmlAttributes(child),
+                properties: Tiled.#xmlProperties(child)
+            };
+
+            const animation = child.children.find(c => c.name === 'animation');
+            if (animation) {
+                tile.animation = animation.children
+                    .filter(c => c.name === 'frame')
+                    .map(frame => Tiled.#xmlAttributes(frame));
+            }
+
+            const objectgroup = child.children.find(c => c.name === 'objectgroup');
+            if (objectgroup) {
+                tile.objectgroup = {
+                    objects: objectgroup.children.filter(c => c.name === 'object').map(Tiled.#xmlObject)
+                };
+            }
+
+            tileset.tiles.push(tile);
+        }
+
+        return tileset;
+    }
+    static #xmlObject (node) {
+        const object = {
+            ...Tiled.#xmlAttributes(node),
+            properties: Tiled.#xmlProperties(node)
+        };
+
+        object.visible = object.visible !== 0;
+
+        for (const child of node.children) {
+            switch (child.name) {
+                case 'ellipse':
+                    object.ellipse = true;
+                    break;
+                case 'point':
+                    object.point = true;
+                    break;
+                case 'polygon':
+                case 'polyline':
+                    object[child.name] = child.attributes.points.trim().split(/\s+/).map(pair => {
+                        const [x, y] = pair.split(',').map(Number);
+                        return {x, y};
+                    });
+                    break;
+            }
+        }
+
+        return object;
+    }
+    static #xmlAttributes (node) {
+        const result = {};
+        for (const [key, value] of Object.entries(node.attributes)) {
+            const textual = TEXT_ATTRIBUTES.includes(key) || value === '' || isNaN(value);
+            result[key] = textual ? value : Number(value);
+        }
+        return result;
+    }
+    static #xmlProperties (node) {
+        const properties = node.children.find(c => c.name === 'properties');
+        if (!properties) return [];
+
+        return properties.children.filter(c => c.name === 'property').map(property => {
+            const {name, type = 'string'} = property.attributes;
+            const raw = property.attributes.value ?? property.text;
+
+            let value = raw;
+            if (type === 'int' || type === 'float' || type === 'object') value = Number(raw);
+            if (type === 'bool') value = raw === 'true';
+
+            return {name, type, value};
+        });
+    }
+    /** ======== END ======== */
+
+}
+
+export default Tiled;
@@ -0,0 +1,547 @@
+/**
+ * Copyright (c) 2025 Pixalo
+ * @Repository: https://github.com/pixalo
+ * @License: MIT
+ */
+import Ease   from './Ease.js';
+import Camera from './Camera.js';
+
+const ENTITY_BOX   = ['x', 'y', 'width', 'height'];
+const RELATIVE     = /^([+-])=(-?\d*\.?\d+)$/;
+const POSITION     = /^(<|>)?(.*?)(?:([+-])=(\d*\.?\d+))?$/;
+const DEFAULT_TIME = 300;
+
+class Timelines {
+
+    constructor (engine) {
+        this.engine = engine;
+        this.active = new Set();
+    }
+
+    create (options = {}) {
+        const timeline = new Timeline(this.engine, options);
+        this._add(timeline);
+        return timeline;
+    }
+    update (deltaTime) {
+        // Timelines created during the update start on the next frame
+        for (const timeline of [...this.active])
+            timeline._advance(deltaTime);
+    }
+    pauseAll () {
+        this.active.forEach(timeline => timeline.pause());
+        return this;
+    }
+    resumeAll () {
+        this.active.forEach(timeline => timeline.resume());
+        return this;
+    }
+    clear () {
+        [...this.active].forEach(timeline => timeline.kill());
+        return this;
+    }
+    _add (timeline) {
+        if (!timeline._parent) this.active.add(timeline);
+    }
+    _remove (timeline) {
+        this.active.delete(timeline);
+    }
+
+}
+
+class Timeline {
+
+    #children  = [];
+    #labels    = new Map();
+    #resolvers = [];
+    #last      = null;
+    #lastTime  = -1; // Nothing rendered yet, children at 0 are crossed by the first frame
+    #iteration = 0;
+    #started   = false;
+    #killed    = false;
+
+    constructor (engine, options = {}) {
+        this.engine = engine;
+        // Timelines of the scene that was active when it was created
+        this.timelines = engine.timelines;
+
+        this.options = {
+            repeat: options.repeat ?? 0,
+            yoyo: options.yoyo ?? false,
+            defaults: options.defaults || {},
+            onStart: options.onStart || null,
+            onUpdate: options.onUpdate || null,
+            onRepeat: options.onRepeat || null,
+            onComplete: options.onComplete || null,
+            onReverseComplete: options.onReverseComplete || null
+        };
+
+        this.timeScale = options.timeScale ?? 1;
+        this.totalTime = 0;
+        this.paused    = options.paused ?? false;
+        this.reversed  = false;
+        this.completed = false;
+
+        this._parent = null;
+    }
+
+    /** ======== BUILD ======== */
+    to (targets, properties, options = {}, position) {
+        return this.#addTween(targets, null, properties, options, position);
+    }
+    from (targets, properties, options = {}, position) {
+        return this.#addTween(targets, properties, null, {immediateRender: true, ...options}, position);
+    }
+    fromTo (targets, fromProperties, toProperties, options = {}, position) {
+        return this.#addTween(targets, fromProperties, toProperties, options, position);
+    }
+    set (targets, properties, position) {
+        return this.#addTween(targets, null, properties, {duration: 0}, position);
+    }
+    call (callback, position) {
+        if (typeof callback !== 'function')
+            throw new Error('Timeline callback must be a function');
+
+        return this.#addChild({callback, totalDuration: () => 0}, position);
+    }
+    add (child, position) {
+        if (typeof child === 'function')
+            return this.call(child, position);
+
+        if (!(child instanceof Timeline) || child === this)
+            throw new Error('Only timelines and functions can be added to a timeline');
+
+        // The parent drives the child from now on
+        this.timelines._remove(child);
+        child._parent = this;
+
+        return this.#addChild(child, position);
+    }
+    label (name, position) {
+        if (!name || typeof name !== 'string')
+            throw new Error('Timeline label must be a non-empty string');
+
+        this.#labels.set(name, this._parsePosition(position));
+        return this;
+    }
+    getLabel (name) {
+        return this.#labels.get(name) ?? null;
+    }
+    #addTween (targets, from, to, options, position) {
+        if (targets === null || targets === undefined)
+            throw new Error('Tween targets are required');
+
+        options = {...this.options.defaults, ...options};
+        const tween = new Tween(this.engine, targets, from, to, options);
+
+        this.#addChild(tween, position, options.delay || 0);
+
+        // from() shows the start values right away instead of waiting for its position
+        if (options.immediateRender)
+            tween._render(0, false, true);
+
+        return this;
+    }
+    #addChild (item, position, delay = 0) {
+        const start = this._parsePosition(position) + delay;
+        const child = {start, item};
+
+        // Keep the children ordered by their start time, children at the same time keep the insertion order
+        const index = this.#children.findIndex(other => other.start > start);
+        index < 0 ? this.#children.push(child) : this.#children.splice(index, 0, child);
+
+        this.#last = child;
+        return this;
+    }
+    _parsePosition (position) {
+        const end = this.duration();
+
+        if (position === undefined || position === null) return end;
+        if (typeof position === 'number') return Math.max(0, position);
+
+        const match = POSITION.exec(String(position).trim());
+        if (!match)
+            throw new Error(`Invalid timeline position: ${position}`);
+
+        const [, relative, label, sign, amount] = match;
+        let time = end;
+
+        if (relative === '<') {
+            time = this.#last?.start ?? 0;
+        } else if (relative === '>') {
+            time = this.#last ? this.#last.start + this.#last.item.totalDuration() : 0;
+        } else if (label) {
+            if (!this.#labels.has(label))
+                throw new Error(`Timeline label (${label}) not found`);
+            time = this.#labels.get(label);
+        }
+
+        if (sign) time += (sign === '-' ? -1 : 1) * Number(amount);
+
+        return Math.max(0, time);
+    }
+    /** ======== END ======== */
+
+    /** ======== PLAYBACK ======== */
+    play () {
+        if (this.completed && !this.reversed)
+            return this.restart();
+
+        this.reversed = false;
+        return this.resume();
+    }
+    pause () {
+        this.paused = true;
+        return this;
+    }
+    resume () {
+        this.paused = false;
+        this.completed = false;
+        this.#killed = false;
+        this.timelines._add(this);
+        return this;
+    }
+    reverse () {
+        this.reversed = !this.reversed;
+        return this.resume();
+    }
+    restart () {
+        this.reversed = false;
+        this.#started = false;
+
+        // Return the children to their start values, then play the first frame again
+        this._setTotalTime(0, true);
+        this.#lastTime = -1;
+
+        return this.resume();
+    }
+    seek (position, suppressEvents = true) {
+        const time = typeof position === 'string' ? this._parsePosition(position) : Math.max(0, Number(position) || 0);
+
+        this._setTotalTime(time, suppressEvents);
+
+        if (this.completed && time < this.totalDuration()) {
+            this.completed = false;
+            this.timelines._add(this);
+        }
+
+        return this;
+    }
+    progress (value) {
+        const total = this.totalDuration();
+
+        if (value === undefined) {
+            if (total === Infinity) return this.duration() ? (this.totalTime % this.duration()) / this.duration() : 0;
+            return total ? this.totalTime / total : 1;
+        }
+
+        return this.seek(Math.min(Math.max(value, 0), 1) * (total === Infinity ? this.duration() : total));
+    }
+    setTimeScale (timeScale) {
+        if (!(timeScale > 0))
+            throw new Error('Timeline timeScale must be a positive number, use reverse() to play backwards');
+
+        this.timeScale = timeScale;
+        return this;
+    }
+    kill () {
+        this.paused = true;
+        this.#killed = true;
+        this.timelines._remove(this);
+        this.#resolve();
+        return this;
+    }
+    finished () {
+        if (this.completed || this.#killed) return Promise.resolve(this);
+        return new Promise(resolve => this.#resolvers.push(resolve));
+    }
+    isActive () {
+        return !this.paused && !this.completed && this.timelines.active.has(this);
+    }
+    duration () {
+        return this.#children.reduce((end, child) => Math.max(end, child.start + child.item.totalDuration()), 0);
+    }
+    totalDuration () {
+        if (this.options.repeat < 0) return Infinity;
+        return this.duration() * (this.options.repeat + 1);
+    }
+    /** ======== END ======== */
+
+    /** ======== RENDER ======== */
+    _advance (deltaTime) {
+        if (this.paused || this.completed) return;
+
+        const delta = deltaTime * this.timeScale;
+        this._setTotalTime(this.totalTime + (this.reversed ? -delta : delta), false);
+    }
+    _render (time, backwards, suppress) {
+        // Called by a parent timeline with the time inside this timeline
+        this._setTotalTime(time, suppress);
+    }
+    _setTotalTime (totalTime, suppress) {
+        const duration = this.duration();
+        const total    = this.totalDuration();
+        const previous = this.totalTime;
+
+        totalTime = Math.min(Math.max(totalTime, 0), total);
+
+        if (!this.#started && totalTime > 0 && !suppress) {
+            this.#started = true;
+            this.options.onStart?.(this);
+        }
+
+        let iteration = 0;
+        let time = totalTime;
+        if (duration > 0) {
+            iteration = Math.floor(totalTime / duration);
+            if (totalTime >= total) iteration = this.options.repeat;
+            time = totalTime - iteration * duration;
+            if (this.options.yoyo && iteration % 2) time = duration - time;
+        }
+
+        if (iteration !== this.#iteration) {
+            if (!this.options.yoyo) {
+                // Finish the current iteration, then jump to the other end without events
+                const forward = iteration > this.#iteration;
+                this.#renderChildren(forward ? duration : 0, suppress);
+                this.#renderChildren(forward ? 0 : duration, true);
+            }
+
+            this.#iteration = iteration;
+            if (!suppress) this.options.onRepeat?.(this, iteration);
+        }
+
+        this.#renderChildren(time, suppress);
+        this.totalTime = totalTime;
+
+        if (suppress) return;
+
+        this.options.onUpdate?.(this);
+
+        if (this._parent) {
+            if (totalTime >= total && previous < total)
+                this.options.onComplete?.(this);
+            return;
+        }
+
+        if (!this.reversed && totalTime >= total)
+            this.#finish(this.options.onComplete);
+        else if (this.reversed && totalTime <= 0)
+            this.#finish(this.options.onReverseComplete);
+    }
+    #renderChildren (time, suppress) {
+        const from = this.#lastTime;
+        const backwards = time < from;
+        const low  = Math.min(from, time);
+        const high = Math.max(from, time);
+
+        // Backwards the later children are rendered first, so the earlier ones win on shared properties
+        const children = backwards ? [...this.#children].reverse() : this.#children;
+
+        for (const {start, item} of children) {
+            if (item.callback) {
+                const crossed = backwards ? (start < from && start >= time) : (start > from && start <= time);
+                if (crossed && !suppress) item.callback(this);
+                continue;
+            }
+
+            const end = start + item.totalDuration();
+            if (start > high || end < low) continue;
+
+            item._render(Math.min(Math.max(time - start, 0), end - start), backwards, suppress);
+        }
+
+        this.#lastTime = time;
+    }
+    #finish (callback) {
+        this.completed = true;
+        this.timelines._remove(this);
+
+        callback?.(this);
+        this.#resolve();
+    }
+    #resolve () {
+        const resolvers = this.#resolvers;
+        this.#resolvers = [];
+        resolvers.forEach(resolve => resolve(this));
+    }
+    /** ======== END ======== */
+
+}
+
+class Tween {
+
+    #states  = [];
+    #pending = null;
+    #time    = -1;
+
+    constructor (engine, targets, from, to, options = {}) {
+        this.engine  = engine;
+        this.targets = Array.isArray(targets) ? targets : [targets];
+        this.from = from;
+        this.to   = to;
+
+        this.duration = Math.max(0, options.duration ?? DEFAULT_TIME);
+        this.repeat   = options.repeat ?? 0;
+        this.yoyo     = options.yoyo ?? false;
+        this.easing   = typeof options.easing === 'function'
+            ? options.easing
+            : (Ease[options.easing] ?? Ease.linear);
+
+        this.onStart    = options.onStart || null;
+        this.onUpdate   = options.onUpdate || null;
+        this.onComplete = options.onComplete || null;
+    }
+
+    totalDuration () {
+        if (this.repeat < 0) return Infinity;
+        return this.duration * (this.repeat + 1);
+    }
+    _render (time, backwards, suppress) {
+        if (!this.#pending) this.#pending = [...this.targets];
+        if (this.#pending.length) this.#capture();
+
+        const total    = this.totalDuration();
+        const previous = this.#time;
+
+        let progress;
+        if (!this.duration) {
+            progress = backwards ? 0 : 1;
+        } else {
+            let iteration = Math.floor(time / this.duration);
+            progress = time / this.duration - iteration;
+            if (time >= total) {
+                iteration = this.repeat;
+                progress  = 1;
+            }
+            if (this.yoyo && iteration % 2) progress = 1 - progress;
+        }
+
+        const eased = this.easing(progress);
+        this.#states.forEach(({target, adapter, start, end}) => {
+            const values = {};
+            for (const key in end)
+                values[key] = interpolate(start[key], end[key], eased, progress);
+            adapter.set(target, values);
+        });
+
+        this.#time = time;
+        if (suppress) return;
+
+        if (previous <= 0 && time > 0) this.onStart?.(this.targets);
+        this.onUpdate?.(progress, this.targets);
+        if (time >= total && previous < total) this.onComplete?.(this.targets);
+    }
+    #capture () {
+        const keys = [...new Set([...Object.keys(this.from || {}), ...Object.keys(this.to || {})])];
+
+        // Entity ids are resolved when the tween renders, until the entity is appended it is skipped
+        this.#pending = this.#pending.filter(target => {
+            if (typeof target === 'string') target = this.engine.findDeep(target);
+            if (!target) return true;
+
+            const adapter = getAdapter(this.engine, target);
+            const start = {};
+            const end   = {};
+
+            for (const key of keys) {
+                const current = adapter.get(target, key);
+                start[key] = relative(this.from?.[key] ?? current, current);
+                end[key]   = relative(this.to?.[key] ?? current, current);
+            }
+
+            this.#states.push({target, adapter, start, end});
+            return false;
+        });
+    }
+
+}
+
+/** ======== TARGETS ======== */
+const ADAPTERS = {
+    entity: {
+        get: (entity, key) => ENTITY_BOX.includes(key) ? entity[key] : entity.styles[key],
+        set: (entity, values) => entity.style(values)
+    },
+    camera: {
+        get: (camera, key) => camera[key],
+        set: (camera, values) => {
+            const center = camera.getCurrentCenter();
+
+            if (values.zoom !== undefined)
+                camera.zoom = camera._targetZoom = Math.min(Math.max(values.zoom, camera.minZoom), camera.maxZoom);
+
+            if (values.rotation !== undefined)
+                camera.rotation = camera._targetRotation = values.rotation;
+
+            if (values.x !== undefined || values.y !== undefined || values.zoom !== undefined) {
+                // Zooming keeps the center of the view in place, like zoomTo
+                const x = values.x ?? center.x - camera.engine.baseWidth / camera.zoom / 2;
+                const y = values.y ?? center.y - camera.engine.baseHeight / camera.zoom / 2;
+                camera.moveTo(x, y, true);
+            }
+        }
+    },
+    object: {
+        get: (object, key) => object[key],
+        set: (object, values) => Object.assign(object, values)
+    }
+};
+
+const getAdapter = (engine, target) => {
+    if (engine.isEntity(target)) return ADAPTERS.entity;
+    if (target instanceof Camera) return ADAPTERS.camera;
+    if (typeof target === 'object') return ADAPTERS.object;
+
+    throw new Error('Tween targets must be entities, entity ids, cameras or objects');
+};
+/** ======== END ======== */
+
+/** ======== VALUES ======== */
+const relative = (value, current) => {
+    const match = typeof value === 'string' && RELATIVE.exec(value);
+    if (!match) return value;
+
+    const amount = Number(match[2]);
+    return (Number(current) || 0) + (match[1] === '-' ? -amount : amount);
+};
+
+const interpolate = (from, to, eased, progress) => {
+    if (typeof from === 'number' && typeof to === 'number')
+        return from + (to - from) * eased;
+
+    const a = parseColor(from);
+    const b = parseColor(to);
+    if (a && b) {
+        const channel = i => a[i] + (b[i] - a[i]) * eased;
+        const [r, g, bl] = [0, 1, 2].map(i => Math.round(channel(i)));
+        const alpha = channel(3);
+        return alpha < 1 ? `rgba(${r},${g},${bl},${+alpha.toFixed(3)})` : `rgb(${r},${g},${bl})`;
+    }
+
+    // Other values switch at the end of the tween
+    return progress < 1 ? from : to;
+};
+
+const parseColor = color => {
+    if (typeof color !== 'string') return null;
+    color = color.trim();
+
+    if (color.startsWith('#')) {
+        let hex = color.slice(1);
+        if (hex.length === 3 || hex.length === 4) hex = [...hex].map(c => c + c).join('');
+        if (hex.length !== 6 && hex.length !== 8) return null;
+
+        const value = i => parseInt(hex.slice(i * 2, i * 2 + 2), 16);
+        return [value(0), value(1), value(2), hex.length === 8 ? value(3) / 255 : 1];
+    }
+
+    const match = /^rgba?\(([^)]+)\)$/i.exec(color);
+    if (!match) return null;
+
+    const [r, g, b, alpha = 1] = match[1].split(/[\s,\/]+/).filter(Boolean).map(Number);
+    return [r, g, b, alpha];
+};
+/** ======== END ======== */
+
+export {Timelines as default, Timeline};
@@ -0,0 +1,1290 @@
+/**
+ * Copyright (c) 2025 Pixalo
+ * @Repository: https://github.com/pixalo/pixalo
+ * @License: MIT
+ */
+
+const THEME = {
+    font: '16px Arial',
+    color: '#1f2937',
+    background: '#e5e7eb',
+    hover: '#d1d5db',
+    pressed: '#9ca3af',
+    disabled: '#f3f4f6',
+    disabledColor: '#9ca3af',
+    accent: '#3b82f6',
+    accentColor: '#ffffff',      // Text and marks drawn on the accent color
+    panel: '#ffffff',
+    track: '#d1d5db',
+    borderColor: '#9ca3af',
+    borderWidth: 1,
+    borderRadius: 6,
+    overlay: 'rgba(0, 0, 0, 0.5)',
+    scrollbar: 'rgba(0, 0, 0, 0.35)',
+    focus: '#f59e0b',            // Ring of the widget focused by keyboard and gamepad navigation
+    focusWidth: 2,
+    padding: 8,
+    gap: 8
+};
+
+// Bindings of the Input actions, created as `ui_<name>` when they do not exist
+const NAVIGATION = {
+    up    : ['up', {button: 12}, {axis: 1, direction: -1}],
+    down  : ['down', {button: 13}, {axis: 1, direction: 1}],
+    left  : ['left', {button: 14}, {axis: 0, direction: -1}],
+    right : ['right', {button: 15}, {axis: 0, direction: 1}],
+    next  : ['tab'],
+    accept: ['enter', 'space', {button: 0}],
+    back  : ['esc', {button: 1}]
+};
+
+const DIRECTIONS = {
+    up   : {x: 0, y: -1},
+    down : {x: 0, y: 1},
+    left : {x: -1, y: 0},
+    right: {x: 1, y: 0}
+};
+
+const DRAG_THRESHOLD = 6;   // px a press moves before it scrolls its scroll view
+const TOUCH_MOUSE    = 800; // ms the mouse events emulated after a touch are ignored
+
+class UI {
+
+    #drag  = null;
+    #touch = -Infinity;
+    #bound = new Map(); // Navigation actions the UI added to the Input
+
+    constructor (engine, config = {}) {
+        config = typeof config === 'object' && config !== null ? config : {navigation: config !== false};
+
+        this.engine     = engine;
+        this.theme      = {...THEME, ...config.theme};
+        this.navigation = config.navigation ?? true; // true, false or bindings of the navigation actions
+
+        this.widgets = new Map();
+        this.dialogs = []; // Open modal dialogs, the last one is on top
+        this.focused = null;
+    }
+
+    /** ======== WIDGETS ======== */
+    button (id, options = {}) {
+        return this.#create(Button, id, options);
+    }
+    toggle (id, options = {}) {
+        return this.#create(Toggle, id, options);
+    }
+    checkbox (id, options = {}) {
+        return this.#create(Checkbox, id, options);
+    }
+    radioGroup (id, options = {}) {
+        return this.#create(RadioGroup, id, options);
+    }
+    slider (id, options = {}) {
+        return this.#create(Slider, id, options);
+    }
+    progressBar (id, options = {}) {
+        return this.#create(ProgressBar, id, options);
+    }
+    scrollView (id, options = {}) {
+        return this.#create(ScrollView, id, options);
+    }
+    list (id, options = {}) {
+        return this.#create(List, id, options);
+    }
+    dialog (id, options = {}) {
+        return this.#create(Dialog, id, options);
+    }
+    get (id) {
+        return this.widgets.get(id) ?? null;
+    }
+    has (id) {
+        return this.widgets.has(id);
+    }
+    remove (id) {
+        this.get(id)?.destroy();
+        return this;
+    }
+    clear () {
+        for (const widget of [...this.widgets.values()])
+            widget.destroy();
+
+        this.dialogs = [];
+        this.focused = null;
+        this.#drag   = null;
+        this.#unbindNavigation();
+        return this;
+    }
+    #create (Type, id, options) {
+        if (this.widgets.has(id))
+            throw new Error(`Widget (${id}) already exists`);
+
+        const widget = new Type(this, id, options);
+        this.widgets.set(id, widget);
+        return widget;
+    }
+    /** ======== END ======== */
+
+    /** ======== THEME ======== */
+    setTheme (theme = {}) {
+        Object.assign(this.theme, theme);
+        this.widgets.forEach(widget => widget._refresh());
+        return this;
+    }
+    /** ======== END ======== */
+
+    /** ======== FOCUS ======== */
+    focus (widget) {
+        widget = typeof widget === 'string' ? this.get(widget) : widget;
+        if (!widget?.focusable || !widget.enabled || widget === this.focused) return this;
+
+        const previous = this.focused;
+        this.focused = widget;
+        previous?._setFocused(false);
+        widget._setFocused(true);
+
+        // Focused widgets inside a scroll view are scrolled into its view
+        widget._scrollParent()?.scrollIntoView(widget);
+        return this;
+    }
+    blur () {
+        const widget = this.focused;
+        this.focused = null;
+        widget?._setFocused(false);
+        return this;
+    }
+    focusNext (step = 1) {
+        const widgets = this.#focusables();
+        if (!widgets.length) return this;
+
+        const index = widgets.indexOf(this.focused);
+        const next  = index === -1
+            ? (step > 0 ? 0 : widgets.length - 1)
+            : (index + step + widgets.length) % widgets.length;
+
+        return this.focus(widgets[next]);
+    }
+    focusPrevious () {
+        return this.focusNext(-1);
+    }
+    move (direction) {
+        const vector = DIRECTIONS[direction];
+        if (!vector)
+            throw new Error(`Unknown direction: ${direction}, use one of ${Object.keys(DIRECTIONS).join(', ')}`);
+
+        if (!this.focused) return this.focusNext();
+
+        // Sliders, radio groups and lists use the directions themselves first
+        if (this.focused._navigate(direction)) return this;
+
+        const from = this.focused._center();
+        let best  = null;
+        let score = Infinity;
+
+        for (const widget of this.#focusables()) {
+            if (widget === this.focused) continue;
+
+            const to = widget._center();
+            const along  = (to.x - from.x) * vector.x + (to.y - from.y) * vector.y;
+            const across = Math.abs((to.x - from.x) * vector.y - (to.y - from.y) * vector.x);
+            if (along <= 0) continue;
+
+            // Widgets in line with the direction win over closer ones beside it
+            const distance = along + across * 2;
+            if (distance < score) {
+                best  = widget;
+                score = distance;
+            }
+        }
+
+        if (best) this.focus(best);
+        return this;
+    }
+    #focusables () {
+        const scope = this.dialogs.at(-1) ?? null;
+        return [...this.widgets.values()].filter(widget =>
+            widget.focusable && widget.enabled && widget._isActive() && (!scope || scope._contains(widget))
+        );
+    }
+    /** ======== END ======== */
+
+    /** ======== UPDATE ======== */
+    update (deltaTime) {
+        for (const widget of [...this.widgets.values()]) {
+            // Killed entities lose their engine
+            if (!widget.entity.engine) {
+                widget.destroy();
+                continue;
+            }
+            widget._update(deltaTime);
+        }
+
+        if (this.focused && !this.focused._isActive()) this.blur();
+        // The navigation actions only exist while there are widgets to navigate
+        if (this.navigation && this.widgets.size) this.#navigate();
+        else if (this.#bound.size) this.#unbindNavigation();
+    }
+    #navigate () {
+        const input = this.engine.input;
+        const bindings = {...NAVIGATION, ...(typeof this.navigation === 'object' ? this.navigation : {})};
+        const pressed = name => {
+            const action = `ui_${name}`;
+            if (!input.has(action)) {
+                input.bind(action, bindings[name]);
+                this.#bound.set(action, input.get(action));
+            }
+            return input.isJustPressed(action);
+        };
+
+        if (pressed('next'))
+            this.focusNext(this.engine.isKeyPressed('shift') ? -1 : 1);
+
+        // Directions only navigate once a widget has the focus, so they stay free for the game
+        for (const direction of Object.keys(DIRECTIONS)) {
+            if (pressed(direction) && (this.focused || this.dialogs.length))
+                this.move(direction);
+        }
+
+        if (pressed('accept') && this.focused)
+            this.focused._activate();
+
+        if (pressed('back')) {
+            const dialog = this.dialogs.at(-1);
+            if (dialog?.options.closable) dialog.close(null);
+            else this.blur();
+        }
+    }
+    #unbindNavigation () {
+        // Actions the game bound or rebound itself are kept
+        const input = this.engine.input;
+        this.#bound.forEach((action, name) => {
+            if (input.get(name) === action) input.unbind(name);
+        });
+        this.#bound.clear();
+    }
+    /** ======== END ======== */
+
+    /** ======== POINTER ======== */
+    _pointerDown (widget, event) {
+        // Browsers emulate mouse events after a touch
+        const touch = event.identifier !== undefined;
+        if (touch) this.#touch = event.timestamp;
+        else if (event.timestamp - this.#touch < TOUCH_MOUSE) return;
+
+        if (!widget.enabled) return;
+
+        this.#drag = {
+            widget,
+            identifier: event.identifier,
+            x: event.x,
+            y: event.y,
+            scroll: widget._scrollParent(true),
+            scrolling: false
+        };
+
+        widget.pressed = true;
+        widget._pointerDown(event);
+        widget._refresh();
+    }
+    _pointerMove (widget, event) {
+        const drag = this.#drag;
+        if (drag?.widget !== widget || drag.identifier !== event.identifier) return;
+
+        // A press that moves far enough scrolls its scroll view instead
+        if (!drag.scrolling && drag.scroll && !widget._capturesDrag() &&
+            Math.hypot(event.x - drag.x, event.y - drag.y) > DRAG_THRESHOLD) {
+            drag.scrolling = true;
+            widget.pressed = false;
+            widget._refresh();
+            drag.scroll._dragStart(drag);
+        }
+
+        if (drag.scrolling) drag.scroll._dragMove(event);
+        else widget._pointerMove(event);
+    }
+    _pointerUp (widget, event) {
+        const drag = this.#drag;
+        if (drag?.widget !== widget || drag.identifier !== event.identifier) return;
+
+        this.#drag = null;
+
+        if (drag.scrolling) {
+            drag.scroll._dragEnd(event);
+            return;
+        }
+
+        widget.pressed = false;
+        widget._pointerUp(event, this.engine.isPointInEntity(event.x, event.y, widget.entity));
+        widget._refresh();
+    }
+    _wheel (widget, event) {
+        widget._scrollParent(true)?._wheel(event);
+    }
+    _forget (widget) {
+        this.widgets.delete(widget.id);
+        this.dialogs = this.dialogs.filter(dialog => dialog !== widget);
+
+        if (this.focused === widget) this.focused = null;
+        if (this.#drag?.widget === widget) this.#drag = null;
+    }
+    /** ======== END ======== */
+
+}
+
+class Widget {
+
+    constructor (ui, id, options = {}) {
+        this.ui      = ui;
+        this.engine  = ui.engine;
+        this.id      = id;
+        this.options = options;
+
+        this.enabled   = options.enabled ?? true;
+        this.focusable = options.focusable ?? true;
+        this.hovered   = false;
+        this.pressed   = false;
+        this.focused   = false;
+        this.value     = undefined;
+
+        this.entity = this._append(options.parent, id, {
+            x: options.x ?? 0,
+            y: options.y ?? 0,
+            width : options.width,
+            height: options.height,
+            interactive: options.interactive ?? true,
+            hoverable  : options.interactive ?? true,
+            ...options.entity
+        });
+
+        this.#bind();
+    }
+
+    /** ======== CONTROLS ======== */
+    on (eventName, callback) {
+        this.entity.on(eventName, callback);
+        return this;
+    }
+    off (eventName, callback) {
+        this.entity.off(eventName, callback);
+        return this;
+    }
+    getValue () {
+        return this.value;
+    }
+    setValue (value) {
+        this._setValue(value, false);
+        return this;
+    }
+    enable () {
+        this.enabled = true;
+        this._refresh();
+        return this;
+    }
+    disable () {
+        this.enabled = false;
+        this.pressed = false;
+        if (this.focused) this.ui.blur();
+        this._refresh();
+        return this;
+    }
+    focus () {
+        this.ui.focus(this);
+        return this;
+    }
+    blur () {
+        if (this.focused) this.ui.blur();
+        return this;
+    }
+    show () {
+        this.entity.show();
+        return this;
+    }
+    hide () {
+        this.entity.hide();
+        return this;
+    }
+    getStyle () {
+        return {...this.ui.theme, ...this.options.style};
+    }
+    setStyle (style = {}) {
+        this.options.style = {...this.options.style, ...style};
+        this._refresh();
+        return this;
+    }
+    destroy () {
+        this.ui._forget(this);
+        this.entity.kill();
+    }
+    /** ======== END ======== */
+
+    /** ======== INTERNAL ======== */
+    _setValue (value, notify = true) {
+        value = this._normalize(value);
+        if (value === this.value) return;
+
+        this.value = value;
+        this._refresh();
+        if (notify) this.entity.trigger('change', {value});
+    }
+    _normalize (value) {
+        return value;
+    }
+    _setFocused (focused) {
+        this.focused = focused;
+        this.entity.trigger(focused ? 'focus' : 'blur');
+    }
+    _append (parent, id, config) {
+        if (typeof parent === 'string') parent = this.ui.get(parent) ?? this.engine.findDeep(parent);
+
+        // Widgets are appended to the content of scroll views
+        if (parent instanceof Widget) parent = parent.content ?? parent.entity;
+        return parent ? parent.append(id, config) : this.engine.append(id, config);
+    }
+    _child (name, config = {}) {
+        return this.entity.append(`${this.id}_${name}`, config);
+    }
+    _scrollParent (self = false) {
+        let entity = self ? this.entity : this.entity.parent;
+        while (entity) {
+            const widget = this.ui.widgets.get(entity.id);
+            if (widget?.entity === entity && widget instanceof ScrollView) return widget;
+            entity = entity.parent;
+        }
+        return null;
+    }
+    _contains (widget) {
+        for (let entity = widget.entity; entity; entity = entity.parent)
+            if (entity === this.entity) return true;
+        return false;
+    }
+    _isActive () {
+        // Visible and in the world of the current scene
+        let entity = this.entity;
+        while (entity) {
+            if (!entity.engine || !entity.styles.visible) return false;
+            if (!entity.parent) return this.engine.entities.get(entity.id) === entity;
+            entity = entity.parent;
+        }
+        return false;
+    }
+    _center () {
+        return {
+            x: this.entity.absoluteX + this.entity.width / 2,
+            y: this.entity.absoluteY + this.entity.height / 2
+        };
+    }
+    _state () {
+        if (!this.enabled) return 'disabled';
+        if (this.pressed) return 'pressed';
+        return this.hovered ? 'hover' : 'background';
+    }
+    _refresh () {}
+    _update () {}
+    _activate () {}
+    _navigate () {
+        return false;
+    }
+    _capturesDrag () {
+        return false;
+    }
+    _pointerDown () {}
+    _pointerMove () {}
+    _pointerUp () {}
+    #bind () {
+        const entity = this.entity;
+
+        entity.on('hover', () => {
+            this.hovered = true;
+            this._refresh();
+        });
+        entity.on('hoverOut', () => {
+            this.hovered = false;
+            this._refresh();
+        });
+        entity.on(['mousedown', 'touchstart'], event => this.ui._pointerDown(this, event));
+        entity.on(['mousemove', 'touchmove'], event => this.ui._pointerMove(this, event));
+        entity.on(['mouseup', 'touchend'], event => this.ui._pointerUp(this, event));
+        entity.on('wheel', event => this.ui._wheel(this, event));
+        entity.on('afterRender', ctx => this.#drawFocus(ctx));
+    }
+    #drawFocus (ctx) {
+        if (!this.focused) return;
+
+        const {focus, focusWidth} = this.getStyle();
+        const {width, height} = this.entity;
+
+        ctx.save();
+        ctx.strokeStyle = focus;
+        ctx.lineWidth = focusWidth;
+        ctx.strokeRect(-width / 2 - focusWidth, -height / 2 - focusWidth, width + focusWidth * 2, height + focusWidth * 2);
+        ctx.restore();
+    }
+    /** ======== END ======== */
+
+}
+
+class Button extends Widget {
+
+    constructor (ui, id, options = {}) {
+        super(ui, id, {width: 120, height: 40, ...options});
+        this._refresh();
+    }
+
+    setText (text) {
+        this.options.text = text;
+        this._refresh();
+        return this;
+    }
+    press () {
+        if (this.enabled) this.entity.trigger('press');
+        return this;
+    }
+    _activate () {
+        this.press();
+    }
+    _pointerUp (event, inside) {
+        if (inside) this.press();
+    }
+    _refresh () {
+        const style = this.getStyle();
+        this.entity.style({
+            backgroundColor: style[this._state()],
+            borderColor : style.borderColor,
+            borderWidth : style.borderWidth,
+            borderRadius: style.borderRadius,
+            font : style.font,
+            color: this.enabled ? style.color : style.disabledColor,
+            text : this.options.text ?? ''
+        });
+    }
+
+}
+
+class Toggle extends Widget {
+
+    constructor (ui, id, options = {}) {
+        super(ui, id, {width: 52, height: 28, ...options});
+
+        const size = this.entity.height - 6;
+        this.knob = this._child('knob', {x: 3, y: 3, width: size, height: size, borderRadius: size / 2});
+
+        this.value = Boolean(options.value);
+        this._refresh();
+    }
+
+    toggle () {
+        this._setValue(!this.value);
+        return this;
+    }
+    _normalize (value) {
+        return Boolean(value);
+    }
+    _activate () {
+        this.toggle();
+    }
+    _pointerUp (event, inside) {
+        if (inside) this.toggle();
+    }
+    _refresh () {
+        const style = this.getStyle();
+        const {width, height} = this.entity;
+
+        this.entity.style({
+            backgroundColor: !this.enabled ? style.disabled : this.value ? style.accent : style.track,
+            borderRadius: height / 2
+        });
+        this.knob.style({
+            x: this.value ? width - this.knob.width - 3 : 3,
+            backgroundColor: this.enabled ? style.panel : style.disabledColor
+        });
+    }
+
+}
+
+class Checkbox extends Widget {
+
+    constructor (ui, id, options = {}) {
+        super(ui, id, {width: 160, height: 28, ...options});
+
+        const size = options.size ?? 20;
+        const {height, width} = this.entity;
+
+        this.box = this._child('box', {x: 0, y: (height - size) / 2, width: size, height: size});
+        this.label = this._child('label', {
+            x: size + this.getStyle().gap, y: 0, width: Math.max(0, width - size - this.getStyle().gap), height,
+            textAlign: 'left'
+        });
+        this.box.on('afterRender', ctx => this.#drawCheck(ctx));
+
+        this.value = Boolean(options.value);
+        this._refresh();
+    }
+
+    toggle () {
+        this._setValue(!this.value);
+        return this;
+    }
+    setText (text) {
+        this.options.text = text;
+        this._refresh();
+        return this;
+    }
+    _normalize (value) {
+        return Boolean(value);
+    }
+    _activate () {
+        this.toggle();
+    }
+    _pointerUp (event, inside) {
+        if (inside) this.toggle();
+    }
+    _refresh () {
+        const style = this.getStyle();
+        const background = this.value ? style.accent : this.hovered || this.pressed ? style.hover : style.panel;
+
+        this.box.style({
+            backgroundColor: this.enabled ? background : style.disabled,
+            borderColor : this.value && this.enabled ? style.accent : style.borderColor,
+            borderWidth : style.borderWidth,
+            borderRadius: Math.min(style.borderRadius, this.box.width / 4)
+        });
+        this.label.style({
+            font : style.font,
+            color: this.enabled ? style.color : style.disabledColor,
+            text : this.options.text ?? ''
+        });
+    }
+    #drawCheck (ctx) {
+        if (!this.value) return;
+
+        const size  = this.box.width;
+        const style = this.getStyle();
+
+        ctx.save();
+        ctx.strokeStyle = this.enabled ? style.accentColor : style.disabledColor;
+        ctx.lineWidth = Math.max(2, size * 0.12);
+        ctx.lineCap = 'round';
+        ctx.lineJoin = 'round';
+        ctx.beginPath();
+        ctx.moveTo(-size * 0.28, 0);
+        ctx.lineTo(-size * 0.08, size * 0.2);
+        ctx.lineTo(size * 0.28, -size * 0.22);
+        ctx.stroke();
+        ctx.restore();
+    }
+
+}
+
+class RadioGroup extends Widget {
+
+    constructor (ui, id, options = {}) {
+        const items = (options.items ?? []).map(item => typeof item === 'object' ? item : {value: item, text: String(item)});
+        const row = options.direction === 'row';
+        const itemWidth  = options.itemWidth ?? 140;
+        const itemHeight = options.itemHeight ?? 28;
+
+        super(ui, id, {
+            width : row ? itemWidth * items.length : itemWidth,
+            height: row ? itemHeight : itemHeight * items.length,
+            ...options
+        });
+
+        const size = options.size ?? 20;
+        const gap  = this.getStyle().gap;
+
+        this.items = items.map((item, index) => {
+            const entity = this._child(`item_${index}`, {
+                x: row ? index * itemWidth : 0,
+                y: row ? 0 : index * itemHeight,
+                width: itemWidth,
+                height: itemHeight
+            });
+            const dot = entity.append(`${id}_item_${index}_dot`, {
+                x: 0, y: (itemHeight - size) / 2, width: size, height: size, borderRadius: size / 2
+            });
+            const label = entity.append(`${id}_item_${index}_label`, {
+                x: size + gap, y: 0, width: Math.max(0, itemWidth - size - gap), height: itemHeight, textAlign: 'left'
+            });
+
+            dot.on('afterRender', ctx => this.#drawDot(ctx, item, size));
+            return {...item, entity, dot, label};
+        });
+
+        this.value = options.value ?? null;
+        this._refresh();
+    }
+
+    getSelectedIndex () {
+        return this.items.findIndex(item => item.value === this.value);
+    }
+    _activate () {
+        // Selects the first item when nothing is selected
+        if (this.getSelectedIndex() === -1 && this.items.length) this._setValue(this.items[0].value);
+    }
+    _navigate (direction) {
+        const row = this.options.direction === 'row';
+        const step = {up: -1, down: 1, left: -1, right: 1}[direction];
+        if (row !== (direction === 'left' || direction === 'right')) return false;
+
+        // The ends of the group let the focus leave it
+        const index = this.getSelectedIndex() + step;
+        if (index < 0 || index >= this.items.length) return false;
+
+        this._setValue(this.items[index].value);
+        return true;
+    }
+    _pointerUp (event, inside) {
+        if (!inside) return;
+
+        const item = this.items.find(item => this.engine.isPointInEntity(event.x, event.y, item.entity));
+        if (item) this._setValue(item.value);
+    }
+    _refresh () {
+        const style = this.getStyle();
+
+        for (const item of this.items) {
+            const selected = item.value === this.value;
+            item.dot.style({
+                backgroundColor: this.enabled ? style.panel : style.disabled,
+                borderColor: selected && this.enabled ? style.accent : style.borderColor,
+                borderWidth: Math.max(style.borderWidth, selected ? 2 : 1)
+            });
+            item.label.style({
+                font : style.font,
+                color: this.enabled ? style.color : style.disabledColor,
+                text : item.text ?? ''
+            });
+        }
+    }
+    #drawDot (ctx, item, size) {
+        if (item.value !== this.value) return;
+
+        const style = this.getStyle();
+        ctx.save();
+        ctx.fillStyle = this.enabled ? style.accent : style.disabledColor;
+        ctx.beginPath();
+        ctx.arc(0, 0, size * 0.25, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.restore();
+    }
+
+}
+
+class Slider extends Widget {
+
+    constructor (ui, id, options = {}) {
+        const vertical = options.orientation === 'vertical';
+        super(ui, id, {width: vertical ? 24 : 200, height: vertical ? 200 : 24, ...options});
+
+        this.min  = options.min ?? 0;
+        this.max  = options.max ?? 100;
+        this.step = options.step ?? 1;
+
+        const {width, height} = this.entity;
+        const thickness = options.trackSize ?? 6;
+        const size = this.thumbSize = options.thumbSize ?? Math.min(width, height);
+
+        this.track = this._child('track', vertical
+            ? {x: (width - thickness) / 2, y: size / 2, width: thickness, height: height - size, borderRadius: thickness / 2}
+            : {x: size / 2, y: (height - thickness) / 2, width: width - size, height: thickness, borderRadius: thickness / 2});
+        this.fill  = this._child('fill', {
+            x: this.track.x, y: this.track.y, width: this.track.width, height: this.track.height, borderRadius: thickness / 2
+        });
+        this.thumb = this._child('thumb', {width: size, height: size, borderRadius: size / 2});
+
+        this.value = this._normalize(options.value ?? this.min);
+        this._refresh();
+    }
+
+    getRatio () {
+        return this.max === this.min ? 0 : (this.value - this.min) / (this.max - this.min);
+    }
+    _normalize (value) {
+        value = Math.max(this.min, Math.min(this.max, Number(value) || 0));
+        if (this.step > 0) value = this.min + Math.round((value - this.min) / this.step) * this.step;
+
+        // Rounds the floating point errors of decimal steps
+        return Math.min(this.max, Number(value.toFixed(10)));
+    }
+    _capturesDrag () {
+        return true;
+    }
+    _navigate (direction) {
+        const vertical = this.options.orientation === 'vertical';
+        const step = this.step > 0 ? this.step : (this.max - this.min) / 20;
+        const sign = vertical ? {up: 1, down: -1}[direction] : {left: -1, right: 1}[direction];
+        if (!sign) return false;
+
+        this._setValue(this.value + sign * step);
+        return true;
+    }
+    _pointerDown (event) {
+        this.#seek(event);
+    }
+    _pointerMove (event) {
+        this.#seek(event);
+    }
+    _refresh () {
+        const style = this.getStyle();
+        const vertical = this.options.orientation === 'vertical';
+        const ratio = this.getRatio();
+        const {width, height} = this.entity;
+        const size = this.thumbSize;
+
+        this.track.style({backgroundColor: style.track});
+
+        if (vertical) {
+            const fill = this.track.height * ratio;
+            this.fill.style({y: this.track.y + this.track.height - fill, height: fill});
+            this.thumb.style({x: (width - size) / 2, y: (height - size) * (1 - ratio)});
+        } else {
+            this.fill.style({width: this.track.width * ratio});
+            this.thumb.style({x: (width - size) * ratio, y: (height - size) / 2});
+        }
+
+        this.fill.style({backgroundColor: this.enabled ? style.accent : style.disabledColor});
+        this.thumb.style({
+            backgroundColor: this.enabled ? (this.pressed || this.hovered ? style.hover : style.panel) : style.disabled,
+            borderColor: this.enabled ? style.accent : style.borderColor,
+            borderWidth: Math.max(1, style.borderWidth)
+        });
+    }
+    #seek (event) {
+        const vertical = this.options.orientation === 'vertical';
+        const {absoluteX, absoluteY, width, height} = this.entity;
+        const size = this.thumbSize;
+
+        const ratio = vertical
+            ? 1 - (event.y - absoluteY - size / 2) / Math.max(1, height - size)
+            : (event.x - absoluteX - size / 2) / Math.max(1, width - size);
+
+        this._setValue(this.min + Math.max(0, Math.min(1, ratio)) * (this.max - this.min));
+    }
+
+}
+
+class ProgressBar extends Widget {
+
+    constructor (ui, id, options = {}) {
+        super(ui, id, {width: 200, height: 20, focusable: false, interactive: false, ...options});
+
+        this.min = options.min ?? 0;
+        this.max = options.max ?? 100;
+
+        this.fill  = this._child('fill', {x: 0, y: 0, width: 0, height: this.entity.height});
+        this.label = this._child('label', {x: 0, y: 0, width: this.entity.width, height: this.entity.height});
+
+        this.value = this._normalize(options.value ?? this.min);
+        this._refresh();
+    }
+
+    getRatio () {
+        return this.max === this.min ? 0 : (this.value - this.min) / (this.max - this.min);
+    }
+    _normalize (value) {
+        return Math.max(this.min, Math.min(this.max, Number(value) || 0));
+    }
+    _refresh () {
+        const style = this.getStyle();
+        const ratio = this.getRatio();
+        const {width, height} = this.entity;
+        const radius = Math.min(style.borderRadius, height / 2);
+
+        // `label: true` shows the percentage, a function returns the text
+        const label = this.options.label;
+        const text  = typeof label === 'function' ? label(this.value, ratio) : label ? `${Math.round(ratio * 100)}%` : '';
+
+        this.entity.style({backgroundColor: style.track, borderRadius: radius});
+        this.fill.style({width: width * ratio, height, borderRadius: radius, backgroundColor: this.enabled ? style.accent : style.disabledColor});
+        this.label.style({font: style.font, color: style.color, text});
+    }
+
+}
+
+class ScrollView extends Widget {
+
+    #drag     = null;
+    #velocity = {x: 0, y: 0};
+
+    constructor (ui, id, options = {}) {
+        super(ui, id, {
+            width: 300, height: 200, focusable: false, ...options,
+            entity: {overflow: 'hidden', ...options.entity}
+        });
+
+        this.scrollX = 0;
+        this.scrollY = 0;
+
+        this.content = this._child('content', {
+            x: 0, y: 0,
+            width : options.contentWidth ?? this.entity.width,
+            height: options.contentHeight ?? this.entity.height
+        });
+
+        // Appended after the content, so they are drawn over it
+        this.scrollbarX = this._child('scrollbar_x', {height: 4, borderRadius: 2, visible: false});
+        this.scrollbarY = this._child('scrollbar_y', {width: 4, borderRadius: 2, visible: false});
+
+        this._refresh();
+    }
+
+    /** ======== SCROLL ======== */
+    scrollTo (x = this.scrollX, y = this.scrollY) {
+        const max = this.getMaxScroll();
+        x = this.options.horizontal ? Math.max(0, Math.min(max.x, x)) : 0;
+        y = (this.options.vertical ?? true) ? Math.max(0, Math.min(max.y, y)) : 0;
+
+        if (x === this.scrollX && y === this.scrollY) return this;
+
+        this.scrollX = x;
+        this.scrollY = y;
+        this.content.style({x: -x, y: -y});
+        this._refresh();
+        this.entity.trigger('scroll', {x, y});
+        return this;
+    }
+    scrollBy (x = 0, y = 0) {
+        return this.scrollTo(this.scrollX + x, this.scrollY + y);
+    }
+    scrollIntoView (target) {
+        const entity = target instanceof Widget ? target.entity : target;
+        return this._scrollToRect(
+            entity.absoluteX - this.content.absoluteX, entity.absoluteY - this.content.absoluteY,
+            entity.width, entity.height
+        );
+    }
+    stop () {
+        this.#velocity = {x: 0, y: 0};
+        return this;
+    }
+    getMaxScroll () {
+        return {
+            x: Math.max(0, this.content.width - this.entity.width),
+            y: Math.max(0, this.content.height - this.entity.height)
+        };
+    }
+    setContentSize (width, height) {
+        this.content.style({width, height});
+        this.scrollTo(this.scrollX, this.scrollY);
+        this._refresh();
+        return this;
+    }
+    _scrollToRect (x, y, width, height) {
+        let {scrollX, scrollY} = this;
+        if (x < scrollX) scrollX = x;
+        else if (x + width > scrollX + this.entity.width) scrollX = x + width - this.entity.width;
+        if (y < scrollY) scrollY = y;
+        else if (y + height > scrollY + this.entity.height) scrollY = y + height - this.entity.height;
+
+        return this.scrollTo(scrollX, scrollY);
+    }
+    /** ======== END ======== */
+
+    /** ======== INTERNAL ======== */
+    _dragStart (point) {
+        this.#drag = {x: point.x, y: point.y, time: this.engine.now()};
+        this.stop();
+    }
+    _dragMove (event) {
+        const drag = this.#drag;
+        if (!drag) return;
+
+        const now = this.engine.now();
+        const dx  = event.x - drag.x;
+        const dy  = event.y - drag.y;
+        this.scrollBy(-dx, -dy);
+
+        // Speed of the last moves, kept by the inertia when the pointer is released
+        const elapsed = now - drag.time;
+        if (elapsed > 0) {
+            this.#velocity = {
+                x: this.#velocity.x * 0.2 - dx / elapsed * 1000 * 0.8,
+                y: this.#velocity.y * 0.2 - dy / elapsed * 1000 * 0.8
+            };
+        }
+
+        Object.assign(drag, {x: event.x, y: event.y, time: now});
+    }
+    _dragEnd () {
+        // A pointer that stopped before its release does not throw the content
+        if (this.options.inertia === false || this.engine.now() - (this.#drag?.time ?? 0) > 100) this.stop();
+        this.#drag = null;
+    }
+    _wheel (event) {
+        const scale = event.deltaMode === 1 ? 16 : event.deltaMode === 2 ? this.entity.height : 1;
+        const speed = (this.options.wheelSpeed ?? 1) * scale;
+        const horizontal = this.options.horizontal && !(this.options.vertical ?? true);
+
+        this.stop();
+        this.scrollBy((horizontal ? event.deltaY : event.deltaX) * speed, horizontal ? 0 : event.deltaY * speed);
+    }
+    _update (deltaTime) {
+        if (this.#drag || (!this.#velocity.x && !this.#velocity.y)) return;
+
+        const seconds = deltaTime / 1000;
+        const {scrollX, scrollY} = this;
+        this.scrollBy(this.#velocity.x * seconds, this.#velocity.y * seconds);
+
+        // Friction per second, the content stops at the edges
+        const friction = Math.exp(-(this.options.friction ?? 4) * seconds);
+        this.#velocity.x = this.scrollX === scrollX || Math.abs(this.#velocity.x * friction) < 10 ? 0 : this.#velocity.x * friction;
+        this.#velocity.y = this.scrollY === scrollY || Math.abs(this.#velocity.y * friction) < 10 ? 0 : this.#velocity.y * friction;
+    }
+    _refresh () {
+        const style = this.getStyle();
+        const {width, height} = this.entity;
+        const max = this.getMaxScroll();
+
+        this.entity.style({
+            backgroundColor: this.options.background ?? style.panel,
+            borderColor : style.borderColor,
+            borderWidth : style.borderWidth,
+            borderRadius: style.borderRadius
+        });
+
+        // The scrollbars show the visible part of the content
+        const showY = this.options.scrollbar !== false && (this.options.vertical ?? true) && max.y > 0;
+        const showX = this.options.scrollbar !== false && this.options.horizontal && max.x > 0;
+
+        if (showY) {
+            const size = Math.max(20, height * height / this.content.height);
+            this.scrollbarY.style({x: width - 6, y: (height - size) * this.scrollY / max.y, height: size, backgroundColor: style.scrollbar});
+        }
+        if (showX) {
+            const size = Math.max(20, width * width / this.content.width);
+            this.scrollbarX.style({x: (width - size) * this.scrollX / max.x, y: height - 6, width: size, backgroundColor: style.scrollbar});
+        }
+
+        this.scrollbarY.style('visible', showY);
+        this.scrollbarX.style('visible', showX);
+    }
+    /** ======== END ======== */
+
+}
+
+class List extends ScrollView {
+
+    constructor (ui, id, options = {}) {
+        super(ui, id, {focusable: true, ...options, horizontal: false, vertical: true});
+
+        this.items = [];
+        this.selectedIndex = -1;
+        this.setItems(options.items ?? []);
+
+        if (options.selectedIndex !== undefined) this.select(options.selectedIndex);
+    }
+
+    setItems (items = []) {
+        // Destroyed right away, the new rows reuse their ids
+        for (const item of this.items) item.entity._destroy();
+
+        const height = this.options.itemHeight ?? 36;
+        const style  = this.getStyle();
+
+        this.items = items.map((item, index) => {
+            item = typeof item === 'object' ? item : {value: item, text: String(item)};
+
+            const entity = this.content.append(`${this.id}_item_${index}`, {
+                x: 0, y: index * height, width: this.entity.width, height
+            });
+            const label = entity.append(`${this.id}_item_${index}_label`, {
+                x: style.padding, y: 0, width: Math.max(0, this.entity.width - style.padding * 2), height, textAlign: 'left'
+            });
+
+            this.options.renderItem?.(entity, item, index);
+            return {...item, entity, label};
+        });
+
+        this.selectedIndex = Math.min(this.selectedIndex, this.items.length - 1);
+        this.value = this.items[this.selectedIndex]?.value;
+        this.setContentSize(this.entity.width, Math.max(this.entity.height, this.items.length * height));
+        return this;
+    }
+    getItems () {
+        return this.items;
+    }
+    getSelected () {
+        return this.items[this.selectedIndex] ?? null;
+    }
+    select (index) {
+        this.#select(index, false);
+        return this;
+    }
+    setValue (value) {
+        return this.select(this.items.findIndex(item => item.value === value));
+    }
+    _activate () {
+        const item = this.getSelected();
+        if (item) this.entity.trigger('select', {index: this.selectedIndex, value: item.value, item});
+    }
+    _navigate (direction) {
+        const step = {up: -1, down: 1}[direction];
+        if (!step) return false;
+
+        // The ends of the list let the focus leave it
+        const index = this.selectedIndex + step;
+        if (index < 0 || index >= this.items.length) return false;
+
+        this.#select(index, true);
+        return true;
+    }
+    _pointerUp (event, inside) {
+        if (!inside) return;
+
+        const index = Math.floor((event.y - this.content.absoluteY) / (this.options.itemHeight ?? 36));
+        if (index < 0 || index >= this.items.length) return;
+
+        this.#select(index, true);
+        this._activate();
+    }
+    _refresh () {
+        super._refresh();
+
+        const style = this.getStyle();
+        this.items?.forEach((item, index) => {
+            const selected = index === this.selectedIndex;
+            item.entity.style({backgroundColor: selected ? (this.enabled ? style.accent : style.disabled) : 'transparent'});
+            item.label.style({
+                font : style.font,
+                color: !this.enabled ? style.disabledColor : selected ? style.accentColor : style.color,
+                text : item.text ?? ''
+            });
+        });
+    }
+    #select (index, notify) {
+        index = index >= 0 && index < this.items.length ? index : -1;
+        if (index === this.selectedIndex) return;
+
+        this.selectedIndex = index;
+        this.value = this.items[index]?.value;
+        this._refresh();
+
+        if (index !== -1) this.scrollIntoView(this.items[index].entity);
+        if (notify) this.entity.trigger('change', {index, value: this.value, item: this.items[index] ?? null});
+    }
+
+}
+
+class Dialog extends Widget {
+
+    #previous = null;
+
+    constructor (ui, id, options = {}) {
+        const width  = options.width ?? 360;
+        const height = options.height ?? 180;
+
+        super(ui, id, {
+            x: (ui.engine.baseWidth - width) / 2,
+            y: (ui.engine.baseHeight - height) / 2,
+            closable: true,
+            modal: true,
+            focusable: false,
+            ...options,
+            width, height,
+            parent: null,
+            entity: {position: 'fixed', visible: false, ...options.entity}
+        });
+
+        const style = this.getStyle();
+        const padding = style.padding * 2;
+        const buttonHeight = 36;
+
+        // Blocks the pointer below the dialog while it is open
+        this.overlay = this.engine.append(`${id}_overlay`, {
+            x: 0, y: 0, width: this.engine.baseWidth, height: this.engine.baseHeight,
+            position: 'fixed', visible: false, interactive: true, hoverable: true
+        });
+
+        this.title = this._child('title', {
+            x: padding, y: padding, width: width - padding * 2, height: 24, textAlign: 'left'
+        });
+        this.text = this._child('text', {
+            x: padding, y: padding + 32, width: width - padding * 2, height: Math.max(0, height - padding * 3 - 32 - buttonHeight),
+            textAlign: 'left', verticalAlign: 'top', wordWrap: true
+        });
+
+        const buttons = (options.buttons ?? ['OK']).map(button => typeof button === 'object' ? button : {text: button, value: button});
+        const buttonWidth = options.buttonWidth ?? 96;
+
+        this.buttons = buttons.map((button, index) => {
+            const x = width - padding - (buttons.length - index) * buttonWidth - (buttons.length - index - 1) * style.gap;
+            return ui.button(`${id}_button_${index}`, {
+                parent: this.entity, x, y: height - padding - buttonHeight, width: buttonWidth, height: buttonHeight,
+                text: button.text, style: button.style
+            }).on('press', () => this.close(button.value));
+        });
+
+        this._refresh();
+    }
+
+    open () {
+        if (this.isOpen()) return this;
+
+        // Above every entity of the world
+        let zIndex = 0;
+        this.engine.entities.forEach(entity => zIndex = Math.max(zIndex, entity.zIndex || 0));
+
+        if (this.options.modal) {
+            this.overlay.style({width: this.engine.baseWidth, height: this.engine.baseHeight, visible: true});
+            this.overlay.layer(zIndex + 1);
+        }
+        this.entity.layer(zIndex + 2);
+        this.entity.show();
+
+        this.#previous = this.ui.focused;
+        this.ui.dialogs.push(this);
+        this.ui.blur();
+        if (this.ui.navigation) this.ui.focusNext();
+
+        this.entity.trigger('open');
+        return this;
+    }
+    close (value = null) {
+        if (!this.isOpen()) return this;
+
+        this.entity.hide();
+        this.overlay.hide();
+        this.ui.dialogs = this.ui.dialogs.filter(dialog => dialog !== this);
+
+        this.ui.blur();
+        if (this.#previous?._isActive()) this.ui.focus(this.#previous);
+        this.#previous = null;
+
+        this.entity.trigger('close', {value});
+        return this;
+    }
+    isOpen () {
+        return this.ui.dialogs.includes(this);
+    }
+    setText (text) {
+        this.options.text = text;
+        this._refresh();
+        return this;
+    }
+    setTitle (title) {
+        this.options.title = title;
+        this._refresh();
+        return this;
+    }
+    destroy () {
+        this.overlay.kill();
+        super.destroy();
+    }
+    _refresh () {
+        const style = this.getStyle();
+
+        this.entity.style({
+            backgroundColor: style.panel,
+            borderColor : style.borderColor,
+            borderWidth : style.borderWidth,
+            borderRadius: style.borderRadius,
+            shadowColor : 'rgba(0, 0, 0, 0.25)',
+            shadowBlur  : 24
+        });
+        this.overlay.style({backgroundColor: style.overlay});
+        this.title.style({font: `bold ${style.font}`, color: style.color, text: this.options.title ?? ''});
+        this.text.style({font: style.font, color: style.color, text: this.options.text ?? ''});
+    }
+
+}
+
+export {UI as default, Widget, Button, Toggle, Checkbox, RadioGroup, Slider, ProgressBar, ScrollView, List, Dialog};
@@ -98,6 +98,9 @@ class Utils {
         // Reset context scale
         this.ctx.scale(this.config.quality, this.config.quality);
 
+        // Anchors and percentages follow the new size before the resize listeners run
+        this.layout?.invalidate().update();
+
         this.workerSend({
             action: 'update_canvas',
             props: {
@@ -166,6 +169,12 @@ class Utils {
     isPointInEntity (x, y, entity) {
         if (!entity.styles.visible) return false;
 
+        // Children of hidden parents are not drawn, children outside a parent with a hidden overflow are clipped
+        for (let parent = entity.parent; parent; parent = parent.parent) {
+            if (!parent.styles.visible) return false;
+            if (parent.styles.overflow === 'hidden' && !this.isPointInEntity(x, y, parent)) return false;
+        }
+
         const centerX = entity.absoluteX + entity.width / 2;
         const centerY = entity.absoluteY + entity.height / 2;
         const rotation = -entity.styles.rotation * Math.PI / 180;
@@ -192,8 +201,59 @@ class Utils {
     }
     /** ======== END ======== */
 
+    /** ======== INPUT ======== */
+    _handleInput (type, e) {
+        // Recordings capture the event, replays ignore the live input
+        if (!this.recorder._capture(type, e))
+            return e?.preventDefault?.();
+
+        this._dispatchInput(type, e);
+    }
+    _dispatchInput (type, e) {
+        switch (type) {
+            case 'click':
+                this._handleClick(e);
+                break;
+            case 'contextmenu':
+                this._handleRightClick(e);
+                break;
+            case 'keydown':
+                this._handleKeyDown(e);
+                break;
+            case 'keyup':
+                this._handleKeyUp(e);
+                break;
+            case 'mousemove':
+                this._handleMouseMove(e);
+                break;
+            case 'mousedown':
+                this._handleMouseDown(e);
+                break;
+            case 'mouseup':
+                this._handleMouseUp(e);
+                break;
+            case 'touchstart':
+                this._handleTouchStart(e);
+                break;
+            case 'touchmove':
+                this._handleTouchMove(e);
+                break;
+            case 'touchend':
+                this._handleTouchEnd(e);
+                break;
+            case 'touchcancel':
+                this._handleTouchCancel(e);
+                break;
+            case 'wheel':
+                this._handleWheel(e);
+                break;
+        }
+    }
+    /** ======== END ======== */
+
     /** ======== TOUCHES ======== */
     _handleTouchStart (e) {
+        this.input._handleTouches(e.touches);
         if (!this.running) return;
 
         for (const touch of e.changedTouches) {
@@ -212,6 +272,7 @@ class Utils {
                 identifier
             };
 
+            this.textInputs._pointerDown(worldCoords.x, worldCoords.y, identifier);
             this.trigger('touchstart', eventData);
 
             if (this.physicsEnabled) continue;
@@ -255,6 +316,7 @@ class Utils {
     }
     _handleTouchMove (e) {
         e?.preventDefault?.();
+        this.input._handleTouches(e.touches);
         if (!this.running) return;
 
         for (const touch of e.changedTouches) {
@@ -274,6 +336,7 @@ class Utils {
                 identifier,
             };
 
+            this.textInputs._pointerMove(worldCoords.x, worldCoords.y, identifier);
             this.trigger('touchmove', eventData);
 
             if (this.physicsEnabled) continue;
@@ -321,6 +384,7 @@ class Utils {
         }
     }
     _handleTouchEnd (e) {
+        this.input._handleTouches(e.touches);
         if (!this.running) return;
 
         for (const touch of e.changedTouches) {
@@ -340,6 +404,7 @@ class Utils {
                 identifier
             };
 
+            this.textInputs._pointerUp(identifier);
             this.trigger('touchend', eventData);
 
             if (this.physicsEnabled) return;
@@ -370,10 +435,12 @@ class Utils {
         }
     }
     _handleTouchCancel (e) {
+        this.input._handleTouches(e.touches);
         if (!this.running) return;
 
         for (const touch of e.changedTouches) {
             const identifier = touch.identifier;
+            this.textInputs._pointerUp(identifier);
 
             const touchStartEntity = this.touchStartEntities.get(identifier);
             if (touchStartEntity) {
@@ -403,6 +470,7 @@ class Utils {
 
     /** ======== MOUSE ======== */
     _handleMouseDown (e) {
+        this.input._handleMouse(e.button, true);
         if (!this.running || e.buttons === 2) return;
 
         const worldCoords = this.camera.screenToWorld(e.clientX, e.clientY);
@@ -417,6 +485,7 @@ class Utils {
             timestamp: Date.now()
         };
 
+        this.textInputs._pointerDown(worldCoords.x, worldCoords.y);
         this.trigger('mousedown', eventData);
 
         if (this.physicsEnabled) return;
@@ -454,6 +523,7 @@ class Utils {
         }
     }
     _handleMouseUp (e) {
+        this.input._handleMouse(e.button, false);
         if (!this.running || e.buttons === 2) return;
 
         const worldCoords = this.camera.screenToWorld(e.clientX, e.clientY);
@@ -468,6 +538,7 @@ class Utils {
             timestamp: Date.now()
         };
 
+        this.textInputs._pointerUp();
         this.trigger('mouseup', eventData);
 
         if (this.physicsEnabled) return;
@@ -498,6 +569,7 @@ class Utils {
             timestamp: Date.now()
         };
 
+        this.textInputs._pointerMove(worldCoords.x, worldCoords.y);
         this.trigger('mousemove', eventData);
 
         if (this.physicsEnabled) return;
@@ -603,7 +675,8 @@ class Utils {
     }
     _handleClicks (e, trigger) {
         e?.preventDefault?.();
-        Promise.resolve().then(() => this.canvas?.focus?.());
+        // The hidden input of a focused text input keeps the keyboard
+        Promise.resolve().then(() => this.textInputs.focused || this.canvas?.focus?.());
 
         if (!this.running) return;
 
@@ -692,6 +765,9 @@ class Utils {
     _handleKeyDown (e) {
         e?.preventDefault?.();
 
+        // A focused text input takes the keys from the game
+        if (this.textInputs._handleKey(e)) return;
+
         // Get normalized keys
         const physicalKey = this.#normalizeKeyPhysical(e);
         const logicalKey = this.#normalizeKeyLogical(e);
@@ -701,6 +777,7 @@ class Utils {
             physical: physicalKey,
             logical: logicalKey
         });
+        this.input._handleKey(physicalKey, logicalKey);
 
         // Generate combo from physical keys
         const combo = this.#orderKeys(this.pressedKeys.keys()).join('+');
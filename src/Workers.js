@@ -5,6 +5,8 @@
  */
 import Pixalo       from './Pixalo.js';
 import AudioManager from './AudioManager.js';
+import Input        from './Input.js';
+import {HiddenInput} from './TextInputs.js';
 
 class Workers {
 
@@ -74,6 +76,10 @@ class Workers {
     static destroy (wid) {
         if (this.workers.has(wid)) {
             const workerData = this.workers.get(wid);
+            cancelAnimationFrame(workerData.gamepadFrame);
+            window.removeEventListener('gamepadconnected', workerData.gamepadListener);
+            window.removeEventListener('gamepaddisconnected', workerData.gamepadListener);
+            workerData.textInput?.destroy();
             workerData.audio.cleanup();
             workerData.worker.terminate();
             this.workers.delete(wid);
@@ -150,11 +156,36 @@ class Workers {
             case 'take_screenshot':
                 this.#takeScreenshot(data.wid, data);
                 break;
+            case 'text_input':
+                this.#textInput(data.wid, data);
+                break;
         }
 
         worker_data.audio._handleWorker(event);
     }
 
+    static #textInput (wid, data) {
+        const worker = this.workers.get(wid);
+
+        // Typing, IME and mobile keyboards need a DOM input, its state is forwarded to the worker
+        worker.textInput ??= new HiddenInput(worker.canvas, event => this.send(wid, {
+            action: 'text_input_event',
+            event
+        }));
+
+        switch (data.op) {
+            case 'open':
+                worker.textInput.open(data.state);
+                break;
+            case 'update':
+                worker.textInput.update(data.state);
+                break;
+            case 'close':
+                worker.textInput.close();
+                break;
+        }
+    }
+
     static #handleError (error) {}
 
     static #setup (worker) {
@@ -354,6 +385,32 @@ class Workers {
             });
         });
 
+        // Gamepad Events, workers have no access to the Gamepad API
+        const pollGamepads = () => {
+            if (!this.workers.has(wid)) return;
+
+            const gamepads = Input.snapshotGamepads(navigator.getGamepads?.());
+            const stamp = gamepads.map(pad => `${pad.index}:${pad.timestamp}`).join();
+
+            // Only send the state when a gamepad changed
+            if (stamp !== worker.gamepadStamp) {
+                worker.gamepadStamp = stamp;
+                this.send(wid, {
+                    action: 'gamepad_state',
+                    gamepads
+                });
+            }
+
+            worker.gamepadFrame = gamepads.length ? requestAnimationFrame(pollGamepads) : null;
+        };
+        // Kept on the worker data, destroy() removes them
+        worker.gamepadListener = () => {
+            if (!worker.gamepadFrame) pollGamepads();
+        };
+        window.addEventListener('gamepadconnected', worker.gamepadListener);
+        window.addEventListener('gamepaddisconnected', worker.gamepadListener);
+        pollGamepads();
+
         // Document Events
         document.addEventListener('visibilitychange', () => {
             this.send(wid, {
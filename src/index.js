@@ -7,14 +7,30 @@ import AudioManager     from './AudioManager.js';
 import Background       from './Background.js';
 import Bezier           from './Bezier.js';
 import Camera           from './Camera.js';
-import Collision        from './Collision.js';
+import Collision, {AABBTree, SpatialHash} from './Collision.js';
+import Controllers, {CharacterController} from './Controllers.js';
+import Culling          from './Culling.js';
 import Ease             from './Ease.js';
 import Emitters         from './Emitters.js';
 import Entity           from './Entity.js';
 import Grid             from './Grid.js';
+import Headless         from './Headless.js';
+import Input            from './Input.js';
+import Layout           from './Layout.js';
+import Lighting         from './Lighting.js';
+import Network, {LoopbackTransport, Transport, WebRTCTransport, WebSocketTransport} from './Network.js';
 import Particle         from './Particle.js';
+import Pathfinding, {FlowField, NavGrid} from './Pathfinding.js';
 import Physics, {Box2D} from './Physics.js';
+import PostProcessing   from './PostProcessing.js';
+import Recorder         from './Recorder.js';
+import RichText         from './RichText.js';
+import Scenes           from './Scenes.js';
+import TextInputs, {HiddenInput, TextInput} from './TextInputs.js';
+import Tiled            from './Tiled.js';
+import Timelines, {Timeline} from './Timelines.js';
 import TileMap          from './TileMap.js';
+import UI, {Button, Checkbox, Dialog, List, ProgressBar, RadioGroup, ScrollView, Slider, Toggle, Widget} from './UI.js';
 
 // ----------  ES-Module Export  ----------
 export {
@@ -26,14 +42,52 @@ export {
     Bezier,
     Camera,
     Collision,
+    SpatialHash,
+    AABBTree,
+    Controllers,
+    CharacterController,
+    Culling,
     Ease,
     Emitters,
     Entity,
     Grid,
+    Headless,
+    Input,
+    Layout,
+    Lighting,
+    Network,
+    Transport,
+    LoopbackTransport,
+    WebRTCTransport,
+    WebSocketTransport,
     Particle,
+    Pathfinding,
+    NavGrid,
+    FlowField,
     Physics,
     Box2D,
+    PostProcessing,
+    Recorder,
+    RichText,
+    Scenes,
+    TextInputs,
+    TextInput,
+    HiddenInput,
+    Tiled,
     TileMap,
+    Timelines,
+    Timeline,
+    UI,
+    Widget,
+    Button,
+    Toggle,
+    Checkbox,
+    RadioGroup,
+    Slider,
+    ProgressBar,
+    ScrollView,
+    List,
+    Dialog,
     Debugger
 };
 
@@ -48,14 +102,52 @@ if (typeof window !== 'undefined') {
         Bezier,
         Camera,
         Collision,
+        SpatialHash,
+        AABBTree,
+        Controllers,
+        CharacterController,
+        Culling,
         Ease,
         Emitters,
         Entity,
         Grid,
+        Headless,
+        Input,
+        Layout,
+        Lighting,
+        Network,
+        Transport,
+        LoopbackTransport,
+        WebRTCTransport,
+        WebSocketTransport,
         Particle,
+        Pathfinding,
+        NavGrid,
+        FlowField,
         Physics,
         Box2D,
+        PostProcessing,
+        Recorder,
+        RichText,
+        Scenes,
+        TextInputs,
+        TextInput,
+        HiddenInput,
+        Tiled,
         TileMap,
+        Timelines,
+        Timeline,
+        UI,
+        Widget,
+        Button,
+        Toggle,
+        Checkbox,
+        RadioGroup,
+        Slider,
+        ProgressBar,
+        ScrollView,
+        List,
+        Dialog,
         Debugger
     };
 
@@ -0,0 +1,76 @@
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {createGame, step} from './helpers.js';
+
+// A row of boxes where every box touches its neighbors, and a large box over the first half
+const scatter = game => {
+    for (let i = 0; i < 12; i++)
+        game.append(`box-${i}`, {x: i * 18, y: (i % 3) * 4, width: 20, height: 20, collision: true});
+    game.append('floor', {x: 0, y: 10, width: 110, height: 200, collision: true});
+};
+
+const pairs = broadphase => {
+    const game = createGame({collision: {broadphase, cellSize: 32}});
+    scatter(game);
+
+    const found = [];
+    game.entities.forEach(entity => entity.on('collide', ({entity: other}) => {
+        found.push([entity.id, other.id].sort().join('|'));
+    }));
+
+    step(game);
+    game.stop();
+    return [...new Set(found)].sort();
+};
+
+test('every broadphase finds the same collisions as testing every pair', () => {
+    const expected = pairs('none');
+    assert.ok(expected.includes('box-0|box-1'));
+    assert.ok(expected.includes('box-0|floor'));
+    assert.ok(!expected.includes('box-0|box-2'));
+
+    assert.deepEqual(pairs('spatialHash'), expected);
+    assert.deepEqual(pairs('aabbTree'), expected);
+});
+
+test('the AABB tree follows entities that move between frames', () => {
+    const game = createGame({collision: {broadphase: 'aabbTree', margin: 4}});
+    const a = game.append('a', {x: 0, y: 0, width: 10, height: 10, collision: true});
+    game.append('b', {x: 100, y: 0, width: 10, height: 10, collision: true});
+
+    const hits = [];
+    a.on('collide', ({entity}) => hits.push(entity.id));
+
+    step(game);
+    assert.deepEqual(hits, []);
+
+    a.style({x: 95});
+    step(game);
+    assert.deepEqual(hits, ['b']);
+    game.stop();
+});
+
+test('a custom broadphase gets the proxies and returns the pairs', () => {
+    const game = createGame({collision: true});
+    const seen = [];
+    game.collision.setBroadphase({
+        findPairs: proxies => {
+            seen.push(proxies.map(proxy => proxy.entity.id));
+            // Only the first two entities are allowed to collide
+            return [[0, 1]];
+        }
+    });
+
+    game.append('a', {x: 0, y: 0, width: 10, height: 10, collision: true});
+    game.append('b', {x: 5, y: 0, width: 10, height: 10, collision: true});
+    const c = game.append('c', {x: 5, y: 5, width: 10, height: 10, collision: true});
+
+    const hits = [];
+    c.on('collide', ({entity}) => hits.push(entity.id));
+
+    step(game);
+    assert.deepEqual(seen, [['a', 'b', 'c']]);
+    assert.deepEqual(hits, []);
+    assert.throws(() => game.collision.setBroadphase('octree'));
+    game.stop();
+});
@@ -0,0 +1,74 @@
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {Headless} from '../src/index.js';
+import {createGame, step} from './helpers.js';
+
+// Counts the offscreen canvases, every bitmap of the cache is drawn on a new one
+const counted = (config = {}) => {
+    const canvases = [];
+    const game = createGame({
+        ...config,
+        headless: {
+            createCanvas: (width, height) => {
+                canvases.push([width, height]);
+                return Headless.createCanvas({}, width, height);
+            }
+        }
+    });
+
+    canvases.length = 0;
+    return {game, canvases};
+};
+
+test('offscreen canvases come from the headless createCanvas factory', () => {
+    const {game, canvases} = counted();
+    game.append('panel', {x: 10, y: 10, width: 40, height: 20, cacheAsBitmap: true});
+
+    game.render();
+    assert.deepEqual(canvases, [[42, 22]]);
+    game.stop();
+});
+
+test('a cached entity is drawn once until it or a child changes', () => {
+    const {game, canvases} = counted();
+    const panel = game.append('panel', {x: 10, y: 10, width: 40, height: 20, cacheAsBitmap: true});
+    const label = panel.append('label', {x: 5, y: 5, width: 10, height: 10});
+
+    game.render();
+    game.render();
+    assert.equal(canvases.length, 1);
+
+    // A move draws the same bitmap somewhere else
+    panel.style({x: 100});
+    game.render();
+    assert.equal(canvases.length, 1);
+
+    label.style({backgroundColor: '#ff0000'});
+    game.render();
+    assert.equal(canvases.length, 2);
+
+    panel.invalidateCache();
+    game.render();
+    assert.equal(canvases.length, 3);
+
+    panel.setCacheAsBitmap(false);
+    game.render();
+    assert.equal(canvases.length, 3);
+    game.stop();
+});
+
+test('interpolated rotations redraw the bitmap', () => {
+    const {game, canvases} = counted({fixedStep: {rate: 10}});
+    const blade = game.append('blade', {x: 100, y: 100, width: 40, height: 4, cacheAsBitmap: true});
+    game.on('update', () => blade.style({rotation: blade.styles.rotation + 90}));
+
+    step(game, 1, 150);
+    game.render();
+    const drawn = canvases.length;
+
+    // No tick, the blade is drawn further along the same rotation
+    step(game, 1, 20);
+    game.render();
+    assert.equal(canvases.length, drawn + 1);
+    game.stop();
+});
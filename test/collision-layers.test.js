@@ -0,0 +1,73 @@
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {createGame, step} from './helpers.js';
+
+const layers = {
+    player: ['enemy', 'wall'],
+    enemy: ['wall'],
+    pickup: ['player'],
+    wall: []
+};
+
+// Every entity is placed on the same spot, the collide events tell which pairs the layers let through
+const overlapping = (game, entities) => {
+    const hits = new Set();
+    for (const [id, collision] of Object.entries(entities)) {
+        const entity = game.append(id, {x: 0, y: 0, width: 10, height: 10, collision});
+        entity.on('collide', ({entity: other}) => hits.add([id, other.id].sort().join('|')));
+    }
+
+    step(game);
+    return [...hits].sort();
+};
+
+test('the layer matrix is symmetric and filters the collisions', () => {
+    const game = createGame({collision: true, collisionLayers: layers});
+    const hits = overlapping(game, {
+        hero: {category: 'player'},
+        orc: {category: 'enemy'},
+        coin: {category: 'pickup'},
+        crate: {category: 'wall'},
+        rock: true
+    });
+
+    assert.deepEqual(hits, ['coin|hero', 'crate|hero', 'crate|orc', 'hero|orc']);
+    assert.ok(game.collision.shouldCollide(game.find('coin'), game.find('hero')));
+    assert.ok(!game.collision.shouldCollide(game.find('coin'), game.find('orc')));
+    game.stop();
+});
+
+test('a mask replaces the matrix row of the entity', () => {
+    const game = createGame({collision: true, collisionLayers: layers});
+    const hits = overlapping(game, {
+        hero: {category: 'player'},
+        ghost: {category: 'enemy', mask: ['wall']},
+        crate: {category: 'wall'}
+    });
+
+    assert.deepEqual(hits, ['crate|ghost', 'crate|hero']);
+    game.stop();
+});
+
+test('entities keep colliding with everything while no layer is defined', () => {
+    const game = createGame({collision: true});
+    const hits = overlapping(game, {a: true, b: {category: 'default'}, c: true});
+
+    assert.deepEqual(hits, ['a|b', 'a|c', 'b|c']);
+    game.stop();
+});
+
+test('layer bits follow the order of the matrix and unknown layers throw', () => {
+    const game = createGame({collision: true, collisionLayers: layers});
+
+    assert.equal(game.collision.getLayerBits('default'), 1);
+    assert.equal(game.collision.getLayerBits('player'), 2);
+    assert.equal(game.collision.getLayerBits(['enemy', 'wall']), 4 | 16);
+    assert.throws(() => game.collision.getLayerBits('water'), /water/);
+
+    game.setCollisionLayers({player: ['enemy']});
+    assert.ok(game.collision.shouldCollide({collision: {category: 'player'}}, {collision: {category: 'enemy'}}));
+    assert.ok(!game.collision.shouldCollide({collision: {category: 'player'}}, {collision: {}}));
+    assert.throws(() => game.collision.getLayerBits('wall'), /wall/);
+    game.stop();
+});
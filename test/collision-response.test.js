@@ -0,0 +1,78 @@
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {createGame, step} from './helpers.js';
+
+test('push entities are moved out of static ones and lose their speed into them', () => {
+    const game = createGame({collision: true});
+    const wall = game.append('wall', {x: 100, y: 0, width: 20, height: 100, collision: {response: 'static'}});
+    const box = game.append('box', {x: 60, y: 40, width: 20, height: 20, velocity: {x: 300, y: 50}, collision: {response: 'push'}});
+
+    const hits = [];
+    box.on('collide', ({entity}) => hits.push(entity.id));
+
+    step(game, 20);
+    assert.ok(hits.includes('wall'));
+    assert.ok(Math.abs(box.x + box.width - wall.x) < 1e-6, `x = ${box.x}`);
+    assert.equal(box.velocity.x, 0);
+    assert.equal(box.velocity.y, 50);
+    assert.equal(wall.x, 100);
+    game.stop();
+});
+
+test('bounce entities reflect their velocity with the restitution', () => {
+    const game = createGame({collision: true});
+    game.append('floor', {x: 0, y: 200, width: 320, height: 20, collision: {response: 'static'}});
+    const ball = game.append('ball', {
+        x: 100, y: 150, width: 10, height: 10, shape: 'circle',
+        velocity: {x: 0, y: 240},
+        collision: {response: 'bounce', restitution: 0.5}
+    });
+
+    step(game, 20);
+    assert.equal(ball.velocity.y, -120);
+    assert.ok(ball.y + ball.height <= 200 + 1e-6);
+    game.stop();
+});
+
+test('two moving entities share the separation and exchange their speed', () => {
+    const game = createGame({collision: true});
+    const a = game.append('a', {x: 0, y: 0, width: 20, height: 20, velocity: {x: 60, y: 0}, collision: {response: 'bounce', restitution: 1}});
+    const b = game.append('b', {x: 40, y: 0, width: 20, height: 20, velocity: {x: -60, y: 0}, collision: {response: 'bounce', restitution: 1}});
+
+    step(game, 20);
+    assert.equal(a.velocity.x, -60);
+    assert.equal(b.velocity.x, 60);
+    assert.ok(b.x - (a.x + a.width) >= -1e-6);
+    game.stop();
+});
+
+test('entities without a response only get the events', () => {
+    const game = createGame({collision: true});
+    game.append('wall', {x: 100, y: 0, width: 20, height: 100, collision: {response: 'static'}});
+    const ghost = game.append('ghost', {x: 60, y: 40, width: 20, height: 20, velocity: {x: 300, y: 0}, collision: true});
+
+    step(game, 20);
+    assert.ok(ghost.x > 120);
+    assert.equal(game.collision.getResponse(ghost), 'none');
+    game.stop();
+});
+
+test('push and bounce entities bounce on the solid tiles of the map', () => {
+    const game = createGame({collision: true});
+    game.tileMap.create('level', {
+        tileBaseSize: 32,
+        tiles: {'#': {tile: 'ground', collision: {type: 'solid'}}},
+        layers: {ground: ['', '', '', '', '', '', '##########']}
+    }).render('level');
+
+    const ball = game.append('ball', {
+        x: 100, y: 140, width: 10, height: 10,
+        velocity: {x: 0, y: 300},
+        collision: {response: 'bounce', restitution: 1}
+    });
+
+    step(game, 12);
+    assert.equal(ball.velocity.y, -300);
+    assert.equal(ball.velocity.x, 0);
+    game.stop();
+});
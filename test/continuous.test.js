@@ -0,0 +1,42 @@
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import Pixalo from '../src/index.js';
+
+const shoot = (query) => {
+    const game = new Pixalo(null, {width: 800, height: 240, headless: true, collision: true});
+    const wall = game.append('wall', {x: 300, y: 0, width: 10, height: 240, collision: true});
+    const bullet = game.append('bullet', {
+        x: 0, y: 100, width: 8, height: 4,
+        collision: {continuous: true, stopOnContact: true}
+    });
+
+    const hits = [];
+    bullet.on('collide', ({entity}) => hits.push(entity.id));
+
+    game.on('update', () => {
+        if (hits.length) return;
+        bullet.style('x', bullet.x + 180);
+        query?.(game, bullet);
+    });
+
+    for (let i = 0; i < 4; i++) game.step(1000 / 60);
+    game.stop();
+
+    return {hits, x: bullet.x, wall};
+};
+
+test('continuous collision catches a fast entity', () => {
+    const {hits, x, wall} = shoot();
+
+    assert.deepEqual(hits, ['wall']);
+    assert.ok(x + 8 <= wall.x + 1e-6, `x = ${x}`);
+});
+
+test('queries between the updates keep continuous collision', () => {
+    const {hits, x, wall} = shoot((game, bullet) => {
+        game.collision.raycast({x: bullet.x, y: bullet.y}, {x: 1, y: 0}, 100);
+    });
+
+    assert.deepEqual(hits, ['wall']);
+    assert.ok(x + 8 <= wall.x + 1e-6, `x = ${x}`);
+});
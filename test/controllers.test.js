@@ -0,0 +1,101 @@
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {createGame, step} from './helpers.js';
+
+// A floor of solid tiles at y = 192, with a one-way platform at y = 128 over the middle
+const level = (game, config = {}) => {
+    game.tileMap.create('level', {
+        tileBaseSize: 32,
+        tiles: {
+            '#': {tile: 'ground', collision: {type: 'solid'}},
+            '=': {tile: 'ledge', collision: {type: 'platform'}}
+        },
+        layers: {
+            ground: [
+                '          ',
+                '          ',
+                '          ',
+                '          ',
+                '   ====   ',
+                '          ',
+                '##########'
+            ]
+        },
+        ...config
+    }).render('level');
+
+    const hero = game.append('hero', {x: 16, y: 100, width: 20, height: 30, collision: true});
+    return {hero, controller: game.characterController(hero)};
+};
+
+test('gravity drops the controller on the ground and it walks along it', () => {
+    const game = createGame({collision: true});
+    const {hero, controller} = level(game);
+    const landed = [];
+    hero.on('land', ({velocity}) => landed.push(velocity > 0));
+
+    step(game, 60);
+    assert.ok(controller.grounded);
+    assert.ok(Math.abs(hero.y + hero.height - 192) < 0.5, `y = ${hero.y}`);
+    assert.deepEqual(landed, [true]);
+
+    controller.move(1);
+    step(game, 30);
+    assert.ok(hero.x > 60, `x = ${hero.x}`);
+    assert.ok(controller.grounded);
+    game.stop();
+});
+
+test('jumps rise about the jump height and land on one-way platforms from above', () => {
+    const game = createGame({collision: true});
+    const {hero, controller} = level(game);
+    hero.style({x: 100});
+    step(game, 60);
+
+    const events = [];
+    hero.on('jump', () => events.push('jump'));
+    hero.on('land', () => events.push('land'));
+
+    let top = hero.y;
+    game.on('update', () => top = Math.min(top, hero.y));
+
+    controller.jump();
+    step(game, 90);
+
+    assert.deepEqual(events, ['jump', 'land']);
+    // The steps of the frames land a little under the exact height
+    assert.ok(162 - top > 88 && 162 - top <= 96, `jumped ${162 - top}`);
+    assert.ok(Math.abs(hero.y + hero.height - 128) < 0.5, `y = ${hero.y}`);
+
+    controller.drop();
+    step(game, 60);
+    assert.ok(Math.abs(hero.y + hero.height - 192) < 0.5, `y = ${hero.y}`);
+    game.stop();
+});
+
+test('the controllers of a paused scene wait under an overlay', () => {
+    const game = createGame({collision: true});
+    const {hero, controller} = level(game);
+    step(game, 60);
+
+    const y = hero.y;
+    controller.move(1);
+    const x = hero.x;
+
+    // The overlay has no tiles, a controller that kept running would fall through the floor
+    game.createScene('pause');
+    game.pushScene('pause');
+    assert.equal(game.controllers.get(hero), null);
+    step(game, 30);
+
+    game.popScene();
+    assert.equal(hero.x, x);
+    assert.equal(hero.y, y);
+    assert.ok(controller.grounded);
+    assert.equal(game.controllers.get(hero), controller);
+
+    step(game, 10);
+    assert.ok(hero.x > x);
+    assert.equal(hero.y, y);
+    game.stop();
+});
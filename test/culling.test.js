@@ -0,0 +1,70 @@
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {createGame, step} from './helpers.js';
+
+const ids = entities => entities.map(entity => entity.id);
+
+test('entities outside the view are skipped and the rest is sorted by zIndex', () => {
+    const game = createGame({culling: {padding: 0}});
+    game.append('top', {x: 10, y: 10, width: 20, height: 20, layer: 2});
+    game.append('bottom', {x: 50, y: 10, width: 20, height: 20, layer: 1});
+    game.append('far', {x: 1000, y: 10, width: 20, height: 20});
+
+    assert.deepEqual(ids(game.culling.getVisible()), ['bottom', 'top']);
+    assert.deepEqual(game.culling.stats, {total: 3, drawn: 2, culled: 1});
+    game.stop();
+});
+
+test('moved entities and camera moves update the view', () => {
+    const game = createGame({culling: {padding: 0}});
+    const box = game.append('box', {x: 1000, y: 10, width: 20, height: 20});
+
+    assert.deepEqual(ids(game.culling.getVisible()), []);
+    box.style({x: 100});
+    assert.deepEqual(ids(game.culling.getVisible()), ['box']);
+
+    game.camera.moveTo(600, 0, true);
+    assert.deepEqual(ids(game.culling.getVisible()), []);
+    game.stop();
+});
+
+test('fixed entities and cull: false are always rendered, disable() renders everything', () => {
+    const game = createGame({culling: {padding: 0}});
+    game.append('hud', {x: 10, y: 10, width: 20, height: 20, position: 'fixed'});
+    game.append('glow', {x: 2000, y: 10, width: 20, height: 20, cull: false});
+    game.append('far', {x: 1000, y: 10, width: 20, height: 20});
+
+    game.camera.moveTo(600, 0, true);
+    assert.deepEqual(ids(game.culling.getVisible()).sort(), ['glow', 'hud']);
+
+    game.culling.disable();
+    assert.equal(game.culling.getVisible().length, 3);
+    game.stop();
+});
+
+test('rotated entities are culled with the circle around them', () => {
+    const game = createGame({culling: {padding: 0}});
+    game.append('bar', {x: 100, y: -30, width: 100, height: 4, rotation: 90});
+
+    // The box is above the view, the rotated bar reaches into it
+    assert.deepEqual(ids(game.culling.getVisible()), ['bar']);
+    game.stop();
+});
+
+test('interpolated positions are culled where they are drawn', () => {
+    const game = createGame({fixedStep: {rate: 10}, culling: {padding: 0}});
+    const box = game.append('box', {x: 300, y: 10, width: 10, height: 10});
+    box.velocity = {x: 400, y: 0};
+
+    let drawn = null;
+    game.on('render', () => drawn = ids(game.culling.getVisible()));
+
+    // The tick moved the box out of the view, halfway to the next tick it is still drawn at x = 320 - 10
+    step(game, 1, 150);
+    game.render();
+
+    assert.equal(box.x, 340);
+    assert.deepEqual(drawn, ['box']);
+    assert.deepEqual(ids(game.culling.getVisible()), []);
+    game.stop();
+});
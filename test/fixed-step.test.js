@@ -0,0 +1,91 @@
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {createGame, step} from './helpers.js';
+
+test('frames run as many fixed ticks as fit in the accumulated time', () => {
+    const game = createGame({fixedStep: {rate: 50}});
+    const deltas = [];
+    game.on('update', deltaTime => deltas.push(deltaTime));
+
+    step(game, 1, 30);
+    assert.equal(game.tick, 1);
+    assert.equal(game.alpha, 0.5);
+
+    step(game, 1, 30);
+    assert.equal(game.tick, 3);
+    assert.deepEqual(deltas, [20, 20, 20]);
+    game.stop();
+});
+
+test('the simulation does not depend on the frame rate', () => {
+    const run = (frames, deltaTime) => {
+        const game = createGame({fixedStep: true});
+        const box = game.append('box', {x: 0, y: 0, width: 10, height: 10});
+        game.on('update', deltaTime => box.style({x: box.x + 120 * deltaTime / 1000}));
+        step(game, frames, deltaTime);
+        game.stop();
+        return {x: box.x, tick: game.tick};
+    };
+
+    assert.deepEqual(run(12, 10), run(3, 40));
+});
+
+test('maxSubSteps drops the time that could not be simulated', () => {
+    const game = createGame({fixedStep: {rate: 100, maxSubSteps: 3}});
+
+    step(game, 1, 1000);
+    assert.equal(game.tick, 3);
+    assert.ok(game.alpha < 1);
+    game.stop();
+});
+
+test('rendering interpolates the positions between the last two ticks', () => {
+    const game = createGame({fixedStep: {rate: 10}});
+    const box = game.append('box', {x: 0, y: 0, width: 10, height: 10});
+    game.on('update', deltaTime => box.style({x: box.x + 100 * deltaTime / 1000}));
+
+    let drawn = null;
+    game.on('render', () => drawn = box.absoluteX);
+
+    step(game, 1, 150);
+    game.render();
+
+    assert.equal(box.x, 10);
+    assert.equal(drawn, 5);
+    assert.equal(box.absoluteX, 10);
+    game.stop();
+});
+
+test('timers and tile animations run on the simulation clock', () => {
+    const game = createGame({fixedStep: {rate: 100}});
+    let fired = 0;
+    game.timeout(() => fired++, 100);
+
+    game.tileMap.create('level', {
+        tileBaseSize: 16,
+        tiles: {w: {tile: 'water.0', frames: ['water.0', 'water.1', 'water.2'], frameRate: 10, loop: true}},
+        layers: {ground: ['w']}
+    }).render('level');
+    const animation = game.tileMap.animatedTiles.get('tile_w');
+
+    step(game, 9, 10);
+    assert.equal(fired, 0);
+    assert.equal(animation.currentFrame, 0);
+
+    step(game, 2, 10);
+    assert.equal(fired, 1);
+    assert.equal(animation.currentFrame, 1);
+    game.stop();
+});
+
+test('disableFixedStep() goes back to variable updates', () => {
+    const game = createGame({fixedStep: true});
+    const deltas = [];
+    game.on('update', deltaTime => deltas.push(deltaTime));
+
+    game.disableFixedStep();
+    step(game, 1, 7);
+    assert.deepEqual(deltas, [7]);
+    assert.equal(game.alpha, 1);
+    game.stop();
+});
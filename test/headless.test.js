@@ -0,0 +1,86 @@
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {spawnSync} from 'node:child_process';
+
+const source = new URL('../src/index.js', import.meta.url).href;
+
+// Runs a game in a separate process, so a timer left behind by the engine shows up as a process that never exits
+const run = (script) => {
+    const result = spawnSync(process.execPath, ['--input-type=module', '-e', `
+        import Pixalo from '${source}';
+        const game = new Pixalo(null, {width: 320, height: 240, headless: true});
+        ${script}
+    `], {encoding: 'utf8', timeout: 10000});
+
+    assert.equal(result.signal, null, 'the process did not exit by itself');
+    assert.equal(result.status, 0, result.stderr);
+    return JSON.parse(result.stdout);
+};
+
+test('step() advances move() and the process exits', () => {
+    const {x, y} = run(`
+        const box = game.append('box', {x: 0, y: 0, width: 10, height: 10});
+        box.move({x: 100, y: 50, duration: 500});
+        for (let i = 0; i < 60; i++) game.step(1000 / 60);
+        console.log(JSON.stringify({x: box.x, y: box.y}));
+    `);
+
+    assert.equal(x, 100);
+    assert.equal(y, 50);
+});
+
+test('step() advances transition() and camera moves', () => {
+    const {x, camera} = run(`
+        const box = game.append('box', {x: 0, y: 0, width: 10, height: 10});
+        box.transition({x: 200}, {duration: 500});
+        game.camera.moveTo(80, 0, false, 500);
+        for (let i = 0; i < 15; i++) game.step(1000 / 60);
+        console.log(JSON.stringify({x: box.x, camera: game.camera.x}));
+    `);
+
+    assert.ok(x > 0 && x < 200, `x = ${x}`);
+    assert.ok(camera > 0 && camera < 80, `camera = ${camera}`);
+});
+
+test('start() and stop() leave no timers behind', () => {
+    const {x} = run(`
+        const box = game.append('box', {x: 0, y: 0, width: 10, height: 10});
+        box.move({x: 100, duration: 100});
+        game.start();
+        await game.delay(300);
+        game.stop();
+        console.log(JSON.stringify({x: box.x}));
+    `);
+
+    assert.equal(x, 100);
+});
+
+test('does not define requestAnimationFrame', () => {
+    const {defined} = run(`
+        game.start();
+        game.stop();
+        console.log(JSON.stringify({defined: typeof globalThis.requestAnimationFrame !== 'undefined'}));
+    `);
+
+    assert.equal(defined, false);
+});
+
+test('step() advances followPath() at a constant speed', () => {
+    const {positions, events} = run(`
+        const box = game.append('box', {x: 0, y: 0, width: 10, height: 10});
+        const events = [];
+        box.on('pathPoint', (point, index) => events.push(index));
+        box.on('pathEnd', () => events.push('end'));
+        box.followPath([{x: 50, y: 0}, {x: 50, y: 50}, {x: 0, y: 50}], {speed: 100, anchor: 'topLeft'});
+
+        const positions = [];
+        for (let i = 0; i < 4; i++) {
+            game.step(500);
+            positions.push([box.x, box.y]);
+        }
+        console.log(JSON.stringify({positions, events}));
+    `);
+
+    assert.deepEqual(positions, [[50, 0], [50, 50], [0, 50], [0, 50]]);
+    assert.deepEqual(events, [0, 1, 2, 'end']);
+});
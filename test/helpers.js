@@ -0,0 +1,56 @@
+import Pixalo from '../src/index.js';
+
+export const STEP = 1000 / 60;
+
+// An object that accepts any call, property or construction, e.g. a 2D context or an AudioContext
+const noop = () => new Proxy(function () {}, {
+    get: (target, key) => key === Symbol.toPrimitive ? () => 0 : key === 'then' ? undefined : noop(),
+    set: () => true,
+    apply: () => noop(),
+    construct: () => noop()
+});
+
+// The browser globals the engine reads when it runs on a canvas, the DOM itself stays undefined
+const installBrowser = () => {
+    if (typeof globalThis.HTMLCanvasElement === 'undefined') {
+        globalThis.HTMLCanvasElement = class {
+            width  = 300;
+            height = 150;
+            style  = {};
+            getContext () {
+                const ctx = noop();
+                ctx.measureText = () => ({width: 0});
+                return ctx;
+            }
+            getBoundingClientRect () {
+                return {left: 0, top: 0, width: this.width, height: this.height};
+            }
+            addEventListener () {}
+            removeEventListener () {}
+        };
+    }
+
+    globalThis.window ??= {AudioContext: noop(), addEventListener () {}, removeEventListener () {}};
+};
+
+// A game without a DOM, driven by step()
+export const createGame = (config = {}) => new Pixalo(null, {width: 320, height: 240, headless: true, ...config});
+
+// A game on a stand-in canvas, for the code paths that only run in the browser
+export const createBrowserGame = (config = {}) => {
+    installBrowser();
+
+    const {width = 320, height = 240} = config;
+    return new Pixalo(new globalThis.HTMLCanvasElement(), {
+        width, height,
+        headless: false,
+        window: {innerWidth: width, innerHeight: height, outerWidth: width, outerHeight: height, devicePixelRatio: 1},
+        ...config
+    });
+};
+
+export const step = (game, frames = 1, deltaTime = STEP) => {
+    for (let i = 0; i < frames; i++)
+        game.step(deltaTime);
+    return game;
+};
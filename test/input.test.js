@@ -0,0 +1,88 @@
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {createGame, step} from './helpers.js';
+
+const press   = (game, key, code = key) => game._handleInput('keydown', {key, code});
+const release = (game, key, code = key) => game._handleInput('keyup', {key, code});
+
+const pad = (buttons = [], axes = [0, 0]) => ({
+    index: 0, id: 'pad', connected: true, timestamp: 0, axes,
+    buttons: Array.from({length: 16}, (_, index) => ({pressed: buttons.includes(index), value: buttons.includes(index) ? 1 : 0}))
+});
+
+test('actions follow their keys with pressed, justPressed and justReleased', () => {
+    const game = createGame({input: {actions: {jump: ['space', {button: 0}]}}});
+
+    press(game, ' ', 'Space');
+    step(game);
+    assert.ok(game.input.isPressed('jump'));
+    assert.ok(game.input.isJustPressed('jump'));
+
+    step(game);
+    assert.ok(game.input.isPressed('jump'));
+    assert.ok(!game.input.isJustPressed('jump'));
+
+    release(game, ' ', 'Space');
+    step(game);
+    assert.ok(!game.input.isPressed('jump'));
+    assert.ok(game.input.isJustReleased('jump'));
+    game.stop();
+});
+
+test('a tap between two frames still presses the action', () => {
+    const game = createGame({input: {actions: {jump: ['space']}}});
+
+    press(game, ' ', 'Space');
+    release(game, ' ', 'Space');
+    step(game);
+    assert.ok(game.input.isJustPressed('jump'));
+    game.stop();
+});
+
+test('axis composites and gamepad axes return values with a dead zone', () => {
+    const game = createGame({input: {deadZone: 0.2, actions: {moveX: [{negative: 'a', positive: 'd'}, {axis: 0}]}}});
+
+    press(game, 'a', 'KeyA');
+    step(game);
+    assert.equal(game.input.value('moveX'), -1);
+    release(game, 'a', 'KeyA');
+
+    game.input._setGamepads([pad([], [0.1, 0])]);
+    step(game);
+    assert.equal(game.input.value('moveX'), 0);
+
+    game.input._setGamepads([pad([], [0.6, 0])]);
+    step(game);
+    assert.ok(Math.abs(game.input.value('moveX') - 0.5) < 1e-9);
+    game.stop();
+});
+
+test('listen() rebinds an action to the next key and the bindings round-trip as JSON', async () => {
+    const game = createGame({input: {actions: {jump: ['space']}}});
+
+    const listening = game.input.listen('jump');
+    assert.ok(game.input.isListening());
+    press(game, 'j', 'KeyJ');
+    step(game);
+
+    assert.deepEqual(await listening, {key: 'j'});
+    assert.deepEqual(game.input.get('jump').bindings, [{key: 'j'}]);
+
+    const saved = game.input.exportBindings(true);
+    game.input.clear();
+    game.input.importBindings(saved);
+    assert.deepEqual(game.input.exportBindings(), JSON.parse(saved));
+    game.stop();
+});
+
+test('listen() resolves with null when it is cancelled', async () => {
+    const game = createGame();
+
+    const listening = game.input.listen('jump');
+    press(game, 'Escape');
+    step(game);
+
+    assert.equal(await listening, null);
+    assert.ok(!game.input.has('jump'));
+    game.stop();
+});
@@ -0,0 +1,70 @@
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {createGame, step} from './helpers.js';
+
+const box = entity => [entity.x, entity.y, entity.width, entity.height];
+
+test('anchors place entities inside the padding of their parent', () => {
+    const game = createGame();
+    const hud = game.append('hud', {width: '100%', height: 64, anchor: 'bottom', padding: 12});
+    const score = hud.append('score', {width: 160, height: 40, anchor: 'left'});
+    const pause = hud.append('pause', {width: 40, height: 40, anchor: 'right', margin: 4});
+    const logo = game.append('logo', {width: 100, height: 50, anchor: 'center'});
+
+    game.layout.refresh();
+    assert.deepEqual(box(hud), [0, 176, 320, 64]);
+    assert.deepEqual(box(score), [12, 12, 160, 40]);
+    assert.deepEqual(box(pause), [264, 12, 40, 40]);
+    assert.deepEqual(box(logo), [110, 95, 100, 50]);
+    game.stop();
+});
+
+test('the layout follows size changes in the next update', () => {
+    const game = createGame();
+    const panel = game.append('panel', {width: 200, height: 100, anchor: 'top-right', padding: [10, 20]});
+    const bar = panel.append('bar', {width: '50%', height: '100%', anchor: 'top-left'});
+
+    game.layout.refresh();
+    assert.deepEqual(box(panel), [120, 0, 200, 100]);
+    assert.deepEqual(box(bar), [20, 10, 80, 80]);
+
+    panel.style({width: 100});
+    assert.ok(game.layout.dirty);
+    step(game);
+    assert.deepEqual(box(panel), [220, 0, 100, 100]);
+    assert.deepEqual(box(bar), [20, 10, 30, 80]);
+
+    bar.style('width', 10);
+    step(game);
+    assert.equal(bar.width, 10);
+    game.stop();
+});
+
+test('flex rows place the children one after another and justify them', () => {
+    const game = createGame();
+    const row = game.append('row', {x: 0, y: 0, width: 200, height: 40, padding: 10, flex: {gap: 10, align: 'center'}});
+    const a = row.append('a', {width: 30, height: 20});
+    const b = row.append('b', {width: 40, height: 10});
+    const hidden = row.append('hidden', {x: 5, y: 5, width: 40, height: 10, visible: false});
+
+    game.layout.refresh();
+    assert.deepEqual(box(a), [10, 10, 30, 20]);
+    assert.deepEqual(box(b), [50, 15, 40, 10]);
+    assert.deepEqual(box(hidden), [5, 5, 40, 10]);
+
+    row.style({flex: {justify: 'space-between', align: 'stretch'}});
+    game.layout.refresh();
+    assert.deepEqual(box(a), [10, 10, 30, 20]);
+    assert.deepEqual(box(b), [150, 10, 40, 20]);
+    game.stop();
+});
+
+test('wrapped columns start a new line with the largest child', () => {
+    const game = createGame();
+    const column = game.append('column', {x: 0, y: 0, width: 200, height: 100, flex: {direction: 'column', wrap: true, gap: 5}});
+    const items = ['a', 'b', 'c'].map((id, i) => column.append(id, {width: 20 + i * 10, height: 40}));
+
+    game.layout.refresh();
+    assert.deepEqual(items.map(box), [[0, 0, 20, 40], [0, 45, 30, 40], [35, 0, 40, 40]]);
+    game.stop();
+});
@@ -0,0 +1,76 @@
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {Headless} from '../src/index.js';
+import {createGame} from './helpers.js';
+
+// Records the color stops of the gradients drawn on every canvas of the game
+const recording = (config = {}) => {
+    const stops = [];
+    const createCanvas = (width, height) => {
+        const canvas = Headless.createCanvas({}, width, height);
+        const ctx = canvas.getContext('2d');
+        ctx.createRadialGradient = () => ({addColorStop: (offset, color) => stops.push([offset, color])});
+        return canvas;
+    };
+
+    return {game: createGame({...config, headless: {createCanvas}}), stops};
+};
+
+test('lights follow the center of their entity and go away with it', async () => {
+    const game = createGame();
+    const hero = game.append('hero', {x: 100, y: 50, width: 20, height: 40});
+    game.addLight('lamp', {entity: 'hero', offsetY: -10});
+    game.addLight('torch', {entity: hero});
+
+    assert.deepEqual(game.lighting.getPosition(game.lighting.get('lamp')), {x: 110, y: 60});
+    assert.deepEqual(game.lighting.getPosition(game.lighting.get('torch')), {x: 110, y: 70});
+
+    hero.kill();
+    await null;
+    game.addLight('sun', {type: 'ambient'});
+    game.render();
+    assert.ok(!game.lighting.has('torch'));
+    assert.ok(game.lighting.has('lamp'));
+    game.stop();
+});
+
+test('the entity of a light is found in its scene while an overlay is on top', () => {
+    const game = createGame();
+    game.append('hero', {x: 100, y: 50, width: 20, height: 40});
+    const light = game.addLight('lamp', {x: 0, y: 0, entity: 'hero'});
+
+    game.createScene('pause');
+    game.pushScene('pause');
+    assert.deepEqual(game.lighting.getPosition(light), {x: 110, y: 70});
+    game.stop();
+});
+
+test('hex, rgb() and rgba() colors are faded to the radius', () => {
+    const {game, stops} = recording();
+    game.addLight('hex', {x: 10, y: 10, color: '#ff8000', shadows: false});
+    game.addLight('rgb', {x: 10, y: 10, color: 'rgb(0, 128, 255)', intensity: 0.5, shadows: false});
+    game.addLight('rgba', {x: 10, y: 10, color: 'rgba(10, 20, 30, 0.5)', shadows: false});
+    game.addLight('percent', {x: 10, y: 10, color: 'rgb(10 20 30 / 50%)', shadows: false});
+
+    game.render();
+    const first = stops.filter(([offset]) => offset === 0).map(([, color]) => color);
+    assert.deepEqual(first, [
+        'rgba(255, 128, 0, 1)',
+        'rgba(0, 128, 255, 0.5)',
+        'rgba(10, 20, 30, 0.5)',
+        'rgba(10, 20, 30, 0.5)'
+    ]);
+    assert.equal(stops.filter(([offset]) => offset === 1).every(([, color]) => color.endsWith(', 0)')), true);
+    game.stop();
+});
+
+test('invalid light types and blends throw', () => {
+    const game = createGame();
+
+    assert.throws(() => game.addLight('laser', {type: 'laser'}), /laser/);
+    game.addLight('lamp');
+    assert.throws(() => game.addLight('lamp'), /already exists/);
+    assert.throws(() => game.lighting.set('lamp', {blend: 'screen'}), /screen/);
+    assert.throws(() => game.lighting.set('missing', {}), /not found/);
+    game.stop();
+});
@@ -0,0 +1,107 @@
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {LoopbackTransport} from '../src/index.js';
+import {createGame, step} from './helpers.js';
+
+const connect = (options = {}) => {
+    const server = createGame({fixedStep: true});
+    const client = createGame({fixedStep: true});
+
+    const serverTransport = new LoopbackTransport();
+    const clientTransport = new LoopbackTransport(options);
+    clientTransport.connect(serverTransport);
+
+    return {server, client, host: () => server.network.host(serverTransport), join: () => client.network.join(clientTransport)};
+};
+
+const run = (games, frames) => {
+    for (let i = 0; i < frames; i++)
+        games.forEach(game => step(game));
+};
+
+test('clients spawn the replicated entities and follow their state', async () => {
+    const {server, client, host, join} = connect();
+
+    const boss = server.append('boss', {x: 10, y: 20, width: 32, height: 32});
+    boss.data('hp', 100);
+    server.network.replicate(boss, {dataset: ['hp'], interpolate: false});
+
+    const spawned = [];
+    client.on('networkSpawn', entity => spawned.push(entity.id));
+
+    host();
+    join();
+    run([server, client], 10);
+
+    assert.deepEqual(spawned, ['boss']);
+    assert.equal(client.find('boss').x, 10);
+    assert.equal(client.find('boss').data('hp'), 100);
+
+    boss.style({x: 60});
+    boss.data('hp', 40);
+    run([server, client], 10);
+
+    assert.equal(client.find('boss').x, 60);
+    assert.equal(client.find('boss').data('hp'), 40);
+
+    // Spawned entities leave the client with the host entity, kill() destroys in a microtask
+    boss.kill();
+    await null;
+    run([server, client], 10);
+    await null;
+    assert.ok(!client.find('boss'));
+
+    server.stop();
+    client.stop();
+});
+
+test('owned entities are predicted on the client and confirmed by the host', () => {
+    const {server, client, host, join} = connect({latency: 50});
+
+    for (const game of [server, client]) {
+        game.on('networkInput', (entity, input) => entity.style({x: entity.x + input.x}));
+    }
+
+    server.on('networkConnect', peerId => {
+        const player = server.append(`player-${peerId}`, {x: 0, y: 0, width: 16, height: 16});
+        server.network.replicate(player, {owner: peerId});
+    });
+
+    host();
+    join();
+    run([server, client], 20);
+
+    const id = `player-${client.network.id}`;
+    const player = client.find(id);
+    assert.ok(player);
+    assert.equal(client.network.getOwner(player), client.network.id);
+
+    // The input moves the player right away, before the host saw it
+    client.network.sendInput(player, {x: 5});
+    assert.equal(player.x, 5);
+    assert.equal(server.find(id).x, 0);
+
+    run([server, client], 30);
+    assert.equal(server.find(id).x, 5);
+    assert.equal(client.find(id).x, 5);
+
+    server.stop();
+    client.stop();
+});
+
+test('custom messages reach the peers', () => {
+    const {server, client, host, join} = connect();
+    const received = [];
+    server.on('networkMessage', (name, data, peerId) => received.push([name, data, peerId === client.network.id]));
+
+    host();
+    join();
+    run([server, client], 5);
+
+    client.network.send('chat', {text: 'gg'});
+    run([server, client], 5);
+
+    assert.deepEqual(received, [['chat', {text: 'gg'}, true]]);
+    server.stop();
+    client.stop();
+});
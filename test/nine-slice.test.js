@@ -0,0 +1,81 @@
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {Headless} from '../src/index.js';
+import {createGame} from './helpers.js';
+
+// A 48×48 panel image, the draws of the image are recorded without the image argument
+const setup = async () => {
+    const image = Headless.createImage(48, 48);
+    const draws = [];
+
+    const game = createGame({
+        headless: {
+            loadImage: () => image,
+            createCanvas: (width, height) => {
+                const canvas = Headless.createCanvas({}, width, height);
+                const ctx = canvas.getContext('2d');
+                ctx.drawImage = (source, ...args) => source === image && draws.push(args);
+                return canvas;
+            }
+        }
+    });
+    await game.loadAsset('image', 'panel', 'panel.png');
+
+    const render = () => {
+        draws.length = 0;
+        game.render();
+        return draws;
+    };
+
+    return {game, render};
+};
+
+test('corners keep their size, edges and center are stretched', async () => {
+    const {game, render} = await setup();
+    game.append('box', {x: 0, y: 0, width: 100, height: 60}).img('panel', {slice: 12});
+
+    const draws = render();
+    assert.equal(draws.length, 9);
+    assert.deepEqual(draws[0], [0, 0, 12, 12, -50, -30, 12, 12]);
+    assert.deepEqual(draws[1], [12, 0, 24, 12, -38, -30, 76, 12]);
+    assert.deepEqual(draws[4], [12, 12, 24, 24, -38, -18, 76, 36]);
+    assert.deepEqual(draws[8], [36, 36, 12, 12, 38, 18, 12, 12]);
+    game.stop();
+});
+
+test('tiled centers repeat the slice and crop the last tiles', async () => {
+    const {game, render} = await setup();
+    game.append('box', {x: 0, y: 0, width: 100, height: 60}).img('panel', {slice: [12], sliceFill: {center: 'tile'}});
+
+    const center = render().filter(([sx, sy]) => sx === 12 && sy === 12);
+    assert.equal(center.length, 8);
+    assert.deepEqual(center[0], [12, 12, 24, 24, -38, -18, 24, 24]);
+    assert.deepEqual(center[3], [12, 12, 4, 24, 34, -18, 4, 24]);
+    assert.deepEqual(center[7], [12, 12, 4, 12, 34, 6, 4, 12]);
+    game.stop();
+});
+
+test('small entities shrink the borders and three-slices skip the empty rows', async () => {
+    const {game, render} = await setup();
+    const box = game.append('box', {x: 0, y: 0, width: 12, height: 12}).img('panel', {slice: 12});
+
+    let draws = render();
+    assert.equal(draws.length, 4);
+    assert.deepEqual(draws[0], [0, 0, 12, 12, -6, -6, 6, 6]);
+
+    box.img('panel', {slice: {left: 10, right: 10}});
+    box.style({width: 80, height: 20});
+    draws = render();
+    assert.equal(draws.length, 3);
+    assert.deepEqual(draws[1], [10, 0, 28, 48, -30, -10, 60, 20]);
+    game.stop();
+});
+
+test('invalid insets and fills throw', async () => {
+    const {game} = await setup();
+    const box = game.append('box', {x: 0, y: 0, width: 100, height: 60});
+
+    assert.throws(() => box.img('panel', {slice: -1}), /non-negative/);
+    assert.throws(() => box.img('panel', {slice: 8, sliceFill: 'repeat'}), /stretch/);
+    game.stop();
+});
@@ -0,0 +1,102 @@
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {NavGrid} from '../src/index.js';
+import {createGame} from './helpers.js';
+
+// A wall across the middle column with a gap at the bottom
+const walled = (options = {}) => {
+    const navGrid = new NavGrid(5, 5, {cellWidth: 10, ...options});
+    for (let y = 0; y < 4; y++) navGrid.setWalkable(2, y, false);
+    return navGrid;
+};
+
+test('A* goes around the walls and returns cell centers', () => {
+    const game = createGame();
+    const navGrid = walled({diagonal: 'never'});
+
+    const path = game.pathfinding.findPath({x: 0, y: 0}, {x: 4, y: 0}, {navGrid, cells: true});
+    assert.equal(path.length, 13);
+    assert.deepEqual(path[0], {x: 0, y: 0});
+    assert.deepEqual(path.at(-1), {x: 4, y: 0});
+    assert.ok(path.some(cell => cell.x === 2 && cell.y === 4));
+
+    const world = game.pathfinding.findPath({x: 5, y: 5}, {x: 45, y: 5}, {navGrid});
+    assert.deepEqual(world[0], {x: 5, y: 5});
+    assert.equal(game.pathfinding.pathLength(world), 120);
+    game.stop();
+});
+
+test('unreachable goals and blocked cells return null', () => {
+    const game = createGame();
+    const navGrid = walled();
+    navGrid.setWalkable(2, 4, false);
+
+    assert.equal(game.pathfinding.findPath({x: 0, y: 0}, {x: 4, y: 0}, {navGrid, cells: true}), null);
+    assert.equal(game.pathfinding.findPath({x: 0, y: 0}, {x: 2, y: 2}, {navGrid, cells: true}), null);
+    assert.throws(() => game.pathfinding.findPath({x: 0, y: 0}, {x: 1, y: 1}), /No navigation grid/);
+    game.stop();
+});
+
+test('weighted cells are avoided by A*', () => {
+    const game = createGame();
+    const navGrid = new NavGrid(3, 3, {diagonal: 'never'});
+    navGrid.setCost(1, 0, 10);
+
+    const path = game.pathfinding.findPath({x: 0, y: 0}, {x: 2, y: 0}, {navGrid, cells: true});
+    assert.ok(!path.some(cell => cell.x === 1 && cell.y === 0));
+    assert.equal(path.length, 5);
+    game.stop();
+});
+
+test('Jump Point Search returns the turning points of the same route', () => {
+    const game = createGame();
+    const navGrid = walled();
+
+    const astar = game.pathfinding.findPath({x: 0, y: 0}, {x: 4, y: 0}, {navGrid, cells: true});
+    const jps = game.pathfinding.findPath({x: 0, y: 0}, {x: 4, y: 0}, {navGrid, cells: true, algorithm: 'jps'});
+
+    assert.ok(jps.length < astar.length);
+    assert.deepEqual(jps[0], astar[0]);
+    assert.deepEqual(jps.at(-1), astar.at(-1));
+    assert.equal(game.pathfinding.pathLength(jps), game.pathfinding.pathLength(astar));
+    game.stop();
+});
+
+test('flow fields point every cell towards the closest goal', () => {
+    const game = createGame();
+    const navGrid = walled({diagonal: 'never'});
+
+    const field = game.pathfinding.flowField({x: 4, y: 0}, {navGrid, cells: true});
+    assert.deepEqual(field.getDirection({x: 1, y: 0}, true), {x: 0, y: 1});
+    assert.deepEqual(field.getDirection({x: 4, y: 0}, true), {x: 0, y: 0});
+    assert.equal(field.getDistance({x: 0, y: 0}, true), 12);
+    assert.deepEqual(field.getPath({x: 0, y: 0}, true).at(-1), {x: 4, y: 0});
+    game.stop();
+});
+
+test('fromTileMap() blocks the solid tiles and refresh() reads the map again', () => {
+    const game = createGame();
+    game.tileMap.create('level', {
+        tileBaseSize: 16,
+        tiles: {
+            '.': {tile: 'floor'},
+            '#': {tile: 'wall', collision: {type: 'solid'}}
+        },
+        layers: {ground: ['..#..', '..#..', '.....']}
+    }).render('level');
+
+    const navGrid = game.pathfinding.fromTileMap({diagonal: 'never'});
+    assert.equal(navGrid.columns, 5);
+    assert.equal(navGrid.rows, 3);
+    assert.ok(!navGrid.isWalkable(2, 0));
+
+    const path = game.findPath({x: 8, y: 8}, {x: 72, y: 8});
+    assert.equal(path.length, 9);
+    assert.deepEqual(path[0], {x: 8, y: 8});
+
+    navGrid.setWalkable(2, 0, true);
+    assert.equal(game.findPath({x: 8, y: 8}, {x: 72, y: 8}).length, 5);
+    navGrid.refresh();
+    assert.ok(!navGrid.isWalkable(2, 0));
+    game.stop();
+});
@@ -0,0 +1,83 @@
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {createGame, step} from './helpers.js';
+
+// A composite pass that only records that it ran
+const record = (calls, name) => ({name, composite: (ctx, source) => calls.push([name, source !== null])});
+
+test('the passes run in order on the finished frame, before the grid and the debugger', () => {
+    const game = createGame({grid: true});
+    const calls = [];
+
+    game.on('render', () => calls.push(['render']));
+    game.grid.render = () => calls.push(['grid']);
+    game.debugger.render = () => calls.push(['debugger']);
+
+    game.addPostEffect('first', record(calls, 'first'));
+    game.addPostEffect('second', record(calls, 'second'));
+    game.addPostEffect('skipped', {...record(calls, 'skipped'), enabled: false});
+    game.postProcessing.move('second', 0);
+
+    game.render();
+    assert.deepEqual(calls.map(([name]) => name), ['render', 'second', 'first', 'grid', 'debugger']);
+    game.stop();
+});
+
+test('only the passes that read the frame get a copy of it', () => {
+    const game = createGame();
+    const copies = [];
+    const canvas = game.postProcessing._canvas;
+    game.postProcessing._canvas = function (key, ...size) {
+        if (key === 'frame') copies.push(key);
+        return canvas.call(this, key, ...size);
+    };
+
+    const calls = [];
+    game.addPostEffect('vignette');
+    game.addPostEffect('scanlines');
+    game.addPostEffect('invert', {imageData: () => calls.push(['invert'])});
+    game.render();
+    assert.deepEqual(copies, []);
+    assert.deepEqual(calls, [['invert']]);
+
+    game.addPostEffect('pixelate');
+    game.addPostEffect('shake', record(calls, 'shake'));
+    game.render();
+    assert.equal(copies.length, 2);
+    assert.deepEqual(calls.at(-1), ['shake', true]);
+    game.stop();
+});
+
+test('custom passes get the time of the engine', () => {
+    const game = createGame();
+    const times = [];
+    game.addPostEffect('clock', {composite: (ctx, source, width, height, pass, time) => times.push(time)});
+
+    step(game, 6, 50);
+    game.render();
+    assert.deepEqual(times, [game.now()]);
+    assert.equal(game.now(), 300);
+    game.stop();
+});
+
+test('passes are managed by name and reset() restores the config', () => {
+    const game = createGame({postProcessing: [{type: 'vignette', strength: 0.5}]});
+    const post = game.postProcessing;
+
+    assert.equal(post.get('vignette').strength, 0.5);
+    post.set('vignette', {strength: 0.9});
+    assert.equal(post.get('vignette').strength, 0.9);
+
+    game.addPostEffect('grayscale', {amount: 0});
+    assert.throws(() => game.addPostEffect('grayscale'), /grayscale/);
+    assert.throws(() => game.addPostEffect('sepia'), /sepia/);
+    assert.throws(() => post.set('bloom', {}), /bloom/);
+
+    post.toggle('grayscale');
+    assert.equal(post.get('grayscale').enabled, false);
+
+    game.reset();
+    assert.ok(!game.postProcessing.has('grayscale'));
+    assert.equal(game.postProcessing.get('vignette').strength, 0.5);
+    game.stop();
+});
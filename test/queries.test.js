@@ -0,0 +1,68 @@
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {createGame} from './helpers.js';
+
+const setup = () => {
+    const game = createGame({collision: true});
+    game.append('wall', {x: 100, y: 0, width: 20, height: 100, collision: true});
+    game.append('crate', {x: 200, y: 40, width: 20, height: 20, collision: true});
+    game.append('ghost', {x: 50, y: 40, width: 20, height: 20});
+    return game;
+};
+
+test('raycast() returns the closest hit with its normal', () => {
+    const game = setup();
+
+    const hit = game.collision.raycast({x: 0, y: 50}, {x: 1, y: 0}, 500);
+    assert.equal(hit.entity.id, 'wall');
+    assert.equal(hit.tile, null);
+    assert.equal(hit.distance, 100);
+    assert.deepEqual(hit.point, {x: 100, y: 50});
+    assert.ok(hit.normal.x === -1 && hit.normal.y === 0, `normal = ${JSON.stringify(hit.normal)}`);
+
+    assert.equal(game.collision.raycast({x: 0, y: 50}, {x: 1, y: 0}, 50), null);
+    assert.equal(game.collision.raycast({x: 0, y: 50}, {x: 1, y: 0}, 500, {exclude: ['wall']}).entity.id, 'crate');
+    game.stop();
+});
+
+test('overlap queries find the shapes that touch a point, circle or rectangle', () => {
+    const game = setup();
+    const ids = hits => hits.map(({entity}) => entity.id).sort();
+
+    assert.deepEqual(ids(game.collision.overlapPoint({x: 110, y: 10})), ['wall']);
+    assert.deepEqual(ids(game.collision.overlapPoint({x: 60, y: 50})), []);
+    assert.deepEqual(ids(game.collision.overlapCircle({x: 160, y: 50}, 45)), ['crate', 'wall']);
+    assert.deepEqual(ids(game.collision.overlapRect({x: 0, y: 0, width: 90, height: 100})), []);
+    assert.deepEqual(ids(game.collision.overlapRect({x: 0, y: 0, width: 300, height: 100}, entity => entity.id !== 'wall')), ['crate']);
+    game.stop();
+});
+
+test('sweepShape() returns how far an entity can move', () => {
+    const game = setup();
+    const box = game.append('box', {x: 0, y: 40, width: 20, height: 20, collision: true});
+
+    const hit = game.collision.sweepShape(box, {x: 1, y: 0}, 200);
+    assert.equal(hit.entity.id, 'wall');
+    assert.equal(hit.distance, 80);
+
+    assert.equal(game.collision.sweepShape(box, {x: 0, y: 1}, 200), null);
+    assert.equal(game.collision.sweepShape({x: 90, y: 50, radius: 15}, {x: 1, y: 0}, 10).distance, 0);
+    game.stop();
+});
+
+test('queries hit the solid tiles of the active map', () => {
+    const game = createGame({collision: true});
+    game.tileMap.create('level', {
+        tileBaseSize: 32,
+        tiles: {'#': {tile: 'wall', collision: {type: 'solid'}}},
+        layers: {ground: ['   #']}
+    }).render('level');
+
+    const hit = game.collision.raycast({x: 0, y: 16}, {x: 1, y: 0}, 500);
+    assert.equal(hit.entity, null);
+    assert.equal(hit.tile.symbol, '#');
+    assert.equal(hit.distance, 96);
+
+    assert.equal(game.collision.raycast({x: 0, y: 16}, {x: 1, y: 0}, 500, {tiles: false}), null);
+    game.stop();
+});
@@ -0,0 +1,92 @@
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {createBrowserGame, createGame, step} from './helpers.js';
+
+const press = (game, key, code = key) => game._handleInput('keydown', {key, code});
+
+// Every space moves the hero, so the position tells which key presses reached the game
+const setup = game => {
+    game.append('hero', {x: 0, y: 0, width: 10, height: 10});
+    game.on('keydown', ({physical}) => {
+        if (physical === 'space') game.find('hero').style({x: game.find('hero').x + 10});
+    });
+    return game;
+};
+
+test('a replay feeds the recorded events to the same frames', async () => {
+    const game = setup(createGame());
+    const frames = [];
+    game.on('keydown', () => frames.push(game.recorder.frame));
+
+    game.recorder.start();
+    step(game, 2);
+    press(game, ' ', 'Space');
+    step(game, 3);
+    press(game, ' ', 'Space');
+    step(game, 2);
+    const recording = game.recorder.stop();
+
+    assert.equal(recording.deltas.length, 7);
+    assert.deepEqual(recording.events.map(event => event.frame), [2, 5]);
+    assert.equal(game.find('hero').x, 20);
+
+    frames.length = 0;
+    await game.recorder.play(JSON.parse(JSON.stringify(recording)));
+    assert.equal(game.find('hero').x, 0);
+
+    step(game, 7);
+    assert.deepEqual(frames, [2, 5]);
+    assert.equal(game.find('hero').x, 20);
+    assert.ok(!game.recorder.replaying);
+    game.stop();
+});
+
+test('the live input is ignored while a replay is running', async () => {
+    const game = setup(createGame());
+
+    game.recorder.start();
+    step(game, 3);
+    await game.recorder.play(game.recorder.stop());
+
+    press(game, ' ', 'Space');
+    step(game, 3);
+    assert.equal(game.find('hero').x, 0);
+    game.stop();
+});
+
+test('seek() simulates the frames and can go back to the snapshot', async () => {
+    const game = setup(createGame());
+
+    game.recorder.start();
+    step(game, 1);
+    press(game, ' ', 'Space');
+    step(game, 4);
+    await game.recorder.play(game.recorder.stop());
+
+    await game.recorder.seek(5);
+    assert.equal(game.recorder.frame, 5);
+    assert.equal(game.find('hero').x, 10);
+
+    await game.recorder.seek(0);
+    assert.equal(game.recorder.frame, 0);
+    assert.equal(game.find('hero').x, 0);
+    game.stop();
+});
+
+test('variable-step replays run the timers on the recorded deltas', async () => {
+    const game = createBrowserGame();
+
+    game.recorder.start({snapshot: false});
+    step(game, 30);
+    const recording = game.recorder.stop();
+
+    let fired = 0;
+    game.timeout(() => fired++, 200);
+
+    await game.recorder.play(recording);
+    await game.recorder.seek(recording.deltas.length);
+    assert.equal(fired, 1);
+
+    game.recorder.stopReplay();
+    game.stop();
+});
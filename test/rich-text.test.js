@@ -0,0 +1,70 @@
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {Headless, RichText} from '../src/index.js';
+
+// The headless context measures every character as half of the font size, 10px with a 20px font
+const ctx = Headless.createContext(Headless.createCanvas({}, 100, 100));
+const texts = layout => layout.lines.map(line => line.pieces.map(piece => piece.text).join(''));
+
+test('markup is split into runs of the same style', () => {
+    const runs = RichText.parse('[b]Hi[/b] [color=#f00]you[/color] [[x [foo]', {font: '20px Arial'});
+
+    assert.deepEqual(runs.map(run => run.text), ['Hi', ' ', 'you', ' ', '[', 'x [foo]']);
+    assert.equal(runs[0].style.bold, true);
+    assert.equal(runs[2].style.color, '#f00');
+    assert.equal(runs[2].style.tinted, true);
+    assert.equal(runs[5].style.bold, undefined);
+
+    assert.deepEqual(RichText.parse('[b]Hi[/b]', {}, false).map(run => run.text), ['[b]Hi[/b]']);
+});
+
+test('word wrap breaks the lines at spaces and stacks them', () => {
+    const layout = RichText.layout(ctx, 'hello world again and more', {font: '20px Arial', width: 100, wordWrap: true});
+
+    assert.deepEqual(texts(layout), ['hello', 'world', 'again and', 'more']);
+    assert.deepEqual(layout.lines.map(line => line.y), [0, 24, 48, 72]);
+    assert.equal(layout.width, 90);
+    assert.equal(layout.height, 96);
+
+    const unwrapped = RichText.measure(ctx, 'hello world', {font: '20px Arial', width: 100});
+    assert.equal(unwrapped.width, 110);
+    assert.equal(unwrapped.lines, 1);
+});
+
+test('maxLines cuts the text with an ellipsis', () => {
+    const layout = RichText.layout(ctx, 'hello world again and more', {font: '20px Arial', width: 100, wordWrap: true, maxLines: 2});
+
+    assert.deepEqual(texts(layout), ['hello', 'world…']);
+});
+
+test('the texts of a line share the baseline of the biggest one', () => {
+    const layout = RichText.layout(ctx, 'abc[size=40]D[/size]\nx', {font: '20px Arial'});
+    const [first, second] = layout.lines;
+
+    assert.deepEqual(first.pieces.map(piece => [piece.text, piece.x, piece.width]), [['abc', 0, 30], ['D', 30, 20]]);
+    assert.equal(first.height, 48);
+    assert.equal(first.baseline, 36);
+    assert.equal(second.y, 48);
+});
+
+test('fonts and BMFont descriptors are parsed', () => {
+    assert.deepEqual(RichText.parseFont('bold 24px "Comic Sans"'), {prefix: 'bold ', size: 24, family: '"Comic Sans"'});
+    assert.equal(RichText.fontString({bold: true, italic: true, size: 12, family: 'Arial'}), 'italic bold 12px Arial');
+
+    const font = RichText.parseBMFont([
+        'info face="Pixel" size=16',
+        'common lineHeight=18 base=14 scaleW=64 scaleH=64 pages=1',
+        'page id=0 file="pixel.png"',
+        'chars count=2',
+        'char id=65 x=0 y=0 width=8 height=10 xoffset=0 yoffset=4 xadvance=9 page=0',
+        'char id=66 x=8 y=0 width=8 height=10 xoffset=0 yoffset=4 xadvance=9 page=0',
+        'kernings count=1',
+        'kerning first=65 second=66 amount=-2'
+    ].join('\n'));
+
+    assert.equal(font.face, 'Pixel');
+    assert.equal(font.lineHeight, 18);
+    assert.deepEqual(font.pages, ['pixel.png']);
+    assert.equal(font.chars.get(66).x, 8);
+    assert.equal(font.kernings.get('65,66'), -2);
+});
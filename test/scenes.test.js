@@ -0,0 +1,143 @@
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {createGame, step} from './helpers.js';
+
+test('push pauses the scene below and pop resumes it with its world', () => {
+    const game = createGame();
+    const calls = [];
+
+    game.append('hero', {x: 0, y: 0, width: 10, height: 10});
+    game.scenes.get('main').hooks.pause  = (engine, data) => calls.push(['pause', data.reason]);
+    game.scenes.get('main').hooks.resume = () => calls.push(['resume']);
+
+    game.createScene('menu', {
+        enter (engine, data) {
+            calls.push(['enter', this.name, data.from]);
+            engine.append('button', {x: 0, y: 0, width: 10, height: 10});
+        },
+        exit: () => calls.push(['exit'])
+    });
+
+    game.pushScene('menu', {reason: 'menu', from: 'main'});
+    assert.deepEqual(game.scenes.getStack(), ['main', 'menu']);
+    assert.ok(game.scenes.get('main').isPaused());
+    assert.ok(!game.find('hero'));
+    assert.ok(game.find('button'));
+
+    game.popScene();
+    assert.deepEqual(game.scenes.getStack(), ['main']);
+    assert.ok(game.scenes.get('main').isActive());
+    assert.ok(game.find('hero'));
+    assert.ok(!game.find('button'));
+
+    assert.deepEqual(calls, [['pause', 'menu'], ['enter', 'menu', 'main'], ['exit'], ['resume']]);
+    game.stop();
+});
+
+test('the timers of a paused scene wait for it to come back', () => {
+    const game = createGame();
+    let fired = 0;
+
+    game.timer(() => fired++, 100);
+    game.createScene('menu');
+    game.pushScene('menu');
+    step(game, 30);
+    assert.equal(fired, 0);
+
+    game.popScene();
+    step(game, 7);
+    assert.equal(fired, 1);
+    game.stop();
+});
+
+test('non-persistent scenes are rebuilt on every enter, persistent ones keep their world', () => {
+    const game = createGame();
+    const enter = engine => engine.append(`item-${engine.entities.size}`, {x: 0, y: 0, width: 1, height: 1});
+
+    game.createScene('level', {enter});
+    game.createScene('inventory', {persistent: true, enter});
+
+    for (let i = 0; i < 2; i++) {
+        game.replaceScene('level');
+        assert.equal(game.entities.size, 1);
+        game.replaceScene('inventory');
+    }
+    assert.equal(game.entities.size, 2);
+    game.stop();
+});
+
+test('the bottom scene cannot be popped', () => {
+    const game = createGame();
+
+    assert.equal(game.scenes.pop(), null);
+    assert.deepEqual(game.scenes.getStack(), ['main']);
+    game.stop();
+});
+
+test('scenes keep their own collision state', () => {
+    const game = createGame({collision: true});
+    const events = [];
+
+    const a = game.append('a', {x: 0, y: 0, width: 20, height: 20, collision: true});
+    game.append('b', {x: 10, y: 0, width: 20, height: 20, collision: true});
+    a.on('collide', () => events.push('collide'));
+    a.on('collideEnd', () => events.push('collideEnd'));
+
+    const main = game.collision;
+    step(game);
+    assert.deepEqual(events, ['collide']);
+
+    // The updates of another scene do not end the pairs of the paused scene
+    game.scenes.create('menu');
+    game.scenes.push('menu');
+    assert.notEqual(game.collision, main);
+    step(game, 3);
+    assert.deepEqual(events, ['collide']);
+
+    game.scenes.pop();
+    assert.equal(game.collision, main);
+    assert.ok(main.activeCollisions.has('a-b'));
+
+    game.stop();
+});
+
+test('the animations of a paused scene wait for it to come back', () => {
+    const game = createGame();
+
+    const box = game.append('box', {x: 0, y: 0, width: 10, height: 10});
+    box.move({x: 600, duration: 1000});
+    step(game, 6);
+    const x = box.x;
+    assert.ok(x > 0 && x < 600, `x = ${x}`);
+
+    // An overlay renders the scene below, it still does not update
+    game.createScene('pause', {overlay: true});
+    game.pushScene('pause');
+    step(game, 30);
+    assert.equal(box.x, x);
+
+    game.popScene();
+    step(game, 60);
+    assert.equal(box.x, 600);
+    game.stop();
+});
+
+test('the timelines of a paused scene wait for it to come back', () => {
+    const game = createGame();
+
+    const box = game.append('box', {x: 0, y: 0, width: 10, height: 10});
+    game.timeline().to(box, {x: 100}, {duration: 500});
+    step(game, 6);
+    const x = box.x;
+    assert.ok(x > 0 && x < 100, `x = ${x}`);
+
+    game.createScene('pause', {overlay: true});
+    game.pushScene('pause');
+    step(game, 30);
+    assert.equal(box.x, x);
+
+    game.popScene();
+    step(game, 60);
+    assert.equal(box.x, 100);
+    game.stop();
+});
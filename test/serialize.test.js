@@ -0,0 +1,63 @@
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {createGame} from './helpers.js';
+
+test('deserialize() restores the entities, children, data and camera of a snapshot', async () => {
+    const game = createGame();
+
+    const panel = game.append('panel', {x: 10, y: 20, width: 100, height: 50, backgroundColor: '#ff0000'});
+    panel.append('label', {x: 5, y: 5, width: 20, height: 10, text: 'Score'});
+    game.data('score', 42);
+    game.camera.moveTo(30, 40, true);
+
+    const snapshot = JSON.stringify(game.serialize());
+
+    panel.style({x: 200});
+    game.append('extra', {x: 0, y: 0, width: 1, height: 1});
+    game.data('score', 0);
+    game.camera.moveTo(0, 0, true);
+
+    let restored = false;
+    game.on('deserialize', () => restored = true);
+    await game.deserialize(snapshot);
+
+    assert.ok(restored);
+    assert.deepEqual([...game.entities.keys()], ['panel']);
+    assert.equal(game.find('panel').x, 10);
+    assert.equal(game.findDeep('label').styles.text, 'Score');
+    assert.equal(game.data('score'), 42);
+    assert.equal(game.camera.x, 30);
+    assert.equal(game.camera.y, 40);
+    game.stop();
+});
+
+test('deserialize() replaces the physics bodies of the restored entities', async () => {
+    const game = createGame({physics: {gravity: {x: 0, y: 0}}});
+
+    game.append('crate', {x: 50, y: 50, width: 20, height: 20, physics: {bodyType: 'dynamic'}});
+    const snapshot = game.serialize();
+    const previous = game.physics.bodies.get('crate');
+
+    // Nothing waits for the old bodies to be released
+    const done = game.deserialize(snapshot);
+    assert.ok(game.find('crate'));
+    await done;
+
+    // The body of the old crate is gone before the new one is created
+    const body = game.physics.bodies.get('crate');
+    assert.ok(body);
+    assert.notEqual(body, previous);
+    assert.equal(game.physics.bodies.size, 1);
+
+    // Releases of the old entity that are still pending leave the new body alone
+    await Promise.resolve();
+    assert.equal(game.physics.bodies.get('crate'), body);
+    game.stop();
+});
+
+test('deserialize() rejects data that is not a world snapshot', async () => {
+    const game = createGame();
+
+    await assert.rejects(game.deserialize({entities: null}), /Invalid world state/);
+    game.stop();
+});
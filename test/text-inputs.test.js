@@ -0,0 +1,102 @@
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {createGame} from './helpers.js';
+
+const type = (game, keys, modifiers = {}) => {
+    for (const key of keys) game._handleInput('keydown', {key, code: key, ...modifiers});
+};
+
+const setup = (options = {}) => {
+    const game = createGame();
+    const entity = game.append('name', {x: 10, y: 10, width: 200, height: 30});
+    return {game, entity, input: game.textInput(entity, options)};
+};
+
+test('focused inputs take the keys and trigger their events', () => {
+    const {game, entity, input} = setup({maxLength: 5});
+    const events = [];
+    for (const name of ['focus', 'blur', 'input', 'change', 'submit'])
+        entity.on(name, data => events.push([name, data?.value]));
+
+    const keys = [];
+    game.on('keydown', () => keys.push('game'));
+
+    input.focus();
+    type(game, [...'hello!']);
+    assert.equal(input.getValue(), 'hello');
+
+    type(game, ['Backspace', 'ArrowLeft']);
+    type(game, ['ArrowLeft'], {shiftKey: true});
+    assert.equal(input.getSelectedText(), 'l');
+    type(game, ['L', 'Enter', 'Escape']);
+
+    assert.equal(input.getValue(), 'heLl');
+    assert.deepEqual(keys, []);
+    assert.deepEqual(events.map(([name]) => name), ['focus', 'input', 'input', 'input', 'input', 'input', 'input', 'input', 'submit', 'change', 'blur']);
+    assert.deepEqual(events.at(-2), ['change', 'heLl']);
+
+    type(game, ['x']);
+    assert.deepEqual(keys, ['game']);
+    game.stop();
+});
+
+test('a press focuses the input under it and places the caret', () => {
+    const {game, input} = setup({value: 'abcdef'});
+
+    assert.equal(game.textInputs._pointerDown(100, 25), true);
+    assert.equal(game.textInputs.focused, input);
+    assert.equal(input.selectionStart, input.selectionEnd);
+
+    assert.equal(game.textInputs._pointerDown(300, 200), false);
+    assert.equal(game.textInputs.focused, null);
+    game.stop();
+});
+
+test('inputs of a paused scene are blurred and cannot be pressed', () => {
+    const {game, input} = setup();
+
+    input.focus();
+    game.createScene('pause');
+    game.pushScene('pause');
+    assert.equal(input.focused, false);
+
+    assert.equal(game.textInputs._pointerDown(100, 25), false);
+    assert.equal(game.textInputs.focused, null);
+
+    game.popScene();
+    assert.equal(game.textInputs._pointerDown(100, 25), true);
+    game.stop();
+});
+
+test('paste falls back to the game clipboard when the system clipboard is empty', async () => {
+    const {game, input} = setup({value: 'copy me'});
+    const navigator = Object.getOwnPropertyDescriptor(globalThis, 'navigator');
+    Object.defineProperty(globalThis, 'navigator', {
+        configurable: true,
+        value: {clipboard: {readText: async () => '', writeText: async () => {}}}
+    });
+
+    try {
+        input.focus();
+        input.select(0, 4);
+        assert.equal(input.copy(), 'copy');
+
+        input.select(7);
+        await input.paste();
+        assert.equal(input.getValue(), 'copy mecopy');
+    } finally {
+        if (navigator) Object.defineProperty(globalThis, 'navigator', navigator);
+        else delete globalThis.navigator;
+    }
+    game.stop();
+});
+
+test('passwords are masked and never copied', () => {
+    const {game, input} = setup({value: 'secret', password: true});
+
+    input.selectAll();
+    assert.equal(input.copy(), '');
+    assert.equal(input.cut(), '');
+    assert.equal(input.getValue(), 'secret');
+    game.stop();
+});
@@ -0,0 +1,95 @@
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {Tiled} from '../src/index.js';
+import {createGame} from './helpers.js';
+
+const FLIPPED_HORIZONTALLY = 0x80000000;
+
+const TILESET = {
+    firstgid: 1, name: 'terrain', tilewidth: 16, tileheight: 16, tilecount: 4, columns: 2,
+    image: 'terrain.png', imagewidth: 32, imageheight: 32,
+    tiles: [
+        {id: 1, properties: [{name: 'collision', type: 'string', value: 'solid'}]},
+        {id: 2, animation: [{tileid: 2, duration: 100}, {tileid: 3, duration: 100}]}
+    ]
+};
+
+const TMJ = {
+    orientation: 'orthogonal', width: 3, height: 2, tilewidth: 16, tileheight: 16,
+    tilesets: [TILESET],
+    layers: [
+        {type: 'tilelayer', name: 'ground', width: 3, height: 2, data: [1, 2, 0, 0, 3, (1 | FLIPPED_HORIZONTALLY) >>> 0]},
+        {type: 'group', name: 'deco', layers: [
+            {type: 'tilelayer', name: 'grass', width: 3, height: 2, data: [0, 0, 1, 0, 0, 0]}
+        ]},
+        {type: 'tilelayer', name: 'hidden', visible: false, width: 3, height: 2, data: [1, 1, 1, 1, 1, 1]},
+        {type: 'objectgroup', name: 'spawns', objects: [
+            {id: 7, name: 'door', class: 'sensor', x: 16, y: 0, width: 16, height: 32}
+        ]}
+    ]
+};
+
+const TMX = `<?xml version="1.0" encoding="UTF-8"?>
+<map version="1.10" orientation="orthogonal" width="3" height="2" tilewidth="16" tileheight="16">
+ <tileset firstgid="1" name="terrain" tilewidth="16" tileheight="16" tilecount="4" columns="2">
+  <image source="terrain.png" width="32" height="32"/>
+  <tile id="1"><properties><property name="collision" value="solid"/></properties></tile>
+  <tile id="2"><animation><frame tileid="2" duration="100"/><frame tileid="3" duration="100"/></animation></tile>
+ </tileset>
+ <layer id="1" name="ground" width="3" height="2">
+  <data encoding="csv">1,2,0,0,3,${(1 | FLIPPED_HORIZONTALLY) >>> 0}</data>
+ </layer>
+ <group id="2" name="deco">
+  <layer id="3" name="grass" width="3" height="2"><data encoding="csv">0,0,1,0,0,0</data></layer>
+ </group>
+ <layer id="4" name="hidden" width="3" height="2" visible="0"><data encoding="csv">1,1,1,1,1,1</data></layer>
+ <objectgroup id="5" name="spawns">
+  <object id="7" name="door" class="sensor" x="16" y="0" width="16" height="32"/>
+ </objectgroup>
+</map>`;
+
+test('toTileMap() converts tile layers, flips, collisions and animations', async () => {
+    const game = createGame();
+    const config = await Tiled.toTileMap(game, TMJ, {loadAssets: false});
+
+    assert.equal(config.tileBaseSize, 16);
+    assert.deepEqual(Object.keys(config.layers), ['ground', 'deco/grass']);
+    assert.deepEqual(config.layers.ground, [['1', '2'], [null, '3', String((1 | FLIPPED_HORIZONTALLY) >>> 0)]]);
+
+    assert.equal(config.tiles['1'].tile, 'terrain.0');
+    assert.equal(config.tiles[String((1 | FLIPPED_HORIZONTALLY) >>> 0)].scaleX, -1);
+    assert.deepEqual(config.tiles['2'].collision, {type: 'solid', bounds: [0, 0, 16, 16]});
+    assert.deepEqual(config.tiles['3'].frames, ['terrain.2', 'terrain.3']);
+    assert.equal(config.tiles['3'].frameRate, 10);
+
+    const [door] = config.objects;
+    assert.equal(door.id, 'tiled_spawns_7');
+    assert.deepEqual([door.x, door.y, door.width, door.height], [16, 0, 16, 32]);
+    assert.equal(door.config.collision.type, 'sensor');
+    game.stop();
+});
+
+test('TMX maps are converted like the same TMJ map', async () => {
+    const game = createGame();
+
+    const fromJSON = await Tiled.toTileMap(game, structuredClone(TMJ), {loadAssets: false});
+    const fromXML  = await Tiled.toTileMap(game, TMX, {loadAssets: false});
+
+    assert.deepEqual(fromXML.layers, fromJSON.layers);
+    assert.deepEqual(fromXML.tiles, fromJSON.tiles);
+    assert.deepEqual(fromXML.objects.map(object => object.config), fromJSON.objects.map(object => object.config));
+    game.stop();
+});
+
+test('importTiled() creates the map and includes hidden layers on request', async () => {
+    const game = createGame();
+
+    await game.tileMap.importTiled('level', structuredClone(TMJ), {loadAssets: false, hiddenLayers: true});
+    assert.ok(game.tileMap.maps.has('level'));
+    assert.ok(game.tileMap.maps.get('level').layers.has('hidden'));
+    game.stop();
+});
+
+test('parse() rejects unknown formats', () => {
+    assert.throws(() => Tiled.parse('level: 1'), /Unknown Tiled format/);
+});
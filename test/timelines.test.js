@@ -0,0 +1,96 @@
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {createGame, step} from './helpers.js';
+
+test('tweens are placed in sequence, at labels and relative to the previous child', () => {
+    const game = createGame();
+    const timeline = game.timeline({paused: true})
+        .to({}, {value: 1}, {duration: 300})
+        .label('middle')
+        .to({}, {value: 1}, {duration: 200}, '+=100')
+        .to({}, {value: 1}, {duration: 100}, '<')
+        .to({}, {value: 1}, {duration: 50}, 'middle-=50');
+
+    assert.equal(timeline.getLabel('middle'), 300);
+    assert.equal(timeline.duration(), 600);
+    assert.throws(() => timeline.to({}, {value: 1}, {}, 'missing'), /missing/);
+    game.stop();
+});
+
+test('timelines advance with the engine and tween entities, cameras and objects', async () => {
+    const game = createGame();
+    const box = game.append('box', {x: 0, y: 0, width: 10, height: 10, backgroundColor: '#000000'});
+    const counter = {value: 0};
+    const calls = [];
+
+    const timeline = game.timeline({onComplete: () => calls.push('complete')})
+        .to(box, {x: 100, backgroundColor: '#ff0000'}, {duration: 500})
+        .call(() => calls.push('call'))
+        .to(game.camera, {x: 50}, {duration: 250}, '<')
+        .to(counter, {value: '+=10'}, {duration: 250});
+
+    step(game, 15);
+    assert.ok(box.x > 40 && box.x < 60, `x = ${box.x}`);
+
+    // A little past the end, sixty frames of 1000 / 60 add up to slightly less than a second
+    step(game, 46);
+    assert.equal(box.x, 100);
+    assert.equal(box.styles.backgroundColor, 'rgb(255,0,0)');
+    assert.equal(game.camera.x, 50);
+    assert.equal(counter.value, 10);
+    assert.deepEqual(calls, ['call', 'complete']);
+    assert.equal(await timeline.finished(), timeline);
+    game.stop();
+});
+
+test('repeat with yoyo plays every other iteration backwards', () => {
+    const game = createGame();
+    const target = {x: 0};
+    const repeats = [];
+
+    game.timeline({repeat: 1, yoyo: true, onRepeat: (timeline, iteration) => repeats.push(iteration)})
+        .to(target, {x: 100}, {duration: 300});
+
+    step(game, 27);
+    assert.deepEqual(repeats, [1]);
+    assert.ok(target.x > 0 && target.x < 100, `x = ${target.x}`);
+
+    step(game, 20);
+    assert.equal(target.x, 0);
+    game.stop();
+});
+
+test('seek, reverse and time scale move the playhead', () => {
+    const game = createGame();
+    const target = {x: 0};
+    let reversed = false;
+
+    const timeline = game.timeline({paused: true, onReverseComplete: () => reversed = true})
+        .to(target, {x: 100}, {duration: 1000});
+
+    timeline.seek(250);
+    assert.equal(target.x, 25);
+    assert.equal(timeline.progress(), 0.25);
+
+    timeline.setTimeScale(2).reverse();
+    step(game, 10, 25);
+    assert.equal(target.x, 0);
+    assert.ok(reversed);
+    game.stop();
+});
+
+test('kill() stops a timeline and resolves finished()', async () => {
+    const game = createGame();
+    const target = {x: 0};
+
+    const timeline = game.timeline().to(target, {x: 100}, {duration: 1000});
+    step(game, 6);
+    timeline.kill();
+    const x = target.x;
+    step(game, 6);
+
+    assert.equal(target.x, x);
+    assert.ok(!timeline.isActive());
+    assert.equal(await timeline.finished(), timeline);
+    game.stop();
+});
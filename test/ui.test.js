@@ -0,0 +1,88 @@
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {createGame, step} from './helpers.js';
+
+// A key pressed for one frame
+const tap = (game, key, code = key) => {
+    game._handleInput('keydown', {key, code});
+    step(game);
+    game._handleInput('keyup', {key, code});
+    step(game);
+};
+
+const navigation = game => Object.keys(game.input.exportBindings().actions).filter(name => name.startsWith('ui_'));
+
+test('the navigation actions only exist while there are widgets', () => {
+    const game = createGame();
+
+    step(game);
+    assert.deepEqual(navigation(game), []);
+
+    const play = game.ui.button('play', {text: 'Play'});
+    const quit = game.ui.button('quit', {y: 50, text: 'Quit'});
+    step(game);
+    assert.deepEqual(navigation(game).sort(), ['ui_accept', 'ui_back', 'ui_down', 'ui_left', 'ui_next', 'ui_right', 'ui_up']);
+
+    play.destroy();
+    step(game);
+    assert.ok(navigation(game).length);
+
+    quit.destroy();
+    step(game);
+    assert.deepEqual(navigation(game), []);
+    game.stop();
+});
+
+test('actions the game bound itself are kept', () => {
+    const game = createGame();
+
+    game.ui.button('play', {text: 'Play'});
+    step(game);
+    game.input.bind('ui_accept', ['e']);
+
+    game.ui.clear();
+    step(game);
+    assert.deepEqual(navigation(game), ['ui_accept']);
+    assert.deepEqual(game.input.get('ui_accept').bindings, [{key: 'e'}]);
+    game.stop();
+});
+
+test('tab, the arrows and enter move the focus and activate the widgets', () => {
+    const game = createGame();
+    const pressed = [];
+
+    game.ui.button('play', {x: 0, y: 0, text: 'Play'}).on('press', () => pressed.push('play'));
+    game.ui.button('options', {x: 0, y: 60, text: 'Options'}).on('press', () => pressed.push('options'));
+    const music = game.ui.checkbox('music', {x: 200, y: 60, text: 'Music', value: false});
+    step(game);
+
+    // The arrows stay free for the game until a widget has the focus
+    tap(game, 'ArrowDown');
+    assert.equal(game.ui.focused, null);
+
+    tap(game, 'Tab');
+    assert.equal(game.ui.focused.id, 'play');
+
+    tap(game, 'ArrowDown');
+    assert.equal(game.ui.focused.id, 'options');
+    tap(game, 'Enter');
+    assert.deepEqual(pressed, ['options']);
+
+    tap(game, 'ArrowRight');
+    assert.equal(game.ui.focused, music);
+    tap(game, ' ', 'Space');
+    assert.equal(music.getValue(), true);
+
+    tap(game, 'Escape');
+    assert.equal(game.ui.focused, null);
+    game.stop();
+});
+
+test('unknown directions and duplicate ids throw', () => {
+    const game = createGame();
+
+    game.ui.button('play');
+    assert.throws(() => game.ui.move('forward'), /forward/);
+    assert.throws(() => game.ui.button('play'));
+    game.stop();
+});